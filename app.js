@@ -8,11 +8,23 @@ const aiRoutes = require('./routes/aiRoutes');
 const npcRoutes = require('./routes/npcRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const debugRoutes = require('./routes/debugRoutes');
+const worldRoutes = require('./routes/worldRoutes');
+const loreRoutes = require('./routes/loreRoutes');
+const gossipRoutes = require('./routes/gossipRoutes');
+const clockRoutes = require('./routes/clockRoutes');
+const factionRoutes = require('./routes/factionRoutes');
+const networkRoutes = require('./routes/networkRoutes');
+const worldManager = require('./utils/worldManager');
+const config = require('./config');
 
 // Initialize Express app
 const app = express();
 
 // Middleware
+// World imports carry a whole world in one request (JSON or a DataTable CSV), so they get a larger body limit
+app.use('/worlds/:worldId/import',
+  express.json({ limit: config.transfer.maxImportSize }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: config.transfer.maxImportSize }));
 app.use(express.json());
 
 // Serve static files from the public directory
@@ -21,9 +33,18 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Routes
 app.use('/health', healthRoutes);
 app.use('/ai', aiRoutes);
-app.use('/npc', npcRoutes);
-app.use('/admin', adminRoutes);
-app.use('/debug', debugRoutes);
+app.use('/worlds', worldRoutes);
+
+// World-scoped routes: /npc/... uses the X-World-Id header (or the default world),
+// /worlds/:worldId/npc/... names the world in the path
+app.use(['/npc', '/worlds/:worldId/npc'], worldManager.resolveWorld, npcRoutes);
+app.use(['/admin', '/worlds/:worldId/admin'], worldManager.resolveWorld, adminRoutes);
+app.use(['/debug', '/worlds/:worldId/debug'], worldManager.resolveWorld, debugRoutes);
+app.use(['/lore', '/worlds/:worldId/lore'], worldManager.resolveWorld, loreRoutes);
+app.use(['/gossip', '/worlds/:worldId/gossip'], worldManager.resolveWorld, gossipRoutes);
+app.use(['/clock', '/worlds/:worldId/clock'], worldManager.resolveWorld, clockRoutes);
+app.use(['/factions', '/worlds/:worldId/factions'], worldManager.resolveWorld, factionRoutes);
+app.use(['/network', '/worlds/:worldId/network'], worldManager.resolveWorld, networkRoutes);
 
 // Serve the debug dashboard as the root route
 app.get('/', (req, res) => {
@@ -17,6 +17,144 @@ const config = {
     defaultResponseFormat: process.env.RESPONSE_FORMAT || "text", // "text" or "json"
   },
   
+  // AI provider configuration ("openai", "openai-compatible" or "mock")
+  ai: {
+    provider: process.env.AI_PROVIDER || "openai",
+
+    // Retry policy: 429/5xx/timeout errors are retried with exponential backoff and jitter,
+    // then each fallback model is tried in order
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS, 10) || 30000,
+    maxRetries: process.env.AI_MAX_RETRIES !== undefined ? parseInt(process.env.AI_MAX_RETRIES, 10) : 2,
+    retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 500,
+    retryMaxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 8000,
+    fallbackModels: (process.env.AI_FALLBACK_MODELS || "").split(",").map(model => model.trim()).filter(Boolean),
+
+    // In-character line NPCs say when every model has failed
+    npcFallbackLine: process.env.NPC_FALLBACK_LINE || "Hmm... forgive me, my mind wandered. What were you saying?",
+  },
+
+  // Settings for the non-default providers
+  providers: {
+    // Any server exposing the OpenAI chat completions API (llama.cpp, Ollama, LM Studio, vLLM...)
+    openaiCompatible: {
+      baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || "http://localhost:11434/v1",
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+      defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || "llama3.1",
+      streamUsage: process.env.OPENAI_COMPATIBLE_STREAM_USAGE === "true",
+    },
+    // Deterministic offline replies for development and tests
+    mock: {
+      defaultModel: process.env.MOCK_MODEL || "mock-model",
+      fixturesDirectory: process.env.MOCK_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'mock'),
+      streamDelayMs: parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 0,
+    },
+  },
+
+  // Conversation memory: older turns are condensed into a rolling per-player summary,
+  // and the "memory" field of chat replies accumulates into a long-term memory store
+  memory: {
+    summaryThreshold: parseInt(process.env.SUMMARY_THRESHOLD, 10) || 40, // Messages per player before summarizing
+    summaryKeepRecent: parseInt(process.env.SUMMARY_KEEP_RECENT, 10) || 20, // Recent messages kept verbatim
+    summaryMaxTokens: parseInt(process.env.SUMMARY_MAX_TOKENS, 10) || 400,
+    maxMemoriesPerNpc: parseInt(process.env.MEMORY_MAX_PER_NPC, 10) || 200, // Least important memories are dropped first
+    promptMemoryLimit: parseInt(process.env.MEMORY_PROMPT_LIMIT, 10) || 5, // Memories injected into the chat prompt
+    recencyHalfLifeDays: parseFloat(process.env.MEMORY_RECENCY_HALF_LIFE_DAYS) || 7,
+    archiveLimit: parseInt(process.env.MESSAGE_ARCHIVE_LIMIT, 10) || 500, // Summarized messages kept for semantic retrieval
+  },
+
+  // Embeddings used to retrieve memories and past exchanges related to the player's message
+  embeddings: {
+    embedder: process.env.EMBEDDER || "hash", // "hash" (offline) or "provider" (AI provider embeddings API)
+    provider: process.env.EMBEDDING_PROVIDER || "openai",
+    model: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 512, // Hash embedder only
+    topK: parseInt(process.env.EMBEDDING_TOP_K, 10) || 3, // Past exchanges added to the chat prompt
+    minScore: process.env.EMBEDDING_MIN_SCORE !== undefined ? parseFloat(process.env.EMBEDDING_MIN_SCORE) : 0.15,
+  },
+
+  // World lore injected into NPC chat prompts
+  lore: {
+    promptLimit: parseInt(process.env.LORE_PROMPT_LIMIT, 10) || 5, // Lore entries added to each chat prompt
+  },
+
+  // Gossip spreading between connected NPCs
+  gossip: {
+    enabled: process.env.GOSSIP_ENABLED !== 'false',
+    tickIntervalMs: parseInt(process.env.GOSSIP_TICK_INTERVAL_MS, 10) || 5 * 60 * 1000, // Time between propagation ticks
+    spreadChance: process.env.GOSSIP_SPREAD_CHANCE !== undefined ? parseFloat(process.env.GOSSIP_SPREAD_CHANCE) : 0.35, // Base chance of telling a neutral neighbor
+    factionBonus: parseFloat(process.env.GOSSIP_FACTION_BONUS) || 1.5, // Multiplier for neighbors in the same faction
+    hopDecay: parseFloat(process.env.GOSSIP_HOP_DECAY) || 0.75, // Multiplier per retelling
+    maxHops: parseInt(process.env.GOSSIP_MAX_HOPS, 10) || 4, // Retellings before a rumor stops spreading
+  },
+  conversations: {
+    defaultTurns: parseInt(process.env.NPC_CONVERSATION_TURNS, 10) || 6, // Lines spoken when a request sets no turn count
+    maxTurns: parseInt(process.env.NPC_CONVERSATION_MAX_TURNS, 10) || 20,
+  },
+  scenes: {
+    maxResponders: parseInt(process.env.SCENE_MAX_RESPONDERS, 10) || 2, // NPCs answering a group chat message when responders is "auto"
+    transcriptLimit: parseInt(process.env.SCENE_TRANSCRIPT_LIMIT, 10) || 200, // Lines kept in a scene's shared transcript
+  },
+
+  // NPC-to-NPC relationships: affinity, trust and respect scores (0-100) that change by bounded steps
+  relationships: {
+    maxDelta: parseInt(process.env.NPC_RELATIONSHIP_MAX_DELTA, 10) || 15, // Largest change to one score per update
+    historyLimit: parseInt(process.env.NPC_RELATIONSHIP_HISTORY_LIMIT, 10) || 20, // Changes kept per relationship
+    eventLimit: parseInt(process.env.NPC_RELATIONSHIP_EVENT_LIMIT, 10) || 500, // Relationship change events kept per NPC (player and NPC relationships)
+  },
+
+  // Factions: NPCs inherit attitudes from their faction, and how players treat members ripples into faction reputation
+  factions: {
+    reputationWeight: process.env.FACTION_REPUTATION_WEIGHT !== undefined ? parseFloat(process.env.FACTION_REPUTATION_WEIGHT) : 0.5, // Relationship points per reputation point away from neutral
+    reputationRipple: process.env.FACTION_REPUTATION_RIPPLE !== undefined ? parseFloat(process.env.FACTION_REPUTATION_RIPPLE) : 0.5, // Reputation change per point a member's feelings change
+    stanceRipple: process.env.FACTION_STANCE_RIPPLE !== undefined ? parseFloat(process.env.FACTION_STANCE_RIPPLE) : 0.5, // Share of that change passed on to factions with a stance towards it
+    reputationHistoryLimit: parseInt(process.env.FACTION_REPUTATION_HISTORY_LIMIT, 10) || 50, // Reputation changes kept per player and faction
+  },
+
+  // World clock: game time runs at WORLD_CLOCK_SCALE game seconds per real second and can be
+  // advanced through the /clock endpoints (e.g. when the player sleeps)
+  clock: {
+    scale: process.env.WORLD_CLOCK_SCALE !== undefined ? parseFloat(process.env.WORLD_CLOCK_SCALE) : 1, // 0 stops the clock between API calls
+    startTime: process.env.WORLD_CLOCK_START || null, // Game time of a new world (default: when the world is first used)
+  },
+
+  // Decay over game time: relationship scores drift towards a baseline, moods reset and
+  // memories nobody touches lose importance (NPCs can override these with a "decay" field)
+  decay: {
+    enabled: process.env.DECAY_ENABLED !== 'false',
+    tickIntervalMs: parseInt(process.env.DECAY_TICK_INTERVAL_MS, 10) || 10 * 60 * 1000, // Real time between decay checks
+    relationships: {
+      affinity: {
+        perDay: process.env.DECAY_AFFINITY_PER_DAY !== undefined ? parseFloat(process.env.DECAY_AFFINITY_PER_DAY) : 2, // Points per game day
+        baseline: process.env.DECAY_AFFINITY_BASELINE !== undefined ? parseInt(process.env.DECAY_AFFINITY_BASELINE, 10) : 50, // Player relationships only
+      },
+      trust: {
+        perDay: process.env.DECAY_TRUST_PER_DAY !== undefined ? parseFloat(process.env.DECAY_TRUST_PER_DAY) : 1,
+        baseline: process.env.DECAY_TRUST_BASELINE !== undefined ? parseInt(process.env.DECAY_TRUST_BASELINE, 10) : 50,
+      },
+      respect: {
+        perDay: process.env.DECAY_RESPECT_PER_DAY !== undefined ? parseFloat(process.env.DECAY_RESPECT_PER_DAY) : 0.5,
+        baseline: process.env.DECAY_RESPECT_BASELINE !== undefined ? parseInt(process.env.DECAY_RESPECT_BASELINE, 10) : 50,
+      },
+    },
+    defaultMood: process.env.NPC_DEFAULT_MOOD || "neutral", // Mood of NPCs without a default_mood
+    moodResetHours: parseFloat(process.env.MOOD_RESET_HOURS) || 12, // Game hours before a mood wears off
+    memoryStaleDays: process.env.MEMORY_STALE_DAYS !== undefined ? parseFloat(process.env.MEMORY_STALE_DAYS) : 7, // Game days before an untouched memory starts to fade
+    memoryDecayDays: parseFloat(process.env.MEMORY_DECAY_DAYS) || 7, // Game days per importance point lost after that
+    memoryProtectedImportance: parseInt(process.env.MEMORY_PROTECTED_IMPORTANCE, 10) || 9, // Memories this important never fade
+  },
+
+  // Storage configuration (NPC contexts are written through on every change)
+  storage: {
+    type: process.env.STORAGE_TYPE || "json", // "json" or "memory"
+    directory: process.env.DATA_DIR || path.join(process.cwd(), 'data'),
+    writeDelayMs: parseInt(process.env.STORAGE_WRITE_DELAY_MS, 10) || 0, // Delay that coalesces conversation history writes (0 writes at once)
+  },
+
+  // World export and import
+  transfer: {
+    maxImportSize: process.env.WORLD_IMPORT_MAX_SIZE || "20mb", // Largest world document or CSV POST /worlds/:worldId/import accepts
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || "INFO",
@@ -155,7 +155,7 @@ function renderNpcDetails(npcData) {
                         ${Object.entries(relationships).map(([name, relation]) => `
                             <tr>
                                 <td>${name}</td>
-                                <td><span class="relationship-tag ${getRelationshipClass(relation)}">${relation}</span></td>
+                                <td><span class="relationship-tag ${getRelationshipClass(getRelationshipLabel(relation))}">${getRelationshipLabel(relation)}</span>${formatRelationshipScores(relation)}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -194,6 +194,17 @@ function renderNpcDetails(npcData) {
     elements.npcDetails.innerHTML = statsHtml + basicInfoHtml + relationshipsHtml + inventoryHtml + skillsHtml;
 }
 
+// Helper function to get the label of a relationship (text or scored record)
+function getRelationshipLabel(relationship) {
+    return typeof relationship === 'string' ? relationship : (relationship?.status || 'neutral');
+}
+
+// Helper function to show the scores of a scored relationship
+function formatRelationshipScores(relationship) {
+    if (!relationship || typeof relationship !== 'object') return '';
+    return ` <small>affinity ${relationship.affinity}, trust ${relationship.trust}, respect ${relationship.respect}</small>`;
+}
+
 // Helper function to get relationship class for styling
 function getRelationshipClass(relationship) {
     const rel = relationship.toLowerCase();
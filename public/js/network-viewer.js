@@ -6,7 +6,11 @@ const API = {
     networkData: '/debug/relationship-network',
     stats: '/debug/stats',
     discoverRelationships: '/npc/discover-relationships',
-    npcDebug: (npcIdOrName) => `/npc/${npcIdOrName}/debug`
+    npcDebug: (npcIdOrName) => `/npc/${npcIdOrName}/debug`,
+    communities: '/network/communities',
+    goBetweens: '/network/centrality?sort=betweenness&limit=5',
+    oneSided: '/network/one-sided',
+    path: (from, to) => `/network/path?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
 };
 
 // State management
@@ -24,7 +28,14 @@ const elements = {
     linkStrength: document.getElementById('link-strength'),
     chargeStrength: document.getElementById('charge-strength'),
     refreshButton: document.getElementById('refresh-network'),
-    discoverButton: document.getElementById('discover-all-relationships')
+    discoverButton: document.getElementById('discover-all-relationships'),
+    communitiesButton: document.getElementById('show-communities'),
+    goBetweensButton: document.getElementById('show-go-betweens'),
+    oneSidedButton: document.getElementById('show-one-sided'),
+    pathFrom: document.getElementById('path-from'),
+    pathTo: document.getElementById('path-to'),
+    findPathButton: document.getElementById('find-path'),
+    analysisInfo: document.getElementById('analysis-info')
 };
 
 // Initialize the network viewer
@@ -346,7 +357,7 @@ function renderNodeDetails(npcData) {
                         ${Object.entries(relationships).map(([name, relation]) => `
                             <tr>
                                 <td><a href="npc-viewer.html?npc=${encodeURIComponent(name)}">${name}</a></td>
-                                <td><span class="relationship-tag ${getRelationshipClass(relation)}">${relation}</span></td>
+                                <td><span class="relationship-tag ${getRelationshipClass(getRelationshipLabel(relation))}">${getRelationshipLabel(relation)}</span>${formatRelationshipScores(relation)}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -366,6 +377,17 @@ function renderNodeDetails(npcData) {
     elements.selectedNodeInfo.innerHTML = basicInfoHtml + relationshipsHtml + viewDetailsHtml;
 }
 
+// Helper function to get the label of a relationship (text or scored record)
+function getRelationshipLabel(relationship) {
+    return typeof relationship === 'string' ? relationship : (relationship?.status || 'neutral');
+}
+
+// Helper function to show the scores of a scored relationship
+function formatRelationshipScores(relationship) {
+    if (!relationship || typeof relationship !== 'object') return '';
+    return ` <small>affinity ${relationship.affinity}, trust ${relationship.trust}, respect ${relationship.respect}</small>`;
+}
+
 // Helper function to get relationship class for styling
 function getRelationshipClass(relationship) {
     const rel = relationship.toLowerCase();
@@ -376,6 +398,144 @@ function getRelationshipClass(relationship) {
     return 'neutral';
 }
 
+// Fetch the result of a network analysis endpoint
+async function fetchAnalysis(url) {
+    const response = await fetch(url);
+    const data = await response.json();
+    if (data.status !== 'success') throw new Error(data.message || 'Unknown error');
+    return data;
+}
+
+// Check whether a link connects two nodes (either direction)
+function linkConnects(link, firstId, secondId) {
+    return (link.source.id === firstId && link.target.id === secondId) ||
+        (link.source.id === secondId && link.target.id === firstId);
+}
+
+// Remove analysis highlights from nodes and links
+function resetAnalysisHighlights() {
+    d3.selectAll('.nodes circle')
+        .attr('fill', d => getNodeColor(d))
+        .attr('stroke', null)
+        .attr('stroke-width', 0)
+        .attr('r', parseInt(elements.nodeSize.value))
+        .attr('fill-opacity', 1);
+
+    d3.selectAll('.links line')
+        .attr('stroke', '#999')
+        .attr('stroke-opacity', 0.6)
+        .attr('stroke-dasharray', null)
+        .attr('stroke-width', d => Math.sqrt(d.value));
+}
+
+// Color nodes by the community they belong to
+async function showCommunities() {
+    try {
+        const data = await fetchAnalysis(API.communities);
+        const colors = d3.scaleOrdinal(d3.schemeCategory10);
+        const communityOf = new Map();
+        data.communities.forEach(community => {
+            community.members.forEach(member => communityOf.set(member.id, community.id));
+        });
+
+        resetAnalysisHighlights();
+        d3.selectAll('.nodes circle')
+            .attr('fill', d => communityOf.has(d.id) ? colors(communityOf.get(d.id)) : '#dddddd');
+
+        elements.analysisInfo.innerHTML = data.communities.length > 0 ?
+            data.communities.map(community => `
+                <div class="npc-property"><strong style="color: ${colors(community.id)}">Community ${community.id}:</strong>
+                ${community.members.map(member => member.name).join(', ')}</div>
+            `).join('') :
+            '<p class="no-data">No communities found</p>';
+    } catch (error) {
+        elements.analysisInfo.innerHTML = `<p class="error">Error loading communities: ${error.message}</p>`;
+    }
+}
+
+// Enlarge the NPCs that connect otherwise separate groups
+async function showGoBetweens() {
+    try {
+        const data = await fetchAnalysis(API.goBetweens);
+        const goBetweens = data.npcs.filter(npc => npc.betweenness > 0);
+        const ids = new Set(goBetweens.map(npc => npc.id));
+
+        resetAnalysisHighlights();
+        d3.selectAll('.nodes circle')
+            .filter(d => ids.has(d.id))
+            .attr('stroke', '#f39c12')
+            .attr('stroke-width', 3)
+            .attr('r', parseInt(elements.nodeSize.value) * 1.5);
+
+        elements.analysisInfo.innerHTML = goBetweens.length > 0 ?
+            goBetweens.map(npc => `<div class="npc-property"><strong>${npc.name}:</strong> betweenness ${npc.betweenness}, influence ${npc.influence}</div>`).join('') :
+            '<p class="no-data">No go-betweens found</p>';
+    } catch (error) {
+        elements.analysisInfo.innerHTML = `<p class="error">Error loading go-betweens: ${error.message}</p>`;
+    }
+}
+
+// Mark relationships where one NPC likes another who dislikes them
+async function showOneSided() {
+    try {
+        const data = await fetchAnalysis(API.oneSided);
+
+        resetAnalysisHighlights();
+        d3.selectAll('.links line')
+            .filter(d => data.relationships.some(pair => linkConnects(d, pair.npc1.id, pair.npc2.id)))
+            .attr('stroke', '#e74c3c')
+            .attr('stroke-opacity', 1)
+            .attr('stroke-dasharray', '6,3')
+            .attr('stroke-width', d => Math.sqrt(d.value) + 1);
+
+        elements.analysisInfo.innerHTML = data.relationships.length > 0 ?
+            data.relationships.map(pair => `
+                <div class="npc-property"><strong>${pair.npc1.name}</strong> is ${pair.npc1_to_npc2.status} towards
+                <strong>${pair.npc2.name}</strong>, who is ${pair.npc2_to_npc1.status} in return</div>
+            `).join('') :
+            '<p class="no-data">No one-sided relationships</p>';
+    } catch (error) {
+        elements.analysisInfo.innerHTML = `<p class="error">Error loading one-sided relationships: ${error.message}</p>`;
+    }
+}
+
+// Highlight the shortest chain of acquaintances between two NPCs
+async function findPath() {
+    const from = elements.pathFrom.value.trim();
+    const to = elements.pathTo.value.trim();
+    if (!from || !to) return;
+
+    try {
+        const data = await fetchAnalysis(API.path(from, to));
+
+        resetAnalysisHighlights();
+        if (!data.found) {
+            elements.analysisInfo.innerHTML = `<p class="no-data">${data.from} and ${data.to} are not connected</p>`;
+            return;
+        }
+
+        const ids = data.path.map(npc => npc.id);
+        d3.selectAll('.nodes circle')
+            .attr('fill-opacity', d => ids.includes(d.id) ? 1 : 0.3)
+            .filter(d => ids.includes(d.id))
+            .attr('stroke', '#27ae60')
+            .attr('stroke-width', 3);
+
+        d3.selectAll('.links line')
+            .filter(d => ids.slice(1).some((id, index) => linkConnects(d, ids[index], id)))
+            .attr('stroke', '#27ae60')
+            .attr('stroke-opacity', 1)
+            .attr('stroke-width', d => Math.sqrt(d.value) + 2);
+
+        elements.analysisInfo.innerHTML = `
+            <div class="npc-property"><strong>${data.hops} step${data.hops === 1 ? '' : 's'}:</strong> ${data.path.map(npc => npc.name).join(' &rarr; ')}</div>
+            ${data.steps.map(step => `<div class="npc-property">${step.from} (${step.from_to_other}) &harr; ${step.to} (${step.other_to_from})</div>`).join('')}
+        `;
+    } catch (error) {
+        elements.analysisInfo.innerHTML = `<p class="error">Error finding path: ${error.message}</p>`;
+    }
+}
+
 // Discover all relationships
 async function discoverAllRelationships() {
     try {
@@ -435,6 +595,12 @@ function setupEventListeners() {
     
     // Discover relationships button
     elements.discoverButton.addEventListener('click', discoverAllRelationships);
+
+    // Network analysis buttons
+    elements.communitiesButton.addEventListener('click', showCommunities);
+    elements.goBetweensButton.addEventListener('click', showGoBetweens);
+    elements.oneSidedButton.addEventListener('click', showOneSided);
+    elements.findPathButton.addEventListener('click', findPath);
 }
 
 // Initialize the network viewer when the page loads
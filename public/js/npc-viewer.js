@@ -5,6 +5,7 @@ const API = {
     health: '/health',
     npcDebug: (npcIdOrName) => `/npc/${npcIdOrName}/debug`,
     npcHistory: (npcIdOrName) => `/npc/${npcIdOrName}/history`,
+    relationshipHistory: (npcIdOrName) => `/npc/${npcIdOrName}/relationships/history`,
     npcRelationship: '/npc/relationship',
     discoverRelationships: (npcIdOrName) => `/npc/${npcIdOrName}/discover-relationships`,
     clearHistory: (npcIdOrName) => `/npc/${npcIdOrName}/history`
@@ -22,6 +23,7 @@ const elements = {
     npcBasicInfo: document.getElementById('npc-basic-info'),
     npcDetails: document.getElementById('npc-details'),
     relationshipNetwork: document.getElementById('relationship-network'),
+    relationshipTimeline: document.getElementById('relationship-timeline'),
     conversationHistory: document.getElementById('conversation-history'),
     refreshButton: document.getElementById('refresh-data'),
     viewHistoryButton: document.getElementById('view-history'),
@@ -92,6 +94,7 @@ async function loadNpcByIdOrName(npcIdOrName) {
         renderNpcDetails(data);
         renderRelationshipNetwork(data.relationship_network);
         loadNpcHistory(currentNpcId);
+        loadRelationshipTimeline(currentNpcId);
     } catch (error) {
         elements.npcDetails.innerHTML = `<p class="error">Error loading NPC details: ${error.message}</p>`;
         elements.npcBasicInfo.innerHTML = `<p class="error">Error: ${error.message}</p>`;
@@ -118,6 +121,8 @@ function renderNpcBasicInfo(npcData) {
 function renderNpcDetails(npcData) {
     const metadata = npcData.raw_metadata || {};
     const relationships = npcData.relationships_object || {};
+    // Faction members may have no stored player relationship and inherit their faction's attitude
+    const playerRelationship = npcData.player_relationship || metadata.player_relationship;
     
     // Create stats cards
     const statsHtml = `
@@ -127,15 +132,15 @@ function renderNpcDetails(npcData) {
                 <div class="stat-label">Relationships</div>
             </div>
             <div class="stat-card">
-                <div class="stat-value">${metadata.player_relationship?.affinity || 'N/A'}</div>
+                <div class="stat-value">${playerRelationship?.affinity || 'N/A'}</div>
                 <div class="stat-label">Player Affinity</div>
             </div>
             <div class="stat-card">
-                <div class="stat-value">${metadata.player_relationship?.trust || 'N/A'}</div>
+                <div class="stat-value">${playerRelationship?.trust || 'N/A'}</div>
                 <div class="stat-label">Player Trust</div>
             </div>
             <div class="stat-card">
-                <div class="stat-value">${metadata.player_relationship?.respect || 'N/A'}</div>
+                <div class="stat-value">${playerRelationship?.respect || 'N/A'}</div>
                 <div class="stat-label">Player Respect</div>
             </div>
         </div>
@@ -156,12 +161,13 @@ function renderNpcDetails(npcData) {
     
     // Create player relationship card
     let playerRelationshipHtml = '';
-    if (metadata.player_relationship) {
-        const pr = metadata.player_relationship;
+    if (playerRelationship) {
+        const pr = playerRelationship;
         playerRelationshipHtml = `
             <div class="npc-card">
                 <h3>Player Relationship</h3>
                 <div class="npc-property"><strong>Status:</strong> ${pr.status || 'neutral'}</div>
+                ${pr.inherited_from ? `<div class="npc-property"><strong>Inherited from:</strong> ${pr.inherited_from.faction} (reputation ${pr.inherited_from.reputation}/100)</div>` : ''}
                 <div class="npc-property"><strong>Affinity:</strong> ${pr.affinity || 'N/A'}/100</div>
                 <div class="npc-property"><strong>Trust:</strong> ${pr.trust || 'N/A'}/100</div>
                 <div class="npc-property"><strong>Respect:</strong> ${pr.respect || 'N/A'}/100</div>
@@ -194,7 +200,7 @@ function renderNpcDetails(npcData) {
                         ${Object.entries(relationships).map(([name, relation]) => `
                             <tr>
                                 <td><a href="npc-viewer.html?npc=${encodeURIComponent(name)}">${name}</a></td>
-                                <td><span class="relationship-tag ${getRelationshipClass(relation)}">${relation}</span></td>
+                                <td><span class="relationship-tag ${getRelationshipClass(getRelationshipLabel(relation))}">${getRelationshipLabel(relation)}</span>${formatRelationshipScores(relation)}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -244,6 +250,17 @@ function renderNpcDetails(npcData) {
     elements.npcDetails.innerHTML = statsHtml + basicInfoHtml + playerRelationshipHtml + relationshipsHtml + inventoryHtml + skillsHtml + debugInfoHtml;
 }
 
+// Helper function to get the label of a relationship (text or scored record)
+function getRelationshipLabel(relationship) {
+    return typeof relationship === 'string' ? relationship : (relationship?.status || 'neutral');
+}
+
+// Helper function to show the scores of a scored relationship
+function formatRelationshipScores(relationship) {
+    if (!relationship || typeof relationship !== 'object') return '';
+    return ` <small>affinity ${relationship.affinity}, trust ${relationship.trust}, respect ${relationship.respect}</small>`;
+}
+
 // Helper function to get relationship class for styling
 function getRelationshipClass(relationship) {
     const rel = relationship.toLowerCase();
@@ -292,6 +309,62 @@ function renderConversationHistory(history) {
     elements.conversationHistory.scrollTop = elements.conversationHistory.scrollHeight;
 }
 
+// Load the timeline of the NPC's relationship changes
+async function loadRelationshipTimeline(npcId) {
+    try {
+        elements.relationshipTimeline.innerHTML = '<p class="loading">Loading relationship timeline...</p>';
+        
+        const response = await fetch(API.relationshipHistory(npcId));
+        if (!response.ok) throw new Error('Failed to fetch relationship history');
+        
+        const data = await response.json();
+        if (data.status !== 'success') throw new Error(data.message || 'Unknown error');
+        
+        renderRelationshipTimeline(data.events || []);
+    } catch (error) {
+        elements.relationshipTimeline.innerHTML = `<p class="error">Error loading relationship timeline: ${error.message}</p>`;
+        console.error('Failed to load relationship timeline:', error);
+    }
+}
+
+// Render relationship changes, most recent first
+function renderRelationshipTimeline(events) {
+    if (!events || events.length === 0) {
+        elements.relationshipTimeline.innerHTML = '<p class="no-data">No relationship changes recorded</p>';
+        return;
+    }
+    
+    const formatStatus = relationship => relationship ?
+        `<span class="relationship-tag ${getRelationshipClass(relationship.status || 'neutral')}">${relationship.status || 'neutral'}</span>` :
+        '<span class="relationship-tag neutral">none</span>';
+    
+    elements.relationshipTimeline.innerHTML = events.slice().reverse().map(event => {
+        const target = event.kind === 'player' ?
+            (event.target.player_id ? `Player ${event.target.player_id}` : 'Player') :
+            `<a href="npc-viewer.html?npc=${encodeURIComponent(event.target.name)}">${event.target.name}</a>`;
+        const changes = Object.entries(event.changes || {})
+            .map(([score, delta]) => `${score} ${delta > 0 ? '+' : ''}${delta}`)
+            .join(', ');
+        const cause = event.cause || {};
+        const causeDetails = [
+            cause.request_id ? `request ${cause.request_id}` : null,
+            cause.conversation_id ? `conversation ${cause.conversation_id}` : null,
+            cause.scene_id ? `scene ${cause.scene_id}` : null
+        ].filter(Boolean).join(', ');
+        
+        return `
+            <div class="timeline-event ${event.kind}">
+                <div class="timeline-header"><strong>${target}</strong>: ${formatStatus(event.before)} &rarr; ${formatStatus(event.after)}</div>
+                ${changes ? `<div class="timeline-changes">${changes}</div>` : ''}
+                <div class="timeline-cause">Cause: ${cause.type || 'unknown'}${causeDetails ? ` (${causeDetails})` : ''}</div>
+                ${event.reason ? `<div class="timeline-reason">Reason: ${event.reason}</div>` : ''}
+                ${event.player_message ? `<blockquote class="timeline-quote">${event.player_message}</blockquote>` : ''}
+                <div class="timestamp">${new Date(event.timestamp).toLocaleString()}</div>
+            </div>
+        `;
+    }).join('');
+}
+
 // Render relationship network using D3.js
 function renderRelationshipNetwork(networkData) {
     if (!networkData || !networkData.nodes || !networkData.links || networkData.nodes.length === 0) {
@@ -480,6 +553,7 @@ function setupEventListeners() {
     elements.viewHistoryButton.addEventListener('click', () => {
         if (currentNpcId) {
             loadNpcHistory(currentNpcId);
+            loadRelationshipTimeline(currentNpcId);
             // Scroll to history section
             document.getElementById('conversation-history-section').scrollIntoView({ behavior: 'smooth' });
         } else {
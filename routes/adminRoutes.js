@@ -6,9 +6,28 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
 const aiService = require('../services/aiService');
+const worldManager = require('../utils/worldManager');
 
-// In-memory storage for game variables
-const gameVariables = new Map();
+// World collection holding game variables (one document per variable)
+const VARIABLE_COLLECTION = 'variables';
+
+/**
+ * Get the game variables of the world the current request is scoped to
+ * @returns {Map} - Live map of game variables
+ */
+function getGameVariables() {
+  return worldManager.getWorldCollection(VARIABLE_COLLECTION);
+}
+
+/**
+ * Set a game variable and write it through to storage
+ * @param {string} key - Variable name
+ * @param {*} value - Variable value
+ */
+function setGameVariable(key, value) {
+  getGameVariables().set(key, value);
+  worldManager.persistWorldDocument(VARIABLE_COLLECTION, key);
+}
 
 /**
  * Process admin command
@@ -34,7 +53,8 @@ router.post('/command', async (req, res) => {
   try {
     // Set default options for admin commands
     const adminOptions = {
-      model: options.model || 'gpt-4o-mini',
+      provider: options.provider,
+      model: options.model,
       temperature: options.temperature || 0.3, // Lower temperature for more consistent responses
       max_tokens: options.max_tokens || 10000,
       stream: false, // Admin commands should not stream
@@ -43,7 +63,7 @@ router.post('/command', async (req, res) => {
     };
     
     // Add current game variables to the command
-    const gameVarsJson = JSON.stringify(Object.fromEntries(gameVariables));
+    const gameVarsJson = JSON.stringify(Object.fromEntries(getGameVariables()));
     const commandWithContext = `Current game variables: ${gameVarsJson}\n\nCommand: ${command}`;
     
     // Send to AI
@@ -65,7 +85,7 @@ router.post('/command', async (req, res) => {
       
       // Update game variables
       Object.entries(variables).forEach(([key, value]) => {
-        gameVariables.set(key, value);
+        setGameVariable(key, value);
         logger.info(`Updated game variable: ${key} = ${value}`, requestId);
       });
     }
@@ -91,7 +111,7 @@ router.post('/command', async (req, res) => {
 router.get('/variables', (req, res) => {
   return res.json({
     status: 'success',
-    variables: Object.fromEntries(gameVariables)
+    variables: Object.fromEntries(getGameVariables())
   });
 });
 
@@ -111,13 +131,13 @@ router.post('/variables', (req, res) => {
   
   // Update variables
   Object.entries(variables).forEach(([key, value]) => {
-    gameVariables.set(key, value);
+    setGameVariable(key, value);
   });
   
   return res.json({
     status: 'success',
     message: `Updated ${Object.keys(variables).length} variables`,
-    variables: Object.fromEntries(gameVariables)
+    variables: Object.fromEntries(getGameVariables())
   });
 });
 
@@ -128,8 +148,11 @@ router.post('/variables', (req, res) => {
 router.delete('/variables/:key', (req, res) => {
   const { key } = req.params;
   
+  const gameVariables = getGameVariables();
+
   if (gameVariables.has(key)) {
     gameVariables.delete(key);
+    worldManager.persistWorldDocument(VARIABLE_COLLECTION, key);
     return res.json({
       status: 'success',
       message: `Variable ${key} deleted`
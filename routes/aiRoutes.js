@@ -6,10 +6,17 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const responseFormatter = require('../utils/responseFormatter');
 const aiService = require('../services/aiService');
+const providers = require('../services/providers');
+const config = require('../config');
+const { openEventStream } = require('../utils/eventStream');
 
 /**
  * Main AI endpoint
  * POST /ai
+ *
+ * With options.stream = true the response is a Server-Sent Events stream:
+ * "token" events carry content as it is generated and a final "done" event
+ * carries the formatted response ("error" if the request fails).
  */
 router.post('/', async (req, res) => {
   const requestId = Date.now().toString();
@@ -27,13 +34,29 @@ router.post('/', async (req, res) => {
     );
   }
 
+  const optionsError = aiService.validateRetryOptions(options);
+  if (optionsError) {
+    logger.error(`Error - ${optionsError}`, requestId);
+    return res.status(400).json(
+      responseFormatter.formatErrorResponse(requestId, new Error(optionsError))
+    );
+  }
+
+  // Open the event stream before calling the AI so tokens can be forwarded as they arrive
+  const stream = options && options.stream === true ? openEventStream(res) : null;
+
   try {
     logger.info(`Processing request`, requestId);
     logger.debug(`Message: ${message}`, requestId);
     logger.debug(`Options: ${JSON.stringify(options || {})}`, requestId);
 
     const startTime = Date.now();
-    const aiResponse = await aiService.sendToAI(message, options, requestId);
+    const aiResponse = await aiService.sendToAI(
+      message,
+      stream ? { ...options, signal: stream.signal } : options,
+      requestId,
+      stream ? content => stream.send('token', { content }) : undefined
+    );
     const responseTime = Date.now() - startTime;
 
     logger.info(`Request completed in ${responseTime}ms`, requestId);
@@ -53,9 +76,21 @@ router.post('/', async (req, res) => {
     logger.sectionEnd();
 
     logger.debug(`Returning formatted response`, requestId);
+
+    if (stream) {
+      stream.send('done', formattedResponse);
+      return stream.close();
+    }
+
     return res.json(formattedResponse);
   } catch (error) {
     logger.error(`ERROR - ${error.message}`, requestId, error);
+
+    if (stream) {
+      stream.send('error', responseFormatter.formatErrorResponse(requestId, error));
+      return stream.close();
+    }
+
     return res.status(500).json(
       responseFormatter.formatErrorResponse(requestId, error)
     );
@@ -65,4 +100,25 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * List available AI providers
+ * GET /ai/providers
+ */
+router.get('/providers', (req, res) => {
+  const available = providers.listProviders().map(name => {
+    const provider = providers.getProvider(name);
+    return {
+      name,
+      display_name: provider.displayName,
+      default_model: provider.defaultModel || config.openai.defaultModel
+    };
+  });
+
+  return res.json({
+    status: 'success',
+    default_provider: config.ai.provider,
+    providers: available
+  });
+});
+
 module.exports = router;
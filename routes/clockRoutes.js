@@ -0,0 +1,143 @@
+/**
+ * World clock routes
+ * Read, advance or set a world's game time. Moving the clock forward applies decay for the time
+ * that passed, so skipping a week in game lets tempers cool and memories fade.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const worldClock = require('../utils/worldClock');
+const decayManager = require('../utils/decayManager');
+const config = require('../config');
+
+// Game time units accepted by /clock/advance
+const DURATION_UNITS = {
+  minutes: 60 * 1000,
+  hours: worldClock.HOUR_MS,
+  days: worldClock.DAY_MS,
+  weeks: 7 * worldClock.DAY_MS
+};
+
+/**
+ * Apply decay after the clock moved, unless decay is disabled
+ * @param {string} requestId - Request ID for logging
+ * @returns {Object|null} - Decay summary or null if decay is disabled
+ */
+function applyDecay(requestId) {
+  return config.decay.enabled ? decayManager.runDecay({ requestId }) : null;
+}
+
+/**
+ * Get the world's game time
+ * GET /clock
+ */
+router.get('/', (req, res) => {
+  return res.json({
+    status: 'success',
+    clock: worldClock.describeClock()
+  });
+});
+
+/**
+ * Move game time forward (e.g. the player slept or fast-travelled) and apply decay
+ * POST /clock/advance
+ */
+router.post('/advance', (req, res) => {
+  const requestId = Date.now().toString();
+  const body = req.body || {};
+  let durationMs = 0;
+
+  for (const [unit, unitMs] of Object.entries(DURATION_UNITS)) {
+    if (body[unit] === undefined) {
+      continue;
+    }
+
+    if (typeof body[unit] !== 'number' || !Number.isFinite(body[unit]) || body[unit] < 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${unit} must be a non-negative number`
+      });
+    }
+
+    durationMs += body[unit] * unitMs;
+  }
+
+  if (durationMs <= 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Give the time to advance in ${Object.keys(DURATION_UNITS).join(', ')}`
+    });
+  }
+
+  logger.section('ADVANCE CLOCK', requestId);
+
+  try {
+    const previous = worldClock.getGameTime();
+    const gameTime = worldClock.advanceGameTime(durationMs);
+    const decay = applyDecay(requestId);
+
+    logger.info(`Game time: ${previous} -> ${gameTime}`, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      status: 'success',
+      message: `Advanced game time by ${Math.round(durationMs / worldClock.HOUR_MS * 100) / 100} hours`,
+      previous_game_time: previous,
+      clock: worldClock.describeClock(),
+      decay
+    });
+  } catch (error) {
+    logger.error(`Error advancing clock: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to advance clock: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Set the game time (e.g. to the time stored in a save) and apply decay if it moved forward
+ * PUT /clock
+ */
+router.put('/', (req, res) => {
+  const requestId = Date.now().toString();
+  const { game_time: gameTime } = req.body || {};
+
+  if (!gameTime || isNaN(new Date(gameTime).getTime())) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'game_time must be a date (e.g. "1250-03-01T08:00:00Z")'
+    });
+  }
+
+  logger.section('SET CLOCK', requestId);
+
+  try {
+    const previous = worldClock.getGameTime();
+    worldClock.setGameTime(gameTime);
+    const decay = applyDecay(requestId);
+
+    logger.info(`Game time: ${previous} -> ${worldClock.getGameTime()}`, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      status: 'success',
+      message: `Set game time to ${new Date(gameTime).toISOString()}`,
+      previous_game_time: previous,
+      clock: worldClock.describeClock(),
+      decay
+    });
+  } catch (error) {
+    logger.error(`Error setting clock: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to set clock: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const contextManager = require('../utils/contextManager');
+const relationshipManager = require('../utils/relationshipManager');
 const logger = require('../utils/logger');
 
 /**
@@ -30,7 +31,8 @@ router.get('/npcs', (req, res) => {
         personality: metadata.personality,
         location: metadata.location,
         faction: metadata.faction,
-        player_relationship: metadata.player_relationship,
+        player_relationship: contextManager.getPlayerRelationship(id),
+        player_relationships: metadata.player_relationships || {},
         relationship_count: metadata.relationships ? Object.keys(metadata.relationships).length : 0,
         has_relationships: metadata.relationships && Object.keys(metadata.relationships).length > 0,
         conversation_count: contextManager.getConversationHistory(id).length
@@ -162,7 +164,7 @@ router.get('/relationship-network', (req, res) => {
           links.push({
             source: id,
             target: targetId,
-            relationship,
+            relationship: relationshipManager.getRelationshipStatus(relationship),
             value: 1
           });
         } else {
@@ -181,7 +183,7 @@ router.get('/relationship-network', (req, res) => {
           links.push({
             source: id,
             target: placeholderId,
-            relationship,
+            relationship: relationshipManager.getRelationshipStatus(relationship),
             value: 1
           });
         }
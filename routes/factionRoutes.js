@@ -0,0 +1,265 @@
+/**
+ * Faction routes
+ * Factions have stances towards each other, an attitude their members share and a reputation
+ * with every player. NPCs join a faction through their "faction" field. Factions are scoped to a
+ * world like NPCs are.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const factionManager = require('../utils/factionManager');
+const contextManager = require('../utils/contextManager');
+
+/**
+ * List the NPCs that belong to a faction
+ * @param {Object} faction - Faction
+ * @returns {Array} - Members as { id, name }
+ */
+function getMembers(faction) {
+  return contextManager.getAllNpcIds()
+    .filter(id => factionManager.isMemberOf(faction, contextManager.getNpcMetadata(id).faction))
+    .map(id => ({ id, name: contextManager.getNpcMetadata(id).name }));
+}
+
+/**
+ * Collect the factions of a create request
+ * Accepts { factions: [...] }, an array of factions or a single faction.
+ * @param {*} body - Request body
+ * @returns {Array} - Factions
+ */
+function getSubmittedFactions(body) {
+  if (Array.isArray(body)) {
+    return body;
+  }
+
+  if (body && Array.isArray(body.factions)) {
+    return body.factions;
+  }
+
+  return body && Object.keys(body).length > 0 ? [body] : [];
+}
+
+/**
+ * List factions
+ * GET /factions
+ */
+router.get('/', (req, res) => {
+  const factions = factionManager.listFactions().map(faction => ({
+    ...faction,
+    members: getMembers(faction)
+  }));
+
+  return res.json({
+    status: 'success',
+    count: factions.length,
+    factions
+  });
+});
+
+/**
+ * Create factions (a faction with the ID of an existing one replaces it and keeps its reputation)
+ * POST /factions
+ *
+ * Nothing is saved if any faction is invalid.
+ */
+router.post('/', (req, res) => {
+  const requestId = Date.now().toString();
+
+  logger.section('SAVE FACTIONS', requestId);
+
+  try {
+    const submitted = getSubmittedFactions(req.body);
+
+    if (submitted.length === 0) {
+      throw new Error('No factions provided');
+    }
+
+    submitted.forEach(faction => factionManager.validateFaction(faction));
+    const results = submitted.map(faction => factionManager.saveFaction(faction));
+    const created = results.filter(result => result.created).length;
+
+    logger.info(`Saved ${results.length} factions (${created} new, ${results.length - created} replaced)`, requestId);
+    logger.sectionEnd();
+
+    return res.status(created > 0 ? 201 : 200).json({
+      status: 'success',
+      message: `Saved ${results.length} factions`,
+      created,
+      replaced: results.length - created,
+      factions: results.map(result => result.faction)
+    });
+  } catch (error) {
+    logger.error(`Error saving factions: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get a player's reputation with every faction
+ * GET /factions/reputation?player_id=
+ */
+router.get('/reputation', (req, res) => {
+  const reputations = factionManager.listReputations(req.query.player_id);
+
+  return res.json({
+    status: 'success',
+    player_id: req.query.player_id || null,
+    count: reputations.length,
+    reputations
+  });
+});
+
+/**
+ * Get a faction with its members
+ * GET /factions/:factionId
+ */
+router.get('/:factionId', (req, res) => {
+  const faction = factionManager.getFaction(req.params.factionId);
+
+  if (!faction) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Faction ${req.params.factionId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    faction: { ...faction, members: getMembers(faction) }
+  });
+});
+
+/**
+ * Edit a faction (stances are merged; a null stance removes it)
+ * PATCH /factions/:factionId
+ */
+router.patch('/:factionId', (req, res) => {
+  try {
+    const faction = factionManager.updateFaction(req.params.factionId, req.body || {});
+
+    if (!faction) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Faction ${req.params.factionId} not found`
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      faction
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a faction (its members keep their "faction" field)
+ * DELETE /factions/:factionId
+ */
+router.delete('/:factionId', (req, res) => {
+  if (!factionManager.removeFaction(req.params.factionId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Faction ${req.params.factionId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    message: `Faction ${req.params.factionId} deleted`
+  });
+});
+
+/**
+ * Get a faction's stance towards another faction
+ * GET /factions/:factionId/stances/:otherFactionId
+ */
+router.get('/:factionId/stances/:otherFactionId', (req, res) => {
+  const faction = factionManager.getFaction(req.params.factionId);
+  const other = factionManager.getFaction(req.params.otherFactionId);
+
+  if (!faction || !other) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Faction ${!faction ? req.params.factionId : req.params.otherFactionId} not found`
+    });
+  }
+
+  const stance = faction.id === other.id ? faction.member_attitude : factionManager.getStance(faction, other);
+
+  return res.json({
+    status: 'success',
+    faction: faction.name,
+    toward: other.name,
+    stance: stance || null
+  });
+});
+
+/**
+ * Get a player's reputation with a faction
+ * GET /factions/:factionId/reputation?player_id=
+ */
+router.get('/:factionId/reputation', (req, res) => {
+  const reputation = factionManager.getReputation(req.params.factionId, req.query.player_id);
+
+  if (!reputation) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Faction ${req.params.factionId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    reputation
+  });
+});
+
+/**
+ * Change a player's reputation with a faction (e.g. after a quest)
+ * POST /factions/:factionId/reputation
+ */
+router.post('/:factionId/reputation', (req, res) => {
+  const requestId = Date.now().toString();
+  const { player_id: playerId, change, reason } = req.body || {};
+
+  if (typeof change !== 'number' || !Number.isFinite(change)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'change must be a number'
+    });
+  }
+
+  logger.section('CHANGE FACTION REPUTATION', requestId);
+  logger.info(`Faction: ${req.params.factionId}, player: ${playerId || '(default player)'}, change: ${change}`, requestId);
+
+  const result = factionManager.changeReputation(req.params.factionId, playerId, change, {
+    reason,
+    cause: { type: 'admin', request_id: requestId }
+  });
+
+  logger.sectionEnd();
+
+  if (!result) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Faction ${req.params.factionId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    reputation: result
+  });
+});
+
+module.exports = router;
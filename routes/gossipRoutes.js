@@ -0,0 +1,147 @@
+/**
+ * Gossip routes
+ * Rumors start with one NPC (from a chat or through this API) and spread to connected NPCs
+ * on every propagation tick. Rumors are scoped to a world like NPCs are.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const gossipManager = require('../utils/gossipManager');
+const contextManager = require('../utils/contextManager');
+
+/**
+ * List rumors
+ * GET /gossip/rumors?about=&heard_by=
+ */
+router.get('/rumors', (req, res) => {
+  const { about } = req.query;
+  let heardBy;
+
+  if (req.query.heard_by) {
+    heardBy = contextManager.resolveNpcId(req.query.heard_by);
+
+    if (!heardBy) {
+      return res.status(404).json({
+        status: 'error',
+        message: `NPC with identifier ${req.query.heard_by} not found`
+      });
+    }
+  }
+
+  const rumors = gossipManager.listRumors({ about, heardBy });
+
+  return res.json({
+    status: 'success',
+    count: rumors.length,
+    rumors
+  });
+});
+
+/**
+ * Get a rumor with everyone who has heard it
+ * GET /gossip/rumors/:rumorId
+ */
+router.get('/rumors/:rumorId', (req, res) => {
+  const rumor = gossipManager.getRumor(req.params.rumorId);
+
+  if (!rumor) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Rumor ${req.params.rumorId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    rumor
+  });
+});
+
+/**
+ * Start a rumor with an NPC (e.g. to seed an event that people will talk about)
+ * POST /gossip/rumors
+ */
+router.post('/rumors', (req, res) => {
+  const requestId = Date.now().toString();
+  const { npc, content, about, importance, source } = req.body || {};
+  const npcId = contextManager.resolveNpcId(npc);
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: npc ? `NPC with identifier ${npc} not found` : 'The NPC who first hears the rumor ("npc") is required'
+    });
+  }
+
+  try {
+    const rumor = gossipManager.startRumor(npcId, {
+      content,
+      about,
+      importance,
+      source,
+      origin: { type: 'manual', request_id: requestId }
+    });
+
+    logger.info(`Started rumor ${rumor.id} with NPC ${npcId}`, requestId);
+
+    return res.status(201).json({
+      status: 'success',
+      rumor
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a rumor (NPCs keep their memories of it)
+ * DELETE /gossip/rumors/:rumorId
+ */
+router.delete('/rumors/:rumorId', (req, res) => {
+  if (!gossipManager.removeRumor(req.params.rumorId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Rumor ${req.params.rumorId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    message: `Rumor ${req.params.rumorId} deleted`
+  });
+});
+
+/**
+ * Run a propagation tick now (e.g. when the game advances time)
+ * POST /gossip/tick
+ */
+router.post('/tick', (req, res) => {
+  const requestId = Date.now().toString();
+
+  logger.section('GOSSIP TICK', requestId);
+
+  try {
+    const result = gossipManager.runGossipTick({ requestId });
+
+    logger.info(`Rumors spread ${result.spread.length} times`, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      status: 'success',
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error running gossip tick: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to run gossip tick: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+/**
+ * World lore routes
+ * Lore entries are the game's canon; NPCs see the entries relevant to their location,
+ * faction and the player's message. Lore is scoped to a world like NPCs are.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const loreManager = require('../utils/loreManager');
+const contextManager = require('../utils/contextManager');
+
+// Markdown documents can be posted as-is
+const markdownBody = express.text({ type: ['text/markdown', 'text/x-markdown', 'text/plain'], limit: '1mb' });
+
+/**
+ * Collect the lore entries of an upload request
+ * Accepts a markdown body, { markdown }, { entries: [...] }, an array of entries or a single entry.
+ * Query parameters tags, locations, factions, known_by and visibility apply to every entry of a markdown upload.
+ * @param {Object} req - Express request
+ * @returns {Array} - Lore entries
+ */
+function getUploadedEntries(req) {
+  const body = req.body;
+
+  if (typeof body === 'string') {
+    return loreManager.parseMarkdownLore(body, req.query);
+  }
+
+  if (Array.isArray(body)) {
+    return body;
+  }
+
+  if (body && typeof body.markdown === 'string') {
+    return loreManager.parseMarkdownLore(body.markdown, body);
+  }
+
+  if (body && Array.isArray(body.entries)) {
+    return body.entries;
+  }
+
+  return body && Object.keys(body).length > 0 ? [body] : [];
+}
+
+/**
+ * List lore entries
+ * GET /lore?tag=&location=&faction=&npc=
+ *
+ * With ?npc= only the entries that NPC can know are listed.
+ * With ?query= the entries are ranked by relevance, as for an NPC chat prompt
+ * (location and faction then describe the NPC instead of filtering, and default to those of ?npc=).
+ */
+router.get('/', async (req, res) => {
+  const { tag, query } = req.query;
+  let { location, faction } = req.query;
+  let npc;
+
+  if (req.query.npc) {
+    const npcId = contextManager.getNpcMetadata(req.query.npc) ? req.query.npc : contextManager.findNpcByName(req.query.npc)?.id;
+
+    if (!npcId) {
+      return res.status(404).json({
+        status: 'error',
+        message: `NPC with identifier ${req.query.npc} not found`
+      });
+    }
+
+    const npcMetadata = contextManager.getNpcMetadata(npcId);
+    npc = { id: npcId, name: npcMetadata.name, faction: npcMetadata.faction };
+
+    if (query !== undefined) {
+      location = location || npcMetadata.location;
+      faction = faction || npcMetadata.faction;
+    }
+  }
+
+  const entries = query !== undefined ?
+    await loreManager.getRelevantLore({ message: query, location, faction, npc, limit: parseInt(req.query.limit) || undefined }) :
+    loreManager.listLore({ tag, location, faction, npc });
+
+  return res.json({
+    status: 'success',
+    count: entries.length,
+    lore: entries
+  });
+});
+
+/**
+ * Get a lore entry
+ * GET /lore/:loreId
+ */
+router.get('/:loreId', (req, res) => {
+  const entry = loreManager.getLore(req.params.loreId);
+
+  if (!entry) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Lore entry ${req.params.loreId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    lore: entry
+  });
+});
+
+/**
+ * Upload lore entries (JSON or markdown)
+ * POST /lore
+ *
+ * Entries with the ID of an existing entry replace it. Nothing is saved if any entry is invalid.
+ */
+router.post('/', markdownBody, (req, res) => {
+  const requestId = Date.now().toString();
+
+  logger.section('UPLOAD LORE', requestId);
+
+  try {
+    const entries = getUploadedEntries(req);
+
+    if (entries.length === 0) {
+      throw new Error('No lore entries provided');
+    }
+
+    entries.forEach(entry => loreManager.validateLore(entry));
+    const results = entries.map(entry => loreManager.saveLore(entry));
+    const created = results.filter(result => result.created).length;
+
+    logger.info(`Saved ${results.length} lore entries (${created} new, ${results.length - created} replaced)`, requestId);
+    logger.sectionEnd();
+
+    return res.status(created > 0 ? 201 : 200).json({
+      status: 'success',
+      message: `Saved ${results.length} lore entries`,
+      created,
+      replaced: results.length - created,
+      lore: results.map(result => result.entry)
+    });
+  } catch (error) {
+    logger.error(`Error uploading lore: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Edit a lore entry
+ * PATCH /lore/:loreId
+ */
+router.patch('/:loreId', (req, res) => {
+  try {
+    const entry = loreManager.updateLore(req.params.loreId, req.body || {});
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Lore entry ${req.params.loreId} not found`
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      lore: entry
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a lore entry
+ * DELETE /lore/:loreId
+ */
+router.delete('/:loreId', (req, res) => {
+  if (!loreManager.removeLore(req.params.loreId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Lore entry ${req.params.loreId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    message: `Lore entry ${req.params.loreId} deleted`
+  });
+});
+
+module.exports = router;
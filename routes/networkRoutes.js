@@ -0,0 +1,132 @@
+/**
+ * Relationship network routes
+ * Questions about the NPC social network as a whole, for quest design and the network viewer:
+ * how to reach an NPC through acquaintances, which communities and cliques exist, who is
+ * influential or a go-between, and whose feelings are not returned. Scoped to a world like NPCs.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const networkAnalysis = require('../utils/networkAnalysis');
+const contextManager = require('../utils/contextManager');
+
+// Orders accepted by /network/centrality
+const CENTRALITY_SORTS = ['influence', 'betweenness', 'degree'];
+
+/**
+ * Find the shortest chain of acquaintances between two NPCs
+ * (e.g. who can introduce the player's friend to the Duke)
+ * GET /network/path?from=&to=&allow_hostile=
+ */
+router.get('/path', (req, res) => {
+  const requestId = Date.now().toString();
+  const { from, to } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'from and to are required'
+    });
+  }
+
+  const fromId = contextManager.resolveNpcId(from);
+  const toId = contextManager.resolveNpcId(to);
+
+  if (!fromId || !toId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${!fromId ? from : to} not found`
+    });
+  }
+
+  const result = networkAnalysis.findShortestPath(fromId, toId, {
+    allowHostile: req.query.allow_hostile === 'true'
+  });
+
+  logger.info(`Network path ${from} -> ${to}: ${result.found ? `${result.hops} hops` : 'not connected'}`, requestId);
+
+  return res.json({
+    status: 'success',
+    from: contextManager.getNpcMetadata(fromId).name,
+    to: contextManager.getNpcMetadata(toId).name,
+    ...result
+  });
+});
+
+/**
+ * Find communities of closely tied NPCs
+ * GET /network/communities
+ */
+router.get('/communities', (req, res) => {
+  const result = networkAnalysis.findCommunities();
+
+  return res.json({
+    status: 'success',
+    count: result.communities.length,
+    ...result
+  });
+});
+
+/**
+ * Find cliques (groups where everyone is on good terms with everyone else)
+ * GET /network/cliques?min_size=&limit=
+ */
+router.get('/cliques', (req, res) => {
+  const minSize = req.query.min_size !== undefined ? parseInt(req.query.min_size) : 3;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 50;
+
+  if (!(minSize >= 2) || !(limit >= 1)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'min_size must be at least 2 and limit at least 1'
+    });
+  }
+
+  const result = networkAnalysis.findCliques({ minSize, limit });
+
+  return res.json({
+    status: 'success',
+    count: result.cliques.length,
+    ...result
+  });
+});
+
+/**
+ * Score NPCs by influence, betweenness (go-betweens) and number of ties
+ * GET /network/centrality?sort=&limit=
+ */
+router.get('/centrality', (req, res) => {
+  const sort = req.query.sort || 'influence';
+
+  if (!CENTRALITY_SORTS.includes(sort)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `sort must be one of ${CENTRALITY_SORTS.join(', ')}`
+    });
+  }
+
+  const npcs = networkAnalysis.computeCentrality({ sort, limit: parseInt(req.query.limit) || 0 });
+
+  return res.json({
+    status: 'success',
+    sort,
+    count: npcs.length,
+    npcs
+  });
+});
+
+/**
+ * List one-sided relationships (one NPC likes another who dislikes them)
+ * GET /network/one-sided
+ */
+router.get('/one-sided', (req, res) => {
+  const relationships = networkAnalysis.findOneSidedRelationships();
+
+  return res.json({
+    status: 'success',
+    count: relationships.length,
+    relationships
+  });
+});
+
+module.exports = router;
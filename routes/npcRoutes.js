@@ -5,8 +5,37 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const contextManager = require('../utils/contextManager');
+const memoryManager = require('../utils/memoryManager');
+const loreManager = require('../utils/loreManager');
+const factionManager = require('../utils/factionManager');
+const knowledgeManager = require('../utils/knowledgeManager');
+const relationshipManager = require('../utils/relationshipManager');
+const npcSchema = require('../utils/npcSchema');
+const relationshipHistory = require('../utils/relationshipHistory');
 const responseFormatter = require('../utils/responseFormatter');
 const aiService = require('../services/aiService');
+const summaryService = require('../services/summaryService');
+const conversationService = require('../services/conversationService');
+const sceneManager = require('../utils/sceneManager');
+const config = require('../config');
+const { openEventStream } = require('../utils/eventStream');
+
+/**
+ * Build the canned in-character reply used when every AI model has failed
+ * @param {Object} npcMetadata - NPC metadata (ai.fallback_line overrides the server default)
+ * @returns {string} - Reply in the gameCharacter JSON format
+ */
+function buildFallbackReply(npcMetadata) {
+  return JSON.stringify({
+    reply: npcMetadata.ai?.fallback_line || config.ai.npcFallbackLine,
+    playerResponseChoices: {
+      "1": "Never mind.",
+      "2": "Let's talk later.",
+      "3": "Goodbye."
+    },
+    metadata: {}
+  });
+}
 
 /**
  * Initialize a single NPC
@@ -40,91 +69,65 @@ router.post('/', (req, res) => {
   }
   logger.info(`NPC data property types: ${JSON.stringify(propertyTypes, null, 2)}`, requestId);
 
-  if (!npcData || !npcData.name) {
-    logger.error('Invalid NPC data: Missing name', requestId);
+  const definition = npcSchema.validateNpcDefinition(npcData, { strict: req.query.strict === 'true' });
+
+  if (!definition.valid) {
+    logger.error(`Invalid NPC definition: ${npcSchema.formatErrors(definition.errors)}`, requestId);
     logger.sectionEnd();
     return res.status(400).json({
       status: 'error',
-      message: 'Please provide valid NPC data with at least a name'
+      message: 'Invalid NPC definition',
+      errors: definition.errors
     });
   }
 
-  // Log the raw data for debugging
-  logger.info(`Raw NPC data: ${JSON.stringify(npcData)}`, requestId);
-
-  // Log relationships data specifically with extra detail
-  if (npcData.relationships) {
-    logger.info(`Raw relationships data: ${JSON.stringify(npcData.relationships)}`, requestId);
-    logger.info(`Relationships data type: ${typeof npcData.relationships}`, requestId);
-    logger.info(`Relationships instanceof Map: ${npcData.relationships instanceof Map}`, requestId);
-    logger.info(`Relationships constructor name: ${npcData.relationships.constructor ? npcData.relationships.constructor.name : 'unknown'}`, requestId);
-
-    if (typeof npcData.relationships === 'object') {
-      logger.info(`Relationships keys: ${JSON.stringify(Object.keys(npcData.relationships))}`, requestId);
-
-      // Check if it's the new format with type and value properties
-      if (npcData.relationships.type === 'object' &&
-          npcData.relationships.value &&
-          typeof npcData.relationships.value === 'object') {
-
-        logger.info(`Detected new relationship format with value object: ${JSON.stringify(npcData.relationships.value)}`, requestId);
-
-        // Log the value object in detail
-        Object.entries(npcData.relationships.value).forEach(([name, status], index) => {
-          logger.info(`Relationship value entry ${index} - Name: ${name}, Status: ${status}`, requestId);
-        });
-      }
-
-      // Log each relationship entry in detail
-      Object.entries(npcData.relationships).forEach(([key, value], index) => {
-        logger.info(`Relationship entry ${index} - Key: ${key}, Type: ${typeof value}, Value: ${JSON.stringify(value)}`, requestId);
+  definition.adapted.forEach(({ field, adapter }) => {
+    logger.info(`Adapted ${field} (${adapter})`, requestId);
+  });
+  definition.warnings.forEach(({ field, message }) => {
+    logger.warn(`${field} ${message}`, requestId);
+  });
 
-        if (typeof value === 'object' && value !== null) {
-          logger.info(`Relationship entry ${index} object keys: ${JSON.stringify(Object.keys(value))}`, requestId);
-        }
-      });
-    }
+  try {
+    knowledgeManager.normalizeNpcKnowledge(definition.npc);
+  } catch (error) {
+    logger.error(`Invalid NPC knowledge: ${error.message}`, requestId);
+    logger.sectionEnd();
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
   }
 
-  // Also check for relationship field (singular)
-  if (npcData.relationship) {
-    logger.info(`Raw relationship (singular) data: ${JSON.stringify(npcData.relationship)}`, requestId);
-    logger.info(`Relationship (singular) data type: ${typeof npcData.relationship}`, requestId);
-
-    // Check if it's the new format with type and value properties
-    if (typeof npcData.relationship === 'object' && npcData.relationship !== null) {
-      logger.info(`Relationship (singular) is an object: ${JSON.stringify(npcData.relationship)}`, requestId);
-
-      if (npcData.relationship.type === 'object' &&
-          npcData.relationship.value &&
-          typeof npcData.relationship.value === 'object') {
-
-        logger.info(`Detected new relationship (singular) format with value object: ${JSON.stringify(npcData.relationship.value)}`, requestId);
-
-        // Log the value object in detail
-        Object.entries(npcData.relationship.value).forEach(([name, status], index) => {
-          logger.info(`Relationship (singular) value entry ${index} - Name: ${name}, Status: ${status}`, requestId);
-        });
-      }
-    }
+  // A supplied ID cannot take the name of another NPC
+  const conflict = definition.npc.id ? findNameConflict(definition.npc.id, definition.npc) : null;
+  if (conflict) {
+    logger.error(`NPC name ${definition.npc.name} is taken by ${conflict.id}`, requestId);
+    logger.sectionEnd();
+    return res.status(409).json({
+      status: 'error',
+      message: `Another NPC is already named ${conflict.name} (${conflict.id})`
+    });
   }
 
   try {
-    // Initialize the NPC and get its ID (pass the request ID)
-    const npcId = contextManager.initializeNpc(npcData, requestId);
+    // An NPC with the supplied ID is updated instead of replaced
+    const merged = Boolean(definition.npc.id && contextManager.getNpcMetadata(definition.npc.id));
 
-    logger.info(`Successfully initialized NPC: ${npcData.name} with ID: ${npcId}`, requestId);
+    // Initialize the NPC and get its ID (pass the request ID)
+    const npcId = contextManager.initializeNpc(definition.npc, requestId);
 
-    // Log all NPC data after initialization for debugging
-    contextManager.logAllNpcData(requestId);
+    logger.info(`Successfully ${merged ? 'updated' : 'initialized'} NPC: ${definition.npc.name} with ID: ${npcId}`, requestId);
 
     logger.sectionEnd();
 
     return res.json({
       status: 'success',
-      message: `Initialized NPC: ${npcData.name}`,
+      message: `${merged ? 'Updated' : 'Initialized'} NPC: ${definition.npc.name}`,
       npc_id: npcId,
-      npc_name: npcData.name
+      npc_name: definition.npc.name,
+      merged,
+      warnings: definition.warnings
     });
   } catch (error) {
     logger.error(`Error initializing NPC: ${error.message}`, requestId, error);
@@ -156,17 +159,64 @@ router.post('/initialize', (req, res) => {
     });
   }
 
+  // Check every NPC against the schema and its knowledge rules first so an invalid NPC does not
+  // leave the batch half-applied
+  const strict = req.query.strict === 'true';
+  const definitions = npcs.map(npcData => npcSchema.validateNpcDefinition(npcData, { strict }));
+  const errors = [];
+  const warnings = [];
+
+  definitions.forEach((definition, index) => {
+    const name = definition.npc && typeof definition.npc.name === 'string' ? definition.npc.name : null;
+
+    if (definition.valid) {
+      try {
+        knowledgeManager.normalizeNpcKnowledge(definition.npc);
+      } catch (error) {
+        errors.push({ index, name, message: error.message });
+      }
+    }
+
+    definition.errors.forEach(error => errors.push({ index, name, ...error }));
+    definition.warnings.forEach(warning => warnings.push({ index, name, ...warning }));
+  });
+
+  if (errors.length > 0) {
+    logger.error(`Invalid NPC definitions: ${errors.length} errors`, requestId);
+    logger.sectionEnd();
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid NPC definitions',
+      errors
+    });
+  }
+
+  const conflicts = findBatchNameConflicts(definitions.map(definition => definition.npc));
+  if (conflicts.length > 0) {
+    logger.error(`NPC names already taken: ${conflicts.length}`, requestId);
+    logger.sectionEnd();
+    return res.status(409).json({
+      status: 'error',
+      message: 'NPC names already taken',
+      errors: conflicts
+    });
+  }
+
   try {
     // Initialize all NPCs and get their IDs (pass the request ID)
-    const npcIds = contextManager.initializeNpcs(npcs, requestId);
+    const npcIds = contextManager.initializeNpcs(definitions.map(definition => definition.npc), requestId);
 
     logger.info(`Successfully initialized ${Object.keys(npcIds).length} NPCs`, requestId);
+    warnings.forEach(({ index, field, message }) => {
+      logger.warn(`NPC ${index}: ${field} ${message}`, requestId);
+    });
     logger.sectionEnd();
 
     return res.json({
       status: 'success',
       message: `Initialized ${Object.keys(npcIds).length} NPCs`,
-      npc_ids: npcIds
+      npc_ids: npcIds,
+      warnings
     });
   } catch (error) {
     logger.error(`Error initializing NPCs: ${error.message}`, requestId, error);
@@ -179,6 +229,202 @@ router.post('/initialize', (req, res) => {
   }
 });
 
+/**
+ * Check that a new or changed NPC name is not taken by another NPC
+ * @param {string} npcId - NPC being edited
+ * @param {Object} npc - Validated (partial) definition
+ * @returns {Object|null} - The other NPC as { id, name } or null if the name is free
+ */
+function findNameConflict(npcId, npc) {
+  if (typeof npc.name !== 'string') {
+    return null;
+  }
+
+  const other = contextManager.findNpcByName(npc.name);
+  return other && other.id !== npcId ? { id: other.id, name: other.name } : null;
+}
+
+/**
+ * Find the NPCs of a batch whose supplied ID comes with a name another NPC has, in the world or
+ * earlier in the batch (an NPC without an ID would replace an earlier one with an ID)
+ * @param {Array} npcs - Validated definitions
+ * @returns {Array} - Errors as { index, name, field, message }
+ */
+function findBatchNameConflicts(npcs) {
+  const claimed = new Map();
+  const conflicts = [];
+
+  npcs.forEach((npc, index) => {
+    const key = npc.name.trim().toLowerCase();
+    const earlier = claimed.get(key);
+    const other = npc.id ? findNameConflict(npc.id, npc) : null;
+
+    if (earlier && earlier.id !== npc.id && (earlier.id || npc.id)) {
+      conflicts.push({ index, name: npc.name, field: 'name', message: `is already the name of the NPC at index ${earlier.index}` });
+    } else if (other) {
+      conflicts.push({ index, name: npc.name, field: 'name', message: `is already the name of NPC ${other.id}` });
+    } else {
+      claimed.set(key, { id: npc.id, index });
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Change some fields of an NPC (supports both UUID and name)
+ * PATCH /npc/:npcIdOrName?strict=
+ *
+ * Keeps the NPC's ID, conversation history, memories and unchanged fields. relationships and
+ * player_relationships are merged by key; null removes a field or relationship.
+ */
+router.patch('/:npcIdOrName', (req, res) => {
+  const requestId = Date.now().toString();
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  const definition = npcSchema.validateNpcDefinition(req.body || {}, {
+    strict: req.query.strict === 'true',
+    partial: true
+  });
+
+  if (!definition.valid) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid NPC changes',
+      errors: definition.errors
+    });
+  }
+
+  const conflict = findNameConflict(npcId, definition.npc);
+  if (conflict) {
+    return res.status(409).json({
+      status: 'error',
+      message: `Another NPC is already named ${conflict.name} (${conflict.id})`
+    });
+  }
+
+  logger.section('UPDATE NPC', requestId);
+
+  try {
+    const npc = contextManager.updateNpc(npcId, definition.npc, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      status: 'success',
+      npc_id: npcId,
+      npc
+    });
+  } catch (error) {
+    logger.error(`Error updating NPC ${npcId}: ${error.message}`, requestId);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace an NPC's definition (supports both UUID and name)
+ * PUT /npc/:npcIdOrName?strict=
+ *
+ * Unlike POST /npc with the same name, the NPC keeps its ID, conversation history, memories and
+ * relationships with individual players.
+ */
+router.put('/:npcIdOrName', (req, res) => {
+  const requestId = Date.now().toString();
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  const definition = npcSchema.validateNpcDefinition(req.body, { strict: req.query.strict === 'true' });
+
+  if (!definition.valid) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid NPC definition',
+      errors: definition.errors
+    });
+  }
+
+  const conflict = findNameConflict(npcId, definition.npc);
+  if (conflict) {
+    return res.status(409).json({
+      status: 'error',
+      message: `Another NPC is already named ${conflict.name} (${conflict.id})`
+    });
+  }
+
+  logger.section('REPLACE NPC', requestId);
+
+  try {
+    const npc = contextManager.replaceNpc(npcId, definition.npc, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      status: 'success',
+      npc_id: npcId,
+      npc
+    });
+  } catch (error) {
+    logger.error(`Error replacing NPC ${npcId}: ${error.message}`, requestId);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete an NPC with its history, memories and relationship events (supports both UUID and name)
+ * DELETE /npc/:npcIdOrName?cascade=
+ *
+ * With cascade=true, other NPCs' relationships with it are removed too (unless another NPC
+ * still has its name).
+ */
+router.delete('/:npcIdOrName', (req, res) => {
+  const requestId = Date.now().toString();
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  const name = contextManager.getNpcMetadata(npcId).name;
+  contextManager.removeNpc(npcId);
+
+  const removedRelationships = req.query.cascade === 'true' && !contextManager.findNpcByName(name) ?
+    contextManager.removeRelationshipsWith(name) :
+    [];
+
+  logger.info(`Deleted NPC ${name} (${npcId})${removedRelationships.length > 0 ? `, removed ${removedRelationships.length} relationships with it` : ''}`, requestId);
+
+  return res.json({
+    status: 'success',
+    message: `Deleted NPC ${name}`,
+    npc_id: npcId,
+    removed_relationships: removedRelationships
+  });
+});
+
 /**
  * Get NPC conversation history (supports both UUID and name)
  * GET /npc/:npcIdOrName/history
@@ -186,9 +432,10 @@ router.post('/initialize', (req, res) => {
 router.get('/:npcIdOrName/history', (req, res) => {
   const npcIdOrName = req.params.npcIdOrName;
   const limit = parseInt(req.query.limit) || 0;
+  const playerId = req.query.player_id;
 
   // First, try to get history by ID
-  let history = contextManager.getConversationHistory(npcIdOrName, limit);
+  let history = contextManager.getConversationHistory(npcIdOrName, limit, playerId);
   let actualNpcId = npcIdOrName;
 
   // If not found by ID, try to find by name
@@ -197,7 +444,7 @@ router.get('/:npcIdOrName/history', (req, res) => {
 
     if (npcByName) {
       actualNpcId = npcByName.id;
-      history = contextManager.getConversationHistory(actualNpcId, limit);
+      history = contextManager.getConversationHistory(actualNpcId, limit, playerId);
     }
   }
 
@@ -213,10 +460,58 @@ router.get('/:npcIdOrName/history', (req, res) => {
     status: 'success',
     npc_id: actualNpcId,
     npc_name: contextManager.getNpcMetadata(actualNpcId).name,
+    summary: contextManager.getConversationSummary(actualNpcId, playerId),
     history
   });
 });
 
+/**
+ * Search an NPC's past exchanges by meaning (supports both UUID and name)
+ * GET /npc/:npcIdOrName/history/search?query=...
+ *
+ * Covers archived (summarized) messages as well as the current history.
+ */
+router.get('/:npcIdOrName/history/search', async (req, res) => {
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const { query, player_id: playerId } = req.query;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  if (!query) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Query parameter "query" is required'
+    });
+  }
+
+  try {
+    const exchanges = await contextManager.findRelevantMessages(npcId, query, {
+      playerId,
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    return res.json({
+      status: 'success',
+      npc_id: npcId,
+      npc_name: contextManager.getNpcMetadata(npcId).name,
+      query,
+      exchanges
+    });
+  } catch (error) {
+    logger.error(`Error searching history: ${error.message}`, null, error);
+
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to search history: ${error.message}`
+    });
+  }
+});
+
 /**
  * Clear NPC conversation history (supports both UUID and name)
  * DELETE /npc/:npcIdOrName/history
@@ -246,17 +541,153 @@ router.delete('/:npcIdOrName/history', (req, res) => {
     }
   }
 
-  // If still not found, return error
-  if (!success) {
+  // If still not found, return error
+  if (!success) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${npcIdOrName} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    message: `Cleared conversation history for NPC ${npcName} (ID: ${actualNpcId})`
+  });
+});
+
+/**
+ * List an NPC's memories (supports both UUID and name)
+ * GET /npc/:npcIdOrName/memories
+ *
+ * With ?query= the memories are ranked by relevance to the query, as for chat prompts.
+ */
+router.get('/:npcIdOrName/memories', async (req, res) => {
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const playerId = req.query.player_id;
+  const limit = parseInt(req.query.limit) || 0;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  const memories = req.query.query !== undefined ?
+    await memoryManager.getRelevantMemories(npcId, { message: req.query.query, playerId, limit }) :
+    memoryManager.listMemories(npcId, { playerId, limit });
+
+  return res.json({
+    status: 'success',
+    npc_id: npcId,
+    npc_name: contextManager.getNpcMetadata(npcId).name,
+    count: memories.length,
+    memories
+  });
+});
+
+/**
+ * Add a memory to an NPC (supports both UUID and name)
+ * POST /npc/:npcIdOrName/memories
+ */
+router.post('/:npcIdOrName/memories', (req, res) => {
+  const requestId = Date.now().toString();
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const { content, importance, player_id: playerId } = req.body || {};
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  try {
+    const memory = memoryManager.addMemory(npcId, {
+      content,
+      importance,
+      player_id: playerId,
+      source: { type: 'manual', request_id: requestId }
+    });
+
+    logger.info(`Added memory ${memory.id} to NPC ${npcId}`, requestId);
+
+    return res.status(201).json({
+      status: 'success',
+      npc_id: npcId,
+      memory
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Edit a memory (supports both UUID and name)
+ * PATCH /npc/:npcIdOrName/memories/:memoryId
+ */
+router.patch('/:npcIdOrName/memories/:memoryId', (req, res) => {
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const { memoryId } = req.params;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  try {
+    const memory = memoryManager.updateMemory(npcId, memoryId, req.body || {});
+
+    if (!memory) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Memory ${memoryId} not found`
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      npc_id: npcId,
+      memory
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a memory (supports both UUID and name)
+ * DELETE /npc/:npcIdOrName/memories/:memoryId
+ */
+router.delete('/:npcIdOrName/memories/:memoryId', (req, res) => {
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const { memoryId } = req.params;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  if (!memoryManager.removeMemory(npcId, memoryId)) {
     return res.status(404).json({
       status: 'error',
-      message: `NPC with identifier ${npcIdOrName} not found`
+      message: `Memory ${memoryId} not found`
     });
   }
 
   return res.json({
     status: 'success',
-    message: `Cleared conversation history for NPC ${npcName} (ID: ${actualNpcId})`
+    message: `Deleted memory ${memoryId}`
   });
 });
 
@@ -358,6 +789,7 @@ router.get('/:npcIdOrName/debug', (req, res) => {
     npc_id: actualNpcId,
     npc_name: npcMetadata.name,
     raw_metadata: npcMetadata,
+    player_relationship: contextManager.getPlayerRelationship(actualNpcId),
     relationships_object: npcMetadata.relationships || {},
     relationship_network: relationshipNetwork,
     has_relationships: npcMetadata.relationships && Object.keys(npcMetadata.relationships).length > 0,
@@ -448,6 +880,127 @@ router.get('/:npcIdOrName/relationships', (req, res) => {
   });
 });
 
+/**
+ * Get the timeline of an NPC's relationship changes (supports both UUID and name)
+ * GET /npc/:npcIdOrName/relationships/history?kind=&player_id=&npc=&since=&limit=
+ */
+router.get('/:npcIdOrName/relationships/history', (req, res) => {
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const { kind, player_id: playerId, npc, since } = req.query;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  if (kind && kind !== 'player' && kind !== 'npc') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'kind must be "player" or "npc"'
+    });
+  }
+
+  // Relationships are stored by name; NPCs that no longer exist can still be filtered by name
+  const otherNpcId = npc ? contextManager.resolveNpcId(npc) : null;
+  const npcName = otherNpcId ? contextManager.getNpcMetadata(otherNpcId).name : npc;
+
+  const events = relationshipHistory.listRelationshipEvents(npcId, {
+    kind,
+    playerId,
+    npcName,
+    since,
+    limit: parseInt(req.query.limit) || 0
+  });
+
+  return res.json({
+    status: 'success',
+    npc_id: npcId,
+    npc_name: contextManager.getNpcMetadata(npcId).name,
+    count: events.length,
+    events
+  });
+});
+
+/**
+ * Adjust an NPC's relationship with another NPC or a player (supports both UUID and name)
+ * POST /npc/:npcIdOrName/relationships/adjust
+ *
+ * Scores are changes, not new values. The change is recorded in the relationship history as an admin action.
+ */
+router.post('/:npcIdOrName/relationships/adjust', (req, res) => {
+  const requestId = Date.now().toString();
+  const npcId = contextManager.resolveNpcId(req.params.npcIdOrName);
+  const body = req.body || {};
+  const { npc, player_id: playerId, status, reason } = body;
+
+  if (!npcId) {
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${req.params.npcIdOrName} not found`
+    });
+  }
+
+  const deltas = {};
+  const invalidScore = relationshipManager.SCORES.find(score => {
+    if (body[score] === undefined) {
+      return false;
+    }
+    deltas[score] = Number(body[score]);
+    return !Number.isFinite(deltas[score]);
+  });
+
+  if (invalidScore) {
+    return res.status(400).json({
+      status: 'error',
+      message: `${invalidScore} must be a number`
+    });
+  }
+
+  if (Object.keys(deltas).length === 0 && !status) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Provide score changes (affinity, trust, respect) or a status'
+    });
+  }
+
+  const cause = { type: 'admin', request_id: requestId };
+
+  if (npc) {
+    // Score changes are bounded like the model's; a status moves the scores towards it
+    const change = Object.keys(deltas).length > 0 ? deltas : String(status);
+    const update = contextManager.updateNpcRelationship(npcId, npc, change, requestId, { source: cause, reason });
+
+    logger.info(`Adjusted relationship of NPC ${npcId} with ${npc}`, requestId);
+
+    return res.json({
+      status: 'success',
+      npc_id: npcId,
+      target: { npc },
+      relationship: update.relationship,
+      changes: update.changes
+    });
+  }
+
+  const current = contextManager.getPlayerRelationship(npcId, playerId);
+  const updates = { status };
+  Object.entries(deltas).forEach(([score, delta]) => {
+    updates[score] = current[score] + delta;
+  });
+
+  const relationship = contextManager.updatePlayerRelationship(npcId, playerId, updates, { cause, reason });
+
+  logger.info(`Adjusted relationship of NPC ${npcId} with ${playerId ? `player ${playerId}` : 'the player'}`, requestId);
+
+  return res.json({
+    status: 'success',
+    npc_id: npcId,
+    target: { player_id: playerId || null },
+    relationship
+  });
+});
+
 /**
  * Get relationship between two NPCs
  * GET /npc/relationship?npc1=:npcId1&npc2=:npcId2
@@ -508,36 +1061,260 @@ router.get('/find', (req, res) => {
   });
 });
 
+/**
+ * Stage a conversation between NPCs (ambient chatter, overheard arguments)
+ * POST /npc/conversation
+ */
+router.post('/conversation', async (req, res) => {
+  const requestId = Date.now().toString();
+  const { participants, turns, topic, location, options = {} } = req.body || {};
+
+  logger.section('NPC CONVERSATION REQUEST', requestId);
+
+  if (!Array.isArray(participants) || participants.length < 2) {
+    logger.error('Missing participants', requestId);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: 'At least two participants (NPC IDs or names) are required'
+    });
+  }
+
+  const participantIds = participants.map(contextManager.resolveNpcId);
+  const missingIndex = participantIds.indexOf(null);
+
+  if (missingIndex !== -1) {
+    logger.error(`NPC with identifier ${participants[missingIndex]} not found`, requestId);
+    logger.sectionEnd();
+
+    return res.status(404).json({
+      status: 'error',
+      message: `NPC with identifier ${participants[missingIndex]} not found`
+    });
+  }
+
+  const turnCount = turns === undefined ? config.conversations.defaultTurns : Number(turns);
+  let validationError = null;
+
+  if (new Set(participantIds).size < participantIds.length) {
+    validationError = 'Each NPC can only take part once';
+  } else if (!Number.isInteger(turnCount) || turnCount < 1 || turnCount > config.conversations.maxTurns) {
+    validationError = `Turns must be a whole number from 1 to ${config.conversations.maxTurns}`;
+  } else {
+    validationError = aiService.validateRetryOptions(options);
+  }
+
+  if (validationError) {
+    logger.error(validationError, requestId);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: validationError
+    });
+  }
+
+  try {
+    const conversation = await conversationService.runNpcConversation(participantIds, {
+      turns: turnCount,
+      topic,
+      location,
+      options
+    }, requestId);
+
+    logger.sectionEnd();
+
+    return res.json({
+      request_id: requestId,
+      status: 'success',
+      conversation
+    });
+  } catch (error) {
+    logger.error(`Error in NPC conversation: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json(
+      responseFormatter.formatErrorResponse(requestId, error)
+    );
+  }
+});
+
+/**
+ * Talk to several NPCs at once
+ * POST /npc/group-chat
+ *
+ * Without scene_id a new scene is started with the given participants; with scene_id the
+ * conversation continues (participants, if given, replace those in the scene).
+ */
+router.post('/group-chat', async (req, res) => {
+  const requestId = Date.now().toString();
+  const {
+    scene_id: sceneId,
+    participants,
+    location,
+    message,
+    player_id: playerId,
+    player_name: playerName,
+    responders = 'auto',
+    options = {}
+  } = req.body || {};
+
+  logger.section('NPC GROUP CHAT REQUEST', requestId);
+  logger.info(`Scene: ${sceneId || '(new)'}`, requestId);
+  logger.info(`Player: ${playerId || '(default player)'}`, requestId);
+  logger.info(`Message: ${message}`, requestId);
+
+  /**
+   * End the request with an error
+   * @param {number} statusCode - HTTP status
+   * @param {string} errorMessage - Error message
+   */
+  const fail = (statusCode, errorMessage) => {
+    logger.error(errorMessage, requestId);
+    logger.sectionEnd();
+    return res.status(statusCode).json({ status: 'error', message: errorMessage });
+  };
+
+  if (!message) {
+    return fail(400, 'Message is required');
+  }
+
+  const optionsError = aiService.validateRetryOptions(options);
+  if (optionsError) {
+    return fail(400, optionsError);
+  }
+
+  let scene = null;
+  if (sceneId) {
+    scene = sceneManager.getScene(sceneId);
+    if (!scene) {
+      return fail(404, `Scene ${sceneId} not found`);
+    }
+  }
+
+  let participantIds = scene ? scene.participants : [];
+  if (participants !== undefined || !scene) {
+    if (!Array.isArray(participants) || participants.length < 2) {
+      return fail(400, 'At least two participants (NPC IDs or names) are required');
+    }
+
+    participantIds = participants.map(contextManager.resolveNpcId);
+    const missingIndex = participantIds.indexOf(null);
+    if (missingIndex !== -1) {
+      return fail(404, `NPC with identifier ${participants[missingIndex]} not found`);
+    }
+
+    if (new Set(participantIds).size < participantIds.length) {
+      return fail(400, 'Each NPC can only take part once');
+    }
+  }
+
+  let responderIds = responders;
+  if (Array.isArray(responders)) {
+    responderIds = responders.map(contextManager.resolveNpcId);
+    const invalidIndex = responderIds.findIndex(id => !id || !participantIds.includes(id));
+    if (invalidIndex !== -1) {
+      return fail(400, `Responder ${responders[invalidIndex]} is not in the scene`);
+    }
+  } else if (responders !== 'auto' && responders !== 'all') {
+    return fail(400, 'Responders must be "auto", "all" or a list of NPC IDs or names');
+  }
+
+  try {
+    scene = scene ?
+      sceneManager.updateScene(scene.id, { participants: participantIds, location }) :
+      sceneManager.createScene({ participants: participantIds, location });
+
+    const result = await conversationService.runGroupChat(scene, {
+      message,
+      playerId,
+      playerName,
+      responders: responderIds,
+      options
+    }, requestId);
+
+    logger.info(`${result.responses.length} NPCs answered in scene ${scene.id}`, requestId);
+    logger.sectionEnd();
+
+    return res.json({
+      request_id: requestId,
+      status: 'success',
+      scene_id: scene.id,
+      participants: scene.participants.map(id => ({ id, name: contextManager.getNpcMetadata(id)?.name || null })),
+      ...result,
+      ...(playerId ? { player_id: playerId } : {})
+    });
+  } catch (error) {
+    logger.error(`Error in NPC group chat: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json(
+      responseFormatter.formatErrorResponse(requestId, error)
+    );
+  }
+});
+
+/**
+ * Get a group chat scene with its shared transcript
+ * GET /npc/group-chat/:sceneId
+ */
+router.get('/group-chat/:sceneId', (req, res) => {
+  const scene = sceneManager.getScene(req.params.sceneId);
+
+  if (!scene) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Scene ${req.params.sceneId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    scene
+  });
+});
+
+/**
+ * Delete a group chat scene (lines already in NPC histories are kept)
+ * DELETE /npc/group-chat/:sceneId
+ */
+router.delete('/group-chat/:sceneId', (req, res) => {
+  if (!sceneManager.removeScene(req.params.sceneId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `Scene ${req.params.sceneId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    message: `Scene ${req.params.sceneId} deleted`
+  });
+});
+
 /**
  * Send message to NPC (supports both UUID and name)
  * POST /npc/:npcIdOrName/chat
+ *
+ * With options.stream = true the response is a Server-Sent Events stream:
+ * "token" events carry the raw JSON as it is generated, "reply" events carry
+ * the decoded reply text as it is generated, and a final "done" event carries
+ * the formatted response including usage and relationship updates.
  */
 router.post('/:npcIdOrName/chat', async (req, res) => {
   const requestId = Date.now().toString();
   const npcIdOrName = req.params.npcIdOrName;
-  const { message, options = {} } = req.body;
+  const { message, player_id: playerId, player_name: playerName, options = {} } = req.body;
 
   logger.section('NPC CHAT REQUEST', requestId);
   logger.info(`NPC Identifier: ${npcIdOrName}`, requestId);
+  logger.info(`Player: ${playerId || '(default player)'}`, requestId);
   logger.info(`Message: ${message}`, requestId);
 
-  // First, try to get NPC by ID
-  let npcMetadata = contextManager.getNpcMetadata(npcIdOrName);
-  let actualNpcId = npcIdOrName;
-
-  // If not found by ID, try to find by name
-  if (!npcMetadata) {
-    logger.info(`NPC not found by ID, trying to find by name: ${npcIdOrName}`, requestId);
-    const npcByName = contextManager.findNpcByName(npcIdOrName);
-
-    if (npcByName) {
-      actualNpcId = npcByName.id;
-      npcMetadata = contextManager.getNpcMetadata(actualNpcId);
-      logger.info(`Found NPC by name. Using ID: ${actualNpcId}`, requestId);
-    }
-  }
+  const actualNpcId = contextManager.resolveNpcId(npcIdOrName);
+  const npcMetadata = actualNpcId ? contextManager.getNpcMetadata(actualNpcId) : null;
 
-  // If still not found, return error
   if (!npcMetadata) {
     logger.error(`NPC with identifier ${npcIdOrName} not found`, requestId);
     logger.sectionEnd();
@@ -558,22 +1335,87 @@ router.post('/:npcIdOrName/chat', async (req, res) => {
     });
   }
 
+  const optionsError = aiService.validateRetryOptions(options);
+  if (optionsError) {
+    logger.error(optionsError, requestId);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: optionsError
+    });
+  }
+
+  // Open the event stream before calling the AI so tokens can be forwarded as they arrive
+  const stream = options.stream === true ? openEventStream(res) : null;
+
   try {
     // Add player message to history
-    contextManager.addMessage(actualNpcId, 'player', message);
+    contextManager.addMessage(actualNpcId, 'player', message, playerId);
 
-    // Get conversation history
+    // Get conversation history with the speaking player
     const historyLimit = options.history_limit || 10;
-    const formattedHistory = contextManager.formatHistoryForOpenAI(actualNpcId, historyLimit);
+    const formattedHistory = contextManager.formatHistoryForOpenAI(actualNpcId, historyLimit, playerId);
+
+    // Relationship with the speaking player (falls back to the NPC's default player relationship)
+    const playerRelationship = contextManager.getPlayerRelationship(actualNpcId, playerId);
+    const playerLabel = playerName || (playerId ? `the player ${playerId}` : 'the player');
+
+    // Rolling summary of conversations older than the history sent with the request
+    const conversationSummary = contextManager.getConversationSummary(actualNpcId, playerId);
+
+    // Long-term memories and older exchanges most relevant to this message
+    const relevantMemories = await memoryManager.getRelevantMemories(actualNpcId, { message, playerId });
+    let relatedExchanges = [];
+    try {
+      relatedExchanges = await contextManager.findRelevantMessages(actualNpcId, message, {
+        playerId,
+        excludeRecent: historyLimit
+      });
+    } catch (error) {
+      logger.error(`Past exchange retrieval failed: ${error.message}`, requestId, error);
+    }
+    logger.info(`Injecting ${relevantMemories.length} memories and ${relatedExchanges.length} related past exchanges into the prompt`, requestId);
+
+    // World lore about the NPC's location and faction or related to the message, limited to what the NPC knows
+    const relevantLore = await loreManager.getRelevantLore({
+      location: npcMetadata.location,
+      faction: npcMetadata.faction,
+      npc: { id: actualNpcId, name: npcMetadata.name, faction: npcMetadata.faction },
+      playerRelationship,
+      message
+    });
+    const sharedLore = relevantLore.filter(entry => !entry.withheld);
+    logger.info(`Injecting ${relevantLore.length} lore entries into the prompt (${relevantLore.length - sharedLore.length} withheld)`, requestId);
+
+    // Secrets the NPC has earned the right to share with this player, and those it keeps back
+    const secrets = knowledgeManager.getNpcSecrets(npcMetadata, playerRelationship);
+    // Own fields the NPC keeps back are only listed among the withheld knowledge
+    const ownFacts = { ...npcMetadata };
+    secrets.withheldFields.forEach(field => delete ownFacts[field]);
+    // Faction, its stances and the player's standing with it
+    const factionContext = factionManager.describeFactionForPrompt(npcMetadata.faction, playerId, playerLabel);
+    const withheldKnowledge = [
+      ...secrets.withheld,
+      ...relevantLore.filter(entry => entry.withheld).map(entry => `${entry.title}: ${entry.content}`)
+    ];
 
     // Set default options for NPC chat
+    // Provider and model: request options first, then the NPC's own "ai" settings, then the server defaults
     const chatOptions = {
-      model: options.model || 'gpt-4o-mini',
+      provider: options.provider || npcMetadata.ai?.provider,
+      model: options.model || npcMetadata.ai?.model,
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens || 1000,
       stream: options.stream === true,
       response_format: 'json',
       prompt_name: options.prompt_name || 'gameCharacter',
+      npc_name: npcMetadata.name,
+      timeout_ms: options.timeout_ms,
+      max_retries: options.max_retries,
+      fallback_models: options.fallback_models || npcMetadata.ai?.fallback_models,
+      fallback_response: buildFallbackReply(npcMetadata),
+      signal: stream ? stream.signal : undefined, // Cancels the AI request if the client disconnects
       discover_relationships: options.discover_relationships !== false // Default to true unless explicitly set to false
     };
 
@@ -597,83 +1439,74 @@ router.post('/:npcIdOrName/chat', async (req, res) => {
     }
 
     // Get relationship network for additional context
-    // If discover_relationships is true, trigger a fresh discovery first
-    let relationshipNetwork;
-
-    if (chatOptions.discover_relationships) {
-      logger.info(`Triggering relationship discovery for ${npcMetadata.name} before chat`, requestId);
-      // Discover relationships for this specific NPC
-      const discoveryResult = contextManager.discoverNpcRelationships(actualNpcId);
-      logger.info(`Relationship discovery complete: Found ${discoveryResult.stats.direct_relationships} direct and ${discoveryResult.stats.indirect_relationships} indirect relationships`, requestId);
-
-      // Get the formatted network
-      relationshipNetwork = contextManager.getNpcRelationshipNetwork(actualNpcId);
-    } else {
-      // Use cached relationship data
-      relationshipNetwork = contextManager.getNpcRelationshipNetwork(actualNpcId);
-    }
-
-    // Log relationship information for debugging
-    logger.info(`NPC ${npcMetadata.name} relationships:`, requestId);
-
-    // Log detailed information about the NPC's metadata
-    logger.info(`Complete NPC metadata: ${JSON.stringify(npcMetadata, null, 2)}`, requestId);
-    logger.info(`NPC metadata keys: ${JSON.stringify(Object.keys(npcMetadata))}`, requestId);
-
-    // Log detailed information about relationships
-    if (npcMetadata.relationships) {
-      logger.info(`Relationships object type: ${typeof npcMetadata.relationships}`, requestId);
-      logger.info(`Relationships is array: ${Array.isArray(npcMetadata.relationships)}`, requestId);
-      logger.info(`Relationships object keys: ${JSON.stringify(Object.keys(npcMetadata.relationships))}`, requestId);
-      logger.info(`Direct relationships defined in metadata: ${JSON.stringify(npcMetadata.relationships, null, 2)}`, requestId);
-
-      // Log each relationship entry in detail
-      Object.entries(npcMetadata.relationships).forEach(([key, value], index) => {
-        logger.info(`Relationship entry ${index} - Key: ${key}, Type: ${typeof value}, Value: ${JSON.stringify(value)}`, requestId);
-      });
-    } else {
-      logger.info(`No relationships object found in metadata`, requestId);
-    }
-
-    // Log original relationship field if it exists
-    if (npcMetadata.relationship) {
-      logger.info(`Original relationship field (singular): ${npcMetadata.relationship}`, requestId);
-      logger.info(`Original relationship field type: ${typeof npcMetadata.relationship}`, requestId);
-    }
+    // (served from the relationship graph, which is kept up to date as relationships change)
+    const relationshipNetwork = chatOptions.discover_relationships ?
+      contextManager.getNpcRelationshipNetwork(actualNpcId, requestId, { playerRelationship }) :
+      null;
 
-    if (relationshipNetwork) {
-      logger.info(`Discovered direct relationships: ${relationshipNetwork.direct_relationships.length}`, requestId);
-      logger.info(`Discovered indirect relationships: ${relationshipNetwork.indirect_relationships.length}`, requestId);
-      logger.info(`Complete relationship network: ${JSON.stringify(relationshipNetwork, null, 2)}`, requestId);
-    } else {
-      logger.info(`No relationship network discovered`, requestId);
-    }
+    logger.info(`NPC ${npcMetadata.name} has ${Object.keys(npcMetadata.relationships || {}).length} relationships` +
+      (relationshipNetwork ?
+        ` (${relationshipNetwork.direct_relationships.length} direct, ${relationshipNetwork.indirect_relationships.length} indirect in its network)` :
+        ''), requestId);
 
     // Create a custom system message with NPC context
     const customSystemMessage = `
 You are roleplaying as ${npcMetadata.name}, a character in a game world.
-${npcMetadata.description || ''}
-${npcMetadata.backstory ? `Backstory: ${npcMetadata.backstory}` : ''}
-${npcMetadata.personality ? `Personality: ${npcMetadata.personality}` : ''}
-${npcMetadata.location ? `Current location: ${npcMetadata.location}` : ''}
-${npcMetadata.currentState ? `Current state: ${npcMetadata.currentState}` : ''}
-
-${npcMetadata.player_relationship ? `Your relationship with the player:
-- Status: ${npcMetadata.player_relationship.status}
-- Affinity: ${npcMetadata.player_relationship.affinity}/100
-- Trust: ${npcMetadata.player_relationship.trust}/100
-- Respect: ${npcMetadata.player_relationship.respect}/100
+${ownFacts.description || ''}
+${ownFacts.backstory ? `Backstory: ${ownFacts.backstory}` : ''}
+${ownFacts.personality ? `Personality: ${ownFacts.personality}` : ''}
+${ownFacts.location ? `Current location: ${ownFacts.location}` : ''}
+${ownFacts.currentState ? `Current state: ${ownFacts.currentState}` : ''}
+${factionContext ? `
+${factionContext}
+${secrets.withheldFields.includes('faction') ? `Your membership is a secret: never reveal it to ${playerLabel}.
+` : ''}` : ''}
+${sharedLore.length > 0 ? `
+World lore you know (this is canon - never contradict it or invent facts that conflict with it):
+${sharedLore.map(entry => `- ${entry.title}: ${entry.content}`).join('\n')}
+` : ''}
+${secrets.shareable.length > 0 ? `
+Secrets you now trust ${playerLabel} enough to share if it comes up:
+${secrets.shareable.map(secret => `- ${secret}`).join('\n')}
+` : ''}
+${withheldKnowledge.length > 0 ? `
+Things you know but will not reveal to ${playerLabel} yet (never state, hint at or confirm them; deflect or change the subject if asked):
+${withheldKnowledge.map(item => `- ${item}`).join('\n')}
+` : ''}
+You are currently speaking with ${playerLabel}.
+Your relationship with ${playerLabel}:
+- Status: ${playerRelationship.status}
+- Affinity: ${playerRelationship.affinity}/100
+- Trust: ${playerRelationship.trust}/100
+- Respect: ${playerRelationship.respect}/100
+${playerRelationship.history && playerRelationship.history.length > 0 ? `- Significant past interactions: ${playerRelationship.history.join('; ')}
+` : ''}
+${conversationSummary ? `
+What you remember from earlier conversations with ${playerLabel}:
+${conversationSummary.summary}
+` : ''}
+${relevantMemories.length > 0 ? `
+Things you remember that may matter now:
+${relevantMemories.map(memory => `- ${memory.content}`).join('\n')}
+` : ''}
+${relatedExchanges.length > 0 ? `
+Earlier exchanges with ${playerLabel} related to what they just said:
+${relatedExchanges.map(exchange => [
+  `- On ${exchange.timestamp.slice(0, 10)}:`,
+  exchange.player ? `  ${playerLabel}: ${exchange.player}` : null,
+  exchange.npc ? `  You: ${exchange.npc}` : null
+].filter(Boolean).join('\n')).join('\n')}
 ` : ''}
 
 ${npcMetadata.relationships && Object.keys(npcMetadata.relationships).length > 0 ?
 `Your relationships with other NPCs:
-${Object.entries(npcMetadata.relationships).map(([name, status]) => `- ${name}: ${status}`).join('\n')}
+${Object.entries(npcMetadata.relationships).map(([name, relationship]) => `- ${name}: ${relationshipManager.describeRelationship(relationship)}`).join('\n')}
 ` : 'You have no defined relationships with other NPCs yet.'}
 
 ${mentionedNpcRelationships.length > 0 ? `
 NPCs mentioned in the current message:
 ${mentionedNpcRelationships.map(rel => {
-  let mentionInfo = `- ${rel.npc2_name}: ${rel.npc1_to_npc2 !== 'none' ? 'You consider them ' + rel.npc1_to_npc2 : 'You have a neutral relationship with them'}`;
+  let mentionInfo = `- ${rel.npc2_name}: ${rel.npc1_to_npc2 !== 'none' ? 'You consider them ' + relationshipManager.describeRelationship(rel.npc1_to_npc2_details) : 'You have a neutral relationship with them'}`;
 
   // Add how they feel about you
   if (rel.npc2_to_npc1 !== 'none') {
@@ -688,7 +1521,7 @@ ${relationshipNetwork ? `
 Detailed information about people you know:
 ${relationshipNetwork.direct_relationships.length > 0 ?
 `${relationshipNetwork.direct_relationships.map(rel => {
-  let relationshipInfo = `- ${rel.name}: ${rel.target_to_other !== 'none' ? 'You consider them ' + rel.target_to_other : 'You have a neutral relationship with them'}`;
+  let relationshipInfo = `- ${rel.name}: ${rel.target_to_other !== 'none' ? 'You consider them ' + relationshipManager.describeRelationship(rel.target_to_other_details) : 'You have a neutral relationship with them'}`;
 
   // Add metadata about the related NPC
   if (rel.description) relationshipInfo += `\n  Description: ${rel.description}`;
@@ -738,7 +1571,15 @@ Your responses must be in valid JSON format with the following structure:
   "metadata": {
     "mood": "character's current mood",
     "location": "character's current location",
-    "memory": "Important things to remember about this conversation",
+    "memory": {
+      "content": "Something from this exchange worth remembering long-term (omit if nothing new)",
+      "importance": 5
+    },
+    "gossip": {
+      "content": "News or a claim about other people or events that you would pass on to others (omit if none)",
+      "about": ["Names of the NPCs it is about"],
+      "importance": 5
+    },
     "player_relationship": {
       "status": "updated relationship status (friendly, neutral, hostile, etc.)",
       "affinity": 50,
@@ -747,7 +1588,7 @@ Your responses must be in valid JSON format with the following structure:
       "history": ["Optional new significant interaction to remember"]
     },
     "npc_relationships": {
-      "NPC_Name": "New relationship status"
+      "NPC_Name": { "affinity": 0, "trust": -10, "respect": 0, "reason": "Why your feelings towards them changed" }
     }
   }
 }
@@ -771,19 +1612,16 @@ IMPORTANT FORMATTING RULES:
 
 The "reply" and "playerResponseChoices" fields are required.
 The "metadata" field is optional but recommended for tracking game state.
+The "memory" field adds to your long-term memory. Rate its importance from 1 (trivial) to 10 (unforgettable, e.g. a quest you gave or a betrayal).
+The "gossip" field starts a rumor that will spread to the people you know, e.g. when the player tells you "Alfred is a thief". Only include it when the player tells you something worth repeating, and phrase it the way you would repeat it.
 The "player_relationship" field should reflect how this conversation affects your relationship with the player.
-The "npc_relationships" field allows you to update your relationships with other NPCs based on the conversation.
+The "npc_relationships" field changes how you feel about other NPCs based on the conversation. Your relationships are scored from 0 to 100 (50 is neutral): affinity is how much you like them, trust how much you believe and rely on them, respect how highly you think of them. Give each score as a change from -${config.relationships.maxDelta} to ${config.relationships.maxDelta} (omit scores that do not change) and only include NPCs your feelings towards changed.
 
 IMPORTANT: If the player says something negative or positive about another NPC, you should consider updating your relationship with that NPC accordingly. For example:
-- If the player says "Alfred is a thief who stole from the village", you might update your relationship with Alfred to "Distrustful" or "Suspicious"
-- If the player says "Alfred helped save a child from drowning", you might update your relationship with Alfred to "Respectful" or "Admiring"
+- If the player says "Alfred is a thief who stole from the village", you might lower your trust in Alfred: { "trust": -15, "affinity": -5, "reason": "Heard he stole from the village" }
+- If the player says "Alfred helped save a child from drowning", you might raise your respect for Alfred: { "respect": 10, "affinity": 5, "reason": "Heard he saved a drowning child" }
 
-Use relationship statuses that reflect your character's personality and values. Common relationship statuses include:
-- Friendly, Friends, Close Friends
-- Respectful, Admiring
-- Neutral
-- Distrustful, Suspicious
-- Dislikes, Hates, Enemies
+React the way your character's personality and values would. A single conversation rarely turns a close friend into an enemy.
 
 Ensure your response is valid JSON that can be parsed by JSON.parse().
 `;
@@ -791,25 +1629,48 @@ Ensure your response is valid JSON that can be parsed by JSON.parse().
     // Add custom system message to options
     chatOptions.system_message = customSystemMessage;
 
+    // Forward tokens to the client while streaming, decoding the reply text as it arrives
+    let onToken;
+    if (stream) {
+      const parseReplyChunk = responseFormatter.createStreamingFieldParser('reply');
+
+      onToken = content => {
+        stream.send('token', { content });
+
+        const replyText = parseReplyChunk(content);
+        if (replyText) {
+          stream.send('reply', { content: replyText });
+        }
+      };
+    }
+
     // Send to AI with history
     const startTime = Date.now();
     const aiResponse = await aiService.sendToAIWithHistory(
       message,
       formattedHistory,
       chatOptions,
-      requestId
+      requestId,
+      onToken
     );
     const responseTime = Date.now() - startTime;
 
-    // Format the response with NPC data
+    // Format the response (the player relationship is attached once updates are applied)
     const formattedResponse = responseFormatter.formatSuccessResponse(
       requestId,
       aiResponse,
       aiResponse.streaming === true,
-      responseTime,
-      npcMetadata // Pass the NPC metadata to include player_relationship
+      responseTime
     );
 
+    // Relationship changes, memory and rumor applied from this reply
+    let applied = {
+      relationship_updates: { player_relationship: null, npc_relationships: {} },
+      faction_reputation: [],
+      memory_added: null,
+      rumor_started: null
+    };
+
     // Extract the NPC reply from the response
     let npcReply = '';
     if (formattedResponse.data && formattedResponse.data.reply) {
@@ -817,50 +1678,55 @@ Ensure your response is valid JSON that can be parsed by JSON.parse().
 
       // Update NPC metadata if provided
       if (formattedResponse.data.metadata) {
-        contextManager.updateNpcMetadata(actualNpcId, formattedResponse.data.metadata);
-
-        // Check for relationship updates
-        if (formattedResponse.data.metadata.npc_relationships) {
-          logger.info(`NPC relationship updates detected in response`, requestId);
-
-          // Process each relationship update
-          Object.entries(formattedResponse.data.metadata.npc_relationships).forEach(([npcName, relationshipStatus]) => {
-            logger.info(`Updating relationship with ${npcName} to "${relationshipStatus}"`, requestId);
-
-            // Update the relationship
-            const updateSuccess = contextManager.updateNpcRelationship(
-              actualNpcId,
-              npcName,
-              relationshipStatus,
-              requestId
-            );
-
-            if (updateSuccess) {
-              logger.info(`Successfully updated ${npcMetadata.name}'s relationship with ${npcName}`, requestId);
-            } else {
-              logger.warn(`Failed to update ${npcMetadata.name}'s relationship with ${npcName}`, requestId);
-            }
-          });
-        }
+        applied = conversationService.applyChatReplyMetadata(actualNpcId, formattedResponse.data.metadata, {
+          playerId,
+          playerLabel,
+          message,
+          requestId
+        });
       }
 
       // Add NPC response to history
-      contextManager.addMessage(actualNpcId, 'npc', npcReply);
+      contextManager.addMessage(actualNpcId, 'npc', npcReply, playerId);
+
+      // Condense older turns into the summary once the history gets long
+      summaryService.scheduleSummarization(actualNpcId, playerId, requestId);
     }
 
-    logger.info(`NPC response generated in ${responseTime}ms`, requestId);
+    // Always return the speaking player's stored relationship
+    responseFormatter.attachPlayerRelationship(
+      formattedResponse,
+      contextManager.getPlayerRelationship(actualNpcId, playerId)
+    );
 
-    // Log NPC data after chat for debugging
-    logger.info(`Logging NPC data after chat with ${npcIdOrName} (ID: ${actualNpcId})`, requestId);
-    contextManager.logAllNpcData(requestId);
+    formattedResponse.relationship_updates = applied.relationship_updates;
+    formattedResponse.faction_reputation = applied.faction_reputation;
+    formattedResponse.memory_added = applied.memory_added;
+    formattedResponse.rumor_started = applied.rumor_started;
+
+    if (playerId) {
+      formattedResponse.player_id = playerId;
+    }
+
+    logger.info(`NPC response generated in ${responseTime}ms`, requestId);
 
     logger.sectionEnd();
 
+    if (stream) {
+      stream.send('done', formattedResponse);
+      return stream.close();
+    }
+
     return res.json(formattedResponse);
   } catch (error) {
     logger.error(`Error in NPC chat: ${error.message}`, requestId, error);
     logger.sectionEnd();
 
+    if (stream) {
+      stream.send('error', responseFormatter.formatErrorResponse(requestId, error));
+      return stream.close();
+    }
+
     return res.status(500).json(
       responseFormatter.formatErrorResponse(requestId, error)
     );
@@ -0,0 +1,257 @@
+/**
+ * World session routes
+ * A world holds its own NPCs, histories, relationships and game variables.
+ * Map each UE save slot onto one world and scope /npc, /admin and /debug calls to it
+ * with /worlds/:worldId/... or the X-World-Id header.
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const worldManager = require('../utils/worldManager');
+const worldTransfer = require('../utils/worldTransfer');
+
+// Formats of GET /worlds/:worldId/export
+const EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * List all worlds
+ * GET /worlds
+ */
+router.get('/', (req, res) => {
+  const worlds = worldManager.listWorlds();
+
+  return res.json({
+    status: 'success',
+    count: worlds.length,
+    worlds
+  });
+});
+
+/**
+ * Create a world (returns the existing world if the ID is already taken)
+ * POST /worlds
+ */
+router.post('/', (req, res) => {
+  const requestId = Date.now().toString();
+  const { id, name, description } = req.body || {};
+
+  logger.section('CREATE WORLD', requestId);
+  logger.info(`World ID: ${id || '(generated)'}`, requestId);
+
+  try {
+    const { world, created } = worldManager.createWorld({ id, name, description });
+
+    logger.info(created ? `Created world ${world.id}` : `World ${world.id} already exists`, requestId);
+    logger.sectionEnd();
+
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: created ? `Created world ${world.id}` : `World ${world.id} already exists`,
+      created,
+      world
+    });
+  } catch (error) {
+    logger.error(`Error creating world: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get a world
+ * GET /worlds/:worldId
+ */
+router.get('/:worldId', (req, res) => {
+  const world = worldManager.getWorld(req.params.worldId);
+
+  if (!world) {
+    return res.status(404).json({
+      status: 'error',
+      message: `World ${req.params.worldId} not found`
+    });
+  }
+
+  return res.json({
+    status: 'success',
+    world
+  });
+});
+
+/**
+ * Delete a world and all of its data
+ * DELETE /worlds/:worldId
+ */
+router.delete('/:worldId', (req, res) => {
+  const { worldId } = req.params;
+
+  try {
+    if (!worldManager.deleteWorld(worldId)) {
+      return res.status(404).json({
+        status: 'error',
+        message: `World ${worldId} not found`
+      });
+    }
+
+    return res.json({
+      status: 'success',
+      message: `World ${worldId} deleted`
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Export a world as a versioned world document, or its NPC definitions as a DataTable CSV
+ * GET /worlds/:worldId/export?format=json|csv&history=false
+ */
+router.get('/:worldId/export', (req, res) => {
+  const requestId = Date.now().toString();
+  const { worldId } = req.params;
+  const format = req.query.format || 'json';
+
+  if (!worldManager.getWorld(worldId)) {
+    return res.status(404).json({
+      status: 'error',
+      message: `World ${worldId} not found`
+    });
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      status: 'error',
+      message: `format must be one of ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  return worldManager.runInWorld(worldId, () => {
+    if (format === 'csv') {
+      logger.info(`Exported NPC definitions of world ${worldId} as CSV`, requestId);
+      res.attachment(`${worldId}-npcs.csv`);
+      return res.send(worldTransfer.exportNpcsCsv());
+    }
+
+    const document = worldTransfer.exportWorld({ history: req.query.history !== 'false' });
+
+    logger.info(`Exported world ${worldId}: ${document.npcs.length} NPCs`, requestId);
+    res.attachment(`${worldId}.world.json`);
+    return res.send(`${JSON.stringify(document, null, 2)}\n`);
+  });
+});
+
+/**
+ * Import a world document (or a DataTable CSV of NPC definitions) into a world
+ * POST /worlds/:worldId/import?mode=merge|replace&dry_run=true&format=csv
+ *
+ * The world is created if it does not exist. Nothing changes if the document has any error.
+ */
+router.post('/:worldId/import', (req, res) => {
+  const requestId = Date.now().toString();
+  const { worldId } = req.params;
+  const mode = req.query.mode || 'merge';
+  const dryRun = req.query.dry_run === 'true';
+  const csv = req.query.format === 'csv' || Boolean(req.is('text/csv'));
+
+  logger.section('IMPORT WORLD', requestId);
+  logger.info(`World: ${worldId}, mode: ${mode}${dryRun ? ' (dry run)' : ''}, format: ${csv ? 'csv' : 'json'}`, requestId);
+
+  if (!worldTransfer.IMPORT_MODES.includes(mode)) {
+    logger.sectionEnd();
+    return res.status(400).json({
+      status: 'error',
+      message: `mode must be one of ${worldTransfer.IMPORT_MODES.join(', ')}`
+    });
+  }
+
+  let document;
+  try {
+    if (csv) {
+      document = worldTransfer.parseNpcsCsv(typeof req.body === 'string' ? req.body : '');
+    } else {
+      document = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    }
+  } catch (error) {
+    logger.error(`Unreadable world document: ${error.message}`, requestId);
+    logger.sectionEnd();
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid world document',
+      errors: [{ section: 'document', message: error.message }]
+    });
+  }
+
+  let created = false;
+  if (!worldManager.getWorld(worldId)) {
+    if (dryRun) {
+      logger.sectionEnd();
+      return res.status(404).json({
+        status: 'error',
+        message: `World ${worldId} not found. Import without dry_run to create it`
+      });
+    }
+
+    try {
+      const world = (document && document.world) || {};
+      created = worldManager.createWorld({ id: worldId, name: world.name, description: world.description }).created;
+    } catch (error) {
+      logger.sectionEnd();
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  }
+
+  try {
+    const result = worldManager.runInWorld(worldId, () => worldTransfer.importWorld(document, { mode, dryRun, requestId }));
+
+    if (!result.valid && !dryRun) {
+      // A world created for an import that is rejected is removed again
+      if (created) {
+        worldManager.deleteWorld(worldId);
+      }
+
+      logger.error(`Invalid world document: ${result.errors.length} errors`, requestId);
+      logger.sectionEnd();
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid world document',
+        errors: result.errors,
+        warnings: result.warnings
+      });
+    }
+
+    logger.sectionEnd();
+    return res.status(created ? 201 : 200).json({
+      status: 'success',
+      message: dryRun ? `Dry run of ${mode} import into world ${worldId}` : `Imported world document into ${worldId} (${mode})`,
+      world_id: worldId,
+      mode,
+      dry_run: dryRun,
+      created,
+      ...result
+    });
+  } catch (error) {
+    // So is a world created for an import that failed part way, rather than keeping half of it
+    if (created) {
+      worldManager.deleteWorld(worldId);
+    }
+
+    logger.error(`Error importing world: ${error.message}`, requestId, error);
+    logger.sectionEnd();
+
+    return res.status(500).json({
+      status: 'error',
+      message: `Failed to import world: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
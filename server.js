@@ -6,14 +6,18 @@ const app = require('./app');
 const config = require('./config');
 const logger = require('./utils/logger');
 const promptManager = require('./utils/promptManager');
+const contextManager = require('./utils/contextManager');
+const gossipManager = require('./utils/gossipManager');
+const decayManager = require('./utils/decayManager');
 
 // Start server
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
   logger.section('SERVER STARTED');
   logger.info(`Time: ${new Date().toISOString()}`);
   logger.info(`Session ID: ${logger.getSessionId()}`);
   logger.info(`Log file: ${logger.getLogFileName()}`);
   logger.info(`Running on http://localhost:${config.port}`);
+  logger.info(`AI provider: ${config.ai.provider}`);
   logger.info(`Default model: ${config.openai.defaultModel}`);
   logger.info(`Default prompt: ${config.openai.defaultPromptName}`);
   logger.info(`Default response format: ${config.openai.defaultResponseFormat}`);
@@ -21,4 +25,19 @@ app.listen(config.port, () => {
   logger.info(`Available prompts: ${promptManager.getAvailablePrompts().join(', ')}`);
   logger.info(`Log level: ${config.logging.level}`);
   logger.sectionEnd();
+
+  // Background jobs run only in the server, not wherever their modules are required
+  contextManager.startPeriodicLogging();
+  contextManager.startAutoRelationshipDiscovery();
+  gossipManager.startGossipPropagation();
+  decayManager.startDecay();
+});
+
+// Exit on signals too, so deferred conversation history is written (see worldManager)
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    logger.info(`${signal} received, shutting down`);
+    server.close();
+    process.exit(0);
+  });
 });
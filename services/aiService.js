@@ -1,26 +1,23 @@
 /**
- * AI Service - Handles interactions with OpenAI API
+ * AI Service - Handles interactions with the configured AI provider
  */
-const { OpenAI } = require("openai");
 const logger = require("../utils/logger");
 const promptManager = require("../utils/promptManager");
+const providers = require("./providers");
 const config = require("../config");
 
-// Initialize OpenAI client
-const client = new OpenAI({
-  apiKey: config.openai.apiKey,
-});
-
 /**
- * Send request to OpenAI API
+ * Send request to the AI provider
  * @param {string} message - User message
  * @param {Object} options - Configuration options
  * @param {string} requestId - Request ID for logging
+ * @param {Function} [onToken] - Called with each content chunk as it arrives (streaming only)
  * @returns {Promise<Object>} - API response
  */
-async function sendToAI(message, options = {}, requestId) {
+async function sendToAI(message, options = {}, requestId, onToken) {
   // Extract options with defaults
-  const model = options.model || config.openai.defaultModel;
+  const provider = providers.getProvider(options.provider);
+  const model = options.model || provider.defaultModel || config.openai.defaultModel;
   const temperature = options.temperature || 0.7;
   const maxTokens = options.max_tokens || 10000;
   const isStreaming = options.stream === true; // Non-streaming by default
@@ -34,6 +31,7 @@ async function sendToAI(message, options = {}, requestId) {
 
   // Log request details
   logger.section('REQUEST DETAILS', requestId);
+  logger.info(`Provider: ${provider.name}`, requestId);
   logger.info(`Model: ${model}`, requestId);
   logger.info(`Temperature: ${temperature}`, requestId);
   logger.info(`Max Tokens: ${maxTokens}`, requestId);
@@ -60,17 +58,17 @@ async function sendToAI(message, options = {}, requestId) {
     requestParams.response_format = { type: "json_object" };
   }
 
+  // Describes the request to providers that key replies on it (e.g. mock fixtures)
+  const requestContext = { request_id: requestId, prompt_name: promptName, npc_name: options.npc_name };
+
   try {
-    logger.info(`Sending request to OpenAI API`, requestId);
+    logger.info(`Sending request to ${provider.displayName}`, requestId);
 
-    if (isStreaming) {
-      return await handleStreamingRequest(requestParams, requestId);
-    } else {
-      return await handleNonStreamingRequest(requestParams, requestId);
-    }
+    return await sendWithRetryPolicy(provider, requestParams, options, requestContext, onToken);
   } catch (error) {
     logger.section('API ERROR', requestId);
-    logger.error(`Model: ${model}`, requestId);
+    logger.error(`Provider: ${(error.provider || provider).name}`, requestId);
+    logger.error(`Model: ${error.model || model}`, requestId);
     logger.error(`Error Type: ${error.constructor.name}`, requestId);
     logger.error(`Error Message: ${error.message}`, requestId, error);
 
@@ -81,33 +79,52 @@ async function sendToAI(message, options = {}, requestId) {
     }
 
     logger.sectionEnd();
-    throw new Error(`OpenAI API Error: ${error.message}`);
+    throw new Error(`${(error.provider || provider).displayName} API Error: ${error.message}`);
   }
 }
 
 /**
- * Handle streaming request to OpenAI API
+ * Handle streaming request to an AI provider
+ * Each content chunk is forwarded to onToken as soon as it arrives; the
+ * complete text is also collected and returned once the stream ends.
+ * @param {Object} provider - AI provider
  * @param {Object} requestParams - Request parameters
- * @param {string} requestId - Request ID for logging
+ * @param {Object} requestContext - Request context (request_id, prompt_name, npc_name)
+ * @param {Function} [onToken] - Called with each content chunk as it arrives
+ * @param {Object} [requestOptions] - Provider request options (signal)
  * @returns {Promise<Object>} - Streaming response
  */
-async function handleStreamingRequest(requestParams, requestId) {
+async function handleStreamingRequest(provider, requestParams, requestContext, onToken, requestOptions = {}) {
+  const requestId = requestContext.request_id;
   logger.info("Using streaming mode", requestId);
-  const stream = await client.chat.completions.create({
-    ...requestParams,
-    stream: true,
-  });
+  const stream = await provider.streamChatCompletion(requestParams, requestOptions, requestContext);
 
   let streamData = "";
   let chunkCount = 0;
+  let model = null;
+  let usage = null;
+  let finishReason = null;
 
   logger.info("Stream started, receiving chunks...", requestId);
 
   for await (const chunk of stream) {
+    // Stop reading once aborted, even from providers that do not take a signal
+    if (requestOptions.signal?.aborted) {
+      throw new Error("Stream aborted");
+    }
+
     const content = chunk.choices[0]?.delta?.content || "";
     streamData += content;
     chunkCount++;
 
+    model = chunk.model || model;
+    usage = chunk.usage || usage;
+    finishReason = chunk.choices[0]?.finish_reason || finishReason;
+
+    if (content && onToken) {
+      onToken(content);
+    }
+
     // Log progress periodically
     if (chunkCount % 10 === 0) {
       logger.debug(`Received ${chunkCount} chunks so far...`, requestId);
@@ -121,7 +138,14 @@ async function handleStreamingRequest(requestParams, requestId) {
   logger.sectionEnd();
 
   // Create response object
-  const streamResponse = { streaming: true, data: streamData, chunks: chunkCount };
+  const streamResponse = {
+    streaming: true,
+    data: streamData,
+    chunks: chunkCount,
+    model,
+    usage,
+    finish_reason: finishReason
+  };
 
   // Log the full AI response
   logger.logAIResponse(streamResponse, true, requestId);
@@ -130,14 +154,17 @@ async function handleStreamingRequest(requestParams, requestId) {
 }
 
 /**
- * Handle non-streaming request to OpenAI API
+ * Handle non-streaming request to an AI provider
+ * @param {Object} provider - AI provider
  * @param {Object} requestParams - Request parameters
- * @param {string} requestId - Request ID for logging
+ * @param {Object} requestContext - Request context (request_id, prompt_name, npc_name)
+ * @param {Object} [requestOptions] - Provider request options (signal)
  * @returns {Promise<Object>} - API response
  */
-async function handleNonStreamingRequest(requestParams, requestId) {
+async function handleNonStreamingRequest(provider, requestParams, requestContext, requestOptions = {}) {
+  const requestId = requestContext.request_id;
   logger.info("Using non-streaming mode", requestId);
-  const completion = await client.chat.completions.create(requestParams);
+  const completion = await provider.createChatCompletion(requestParams, requestOptions, requestContext);
   const responseContent = completion.choices[0]?.message?.content || "";
 
   logger.section('COMPLETE RESPONSE', requestId);
@@ -157,16 +184,315 @@ async function handleNonStreamingRequest(requestParams, requestId) {
 }
 
 /**
- * Send request to OpenAI API with conversation history
+ * Whether a failed AI call is worth retrying on the same model
+ * Rate limits (429), server errors (5xx), timeouts and connection failures are retried;
+ * other errors (bad request, authentication, unknown model) are not.
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean} - Whether to retry
+ */
+function isRetryableError(error) {
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
+  // The OpenAI SDK reports network failures and its own timeouts as connection errors
+  return /Connection|Timeout/.test(error.constructor.name);
+}
+
+/**
+ * Get the delay before the next retry: exponential backoff with jitter,
+ * or the server's Retry-After header when it sends one
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Error} error - Error that triggered the retry
+ * @param {Object} policy - Retry policy (baseDelayMs, maxDelayMs)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(retry, error, policy) {
+  const retryAfterSeconds = parseFloat(error.headers?.['retry-after']);
+  if (!isNaN(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, policy.maxDelayMs);
+  }
+
+  const delay = Math.min(policy.baseDelayMs * 2 ** (retry - 1), policy.maxDelayMs);
+
+  // Jitter between half and the full delay so clients that failed together do not retry together
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Build the ordered list of provider/model pairs to try
+ * Fallback entries are model names (same provider) or { provider, model } objects.
+ * @param {Object} provider - Provider of the request
+ * @param {string} model - Model of the request
+ * @param {Array} fallbackModels - Fallback entries
+ * @returns {Array} - Candidates as { provider, model }
+ */
+function buildCandidates(provider, model, fallbackModels) {
+  const candidates = [{ provider, model }];
+
+  fallbackModels.forEach(entry => {
+    const fallbackProvider = typeof entry === 'object' && entry.provider ?
+      providers.getProvider(entry.provider) :
+      provider;
+    const fallbackModel = typeof entry === 'object' ?
+      entry.model || fallbackProvider.defaultModel || config.openai.defaultModel :
+      entry;
+
+    const duplicate = candidates.some(candidate =>
+      candidate.provider === fallbackProvider && candidate.model === fallbackModel
+    );
+    if (!duplicate) {
+      candidates.push({ provider: fallbackProvider, model: fallbackModel });
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Build a response carrying a canned reply, used when every model has failed
+ * @param {string} content - Canned reply content
+ * @param {boolean} isStreaming - Whether the request was streaming
+ * @param {string} requestId - Request ID
+ * @returns {Object} - Response in the same shape as a provider response
+ */
+function buildCannedResponse(content, isStreaming, requestId) {
+  if (isStreaming) {
+    return {
+      streaming: true,
+      data: content,
+      chunks: 1,
+      provider: null,
+      model: null,
+      usage: null,
+      finish_reason: 'fallback'
+    };
+  }
+
+  return {
+    id: `fallback-${requestId}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    provider: null,
+    model: null,
+    choices: [
+      {
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'fallback'
+      }
+    ],
+    usage: null
+  };
+}
+
+/**
+ * Check the per-request retry policy overrides of a request's options
+ * Both may only lower the server's limits (AI_MAX_RETRIES, AI_TIMEOUT_MS), which they are clamped to.
+ * @param {Object} [options] - Request options
+ * @returns {string|null} - What is wrong with them, or null if they are valid
+ */
+function validateRetryOptions(options) {
+  const { max_retries: maxRetries, timeout_ms: timeoutMs } = options || {};
+
+  if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+    return 'options.max_retries must be a whole number of 0 or more';
+  }
+
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+    return 'options.timeout_ms must be a whole number of milliseconds greater than 0';
+  }
+
+  return null;
+}
+
+/**
+ * Send a request with retries, a per-attempt timeout and fallback models
+ * Each model is retried with backoff on retryable errors before moving on to the next fallback.
+ * When every model fails, options.fallback_response (if set) is returned as a canned reply.
+ * A stream that has already forwarded tokens is never retried, since the client has seen them.
+ * A stream only times out while it waits for its next chunk, so long replies are not cut off.
+ * Aborting options.signal (e.g. when the client disconnects) cancels the request without retries.
+ * The response gets an "attempts" record of which attempt, provider and model answered.
+ * @param {Object} provider - Provider of the request
+ * @param {Object} requestParams - Request parameters
+ * @param {Object} options - Request options (max_retries, timeout_ms, fallback_models, fallback_response, signal)
+ * @param {Object} requestContext - Request context (request_id, prompt_name, npc_name)
+ * @param {Function} [onToken] - Called with each content chunk as it arrives (streaming only)
+ * @returns {Promise<Object>} - API response
+ */
+async function sendWithRetryPolicy(provider, requestParams, options, requestContext, onToken) {
+  const requestId = requestContext.request_id;
+  const isStreaming = options.stream === true;
+  const validationError = validateRetryOptions(options);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  // Requests can lower the server's limits but never raise them
+  const policy = {
+    maxRetries: Math.min(options.max_retries !== undefined ? options.max_retries : config.ai.maxRetries, config.ai.maxRetries),
+    timeoutMs: Math.min(options.timeout_ms || config.ai.timeoutMs, config.ai.timeoutMs),
+    baseDelayMs: config.ai.retryBaseDelayMs,
+    maxDelayMs: config.ai.retryMaxDelayMs
+  };
+  const candidates = buildCandidates(provider, requestParams.model, options.fallback_models || config.ai.fallbackModels);
+
+  // Signal of the caller, such as an event stream whose client disconnected
+  const signal = options.signal instanceof AbortSignal ? options.signal : null;
+  const cancelledError = () => new Error('Request cancelled because the client disconnected');
+
+  const errors = [];
+  let tokensSent = false;
+  let lastError = null;
+  let attempt = 0;
+
+  const forwardToken = (content) => {
+    tokensSent = true;
+    if (onToken) {
+      onToken(content);
+    }
+  };
+
+  for (let level = 0; level < candidates.length; level++) {
+    const candidate = candidates[level];
+    const params = { ...requestParams, model: candidate.model };
+
+    for (let retry = 0; retry <= policy.maxRetries; retry++) {
+      attempt++;
+
+      if (retry > 0) {
+        const delay = getRetryDelay(retry, lastError, policy);
+        logger.warn(`Retrying ${candidate.provider.name}/${candidate.model} in ${delay}ms (retry ${retry}/${policy.maxRetries})`, requestId);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } else if (level > 0) {
+        logger.warn(`Falling back to ${candidate.provider.name}/${candidate.model}`, requestId);
+      }
+
+      if (signal?.aborted) {
+        throw cancelledError();
+      }
+
+      // Abort the attempt if it runs longer than the timeout (restarted by each streamed chunk)
+      const controller = new AbortController();
+      let timedOut = false;
+      let timer = null;
+      const startTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, policy.timeoutMs);
+      };
+      const onChunk = (content) => {
+        startTimer();
+        forwardToken(content);
+      };
+      const cancel = () => controller.abort();
+
+      startTimer();
+      if (signal) {
+        signal.addEventListener('abort', cancel);
+      }
+
+      try {
+        const requestOptions = { signal: controller.signal };
+        const response = isStreaming ?
+          await handleStreamingRequest(candidate.provider, params, requestContext, onChunk, requestOptions) :
+          await handleNonStreamingRequest(candidate.provider, params, requestContext, requestOptions);
+
+        response.provider = candidate.provider.name;
+        response.attempts = {
+          attempt,
+          provider: candidate.provider.name,
+          model: candidate.model,
+          fallback_level: level,
+          canned: false,
+          errors
+        };
+
+        if (attempt > 1) {
+          logger.info(`Answered by ${candidate.provider.name}/${candidate.model} on attempt ${attempt}`, requestId);
+        }
+
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          logger.warn(`Attempt ${attempt} with ${candidate.provider.name}/${candidate.model} cancelled: the client disconnected`, requestId);
+          throw cancelledError();
+        }
+
+        lastError = timedOut ? new Error(`Request timed out after ${policy.timeoutMs}ms`) : error;
+        if (timedOut) {
+          lastError.retryable = true;
+        }
+        lastError.provider = candidate.provider;
+        lastError.model = candidate.model;
+
+        errors.push({
+          attempt,
+          provider: candidate.provider.name,
+          model: candidate.model,
+          status: lastError.status || null,
+          message: lastError.message
+        });
+        logger.warn(`Attempt ${attempt} with ${candidate.provider.name}/${candidate.model} failed: ${lastError.message}`, requestId);
+
+        if (tokensSent) {
+          throw lastError;
+        }
+
+        if (!isRetryableError(lastError)) {
+          break;
+        }
+      } finally {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', cancel);
+        }
+      }
+    }
+  }
+
+  if (typeof options.fallback_response === 'string') {
+    logger.warn(`All ${attempt} attempts failed, answering with the canned fallback response`, requestId);
+
+    if (isStreaming && onToken) {
+      onToken(options.fallback_response);
+    }
+
+    const response = buildCannedResponse(options.fallback_response, isStreaming, requestId);
+    response.attempts = {
+      attempt,
+      provider: null,
+      model: null,
+      fallback_level: candidates.length,
+      canned: true,
+      errors
+    };
+    return response;
+  }
+
+  throw lastError;
+}
+
+/**
+ * Send request to the AI provider with conversation history
  * @param {string} message - Current user message
  * @param {Array} history - Previous conversation messages
  * @param {Object} options - Configuration options
  * @param {string} requestId - Request ID for logging
+ * @param {Function} [onToken] - Called with each content chunk as it arrives (streaming only)
  * @returns {Promise<Object>} - API response
  */
-async function sendToAIWithHistory(message, history = [], options = {}, requestId) {
+async function sendToAIWithHistory(message, history = [], options = {}, requestId, onToken) {
   // Extract options with defaults
-  const model = options.model || config.openai.defaultModel;
+  const provider = providers.getProvider(options.provider);
+  const model = options.model || provider.defaultModel || config.openai.defaultModel;
   const temperature = options.temperature || 0.7;
   const maxTokens = options.max_tokens || 10000;
   const isStreaming = options.stream === true; // Non-streaming by default
@@ -181,6 +507,7 @@ async function sendToAIWithHistory(message, history = [], options = {}, requestI
 
   // Log request details
   logger.section('REQUEST WITH HISTORY DETAILS', requestId);
+  logger.info(`Provider: ${provider.name}`, requestId);
   logger.info(`Model: ${model}`, requestId);
   logger.info(`Temperature: ${temperature}`, requestId);
   logger.info(`Max Tokens: ${maxTokens}`, requestId);
@@ -211,17 +538,17 @@ async function sendToAIWithHistory(message, history = [], options = {}, requestI
     requestParams.response_format = { type: "json_object" };
   }
 
+  // Describes the request to providers that key replies on it (e.g. mock fixtures)
+  const requestContext = { request_id: requestId, prompt_name: promptName, npc_name: options.npc_name };
+
   try {
-    logger.info(`Sending request with history to OpenAI API`, requestId);
+    logger.info(`Sending request with history to ${provider.displayName}`, requestId);
 
-    if (isStreaming) {
-      return await handleStreamingRequest(requestParams, requestId);
-    } else {
-      return await handleNonStreamingRequest(requestParams, requestId);
-    }
+    return await sendWithRetryPolicy(provider, requestParams, options, requestContext, onToken);
   } catch (error) {
     logger.section('API ERROR', requestId);
-    logger.error(`Model: ${model}`, requestId);
+    logger.error(`Provider: ${(error.provider || provider).name}`, requestId);
+    logger.error(`Model: ${error.model || model}`, requestId);
     logger.error(`Error Type: ${error.constructor.name}`, requestId);
     logger.error(`Error Message: ${error.message}`, requestId, error);
 
@@ -232,11 +559,12 @@ async function sendToAIWithHistory(message, history = [], options = {}, requestI
     }
 
     logger.sectionEnd();
-    throw new Error(`OpenAI API Error: ${error.message}`);
+    throw new Error(`${(error.provider || provider).displayName} API Error: ${error.message}`);
   }
 }
 
 module.exports = {
   sendToAI,
-  sendToAIWithHistory
+  sendToAIWithHistory,
+  validateRetryOptions
 };
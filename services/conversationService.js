@@ -0,0 +1,727 @@
+/**
+ * Conversation Service - Conversations with several NPCs
+ * NPC-to-NPC conversations: NPCs speak in turn, each from its own prompt (personality, relationships,
+ * memories and lore) with the conversation so far as history. Once the conversation ends, the
+ * relationship changes and memories the NPCs reported are applied and the transcript is added to
+ * every participant's history.
+ * Group chats: the player talks to several NPCs in a scene; the NPCs addressed answer in turn and
+ * every participant hears every line.
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const contextManager = require('../utils/contextManager');
+const memoryManager = require('../utils/memoryManager');
+const loreManager = require('../utils/loreManager');
+const knowledgeManager = require('../utils/knowledgeManager');
+const relationshipManager = require('../utils/relationshipManager');
+const gossipManager = require('../utils/gossipManager');
+const factionManager = require('../utils/factionManager');
+const sceneManager = require('../utils/sceneManager');
+const summaryService = require('./summaryService');
+const responseFormatter = require('../utils/responseFormatter');
+const aiService = require('./aiService');
+const config = require('../config');
+
+/**
+ * Describe the other participants as the speaker knows them
+ * @param {Object} speaker - Speaking NPC as { id, name, faction }
+ * @param {Array} others - Other participants as { id, metadata }
+ * @param {Object} [playerRelationship] - Speaker's relationship with a listening player (holds back facts not yet revealed)
+ * @returns {string} - Prompt lines
+ */
+function describeParticipants(speaker, others, playerRelationship) {
+  return others.map(other => {
+    const relationship = contextManager.getNpcRelationship(speaker.id, other.id);
+    const facts = knowledgeManager.getKnownNpcFacts({ ...other.metadata, id: other.id }, speaker, playerRelationship);
+
+    let info = `- ${other.metadata.name}: ${relationship.npc1_to_npc2 !== 'none' ? 'You consider them ' + relationshipManager.describeRelationship(relationship.npc1_to_npc2_details) : 'You have a neutral relationship with them'}`;
+
+    if (relationship.npc2_to_npc1 !== 'none') info += `\n  They consider you ${relationship.npc2_to_npc1}`;
+    if (facts.description) info += `\n  Description: ${facts.description}`;
+    if (facts.personality) info += `\n  Personality: ${facts.personality}`;
+    if (facts.faction) info += `\n  Faction: ${facts.faction}`;
+
+    return info;
+  }).join('\n\n');
+}
+
+/**
+ * Build a participant's system prompt for its next line
+ * @param {Object} participant - Speaking participant as { id, metadata }
+ * @param {Array} others - Other participants
+ * @param {Object} scene - { topic, location }
+ * @param {Array} memories - Relevant memories of the speaker
+ * @param {Array} lore - Relevant lore entries the speaker knows
+ * @returns {string} - System prompt
+ */
+function buildSpeakerPrompt(participant, others, scene, memories, lore) {
+  const npc = participant.metadata;
+  const speaker = { id: participant.id, name: npc.name, faction: npc.faction };
+  const otherNames = others.map(other => other.metadata.name).join(', ');
+  const secrets = (npc.secrets || []).map(secret => (typeof secret === 'string' ? secret : secret.content));
+
+  return `
+You are roleplaying as ${npc.name}, a character in a game world.
+${npc.description || ''}
+${npc.backstory ? `Backstory: ${npc.backstory}` : ''}
+${npc.personality ? `Personality: ${npc.personality}` : ''}
+${npc.currentState ? `Current state: ${npc.currentState}` : ''}
+
+You are having a conversation with ${otherNames}${scene.location ? ` at ${scene.location}` : ''}. No player is taking part.
+${scene.topic ? `The conversation is about: ${scene.topic}` : 'Talk about whatever people like you would talk about.'}
+
+The people you are talking with:
+${describeParticipants(speaker, others)}
+${lore.length > 0 ? `
+World lore you know (this is canon - never contradict it or invent facts that conflict with it):
+${lore.map(entry => `- ${entry.title}: ${entry.content}`).join('\n')}
+` : ''}
+${memories.length > 0 ? `
+Things you remember that may matter now:
+${memories.map(memory => `- ${memory.content}`).join('\n')}
+` : ''}
+${secrets.length > 0 ? `
+Secrets you keep to yourself (others may be listening - never state or hint at them):
+${secrets.map(secret => `- ${secret}`).join('\n')}
+` : ''}
+Lines from the others are given as "Name: what they said". Say your next line in the conversation.
+
+Your responses must be in valid JSON format with the following structure:
+{
+  "reply": "What you say next, in character as ${npc.name}",
+  "end_conversation": false,
+  "metadata": {
+    "mood": "character's current mood",
+    "memory": {
+      "content": "Something from this conversation worth remembering long-term (omit if nothing new)",
+      "importance": 5
+    },
+    "npc_relationships": {
+      "NPC_Name": { "affinity": 0, "trust": -10, "respect": 0, "reason": "Why your feelings towards them changed" }
+    }
+  }
+}
+
+Speak only as ${npc.name}, in one to three sentences of plain text without any markdown or asterisks, and react to what was just said.
+Set "end_conversation" to true only when ${npc.name} would naturally end the conversation or walk away.
+Only include "npc_relationships" entries when this conversation changes how you see someone (e.g. an insult costs a friend some affinity). Scores run from 0 to 100 and each change is from -${config.relationships.maxDelta} to ${config.relationships.maxDelta}.
+Ensure your response is valid JSON that can be parsed by JSON.parse().
+`;
+}
+
+/**
+ * Format the conversation so far as chat history for a speaker
+ * @param {Array} transcript - Lines so far as { speaker_id, speaker, content }
+ * @param {string} speakerId - Speaking NPC
+ * @returns {Array} - Messages for the AI service
+ */
+function formatTranscriptForSpeaker(transcript, speakerId) {
+  return transcript.map(line => (line.speaker_id === speakerId ?
+    { role: 'assistant', content: line.content } :
+    { role: 'user', content: `${line.speaker}: ${line.content}` }));
+}
+
+/**
+ * Stage a conversation between NPCs
+ * Participants speak in the order given. Nothing is stored until the conversation ends; if a
+ * line fails after others were spoken, the conversation ends there and what was said is kept.
+ * @param {string[]} participantIds - IDs of the participating NPCs (at least two)
+ * @param {Object} [settings] - Conversation settings
+ * @param {number} [settings.turns] - Number of lines to speak (default NPC_CONVERSATION_TURNS)
+ * @param {string} [settings.topic] - What the conversation is about
+ * @param {string} [settings.location] - Where it takes place (defaults to the first participant's location)
+ * @param {Object} [settings.options] - AI options (provider, model, temperature, max_tokens, timeout_ms, max_retries)
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {Promise<Object>} - Conversation with transcript, relationship_updates and memories_added
+ */
+async function runNpcConversation(participantIds, settings = {}, requestId = Date.now().toString()) {
+  const options = settings.options || {};
+  const turns = settings.turns === undefined ? config.conversations.defaultTurns : Number(settings.turns);
+
+  if (!Array.isArray(participantIds) || new Set(participantIds).size < 2) {
+    throw new Error('A conversation needs at least two different NPCs');
+  }
+
+  if (!Number.isInteger(turns) || turns < 1 || turns > config.conversations.maxTurns) {
+    throw new Error(`Turns must be a whole number from 1 to ${config.conversations.maxTurns}`);
+  }
+
+  const participants = participantIds.map(id => ({ id, metadata: contextManager.getNpcMetadata(id) }));
+  const missing = participants.find(participant => !participant.metadata);
+  if (missing) {
+    throw new Error(`NPC with identifier ${missing.id} not found`);
+  }
+
+  const conversationId = crypto.randomUUID();
+  const scene = {
+    topic: typeof settings.topic === 'string' ? settings.topic.trim() : '',
+    location: settings.location || participants[0].metadata.location || ''
+  };
+  const names = participants.map(participant => participant.metadata.name);
+  const transcript = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let endedBy = 'turns';
+  let error = null;
+
+  logger.info(`Conversation ${conversationId} between ${names.join(', ')} (${turns} turns)`, requestId);
+
+  for (let turn = 0; turn < turns; turn++) {
+    const participant = participants[turn % participants.length];
+    const others = participants.filter(other => other.id !== participant.id);
+    const npc = participant.metadata;
+    const lastLine = transcript[transcript.length - 1];
+    const message = lastLine ?
+      `${lastLine.speaker}: ${lastLine.content}` :
+      `[The conversation begins${scene.topic ? `. Topic: ${scene.topic}` : ''}. Say the first line.]`;
+
+    try {
+      const recallText = [scene.topic, lastLine?.content].filter(Boolean).join('\n');
+      const memories = await memoryManager.getRelevantMemories(participant.id, { message: recallText });
+      const lore = await loreManager.getRelevantLore({
+        location: scene.location,
+        faction: npc.faction,
+        npc: { id: participant.id, name: npc.name, faction: npc.faction },
+        message: recallText
+      });
+
+      const turnRequestId = `${requestId}-${turn + 1}`;
+      const startTime = Date.now();
+      const aiResponse = await aiService.sendToAIWithHistory(
+        message,
+        formatTranscriptForSpeaker(transcript.slice(0, -1), participant.id),
+        {
+          provider: options.provider || npc.ai?.provider,
+          model: options.model || npc.ai?.model,
+          temperature: options.temperature || 0.8,
+          max_tokens: options.max_tokens || 500,
+          response_format: 'json',
+          prompt_name: 'npcConversation',
+          npc_name: npc.name,
+          timeout_ms: options.timeout_ms,
+          max_retries: options.max_retries,
+          fallback_models: options.fallback_models || npc.ai?.fallback_models,
+          system_message: buildSpeakerPrompt(participant, others, scene, memories, lore)
+        },
+        turnRequestId
+      );
+      const formatted = responseFormatter.formatSuccessResponse(turnRequestId, aiResponse, false, Date.now() - startTime);
+
+      if (!formatted.data || typeof formatted.data.reply !== 'string' || !formatted.data.reply.trim()) {
+        throw new Error(`${npc.name} did not return a line`);
+      }
+
+      Object.keys(usage).forEach(key => {
+        usage[key] += formatted.usage?.[key] || 0;
+      });
+
+      transcript.push({
+        turn: turn + 1,
+        speaker_id: participant.id,
+        speaker: npc.name,
+        content: formatted.data.reply.trim(),
+        metadata: formatted.data.metadata || {},
+        timestamp: new Date().toISOString()
+      });
+
+      if (formatted.data.end_conversation === true) {
+        endedBy = 'npc';
+        break;
+      }
+    } catch (turnError) {
+      if (transcript.length === 0) {
+        throw turnError;
+      }
+
+      logger.error(`Conversation ${conversationId} ended early: ${turnError.message}`, requestId, turnError);
+      endedBy = 'error';
+      error = turnError.message;
+      break;
+    }
+  }
+
+  // Every participant keeps the whole transcript; its own lines are "npc", the others' "other_npc"
+  participants.forEach(participant => {
+    transcript.forEach(line => {
+      contextManager.addMessage(
+        participant.id,
+        line.speaker_id === participant.id ? 'npc' : 'other_npc',
+        line.content,
+        undefined,
+        { conversation_id: conversationId, speaker_id: line.speaker_id, speaker: line.speaker }
+      );
+    });
+  });
+
+  // Apply what the NPCs took away from the conversation, in the order the lines were spoken
+  const relationshipChanges = [];
+  const memoriesAdded = [];
+
+  transcript.forEach(line => {
+    const {
+      memory: memoryField,
+      npc_relationships: npcRelationships,
+      ...metadataUpdates
+    } = line.metadata;
+
+    contextManager.updateNpcMetadata(line.speaker_id, metadataUpdates);
+
+    const memoryData = typeof memoryField === 'string' ? { content: memoryField } : memoryField;
+    if (memoryData && typeof memoryData.content === 'string' && memoryData.content.trim()) {
+      const memory = memoryManager.addMemory(line.speaker_id, {
+        content: memoryData.content,
+        importance: memoryData.importance,
+        player_id: null,
+        source: {
+          type: 'npc_conversation',
+          conversation_id: conversationId,
+          with: names.filter(name => name !== line.speaker),
+          timestamp: line.timestamp
+        }
+      });
+      memoriesAdded.push({ npc_id: line.speaker_id, npc: line.speaker, memory });
+    }
+
+    if (npcRelationships && typeof npcRelationships === 'object') {
+      Object.entries(npcRelationships).forEach(([name, change]) => {
+        if (change && name.toLowerCase() !== line.speaker.toLowerCase()) {
+          relationshipChanges.push({ from_id: line.speaker_id, from: line.speaker, to: name, change, turn: line.turn });
+        }
+      });
+    }
+  });
+
+  const relationshipUpdates = relationshipChanges
+    .map(({ from_id: fromId, from, to, change, turn }) => {
+      const update = contextManager.updateNpcRelationship(fromId, to, change, requestId, {
+        source: { type: 'npc_conversation', conversation_id: conversationId, turn }
+      });
+      return update && Object.keys(update.changes).length > 0 ? { from, to, ...summarizeRelationshipUpdate(update) } : null;
+    })
+    .filter(Boolean);
+
+  logger.info(`Conversation ${conversationId}: ${transcript.length} lines, ${relationshipUpdates.length} relationship updates, ${memoriesAdded.length} memories`, requestId);
+
+  return {
+    conversation_id: conversationId,
+    participants: participants.map(participant => ({ id: participant.id, name: participant.metadata.name })),
+    topic: scene.topic || null,
+    location: scene.location || null,
+    transcript: transcript.map(({ metadata, ...line }) => ({ ...line, mood: metadata.mood || null })),
+    ended_by: endedBy,
+    error,
+    relationship_updates: relationshipUpdates,
+    memories_added: memoriesAdded,
+    usage
+  };
+}
+
+/**
+ * Summarize an NPC relationship update for a response
+ * @param {Object} update - Result of contextManager.updateNpcRelationship
+ * @returns {Object} - { status, affinity, trust, respect, changes }
+ */
+function summarizeRelationshipUpdate(update) {
+  const { status, affinity, trust, respect } = update.relationship;
+  return { status, affinity, trust, respect, changes: update.changes };
+}
+
+/**
+ * Apply the metadata of an NPC's reply to a player
+ * The player relationship belongs to the speaking player, memories go to the memory store,
+ * gossip starts a rumor, and the remaining fields (mood, location...) update the NPC's metadata.
+ * Changes to how a faction member feels about the player ripple into the player's faction reputation.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} metadata - "metadata" field of the reply
+ * @param {Object} context - Exchange the reply belongs to
+ * @param {string} [context.playerId] - Speaking player
+ * @param {string} context.playerLabel - How the NPC refers to the player
+ * @param {string} context.message - Player message the NPC answered
+ * @param {string} [context.sceneId] - Group chat scene the reply was given in
+ * @param {string} context.requestId - Request ID for logging
+ * @returns {Object} - { relationship_updates, faction_reputation, memory_added, rumor_started }
+ */
+function applyChatReplyMetadata(npcId, metadata, context) {
+  const {
+    player_relationship: playerRelationshipUpdate,
+    memory: memoryField,
+    gossip: gossipField,
+    ...metadataUpdates
+  } = metadata;
+  const { name: npcName, faction } = contextManager.getNpcMetadata(npcId);
+  const result = {
+    relationship_updates: { player_relationship: null, npc_relationships: {} },
+    faction_reputation: [],
+    memory_added: null,
+    rumor_started: null
+  };
+
+  // Relationship changes are recorded with the request and player message that caused them
+  const cause = {
+    type: context.sceneId ? 'group_chat' : 'chat',
+    player_id: context.playerId || null,
+    ...(context.sceneId ? { scene_id: context.sceneId } : {}),
+    request_id: context.requestId
+  };
+
+  contextManager.updateNpcMetadata(npcId, metadataUpdates, { deferWrite: true });
+
+  if (memoryField) {
+    result.memory_added = memoryManager.recordConversationMemory(npcId, memoryField, {
+      player_id: context.playerId,
+      player_message: context.message,
+      request_id: context.requestId
+    });
+  }
+
+  if (gossipField && typeof gossipField === 'object' && gossipField.content) {
+    try {
+      result.rumor_started = gossipManager.startRumor(npcId, {
+        content: gossipField.content,
+        about: gossipField.about,
+        importance: gossipField.importance,
+        source: context.playerLabel,
+        origin: { type: 'conversation', player_id: context.playerId || null, request_id: context.requestId }
+      });
+    } catch (error) {
+      logger.warn(`Ignoring invalid gossip from the reply: ${error.message}`, context.requestId);
+    }
+  }
+
+  if (playerRelationshipUpdate && typeof playerRelationshipUpdate === 'object') {
+    const before = contextManager.getPlayerRelationship(npcId, context.playerId);
+    const after = contextManager.updatePlayerRelationship(npcId, context.playerId, playerRelationshipUpdate, {
+      cause,
+      player_message: context.message
+    });
+    result.relationship_updates.player_relationship = after;
+
+    if (after && faction) {
+      const change = ((after.affinity - before.affinity) + (after.trust - before.trust)) / 2;
+      result.faction_reputation = factionManager.rippleReputation(faction, context.playerId, change, {
+        reason: `${npcName}'s opinion of ${context.playerLabel} changed`,
+        cause: { ...cause, npc_id: npcId }
+      });
+    }
+  }
+
+  if (metadata.npc_relationships && typeof metadata.npc_relationships === 'object') {
+    logger.info(`NPC relationship updates detected in response`, context.requestId);
+
+    Object.entries(metadata.npc_relationships).forEach(([npcNameToUpdate, change]) => {
+      logger.info(`Updating relationship with ${npcNameToUpdate}: ${JSON.stringify(change)}`, context.requestId);
+
+      const update = contextManager.updateNpcRelationship(npcId, npcNameToUpdate, change, context.requestId, {
+        source: cause,
+        player_message: context.message
+      });
+      if (update) {
+        result.relationship_updates.npc_relationships[npcNameToUpdate] = summarizeRelationshipUpdate(update);
+        logger.info(`Successfully updated ${npcName}'s relationship with ${npcNameToUpdate}`, context.requestId);
+      } else {
+        logger.warn(`Failed to update ${npcName}'s relationship with ${npcNameToUpdate}`, context.requestId);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decide which NPCs in a scene answer the player
+ * "auto" picks the NPCs named in the message (in the order they are named, up to SCENE_MAX_RESPONDERS),
+ * or else the NPC who last spoke in the scene, or else the first participant.
+ * @param {Object} scene - Scene
+ * @param {Array} participants - Participants as { id, metadata }
+ * @param {string} message - Player message
+ * @param {string|Array} [responders='auto'] - "auto", "all", or the IDs of the NPCs who answer, in order
+ * @returns {Array} - Participants who answer, in order
+ */
+function selectResponders(scene, participants, message, responders = 'auto') {
+  if (responders === 'all') {
+    return participants;
+  }
+
+  if (Array.isArray(responders)) {
+    return responders.map(id => participants.find(participant => participant.id === id)).filter(Boolean);
+  }
+
+  const text = message.toLowerCase();
+  const named = participants
+    .map(participant => ({ participant, index: text.search(new RegExp(`\\b${escapeRegExp(participant.metadata.name.toLowerCase())}\\b`)) }))
+    .filter(match => match.index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(match => match.participant);
+
+  if (named.length > 0) {
+    return named.slice(0, config.scenes.maxResponders);
+  }
+
+  const lastNpcLine = [...scene.transcript].reverse().find(line => line.role === 'npc');
+  const lastSpeaker = lastNpcLine && participants.find(participant => participant.id === lastNpcLine.speaker_id);
+
+  return [lastSpeaker || participants[0]];
+}
+
+/**
+ * Build a participant's system prompt for its answer in a group chat
+ * @param {Object} participant - Answering participant as { id, metadata }
+ * @param {Array} others - Other NPCs in the scene
+ * @param {Object} context - { scene, playerLabel, playerRelationship, memories, lore, conversationSummary }
+ * @returns {string} - System prompt
+ */
+function buildGroupChatPrompt(participant, others, context) {
+  const npc = participant.metadata;
+  const speaker = { id: participant.id, name: npc.name, faction: npc.faction };
+  const { playerLabel, playerRelationship, memories, lore, conversationSummary } = context;
+
+  const secrets = knowledgeManager.getNpcSecrets(npc, playerRelationship);
+  const ownFacts = { ...npc };
+  secrets.withheldFields.forEach(field => delete ownFacts[field]);
+  const sharedLore = lore.filter(entry => !entry.withheld);
+  const withheldKnowledge = [
+    ...secrets.withheld,
+    ...lore.filter(entry => entry.withheld).map(entry => `${entry.title}: ${entry.content}`)
+  ];
+
+  return `
+You are roleplaying as ${npc.name}, a character in a game world.
+${ownFacts.description || ''}
+${ownFacts.backstory ? `Backstory: ${ownFacts.backstory}` : ''}
+${ownFacts.personality ? `Personality: ${ownFacts.personality}` : ''}
+${ownFacts.location ? `Current location: ${ownFacts.location}` : ''}
+${ownFacts.currentState ? `Current state: ${ownFacts.currentState}` : ''}
+${sharedLore.length > 0 ? `
+World lore you know (this is canon - never contradict it or invent facts that conflict with it):
+${sharedLore.map(entry => `- ${entry.title}: ${entry.content}`).join('\n')}
+` : ''}
+${secrets.shareable.length > 0 ? `
+Secrets you now trust ${playerLabel} enough to share if it comes up (remember the others can hear you):
+${secrets.shareable.map(secret => `- ${secret}`).join('\n')}
+` : ''}
+${withheldKnowledge.length > 0 ? `
+Things you know but will not reveal to ${playerLabel} yet (never state, hint at or confirm them; deflect or change the subject if asked):
+${withheldKnowledge.map(item => `- ${item}`).join('\n')}
+` : ''}
+You are in a group conversation${context.scene.location ? ` at ${context.scene.location}` : ''} with ${playerLabel} and ${others.map(other => other.metadata.name).join(', ')}.
+Everyone present hears everything that is said. Lines from the others are given as "Name: what they said".
+
+The other people present:
+${describeParticipants(speaker, others, playerRelationship)}
+
+Your relationship with ${playerLabel}:
+- Status: ${playerRelationship.status}
+- Affinity: ${playerRelationship.affinity}/100
+- Trust: ${playerRelationship.trust}/100
+- Respect: ${playerRelationship.respect}/100
+${playerRelationship.history && playerRelationship.history.length > 0 ? `- Significant past interactions: ${playerRelationship.history.join('; ')}
+` : ''}
+${conversationSummary ? `
+What you remember from earlier conversations with ${playerLabel}:
+${conversationSummary.summary}
+` : ''}
+${memories.length > 0 ? `
+Things you remember that may matter now:
+${memories.map(memory => `- ${memory.content}`).join('\n')}
+` : ''}
+Your responses must be in valid JSON format with the following structure:
+{
+  "reply": "Your in-character response here as ${npc.name}",
+  "playerResponseChoices": {
+    "1": "Player response option 1 (positive/good)",
+    "2": "Player response option 2 (negative/bad)",
+    "3": "Player response option 3 (chaotic/unpredictable)"
+  },
+  "metadata": {
+    "mood": "character's current mood",
+    "memory": {
+      "content": "Something from this exchange worth remembering long-term (omit if nothing new)",
+      "importance": 5
+    },
+    "gossip": {
+      "content": "News or a claim about other people or events that you would pass on to others (omit if none)",
+      "about": ["Names of the NPCs it is about"],
+      "importance": 5
+    },
+    "player_relationship": {
+      "status": "updated relationship status (friendly, neutral, hostile, etc.)",
+      "affinity": 50,
+      "trust": 50,
+      "respect": 50,
+      "history": ["Optional new significant interaction to remember"]
+    },
+    "npc_relationships": {
+      "NPC_Name": { "affinity": 0, "trust": -10, "respect": 0, "reason": "Why your feelings towards them changed" }
+    }
+  }
+}
+
+Speak only as ${npc.name}, in plain text without any markdown or asterisks. You may answer ${playerLabel}, react to what the others said, or address them directly.
+The "player_relationship" field should reflect how this conversation affects your relationship with ${playerLabel}.
+The "npc_relationships" field changes your affinity, trust and respect (0-100) for the others present (or anyone mentioned) when the conversation changes how you see them; each change is from -${config.relationships.maxDelta} to ${config.relationships.maxDelta}.
+Ensure your response is valid JSON that can be parsed by JSON.parse().
+`;
+}
+
+/**
+ * Answer a player message in a group chat
+ * The player's line and every answer go into the scene transcript and into the history of every
+ * NPC in the scene; each answering NPC hears the answers given before its own.
+ * @param {Object} scene - Scene (see sceneManager)
+ * @param {Object} chat - Player message
+ * @param {string} chat.message - What the player says
+ * @param {string} [chat.playerId] - Speaking player
+ * @param {string} [chat.playerName] - How the NPCs refer to the player
+ * @param {string|Array} [chat.responders='auto'] - "auto", "all", or the IDs of the NPCs who answer
+ * @param {Object} [chat.options] - AI options (provider, model, temperature, max_tokens, history_limit...)
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {Promise<Object>} - { responses, player_response_choices, usage }
+ */
+async function runGroupChat(scene, chat, requestId = Date.now().toString()) {
+  const options = chat.options || {};
+  const historyLimit = options.history_limit || 20;
+  const playerId = chat.playerId;
+  const playerLabel = chat.playerName || (playerId ? `the player ${playerId}` : 'the player');
+  const participants = scene.participants
+    .map(id => ({ id, metadata: contextManager.getNpcMetadata(id) }))
+    .filter(participant => participant.metadata);
+  const responders = selectResponders(scene, participants, chat.message, chat.responders);
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const responses = [];
+  let playerResponseChoices = null;
+
+  logger.info(`Scene ${scene.id}: ${responders.map(participant => participant.metadata.name).join(', ')} will answer`, requestId);
+
+  /**
+   * Add a line to the scene and to the history of everyone present
+   * @param {Object} line - { role, speaker_id, speaker, content }
+   */
+  const addLine = line => {
+    sceneManager.addSceneLine(scene.id, { ...line, player_id: playerId || null });
+
+    participants.forEach(participant => {
+      if (line.role === 'player') {
+        contextManager.addMessage(participant.id, 'player', line.content, playerId, { scene_id: scene.id });
+      } else if (participant.id === line.speaker_id) {
+        contextManager.addMessage(participant.id, 'npc', line.content, playerId, { scene_id: scene.id });
+      } else {
+        contextManager.addMessage(participant.id, 'other_npc', line.content, playerId, {
+          scene_id: scene.id,
+          speaker_id: line.speaker_id,
+          speaker: line.speaker
+        });
+      }
+    });
+  };
+
+  addLine({ role: 'player', speaker_id: null, speaker: playerLabel, content: chat.message });
+
+  for (const participant of responders) {
+    const npc = participant.metadata;
+    const others = participants.filter(other => other.id !== participant.id);
+    const transcript = sceneManager.getScene(scene.id).transcript.slice(-(historyLimit + 1));
+    const lastLine = transcript[transcript.length - 1];
+    const playerRelationship = contextManager.getPlayerRelationship(participant.id, playerId);
+
+    try {
+      const memories = await memoryManager.getRelevantMemories(participant.id, { message: chat.message, playerId });
+      const lore = await loreManager.getRelevantLore({
+        location: scene.location || npc.location,
+        faction: npc.faction,
+        npc: { id: participant.id, name: npc.name, faction: npc.faction },
+        playerRelationship,
+        message: chat.message
+      });
+
+      const turnRequestId = `${requestId}-${participant.id}`;
+      const startTime = Date.now();
+      const aiResponse = await aiService.sendToAIWithHistory(
+        `${lastLine.speaker}: ${lastLine.content}`,
+        formatTranscriptForSpeaker(transcript.slice(0, -1), participant.id),
+        {
+          provider: options.provider || npc.ai?.provider,
+          model: options.model || npc.ai?.model,
+          temperature: options.temperature || 0.7,
+          max_tokens: options.max_tokens || 1000,
+          response_format: 'json',
+          prompt_name: 'groupChat',
+          npc_name: npc.name,
+          timeout_ms: options.timeout_ms,
+          max_retries: options.max_retries,
+          fallback_models: options.fallback_models || npc.ai?.fallback_models,
+          system_message: buildGroupChatPrompt(participant, others, {
+            scene,
+            playerLabel,
+            playerRelationship,
+            memories,
+            lore,
+            conversationSummary: contextManager.getConversationSummary(participant.id, playerId)
+          })
+        },
+        turnRequestId
+      );
+      const formatted = responseFormatter.formatSuccessResponse(turnRequestId, aiResponse, false, Date.now() - startTime);
+
+      if (!formatted.data || typeof formatted.data.reply !== 'string' || !formatted.data.reply.trim()) {
+        throw new Error(`${npc.name} did not return a reply`);
+      }
+
+      Object.keys(usage).forEach(key => {
+        usage[key] += formatted.usage?.[key] || 0;
+      });
+
+      const reply = formatted.data.reply.trim();
+      const applied = applyChatReplyMetadata(participant.id, formatted.data.metadata || {}, {
+        playerId,
+        playerLabel,
+        message: chat.message,
+        sceneId: scene.id,
+        requestId
+      });
+
+      addLine({ role: 'npc', speaker_id: participant.id, speaker: npc.name, content: reply });
+
+      if (formatted.data.playerResponseChoices) {
+        playerResponseChoices = formatted.data.playerResponseChoices;
+      }
+
+      responses.push({
+        npc_id: participant.id,
+        npc: npc.name,
+        reply,
+        mood: formatted.data.metadata?.mood || null,
+        player_relationship: contextManager.getPlayerRelationship(participant.id, playerId),
+        ...applied
+      });
+    } catch (error) {
+      if (responses.length === 0) {
+        throw error;
+      }
+
+      logger.error(`${npc.name} could not answer in scene ${scene.id}: ${error.message}`, requestId, error);
+      break;
+    }
+  }
+
+  participants.forEach(participant => summaryService.scheduleSummarization(participant.id, playerId, requestId));
+
+  return {
+    responses,
+    player_response_choices: playerResponseChoices,
+    usage
+  };
+}
+
+module.exports = {
+  runNpcConversation,
+  applyChatReplyMetadata,
+  runGroupChat
+};
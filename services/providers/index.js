@@ -0,0 +1,84 @@
+/**
+ * AI provider registry
+ * Every provider exposes the same interface:
+ *   createChatCompletion(params, requestOptions, context) -> Promise<chat completion>
+ *   streamChatCompletion(params, requestOptions, context) -> Promise<AsyncIterable<chunk>>
+ * Params, completions and chunks use the OpenAI chat completions shape.
+ * context describes the request (request_id, prompt_name, npc_name) for providers that need it.
+ * Providers may also implement createEmbeddings(params) -> Promise<embeddings response>.
+ */
+const config = require("../../config");
+const logger = require("../../utils/logger");
+const { createOpenAIProvider } = require("./openaiProvider");
+const { createMockProvider } = require("./mockProvider");
+
+// Registered provider factories and the providers created from them
+const factories = new Map();
+const instances = new Map();
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider name used in the "provider" option
+ * @param {Function} factory - Function returning the provider
+ */
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Get a provider by name (defaults to the configured provider)
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider
+ */
+function getProvider(name) {
+  const providerName = name || config.ai.provider;
+
+  if (!factories.has(providerName)) {
+    throw new Error(`Unknown AI provider: ${providerName}. Available providers: ${listProviders().join(", ")}`);
+  }
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, factories.get(providerName)());
+    logger.debug(`Created AI provider: ${providerName}`);
+  }
+
+  return instances.get(providerName);
+}
+
+/**
+ * List registered provider names
+ * @returns {string[]} - Provider names
+ */
+function listProviders() {
+  return Array.from(factories.keys());
+}
+
+registerProvider("openai", () => createOpenAIProvider({
+  name: "openai",
+  displayName: "OpenAI",
+  apiKey: config.openai.apiKey,
+  defaultModel: config.openai.defaultModel,
+}));
+
+registerProvider("openai-compatible", () => createOpenAIProvider({
+  name: "openai-compatible",
+  displayName: "OpenAI-compatible",
+  apiKey: config.providers.openaiCompatible.apiKey,
+  baseURL: config.providers.openaiCompatible.baseUrl,
+  defaultModel: config.providers.openaiCompatible.defaultModel,
+  streamUsage: config.providers.openaiCompatible.streamUsage,
+}));
+
+registerProvider("mock", () => createMockProvider({
+  name: "mock",
+  defaultModel: config.providers.mock.defaultModel,
+  fixturesDirectory: config.providers.mock.fixturesDirectory,
+  streamDelayMs: config.providers.mock.streamDelayMs,
+}));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,354 @@
+/**
+ * Mock provider - deterministic offline replies in the OpenAI response shape
+ * Replies come from fixtures keyed by prompt name, NPC and message pattern, with
+ * built-in replies for NPC chat, admin commands and plain requests when no fixture matches.
+ * The same request always produces the same reply, so it needs no network or API key.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+
+/**
+ * Estimate the token count of a text (roughly four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Read every fixture file (*.json) in a directory
+ * A file holds either an array of fixtures or an object with a "fixtures" array.
+ * @param {string} directory - Fixture directory
+ * @returns {Array} - Fixtures in file name order
+ */
+function readFixtureDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith(".json"))
+    .sort()
+    .flatMap(file => {
+      try {
+        const content = JSON.parse(fs.readFileSync(path.join(directory, file), "utf8"));
+        const fixtures = Array.isArray(content) ? content : content.fixtures || [];
+        return fixtures.map(fixture => ({ ...fixture, source: file }));
+      } catch (error) {
+        logger.error(`Failed to load mock fixtures from ${file}, skipping it`, null, error);
+        return [];
+      }
+    });
+}
+
+/**
+ * Replace {{message}}, {{npc}}, {{prompt}} and {{1}}, {{2}}... (pattern capture groups)
+ * in every string of a fixture response
+ * @param {*} value - Fixture response (string, object or array)
+ * @param {Object} variables - Template values
+ * @returns {*} - Response with placeholders filled in
+ */
+function fillTemplate(value, variables) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+      variables[name] !== undefined ? String(variables[name]) : placeholder
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => fillTemplate(item, variables));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [fillTemplate(key, variables), fillTemplate(item, variables)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Build the built-in reply used when no fixture matches
+ * @param {Object} request - Request details (message, npcName, promptName, wantsJson)
+ * @returns {string} - Reply content
+ */
+function buildDefaultReply({ message, npcName, promptName, wantsJson }) {
+  // Keep the start of the summary request, so the oldest memories survive every re-summarization
+  if (promptName === "conversationSummary") {
+    return message.slice(0, 2000);
+  }
+
+  if (!wantsJson) {
+    return `Mock response to: ${message}`;
+  }
+
+  if (npcName) {
+    return JSON.stringify({
+      reply: `${npcName} considers your words: "${message}"`,
+      playerResponseChoices: {
+        "1": "Thank you for your time.",
+        "2": "You are wasting my time.",
+        "3": "Have you ever seen a dragon dance?"
+      },
+      metadata: {
+        mood: "neutral"
+      }
+    });
+  }
+
+  if (promptName === "gameAdmin") {
+    return JSON.stringify({
+      message: "Command acknowledged.",
+      status: "success",
+      variables: {},
+      actions: []
+    });
+  }
+
+  return JSON.stringify({ message: `Mock response to: ${message}` });
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} [settings] - Provider settings
+ * @param {string} [settings.name] - Provider name
+ * @param {string} [settings.defaultModel] - Model name reported in responses
+ * @param {string} [settings.fixturesDirectory] - Directory of fixture files (*.json)
+ * @param {number} [settings.streamDelayMs=0] - Delay between streamed chunks
+ * @returns {Object} - Provider
+ */
+function createMockProvider(settings = {}) {
+  const defaultModel = settings.defaultModel || "mock-model";
+  const streamDelayMs = settings.streamDelayMs || 0;
+
+  // Fixtures are loaded on first use; scripted fixtures remember how far they have got
+  let fixtures = null;
+  const scriptPositions = new Map();
+
+  const getFixtures = () => {
+    if (!fixtures) {
+      fixtures = readFixtureDirectory(settings.fixturesDirectory);
+      logger.info(`Loaded ${fixtures.length} mock fixtures${settings.fixturesDirectory ? ` from ${settings.fixturesDirectory}` : ""}`);
+    }
+    return fixtures;
+  };
+
+  /**
+   * Find the first fixture matching a request
+   * Every key a fixture sets (prompt_name, npc, match) must match; keys it omits match anything.
+   * @param {Object} request - Request details
+   * @returns {Object|null} - { fixture, captures } or null
+   */
+  const findFixture = (request) => {
+    for (const fixture of getFixtures()) {
+      if (fixture.prompt_name && fixture.prompt_name !== request.promptName) {
+        continue;
+      }
+
+      if (fixture.npc && fixture.npc.toLowerCase() !== (request.npcName || "").toLowerCase()) {
+        continue;
+      }
+
+      let captures = [];
+      if (fixture.match) {
+        const found = request.message.match(new RegExp(fixture.match, "i"));
+        if (!found) {
+          continue;
+        }
+        captures = found.slice(1);
+      }
+
+      return { fixture, captures };
+    }
+
+    return null;
+  };
+
+  /**
+   * Get the next response of a fixture
+   * Fixtures with a "responses" array play them in order and then repeat the last one.
+   * @param {Object} fixture - Fixture
+   * @returns {*} - Fixture response
+   */
+  const nextFixtureResponse = (fixture) => {
+    if (!Array.isArray(fixture.responses)) {
+      return fixture.response;
+    }
+
+    const position = scriptPositions.get(fixture) || 0;
+    scriptPositions.set(fixture, position + 1);
+    return fixture.responses[Math.min(position, fixture.responses.length - 1)];
+  };
+
+  const buildCompletion = (params, context = {}) => {
+    const messages = params.messages || [];
+    const message = [...messages].reverse().find(msg => msg.role === "user")?.content || "";
+    const systemMessage = messages.find(msg => msg.role === "system")?.content || "";
+
+    const request = {
+      message,
+      promptName: context.prompt_name,
+      // NPC chat prompts start with "You are roleplaying as <name>, ..."
+      npcName: context.npc_name || systemMessage.match(/You are roleplaying as ([^,\n]+),/)?.[1],
+      wantsJson: params.response_format?.type === "json_object"
+    };
+
+    const matched = findFixture(request);
+    let content;
+    let finishReason = "stop";
+    let usage = null;
+
+    if (matched) {
+      const { fixture, captures } = matched;
+      const variables = { message, npc: request.npcName || "", prompt: request.promptName || "" };
+      captures.forEach((capture, index) => {
+        variables[index + 1] = capture;
+      });
+
+      const response = fillTemplate(nextFixtureResponse(fixture), variables);
+      content = typeof response === "string" ? response : JSON.stringify(response);
+      finishReason = fixture.finish_reason || finishReason;
+      usage = fixture.usage || null;
+
+      logger.debug(`Mock fixture matched (${fixture.source || "registered"}${fixture.match ? `, /${fixture.match}/` : ""})`, context.request_id);
+    } else {
+      content = buildDefaultReply(request);
+    }
+
+    const promptText = messages.map(msg => msg.content).join("\n");
+    const hash = crypto.createHash("sha1").update(promptText).digest("hex").slice(0, 12);
+
+    if (!usage) {
+      const promptTokens = estimateTokens(promptText);
+      const completionTokens = estimateTokens(content);
+      usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      };
+    }
+
+    return {
+      id: `chatcmpl-mock-${hash}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: params.model || defaultModel,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content },
+          finish_reason: finishReason
+        }
+      ],
+      usage
+    };
+  };
+
+  return {
+    name: settings.name || "mock",
+    displayName: "Mock",
+    defaultModel,
+
+    /**
+     * Create a chat completion
+     * @param {Object} params - OpenAI chat completion parameters
+     * @param {Object} [requestOptions] - Ignored by the mock provider
+     * @param {Object} [context] - Request context (prompt_name, npc_name, request_id)
+     * @returns {Promise<Object>} - Chat completion
+     */
+    async createChatCompletion(params, requestOptions = {}, context = {}) {
+      return buildCompletion(params, context);
+    },
+
+    /**
+     * Create a streaming chat completion
+     * @param {Object} params - OpenAI chat completion parameters
+     * @param {Object} [requestOptions] - Ignored by the mock provider
+     * @param {Object} [context] - Request context (prompt_name, npc_name, request_id)
+     * @returns {Promise<AsyncIterable>} - Stream of chat completion chunks
+     */
+    async streamChatCompletion(params, requestOptions = {}, context = {}) {
+      const completion = buildCompletion(params, context);
+      const content = completion.choices[0].message.content;
+
+      // Emit the reply a few words at a time, like a real stream
+      const pieces = content.match(/\S+\s*|\s+/g) || [];
+
+      async function* generateChunks() {
+        for (const piece of pieces) {
+          if (streamDelayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+          }
+
+          yield {
+            id: completion.id,
+            object: "chat.completion.chunk",
+            model: completion.model,
+            choices: [{ index: 0, delta: { content: piece }, finish_reason: null }]
+          };
+        }
+
+        yield {
+          id: completion.id,
+          object: "chat.completion.chunk",
+          model: completion.model,
+          choices: [{ index: 0, delta: {}, finish_reason: completion.choices[0].finish_reason }]
+        };
+
+        // Final usage-only chunk, as sent by OpenAI with stream_options.include_usage
+        yield {
+          id: completion.id,
+          object: "chat.completion.chunk",
+          model: completion.model,
+          choices: [],
+          usage: completion.usage
+        };
+      }
+
+      return generateChunks();
+    },
+
+    /**
+     * Register a fixture ahead of the fixture files
+     * @param {Object} fixture - Fixture (prompt_name, npc, match, response or responses)
+     */
+    addFixture(fixture) {
+      getFixtures().unshift({ ...fixture, source: "registered" });
+    },
+
+    /**
+     * Remove every fixture, including those loaded from files
+     */
+    clearFixtures() {
+      fixtures = [];
+      scriptPositions.clear();
+    },
+
+    /**
+     * Reload fixtures from the fixture directory and restart scripted fixtures
+     * @returns {number} - Number of fixtures loaded
+     */
+    reloadFixtures() {
+      fixtures = null;
+      scriptPositions.clear();
+      return getFixtures().length;
+    },
+
+    /**
+     * List the active fixtures
+     * @returns {Array} - Fixtures in match order
+     */
+    listFixtures() {
+      return getFixtures().slice();
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  estimateTokens
+};
@@ -0,0 +1,81 @@
+/**
+ * OpenAI provider - talks to the OpenAI API, or to any server exposing the
+ * OpenAI chat completions API (llama.cpp server, Ollama, LM Studio, vLLM...)
+ */
+const { OpenAI } = require("openai");
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.name - Provider name used in requests and logs
+ * @param {string} settings.displayName - Human readable name used in error messages
+ * @param {string} [settings.apiKey] - API key (local servers usually accept any value)
+ * @param {string} [settings.baseURL] - Base URL of an OpenAI-compatible server
+ * @param {string} [settings.defaultModel] - Model used when a request does not name one
+ * @param {boolean} [settings.streamUsage=true] - Whether the server supports stream_options.include_usage
+ * @returns {Object} - Provider
+ */
+function createOpenAIProvider(settings) {
+  let client = null;
+
+  // Create the client on first use so a missing API key only fails the requests that need it
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: settings.apiKey,
+        baseURL: settings.baseURL || undefined,
+        // aiService retries with its own policy (AI_MAX_RETRIES, AI_TIMEOUT_MS), so the SDK must not retry too
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  const supportsUsageStreaming = settings.streamUsage !== false;
+
+  return {
+    name: settings.name,
+    displayName: settings.displayName,
+    defaultModel: settings.defaultModel,
+
+    /**
+     * Create a chat completion
+     * @param {Object} params - OpenAI chat completion parameters
+     * @param {Object} [requestOptions] - SDK request options (signal, timeout)
+     * @returns {Promise<Object>} - Chat completion
+     */
+    async createChatCompletion(params, requestOptions = {}) {
+      return getClient().chat.completions.create(params, requestOptions);
+    },
+
+    /**
+     * Create a streaming chat completion
+     * @param {Object} params - OpenAI chat completion parameters
+     * @param {Object} [requestOptions] - SDK request options (signal, timeout)
+     * @returns {Promise<AsyncIterable>} - Stream of chat completion chunks
+     */
+    async streamChatCompletion(params, requestOptions = {}) {
+      const streamParams = { ...params, stream: true };
+
+      if (supportsUsageStreaming) {
+        streamParams.stream_options = { include_usage: true }; // Final chunk carries token usage
+      }
+
+      return getClient().chat.completions.create(streamParams, requestOptions);
+    },
+
+    /**
+     * Create embeddings
+     * @param {Object} params - OpenAI embeddings parameters (model, input)
+     * @param {Object} [requestOptions] - SDK request options (signal, timeout)
+     * @returns {Promise<Object>} - Embeddings response
+     */
+    async createEmbeddings(params, requestOptions = {}) {
+      return getClient().embeddings.create(params, requestOptions);
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
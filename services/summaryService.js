@@ -0,0 +1,105 @@
+/**
+ * Summary Service - Condenses older NPC conversations into a rolling per-player summary
+ * Once a player's history with an NPC passes the threshold, the oldest turns are
+ * summarized together with the previous summary and removed from the history.
+ */
+const logger = require("../utils/logger");
+const contextManager = require("../utils/contextManager");
+const worldManager = require("../utils/worldManager");
+const aiService = require("./aiService");
+const config = require("../config");
+
+// Summarizations currently running, keyed by world, NPC and player
+const inFlight = new Set();
+
+/**
+ * Format messages as a transcript for the summary prompt
+ * @param {Array} messages - Conversation messages
+ * @param {string} npcName - NPC name used for NPC lines
+ * @returns {string} - Transcript, one line per message
+ */
+function formatTranscript(messages, npcName) {
+  return messages
+    .map(msg => `${msg.role === 'npc' ? npcName : (msg.role === 'other_npc' ? msg.speaker : 'Player')}: ${msg.content}`)
+    .join("\n");
+}
+
+/**
+ * Summarize an NPC's older conversation turns with a player, if the history is long enough
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {Promise<Object|null>} - Updated summary record, or null if nothing was summarized
+ */
+async function summarizeConversation(npcId, playerId, requestId = Date.now().toString()) {
+  const key = `${worldManager.getCurrentWorldId()}:${npcId}:${playerId || ''}`;
+
+  if (inFlight.has(key)) {
+    return null;
+  }
+
+  const messages = contextManager.getMessagesToSummarize(
+    npcId,
+    playerId,
+    config.memory.summaryThreshold,
+    config.memory.summaryKeepRecent
+  );
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  inFlight.add(key);
+
+  try {
+    const npcMetadata = contextManager.getNpcMetadata(npcId);
+    const previous = contextManager.getConversationSummary(npcId, playerId);
+
+    logger.info(`Summarizing ${messages.length} older messages between ${npcMetadata.name} and ${playerId || 'the player'}`, requestId);
+
+    const summaryRequest = `Character: ${npcMetadata.name}
+
+Previous summary:
+${previous ? previous.summary : '(none)'}
+
+New conversation turns:
+${formatTranscript(messages, npcMetadata.name)}`;
+
+    const aiResponse = await aiService.sendToAI(summaryRequest, {
+      prompt_name: 'conversationSummary',
+      response_format: 'text',
+      temperature: 0.3,
+      max_tokens: config.memory.summaryMaxTokens,
+      npc_name: npcMetadata.name
+    }, `${requestId}-summary`);
+
+    const summary = (aiResponse.choices[0]?.message?.content || '').trim();
+
+    if (!summary) {
+      logger.warn(`Empty summary returned for ${npcMetadata.name}, keeping the full history`, requestId);
+      return null;
+    }
+
+    return contextManager.applyConversationSummary(npcId, playerId, summary, messages);
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Summarize in the background without delaying the current response
+ * Failures are logged and the history is kept, so the next chat tries again.
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier
+ * @param {string} [requestId] - Request ID for logging
+ */
+function scheduleSummarization(npcId, playerId, requestId) {
+  summarizeConversation(npcId, playerId, requestId).catch(error => {
+    logger.error(`Conversation summarization failed for NPC ${npcId}: ${error.message}`, requestId, error);
+  });
+}
+
+module.exports = {
+  summarizeConversation,
+  scheduleSummarization
+};
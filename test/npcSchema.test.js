@@ -0,0 +1,153 @@
+/**
+ * Tests for the NPC definition schema and its Unreal Engine export adapters
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateNpcDefinition } = require('../utils/npcSchema');
+
+test('typed_value unwraps a { type, value } wrapper', () => {
+  const definition = validateNpcDefinition({
+    name: { type: 'string', value: 'Blacksmith' },
+    relationships: { type: 'object', value: { Mayor: 'Respectful' } }
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc, { name: 'Blacksmith', relationships: { Mayor: 'Respectful' } });
+  assert.deepStrictEqual(definition.adapted, [
+    { field: 'name', adapter: 'typed_value' },
+    { field: 'relationships', adapter: 'typed_value' }
+  ]);
+});
+
+test('typed_value adapts the value inside the wrapper too', () => {
+  const definition = validateNpcDefinition({
+    name: 'Blacksmith',
+    inventory: { type: 'string', value: 'Hammer, Tongs' }
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.inventory, ['Hammer', 'Tongs']);
+});
+
+test('stringified_map parses JSON object text', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', relationships: '{"Mayor": "Friends"}' });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.relationships, { Mayor: 'Friends' });
+  assert.deepStrictEqual(definition.warnings, []);
+});
+
+test('stringified_map parses the Unreal Engine export with escaped quotes', () => {
+  const definition = validateNpcDefinition({
+    name: 'Blacksmith',
+    relationship: 'Girlfriend\\": \\"Respectful\\",\\"Alfred\\": \\"Hates'
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.relationships, { Girlfriend: 'Respectful', Alfred: 'Hates' });
+  assert.strictEqual(definition.npc.relationship, undefined);
+});
+
+test('entry_list merges { name: relationship } entries', () => {
+  const definition = validateNpcDefinition({
+    name: 'Blacksmith',
+    relationships: { 0: { Girlfriend: 'Respectful' }, 1: { Alfred: 'Hates' } }
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.relationships, { Girlfriend: 'Respectful', Alfred: 'Hates' });
+});
+
+test('relationship entries win over the singular alias', () => {
+  const definition = validateNpcDefinition({
+    name: 'Blacksmith',
+    relationship: { Mayor: 'Hates', Alfred: 'Friends' },
+    relationships: { Mayor: 'Respectful' }
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.relationships, { Mayor: 'Respectful', Alfred: 'Friends' });
+});
+
+test('delimited_list splits on commas, semicolons and pipes', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', skills: 'Smithing; Metallurgy | Haggling,' });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.skills, ['Smithing', 'Metallurgy', 'Haggling']);
+});
+
+test('blank text is an empty map or list', () => {
+  const definition = validateNpcDefinition({
+    name: 'Empty',
+    relationship: '',
+    relationships: '   ',
+    inventory: '',
+    skills: ' '
+  });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc, { name: 'Empty', relationships: {}, inventory: [], skills: [] });
+  assert.deepStrictEqual(definition.warnings, []);
+});
+
+test('ambiguous relationship text is left empty with a warning', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', relationship: 'Friends with everyone' });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.npc.relationships, {});
+  assert.strictEqual(definition.warnings.length, 1);
+  assert.strictEqual(definition.warnings[0].field, 'relationship');
+  assert.match(definition.warnings[0].message, /not a stringified map.*left empty/);
+});
+
+test('shapes no adapter covers are rejected', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', inventory: [1, 2], relationships: [] });
+
+  assert.strictEqual(definition.valid, false);
+  assert.deepStrictEqual(definition.errors.map(error => error.field).sort(), ['inventory.0', 'inventory.1', 'relationships']);
+});
+
+test('strict mode rejects ambiguous relationship text', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', relationship: 'Friends with everyone' }, { strict: true });
+
+  assert.strictEqual(definition.valid, false);
+  assert.deepStrictEqual(definition.errors, [
+    { field: 'relationship', message: 'is text that is not a stringified map such as {"Mayor": "Respectful"}' }
+  ]);
+  assert.deepStrictEqual(definition.warnings, []);
+});
+
+test('strict mode rejects every shape that needs an adapter', () => {
+  const definition = validateNpcDefinition({
+    name: { type: 'string', value: 'Blacksmith' },
+    relationships: '{"Mayor": "Friends"}',
+    inventory: ''
+  }, { strict: true });
+
+  assert.strictEqual(definition.valid, false);
+  assert.deepStrictEqual(definition.errors, [
+    { field: 'name', message: 'is a { type, value } wrapper, which strict mode does not accept' },
+    { field: 'relationships', message: 'is a map stringified into text, which strict mode does not accept' },
+    { field: 'inventory', message: 'is a list given as comma-separated text, which strict mode does not accept' }
+  ]);
+});
+
+test('strict mode rejects fields the schema does not declare', () => {
+  const definition = validateNpcDefinition({ name: 'Blacksmith', relationsihps: {} }, { strict: true });
+
+  assert.strictEqual(definition.valid, false);
+  assert.deepStrictEqual(definition.errors, [
+    { field: 'relationsihps', message: 'is not a field of the NPC schema' }
+  ]);
+});
+
+test('strict mode accepts a definition that matches the schema as sent', () => {
+  const definition = validateNpcDefinition({
+    name: 'Blacksmith',
+    relationships: { Mayor: 'Respectful' },
+    inventory: ['Hammer']
+  }, { strict: true });
+
+  assert.strictEqual(definition.valid, true);
+  assert.deepStrictEqual(definition.adapted, []);
+});
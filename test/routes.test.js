@@ -0,0 +1,277 @@
+/**
+ * Route tests against the mock AI provider
+ * The app runs in-process on a random port with its data in a temporary directory.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configure before the app is loaded, since config reads the environment once
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'npc-routes-'));
+process.env.AI_PROVIDER = 'mock';
+process.env.DATA_DIR = dataDirectory;
+process.env.LOG_DIR = path.join(dataDirectory, 'logs');
+process.env.LOG_LEVEL = 'ERROR';
+process.env.AI_MAX_RETRIES = '2';
+process.env.AI_RETRY_BASE_DELAY_MS = '1';
+process.env.AI_RETRY_MAX_DELAY_MS = '1';
+process.env.GOSSIP_SPREAD_CHANCE = '1';
+delete process.env.OPENAI_API_KEY;
+
+const app = require('../app');
+const providers = require('../services/providers');
+
+let server;
+let baseUrl;
+
+/**
+ * Call the app
+ * @param {string} method - HTTP method
+ * @param {string} url - Path and query
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function call(method, url, body) {
+  const response = await fetch(baseUrl + url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Register a provider that fails with an HTTP status a number of times before answering like the mock
+ * @param {string} name - Provider name
+ * @param {number} status - Status of the failures
+ * @param {number} failures - Failures before it answers (Infinity never answers)
+ * @returns {Object} - Counter of the calls made to it ({ calls })
+ */
+function registerFailingProvider(name, status, failures) {
+  const counter = { calls: 0 };
+  const mock = providers.getProvider('mock');
+
+  providers.registerProvider(name, () => ({
+    name,
+    displayName: name,
+    defaultModel: 'failing-model',
+    async createChatCompletion(params, requestOptions, context) {
+      counter.calls++;
+      if (counter.calls <= failures) {
+        throw Object.assign(new Error(`${name} failed`), { status });
+      }
+      return mock.createChatCompletion(params, requestOptions, context);
+    },
+    async streamChatCompletion(params, requestOptions, context) {
+      return mock.streamChatCompletion(params, requestOptions, context);
+    }
+  }));
+
+  return counter;
+}
+
+test.before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+test('chat replies with the mock and records both messages', async () => {
+  await call('POST', '/npc', { name: 'Mara' });
+
+  const chat = await call('POST', '/npc/Mara/chat', { message: 'hello', player_id: 'p1' });
+  assert.strictEqual(chat.status, 200);
+  assert.strictEqual(chat.body.provider, 'mock');
+  assert.strictEqual(chat.body.data.reply, 'Mara considers your words: "hello"');
+  assert.strictEqual(chat.body.data.player_relationship.status, 'neutral');
+
+  const history = await call('GET', '/npc/Mara/history?player_id=p1');
+  assert.deepStrictEqual(history.body.history.map(message => [message.role, message.content]), [
+    ['player', 'hello'],
+    ['npc', 'Mara considers your words: "hello"']
+  ]);
+});
+
+test('chat with an unknown NPC is a 404', async () => {
+  const chat = await call('POST', '/npc/Nobody/chat', { message: 'hello' });
+
+  assert.strictEqual(chat.status, 404);
+  assert.strictEqual(chat.body.status, 'error');
+});
+
+test('retry options that are not whole numbers are rejected', async () => {
+  await call('POST', '/npc', { name: 'Vera' });
+
+  const chat = await call('POST', '/npc/Vera/chat', { message: 'hello', options: { max_retries: '5' } });
+  assert.strictEqual(chat.status, 400);
+  assert.strictEqual(chat.body.message, 'options.max_retries must be a whole number of 0 or more');
+
+  const ai = await call('POST', '/ai', { message: 'hello', options: { timeout_ms: -1 } });
+  assert.strictEqual(ai.status, 400);
+});
+
+test('retryable errors are retried', async () => {
+  const flaky = registerFailingProvider('flaky', 503, 2);
+
+  const ai = await call('POST', '/ai', { message: 'hello', options: { provider: 'flaky' } });
+  assert.strictEqual(ai.status, 200);
+  assert.strictEqual(flaky.calls, 3);
+  assert.strictEqual(ai.body.attempts.attempt, 3);
+  assert.deepStrictEqual(ai.body.attempts.errors.map(error => error.status), [503, 503]);
+});
+
+test('max_retries lowers the number of retries but cannot raise it', async () => {
+  const lowered = registerFailingProvider('lowered', 503, Infinity);
+  await call('POST', '/ai', { message: 'hello', options: { provider: 'lowered', max_retries: 0 } });
+  assert.strictEqual(lowered.calls, 1);
+
+  const raised = registerFailingProvider('raised', 503, Infinity);
+  await call('POST', '/ai', { message: 'hello', options: { provider: 'raised', max_retries: 50 } });
+  assert.strictEqual(raised.calls, 3);
+});
+
+test('errors that are not retryable fall back to the next model', async () => {
+  const broken = registerFailingProvider('broken', 400, Infinity);
+
+  const ai = await call('POST', '/ai', {
+    message: 'hello',
+    options: { provider: 'broken', fallback_models: [{ provider: 'mock', model: 'mock-model' }] }
+  });
+  assert.strictEqual(ai.status, 200);
+  assert.strictEqual(broken.calls, 1);
+  assert.strictEqual(ai.body.attempts.provider, 'mock');
+  assert.strictEqual(ai.body.attempts.fallback_level, 1);
+});
+
+test('an NPC answers with its fallback line when every model fails', async () => {
+  registerFailingProvider('down', 400, Infinity);
+  await call('POST', '/npc', { name: 'Orrin', ai: { fallback_line: 'The wind takes my words.' } });
+
+  const chat = await call('POST', '/npc/Orrin/chat', { message: 'hello', options: { provider: 'down' } });
+  assert.strictEqual(chat.status, 200);
+  assert.strictEqual(chat.body.data.reply, 'The wind takes my words.');
+  assert.strictEqual(chat.body.attempts.canned, true);
+});
+
+test('NPCs belong to the world they are created in', async () => {
+  const world = await call('POST', '/worlds', { id: 'Scoped', name: 'Scoped' });
+  assert.strictEqual(world.status, 201);
+
+  await call('POST', '/worlds/Scoped/npc', { name: 'Scout' });
+
+  assert.strictEqual((await call('GET', '/worlds/Scoped/npc/find?name=Scout')).status, 200);
+  assert.strictEqual((await call('GET', '/npc/find?name=Scout')).status, 404);
+  assert.strictEqual((await call('GET', '/worlds/Missing/npc/find?name=Scout')).status, 404);
+});
+
+test('an exported world imports into a new world', async () => {
+  await call('POST', '/worlds', { id: 'Source', name: 'Source' });
+  await call('POST', '/worlds/Source/npc', { id: 'smith', name: 'Smith', relationships: { Mayor: 'Friends' } });
+  await call('POST', '/worlds/Source/npc', { id: 'mayor', name: 'Mayor' });
+  await call('POST', '/worlds/Source/npc/Smith/chat', { message: 'hello' });
+
+  const exported = await call('GET', '/worlds/Source/export');
+  assert.strictEqual(exported.status, 200);
+  assert.strictEqual(exported.body.format, 'npc-world');
+
+  const imported = await call('POST', '/worlds/Copy/import', exported.body);
+  assert.strictEqual(imported.status, 201);
+  assert.strictEqual(imported.body.created, true);
+  assert.deepStrictEqual(imported.body.summary.npcs, { create: 2, update: 0, delete: 0, unchanged: 0 });
+
+  const history = await call('GET', '/worlds/Copy/npc/smith/history');
+  assert.strictEqual(history.body.history.length, 2);
+
+  const relationship = await call('GET', '/worlds/Copy/npc/relationship?npc1=Smith&npc2=Mayor');
+  assert.strictEqual(relationship.body.relationship.npc1_to_npc2, 'friend');
+});
+
+test('an invalid import changes nothing and does not create the world', async () => {
+  const imported = await call('POST', '/worlds/Rejected/import', {
+    format: 'npc-world',
+    version: 1,
+    npcs: [{ id: 'a', name: 'Twin' }, { id: 'b', name: 'Twin' }]
+  });
+  assert.strictEqual(imported.status, 400);
+  assert.deepStrictEqual(imported.body.errors.map(error => [error.row, error.field]), [[2, 'name']]);
+
+  assert.strictEqual((await call('GET', '/worlds/Rejected')).status, 404);
+});
+
+test('a merge import can give a new NPC the old name of an NPC it renames', async () => {
+  await call('POST', '/worlds', { id: 'Renames', name: 'Renames' });
+  await call('POST', '/worlds/Renames/npc', { id: 'yara', name: 'Yara' });
+  await call('POST', '/worlds/Renames/npc', { id: 'kell', name: 'Kell' });
+
+  const document = npcs => ({ format: 'npc-world', version: 1, npcs });
+
+  const renamed = await call('POST', '/worlds/Renames/import', document([{ id: 'new', name: 'Yara' }, { id: 'yara', name: 'Yvonne' }]));
+  assert.strictEqual(renamed.status, 200);
+  assert.strictEqual((await call('GET', '/worlds/Renames/npc/find?name=Yara')).body.npc.id, 'new');
+
+  const taken = await call('POST', '/worlds/Renames/import', document([{ id: 'other', name: 'Kell' }]));
+  assert.strictEqual(taken.status, 400);
+  assert.strictEqual(taken.body.errors[0].message, 'is the name of NPC kell in the world');
+
+  const twice = await call('POST', '/worlds/Renames/import', document([{ id: 'kell', name: 'Kellan' }, { name: 'Kell' }]));
+  assert.strictEqual(twice.status, 400);
+  assert.strictEqual(twice.body.errors[0].message, 'is NPC kell, which an earlier row already imports');
+});
+
+test('relationships resolve by ID or name and can be adjusted', async () => {
+  await call('POST', '/npc/initialize', {
+    npcs: [
+      { id: 'tomas', name: 'Tomas', relationships: { Ilse: 'Friends', Ghost: 'Distrustful' } },
+      { id: 'ilse', name: 'Ilse', relationships: { Tomas: 'Friends' } }
+    ]
+  });
+
+  const relationship = await call('GET', '/npc/relationship?npc1=tomas&npc2=Ilse');
+  assert.strictEqual(relationship.status, 200);
+  assert.strictEqual(relationship.body.relationship.npc2_id, 'ilse');
+  assert.strictEqual(relationship.body.relationship.is_mutual, true);
+
+  const network = await call('GET', '/npc/Tomas/relationships');
+  assert.strictEqual(network.status, 200);
+  assert.deepStrictEqual(network.body.relationships.stats.direct_relationships, 1);
+  assert.deepStrictEqual(network.body.relationships.stats.future_relationships, 1);
+
+  const adjusted = await call('POST', '/npc/Tomas/relationships/adjust', { npc: 'Ilse', affinity: 10, reason: 'shared a meal' });
+  assert.strictEqual(adjusted.status, 200);
+  assert.deepStrictEqual(adjusted.body.changes, { affinity: 10 });
+
+  const after = await call('GET', '/npc/relationship?npc1=Tomas&npc2=ilse');
+  assert.strictEqual(after.body.relationship.npc1_to_npc2_details.affinity, 85);
+});
+
+test('rumors spread to connected NPCs on a gossip tick', async () => {
+  await call('POST', '/npc/initialize', {
+    npcs: [
+      { name: 'Greta', faction: 'Guild', relationships: { Hugo: 'Friends' } },
+      { name: 'Hugo', faction: 'Guild', relationships: { Greta: 'Friends' } }
+    ]
+  });
+
+  const started = await call('POST', '/gossip/rumors', { npc: 'Greta', content: 'Alfred is a thief', about: ['Alfred'], importance: 6 });
+  assert.strictEqual(started.status, 201);
+
+  const tick = await call('POST', '/gossip/tick');
+  assert.strictEqual(tick.status, 200);
+  assert.ok(tick.body.spread.some(spread => spread.rumor_id === started.body.rumor.id && spread.to === 'Hugo'));
+
+  const heard = await call('GET', '/gossip/rumors?heard_by=Hugo');
+  assert.deepStrictEqual(heard.body.rumors.map(rumor => rumor.id), [started.body.rumor.id]);
+
+  const missing = await call('POST', '/gossip/rumors', { npc: 'Nobody', content: 'Hello' });
+  assert.strictEqual(missing.status, 404);
+});
@@ -4,15 +4,29 @@
  */
 const crypto = require('crypto');
 const logger = require('./logger');
-
-// In-memory storage for NPC contexts
-// Format: { npcId: { metadata: {...}, conversations: [...] } }
-const npcContexts = new Map();
+const worldManager = require('./worldManager');
+const memoryManager = require('./memoryManager');
+const embeddingIndex = require('./embeddingIndex');
+const knowledgeManager = require('./knowledgeManager');
+const relationshipManager = require('./relationshipManager');
+const relationshipHistory = require('./relationshipHistory');
+const relationshipGraph = require('./relationshipGraph');
+const npcSchema = require('./npcSchema');
+const worldClock = require('./worldClock');
+const factionManager = require('./factionManager');
+const config = require('../config');
+
+// Storage collection holding NPC contexts
+// Format: { npcId: { metadata: {...}, conversations: [...], summaries: { playerKey: {...} }, archived_conversations: [...] } }
+const NPC_COLLECTION = 'npcs';
+
+// Summary key for conversations that were not tied to a player_id
+const DEFAULT_SUMMARY_KEY = '_default';
 
 // Debug configuration
 const DEBUG_CONFIG = {
-  // Enable periodic logging of all NPC data
-  enablePeriodicLogging: true,
+  // Enable periodic logging of all NPC data (off by default; GET /npc/debug/log logs it on demand)
+  enablePeriodicLogging: false,
   // Log interval in milliseconds (default: 5 minutes)
   logIntervalMs: 5 * 60 * 1000,
   // Enable automatic relationship discovery
@@ -22,702 +36,169 @@ const DEBUG_CONFIG = {
 };
 
 /**
- * Initialize an NPC with metadata
- * @param {Object} npcData - NPC information (name, backstory, etc.)
- * @param {string} [requestId] - Optional request ID for logging
- * @returns {string} - Generated NPC ID
+ * Get the NPC contexts of the world the current request is scoped to
+ * @returns {Map} - Live map of NPC contexts, written through to storage on change
  */
-function initializeNpc(npcData, requestId = Date.now().toString()) {
-  // Log function entry
-  logger.functionEntry('initializeNpc', { npcName: npcData.name }, requestId);
-
-  // Check if an NPC with this name already exists
-  const existingNpc = findNpcByName(npcData.name);
+function getNpcContexts() {
+  return worldManager.getWorldCollection(NPC_COLLECTION);
+}
 
-  if (existingNpc) {
-    logger.warn(`NPC with name "${npcData.name}" already exists with ID ${existingNpc.id}. Replacing with new data.`, requestId);
+/**
+ * Write an NPC context through to storage
+ * @param {string} npcId - NPC identifier
+ * @returns {boolean} - Success status
+ */
+function persistNpc(npcId) {
+  return worldManager.persistWorldDocument(NPC_COLLECTION, npcId);
+}
 
-    // Log the existing NPC data for reference
-    logger.functionStep('initializeNpc', 'Existing NPC data', {
-      id: existingNpc.id,
-      name: existingNpc.name,
-      metadata_keys: Object.keys(existingNpc)
-    }, requestId);
+/**
+ * Write an NPC context through to storage, coalescing bursts of changes when a write delay is configured
+ * @param {string} npcId - NPC identifier
+ */
+function persistNpcSoon(npcId) {
+  worldManager.persistWorldDocumentSoon(NPC_COLLECTION, npcId);
+}
 
-    // Remove the existing NPC
-    removeNpc(existingNpc.id);
-    logger.info(`Removed existing NPC "${npcData.name}" with ID ${existingNpc.id}`, requestId);
-  }
+/**
+ * Create a neutral player relationship
+ * @returns {Object} - Player relationship
+ */
+function createDefaultPlayerRelationship() {
+  return {
+    status: "neutral",
+    affinity: 50,  // 0-100 scale: 0=hostile, 50=neutral, 100=friendly
+    trust: 50,     // 0-100 scale
+    respect: 50,   // 0-100 scale
+    history: []    // Array of significant interactions
+  };
+}
 
-  // Generate a unique ID for this NPC
-  const npcId = crypto.randomUUID();
-  logger.functionStep('initializeNpc', 'Generated new NPC ID', { npcId }, requestId);
+/**
+ * Build the metadata stored for an NPC definition
+ * Fills in defaults and stores knowledge rules, secrets and NPC relationships in canonical form.
+ * Building from stored metadata gives the same metadata back.
+ * @param {Object} npc - NPC definition (adapted to the NPC schema)
+ * @returns {Object} - NPC metadata
+ * @throws {Error} - If a knowledge rule or secret is invalid
+ */
+function buildNpcMetadata(npc) {
+  const { knowledge, secrets } = knowledgeManager.normalizeNpcKnowledge(npc);
+  const metadata = { ...npc };
 
-  // Ensure we have a dedicated player relationship property
-  const enhancedData = { ...npcData };
+  // Store knowledge rules and secrets in canonical form
+  if (npc.knowledge !== undefined) {
+    metadata.knowledge = knowledge;
+  }
+  if (npc.secrets !== undefined) {
+    metadata.secrets = secrets;
+  }
 
   // Add player_relationship if not present
-  if (!enhancedData.player_relationship) {
-    enhancedData.player_relationship = {
-      status: "neutral",
-      affinity: 50,  // 0-100 scale: 0=hostile, 50=neutral, 100=friendly
-      trust: 50,     // 0-100 scale
-      respect: 50,   // 0-100 scale
-      history: []    // Array of significant interactions
-    };
+  // This is the relationship used when no player_id is given, and the starting
+  // point for every individual player's relationship
+  // (faction members without one inherit their faction's attitude instead)
+  if (!metadata.player_relationship && !metadata.faction) {
+    metadata.player_relationship = createDefaultPlayerRelationship();
   }
 
-  // Initialize relationships if not present
-  if (!enhancedData.relationships) {
-    enhancedData.relationships = {};
+  // Relationships with individual players, keyed by player_id
+  if (!metadata.player_relationships) {
+    metadata.player_relationships = {};
   }
 
-  // Log all fields for debugging
-  logger.info(`NPC ${enhancedData.name} initialization - all fields: ${JSON.stringify(Object.keys(enhancedData))}`);
-
-  // Check for relationship field (singular)
-  if (enhancedData.relationship) {
-    // Handle different types of relationship data
-    if (typeof enhancedData.relationship === 'object' && enhancedData.relationship !== null) {
-      logger.info(`NPC ${enhancedData.name} has 'relationship' field as an object: ${JSON.stringify(enhancedData.relationship)}`);
-
-      // Check if it's the new format with type and value properties
-      if (enhancedData.relationship.type === 'object' &&
-          enhancedData.relationship.value &&
-          typeof enhancedData.relationship.value === 'object') {
-
-        logger.info(`Detected new relationship format with value object: ${JSON.stringify(enhancedData.relationship.value)}`);
-
-        // Extract relationships from the value object
-        Object.entries(enhancedData.relationship.value).forEach(([name, status]) => {
-          if (name && status) {
-            enhancedData.relationships[name] = status;
-            logger.info(`Extracted relationship from value object: ${name} -> ${status}`);
-          }
-        });
-      } else {
-        // Handle direct object format (without type/value wrapper)
-        logger.info(`Relationship appears to be a direct object, trying to extract relationships`);
-
-        Object.entries(enhancedData.relationship).forEach(([key, value]) => {
-          // Skip metadata properties
-          if (key !== 'type' && key !== 'isArray') {
-            if (typeof value === 'string') {
-              enhancedData.relationships[key] = value;
-              logger.info(`Extracted direct object relationship: ${key} -> ${value}`);
-            } else if (typeof value === 'object' && value !== null) {
-              // Handle nested objects
-              Object.entries(value).forEach(([nestedKey, nestedValue]) => {
-                if (typeof nestedValue === 'string') {
-                  enhancedData.relationships[nestedKey] = nestedValue;
-                  logger.info(`Extracted nested relationship: ${nestedKey} -> ${nestedValue}`);
-                }
-              });
-            }
-          }
-        });
-      }
-    } else if (typeof enhancedData.relationship === 'string') {
-      logger.warn(`NPC ${enhancedData.name} has 'relationship' field (singular) as string: ${enhancedData.relationship}`);
-
-      try {
-      // Enhanced handling for complex relationship strings:
-      // Handles formats like:
-      // "Girlfriend\": \"Respectful\",\"Alfred\": \"Hates"
-      // "A:a","B,b" (where commas can appear within values)
-      if (enhancedData.relationship.includes('\\\"')) {
-        logger.info(`Detected relationship string with escaped quotes: ${enhancedData.relationship}`);
-
-        // First, clean up the string by removing escaped quotes
-        const cleanStr = enhancedData.relationship.replace(/\\"/g, '"').replace(/\\/g, '');
-        logger.info(`Cleaned relationship string: ${cleanStr}`);
-
-        // Use a more sophisticated approach to extract key-value pairs
-        // This regex looks for patterns like "key":"value" or "key": "value"
-        // and handles cases where values might contain commas
-        try {
-          // Method 1: Use regex to find all "key":"value" patterns
-          const relationshipRegex = /"([^"]+)":\s*"([^"]*)"/g;
-          let match;
-          let foundAny = false;
-
-          while ((match = relationshipRegex.exec(cleanStr)) !== null) {
-            foundAny = true;
-            const name = match[1].trim();
-            const status = match[2].trim();
-
-            if (name && status) {
-              logger.info(`Successfully extracted relationship using regex: ${name} -> ${status}`);
-              enhancedData.relationships[name] = status;
-            }
-          }
-
-          // If regex didn't find anything, try alternative methods
-          if (!foundAny) {
-            logger.info(`Regex didn't find any relationships, trying alternative methods`);
-
-            // Method 2: Try to reconstruct the string as valid JSON and parse it
-            try {
-              // Add curly braces to make it a valid JSON object
-              const jsonStr = `{${cleanStr}}`;
-              logger.info(`Attempting to parse as JSON: ${jsonStr}`);
-
-              const jsonObj = JSON.parse(jsonStr);
-
-              // Extract relationships from the parsed JSON
-              Object.entries(jsonObj).forEach(([name, status]) => {
-                if (name && status) {
-                  logger.info(`Extracted relationship from JSON: ${name} -> ${status}`);
-                  enhancedData.relationships[name] = status;
-                }
-              });
-            } catch (jsonError) {
-              logger.warn(`Failed to parse as JSON: ${jsonError.message}`);
-
-              // Method 3: Split by comma but be smarter about it
-              // This is a fallback method that tries to handle simple cases
-              if (cleanStr.includes(',')) {
-                logger.info(`Trying comma-based splitting as fallback`);
-
-                // Look for patterns that might indicate relationship boundaries
-                // This is a heuristic approach that works for simple cases
-                const parts = [];
-                let currentPart = '';
-                let inQuotes = false;
-
-                // Manually parse the string character by character
-                for (let i = 0; i < cleanStr.length; i++) {
-                  const char = cleanStr[i];
-
-                  if (char === '"') {
-                    inQuotes = !inQuotes;
-                    currentPart += char;
-                  } else if (char === ',' && !inQuotes) {
-                    // Only split on commas that are not inside quotes
-                    parts.push(currentPart);
-                    currentPart = '';
-                  } else {
-                    currentPart += char;
-                  }
-                }
-
-                // Add the last part
-                if (currentPart) {
-                  parts.push(currentPart);
-                }
-
-                logger.info(`Smart split by comma into ${parts.length} parts: ${JSON.stringify(parts)}`);
-
-                // Process each part
-                parts.forEach(part => {
-                  // Try to extract the name and status from each part
-                  const partMatch = part.match(/"([^"]+)":\s*"([^"]+)"/);
-
-                  if (partMatch && partMatch.length >= 3) {
-                    const name = partMatch[1].trim();
-                    const status = partMatch[2].trim();
-
-                    if (name && status) {
-                      logger.info(`Extracted relationship from smart-split part: ${name} -> ${status}`);
-                      enhancedData.relationships[name] = status;
-                    }
-                  } else {
-                    // If the regex didn't work, try a simpler approach
-                    const subParts = part.split(/[":\\]+/).filter(p => p.trim().length > 0);
-                    logger.info(`Split part into sub-parts: ${JSON.stringify(subParts)}`);
-
-                    if (subParts.length >= 2) {
-                      const name = subParts[0].trim();
-                      const status = subParts[1].trim();
-
-                      if (name && status) {
-                        logger.info(`Extracted relationship using simple split: ${name} -> ${status}`);
-                        enhancedData.relationships[name] = status;
-                      }
-                    }
-                  }
-                });
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`Error parsing relationship string: ${error.message}`);
-        }
-      }
-
-      // Strategy 1: Check if it's a JSON-like string with escaped quotes
-      if (Object.keys(enhancedData.relationships).length === 0 &&
-          (enhancedData.relationship.includes('\\\"') || enhancedData.relationship.includes('\\"'))) {
-        logger.info(`Trying to parse JSON-like relationship string with escaped quotes`);
-
-        // Replace escaped quotes and try to extract name-value pairs
-        const cleanStr = enhancedData.relationship.replace(/\\"/g, '"').replace(/\\/g, '');
-        logger.info(`Cleaned relationship string: ${cleanStr}`);
-
-        // Look for patterns like "Name": "Status"
-        const matches = cleanStr.match(/"([^"]+)":\s*"([^"]+)"/g);
-        if (matches) {
-          matches.forEach(match => {
-            const parts = match.split(':');
-            if (parts.length === 2) {
-              const name = parts[0].replace(/"/g, '').trim();
-              const status = parts[1].replace(/"/g, '').trim();
-              if (name && status) {
-                enhancedData.relationships[name] = status;
-                logger.info(`Extracted relationship from JSON-like string: ${name} -> ${status}`);
-              }
-            }
-          });
-        }
-      }
-
-      // Strategy 2: Simple string splitting
-      if (Object.keys(enhancedData.relationships).length === 0) {
-        logger.info(`Trying simple string splitting for relationship`);
-
-        // Split by common separators
-        const parts = enhancedData.relationship.split(/[:"\\]+/).map(p => p.trim()).filter(p => p.length > 0);
-        logger.info(`Split relationship parts: ${JSON.stringify(parts)}`);
-
-        // Try to find name-value pairs
-        for (let i = 0; i < parts.length - 1; i++) {
-          // Use more lenient validation - just check if they're not empty
-          const name = parts[i];
-          const status = parts[i + 1];
-
-          if (name && status) {
-            enhancedData.relationships[name] = status;
-            logger.info(`Extracted relationship from split: ${name} -> ${status}`);
-            i++; // Skip the next part as we've used it as status
-          }
-        }
-      }
-    } catch (error) {
-      logger.error(`Failed to parse relationship string: ${error.message}`);
-    }
-  }}
-
-  // Process relationships object if it exists
-  if (typeof enhancedData.relationships === 'object') {
-    logger.info(`Processing relationships object: ${JSON.stringify(enhancedData.relationships)}`);
-    logger.info(`Relationships object type: ${typeof enhancedData.relationships}`);
-    logger.info(`Relationships object keys: ${JSON.stringify(Object.keys(enhancedData.relationships))}`);
-    logger.info(`Relationships object constructor: ${enhancedData.relationships.constructor ? enhancedData.relationships.constructor.name : 'unknown'}`);
-
-    // If it's an array, try to convert to object
-    if (Array.isArray(enhancedData.relationships)) {
-      logger.warn(`NPC ${enhancedData.name} has relationships as an array, converting to object`);
-      const relationshipObj = {};
-
-      enhancedData.relationships.forEach(rel => {
-        if (typeof rel === 'object' && rel !== null) {
-          Object.entries(rel).forEach(([key, value]) => {
-            relationshipObj[key] = value;
-          });
-        } else if (typeof rel === 'string') {
-          // Try to parse string entries
-          const parts = rel.split(':').map(p => p.trim());
-          if (parts.length >= 2) {
-            relationshipObj[parts[0]] = parts[1];
-          } else {
-            // If no colon, try to use adjacent entries as key-value pairs
-            // This will be handled in a separate pass
-          }
-        }
-      });
+  // Initialize relationships if not present
+  if (!metadata.relationships) {
+    metadata.relationships = {};
+  }
 
-      enhancedData.relationships = relationshipObj;
+  ['inventory', 'skills'].forEach(field => {
+    if (!metadata[field]) {
+      metadata[field] = [];
     }
-    // Check if it's a Map-like object with numeric keys (from UI)
-    else if (Object.keys(enhancedData.relationships).some(key => !isNaN(parseInt(key)))) {
-      logger.info(`NPC ${enhancedData.name} has relationships as a Map with numeric keys, converting to proper format`);
-      const relationshipObj = {};
-
-      // Log the structure for debugging
-      logger.info(`Relationships structure: ${JSON.stringify(enhancedData.relationships)}`);
-
-      // Process each entry in the Map
-      Object.entries(enhancedData.relationships).forEach(([key, value]) => {
-        logger.info(`Processing Map entry - Key: ${key}, Type: ${typeof value}, Value: ${JSON.stringify(value)}`);
-
-        // Each entry might be a key-value pair where value contains the NPC name and relationship status
-        if (typeof value === 'object' && value !== null) {
-          // Extract the NPC name and relationship status
-          const entries = Object.entries(value);
-          logger.info(`Object entry keys: ${JSON.stringify(entries.map(e => e[0]))}`);
-
-          if (entries.length > 0) {
-            const [npcName, relationshipStatus] = entries[0];
-            if (npcName && relationshipStatus) {
-              relationshipObj[npcName] = relationshipStatus;
-              logger.info(`Extracted relationship from Map: ${npcName} -> ${relationshipStatus}`);
-            }
-          }
-        }
-      });
+  });
 
-      // Special handling for UI format where relationships are stored as key-value pairs in a Map
-      // This is the format used in the screenshot where Blacksmith has relationships with Girlfriend and Alfred
-      if (Object.keys(relationshipObj).length === 0) {
-        logger.info(`Trying alternative Map format parsing for relationships`);
-
-        // The format might be { "0": { "Girlfriend": "Respectful" }, "1": { "Alfred": "Hates" } }
-        // Or it might be { "Girlfriend": "Respectful", "Alfred": "Hates" }
-        Object.entries(enhancedData.relationships).forEach(([key, value]) => {
-          if (typeof value === 'string') {
-            // Format: { "Girlfriend": "Respectful", "Alfred": "Hates" }
-            relationshipObj[key] = value;
-            logger.info(`Extracted direct key-value relationship: ${key} -> ${value}`);
-          } else if (typeof value === 'object' && value !== null) {
-            // Format: { "0": { "Girlfriend": "Respectful" }, "1": { "Alfred": "Hates" } }
-            Object.entries(value).forEach(([npcName, relationshipStatus]) => {
-              relationshipObj[npcName] = relationshipStatus;
-              logger.info(`Extracted nested relationship: ${npcName} -> ${relationshipStatus}`);
-            });
-          }
-        });
-      }
+  // Store relationships with other NPCs as scored records ("Friends" starts from preset scores)
+  metadata.relationships = Object.fromEntries(
+    Object.entries(metadata.relationships || {})
+      .map(([name, relationship]) => [name, relationshipManager.normalizeRelationship(relationship)])
+      .filter(([, relationship]) => relationship)
+  );
 
-      // Special handling for the specific format seen in the screenshot
-      // Format: { "0": { "Girlfriend": "Respectful" }, "1": { "Alfred": "Hates" } }
-      if (Object.keys(relationshipObj).length === 0) {
-        logger.info(`Trying UI-specific Map format parsing for relationships`);
-
-        // Check if we have numeric keys that contain objects
-        const numericKeys = Object.keys(enhancedData.relationships).filter(key => !isNaN(parseInt(key)));
-
-        if (numericKeys.length > 0) {
-          numericKeys.forEach(key => {
-            const entry = enhancedData.relationships[key];
-
-            if (typeof entry === 'object' && entry !== null) {
-              // Log the entry structure
-              logger.info(`Map entry ${key} structure: ${JSON.stringify(entry)}`);
-
-              // Try to extract the relationship
-              if (Object.keys(entry).length === 1) {
-                // Format: { "0": { "Girlfriend": "Respectful" } }
-                const npcName = Object.keys(entry)[0];
-                const relationshipStatus = entry[npcName];
-
-                if (npcName && relationshipStatus) {
-                  relationshipObj[npcName] = relationshipStatus;
-                  logger.info(`Extracted UI-specific relationship: ${npcName} -> ${relationshipStatus}`);
-                }
-              }
-            }
-          });
-        }
-      }
+  return metadata;
+}
 
-      // If we found any relationships, update the enhancedData
-      if (Object.keys(relationshipObj).length > 0) {
-        enhancedData.relationships = relationshipObj;
-        logger.info(`Converted relationships from Map: ${JSON.stringify(relationshipObj)}`);
-      }
-    }
-    // Handle direct key-value pairs in the relationships object
-    else {
-      // The relationships object might already be in the correct format
-      // Just log it for debugging
-      logger.info(`NPC ${enhancedData.name} has relationships in standard format: ${JSON.stringify(enhancedData.relationships)}`);
-    }
-  }
+/**
+ * Initialize an NPC with metadata
+ * With an "id", the NPC keeps that ID: initializing an existing ID merges the definition into that
+ * NPC like updateNpc. Without one, the NPC gets a generated ID and replaces an NPC with its name.
+ * @param {Object} npcData - NPC information (id, name, backstory, etc.)
+ * @param {string} [requestId] - Optional request ID for logging
+ * @returns {string} - NPC ID
+ * @throws {Error} - If the definition is invalid, or its "id" comes with the name of another NPC
+ */
+function initializeNpc(npcData, requestId = Date.now().toString()) {
+  // Log function entry
+  logger.functionEntry('initializeNpc', { npcName: npcData.name }, requestId);
 
-  // No fallback relationships - relationships must be explicitly defined
-
-  // Merge any remaining relationship field (singular) into relationships object (plural)
-  // This ensures we capture all relationships, whether they come from the singular or plural field
-  if (enhancedData.relationship && typeof enhancedData.relationship === 'string' &&
-      !enhancedData.relationship.includes('\\\"')) {
-    // Only process if we haven't already processed this as an Unreal Engine format
-    logger.info(`Checking for additional relationships in 'relationship' field: ${enhancedData.relationship}`);
-
-    try {
-      // Try to parse as JSON
-      if (enhancedData.relationship.startsWith('{') && enhancedData.relationship.endsWith('}')) {
-        try {
-          const relationshipObj = JSON.parse(enhancedData.relationship);
-          if (typeof relationshipObj === 'object' && relationshipObj !== null) {
-            Object.entries(relationshipObj).forEach(([name, status]) => {
-              if (!enhancedData.relationships[name]) {
-                enhancedData.relationships[name] = status;
-                logger.info(`Added relationship from JSON string: ${name} -> ${status}`);
-              }
-            });
-          }
-        } catch (e) {
-          logger.warn(`Failed to parse relationship as JSON: ${e.message}`);
-        }
-      }
-    } catch (error) {
-      logger.warn(`Error processing additional relationships: ${error.message}`);
-    }
+  // Check the definition against the NPC schema (converting Unreal Engine export shapes) and its
+  // knowledge rules and secrets before anything is replaced
+  const definition = npcSchema.validateNpcDefinition(npcData);
+  if (!definition.valid) {
+    throw new Error(`Invalid NPC definition: ${npcSchema.formatErrors(definition.errors)}`);
   }
+  definition.adapted.forEach(({ field, adapter }) => {
+    logger.debug(`Adapted ${field} of NPC ${definition.npc.name} (${adapter})`, requestId);
+  });
 
-  // Log the final relationships
-  logger.info(`NPC ${enhancedData.name} final relationships: ${JSON.stringify(enhancedData.relationships)}`);
-
-  // Special handling for Unreal Engine format
-  // Check if we have a relationship field that looks like "Alfred\": \"Standoffish"
-  if (enhancedData.relationship && typeof enhancedData.relationship === 'string' &&
-      enhancedData.relationship.includes('\\\"')) {
-
-    logger.info(`Detected Unreal Engine relationship format: ${enhancedData.relationship}`);
-
-    try {
-      // First, clean up the string by removing escaped quotes
-      const cleanStr = enhancedData.relationship.replace(/\\"/g, '"').replace(/\\/g, '');
-      logger.info(`Cleaned relationship string: ${cleanStr}`);
-
-      // Use a more sophisticated approach to extract key-value pairs
-      // This regex looks for patterns like "key":"value" or "key": "value"
-      // and handles cases where values might contain commas
-      try {
-        // Method 1: Use regex to find all "key":"value" patterns
-        const relationshipRegex = /"([^"]+)":\s*"([^"]*)"/g;
-        let match;
-        let foundAny = false;
-
-        while ((match = relationshipRegex.exec(cleanStr)) !== null) {
-          foundAny = true;
-          const name = match[1].trim();
-          const status = match[2].trim();
-
-          if (name && status) {
-            logger.info(`Successfully extracted relationship using regex: ${name} -> ${status}`);
-            enhancedData.relationships[name] = status;
-          }
-        }
-
-        // If regex didn't find anything, try alternative methods
-        if (!foundAny) {
-          logger.info(`Regex didn't find any relationships, trying alternative methods`);
-
-          // Method 2: Try to reconstruct the string as valid JSON and parse it
-          try {
-            // Add curly braces to make it a valid JSON object
-            const jsonStr = `{${cleanStr}}`;
-            logger.info(`Attempting to parse as JSON: ${jsonStr}`);
-
-            const jsonObj = JSON.parse(jsonStr);
-
-            // Extract relationships from the parsed JSON
-            Object.entries(jsonObj).forEach(([name, status]) => {
-              if (name && status) {
-                logger.info(`Extracted relationship from JSON: ${name} -> ${status}`);
-                enhancedData.relationships[name] = status;
-              }
-            });
-          } catch (jsonError) {
-            logger.warn(`Failed to parse as JSON: ${jsonError.message}`);
-
-            // Method 3: Split by comma but be smarter about it
-            // This is a fallback method that tries to handle simple cases
-            if (cleanStr.includes(',')) {
-              logger.info(`Trying comma-based splitting as fallback`);
-
-              // Look for patterns that might indicate relationship boundaries
-              // This is a heuristic approach that works for simple cases
-              const parts = [];
-              let currentPart = '';
-              let inQuotes = false;
-
-              // Manually parse the string character by character
-              for (let i = 0; i < cleanStr.length; i++) {
-                const char = cleanStr[i];
-
-                if (char === '"') {
-                  inQuotes = !inQuotes;
-                  currentPart += char;
-                } else if (char === ',' && !inQuotes) {
-                  // Only split on commas that are not inside quotes
-                  parts.push(currentPart);
-                  currentPart = '';
-                } else {
-                  currentPart += char;
-                }
-              }
-
-              // Add the last part
-              if (currentPart) {
-                parts.push(currentPart);
-              }
-
-              logger.info(`Smart split by comma into ${parts.length} parts: ${JSON.stringify(parts)}`);
-
-              // Process each part
-              parts.forEach(part => {
-                // Try to extract the name and status from each part
-                const partMatch = part.match(/"([^"]+)":\s*"([^"]+)"/);
-
-                if (partMatch && partMatch.length >= 3) {
-                  const name = partMatch[1].trim();
-                  const status = partMatch[2].trim();
-
-                  if (name && status) {
-                    logger.info(`Extracted relationship from smart-split part: ${name} -> ${status}`);
-                    enhancedData.relationships[name] = status;
-                  }
-                } else {
-                  // If the regex didn't work, try a simpler approach
-                  const subParts = part.split(/[":\\]+/).filter(p => p.trim().length > 0);
-                  logger.info(`Split part into sub-parts: ${JSON.stringify(subParts)}`);
-
-                  if (subParts.length >= 2) {
-                    const name = subParts[0].trim();
-                    const status = subParts[1].trim();
-
-                    if (name && status) {
-                      logger.info(`Extracted relationship using simple split: ${name} -> ${status}`);
-                      enhancedData.relationships[name] = status;
-                    }
-                  }
-                }
-              });
-            } else {
-              // Method 4: Simple string splitting for single relationships
-              // This is a fallback for the simplest case
-              const parts = cleanStr.split(/[":\\]+/).filter(p => p.trim().length > 0);
-              logger.info(`Split relationship parts: ${JSON.stringify(parts)}`);
-
-              if (parts.length >= 2) {
-                const name = parts[0].trim();
-                const status = parts[1].trim();
-
-                if (name && status) {
-                  logger.info(`Extracted relationship using simple split: ${name} -> ${status}`);
-                  enhancedData.relationships[name] = status;
-                }
-              }
-            }
-          }
-        }
+  const { id: suppliedId, ...npc } = definition.npc;
 
-        // Remove the original field to avoid confusion
-        if (Object.keys(enhancedData.relationships).length > 0) {
-          delete enhancedData.relationship;
-        }
-      } catch (error) {
-        logger.error(`Error parsing relationship string: ${error.message}`);
-      }
-    } catch (error) {
-      logger.error(`Failed to parse Unreal Engine relationship format: ${error.message}`);
-    }
+  // A caller-supplied ID cannot take the name of another NPC (without one, that NPC is replaced below)
+  const namesake = findNpcByName(npc.name);
+  if (suppliedId && namesake && namesake.id !== suppliedId) {
+    throw new Error(`Another NPC is already named ${namesake.name} (${namesake.id})`);
   }
 
-  // Process inventory and skills if they're strings instead of arrays
-  ['inventory', 'skills'].forEach(field => {
-    if (typeof enhancedData[field] === 'string') {
-      logger.warn(`NPC ${enhancedData.name} has ${field} as a string, converting to array`);
-
-      // First, try to detect if the string has a pattern of concatenated words with capital letters
-      const inputStr = enhancedData[field];
-      logger.info(`Original ${field} string: "${inputStr}"`);
+  // Re-initializing a caller-supplied ID keeps the NPC and its history
+  if (suppliedId && getNpcContexts().has(suppliedId)) {
+    updateNpc(suppliedId, npc, requestId);
+    logger.functionExit('initializeNpc', { npc_id: suppliedId, npc_name: npc.name, merged: true }, requestId);
+    return suppliedId;
+  }
 
-      // Method 1: Try to split by common item separators first
-      let items = [];
+  const enhancedData = buildNpcMetadata(npc);
 
-      // Check if there are any common separators in the string
-      if (inputStr.includes(',') || inputStr.includes(';') || inputStr.includes('|')) {
-        // Split by explicit separators
-        items = inputStr
-          .split(/[,;|]+/)
-          .map(item => item.trim())
-          .filter(item => item.length > 0);
+  // Check if an NPC with this name already exists
+  const existingNpc = suppliedId ? null : namesake;
 
-        logger.info(`Split ${field} by separators: ${JSON.stringify(items)}`);
-      }
-      // Method 2: For strings like "UnfinishedSwordTongsHammer" - detect CamelCase pattern
-      else if (/[a-z][A-Z]/.test(inputStr)) {
-        // This is likely a CamelCase string with no separators
-        // Split on capital letters that follow lowercase letters
-        items = inputStr
-          .split(/(?<=[a-z])(?=[A-Z])/)
-          .map(item => item.trim())
-          .filter(item => item.length > 0);
-
-        logger.info(`Split ${field} by CamelCase: ${JSON.stringify(items)}`);
-      }
-      // Method 3: For strings with spaces
-      else if (inputStr.includes(' ')) {
-        // Split by spaces
-        items = inputStr
-          .split(/\s+/)
-          .map(item => item.trim())
-          .filter(item => item.length > 0);
-
-        logger.info(`Split ${field} by spaces: ${JSON.stringify(items)}`);
-      }
-      // Method 4: Fallback - try to identify common item patterns
-      else {
-        // Special case for "Unfinished Sword" type items that got concatenated
-        // Look for known item prefixes/adjectives
-        const prefixes = ['Unfinished', 'Broken', 'Rusty', 'Ancient', 'Magic', 'Enchanted', 'Small', 'Large'];
-        const itemTypes = ['Sword', 'Axe', 'Hammer', 'Shield', 'Bow', 'Arrow', 'Potion', 'Scroll', 'Gem', 'Ring'];
-
-        let processedItems = [];
-        let currentStr = inputStr;
-
-        // Try to identify compound items
-        prefixes.forEach(prefix => {
-          if (currentStr.includes(prefix)) {
-            const prefixIndex = currentStr.indexOf(prefix);
-            const afterPrefix = currentStr.substring(prefixIndex + prefix.length);
-
-            // Check if any item type follows the prefix
-            itemTypes.forEach(itemType => {
-              if (afterPrefix.startsWith(itemType)) {
-                // Found a compound item like "UnfinishedSword"
-                const compoundItem = prefix + ' ' + itemType;
-                processedItems.push(compoundItem);
-
-                // Remove the compound item from the string
-                currentStr = currentStr.replace(prefix + itemType, '');
-                logger.info(`Identified compound item: "${compoundItem}"`);
-              }
-            });
-          }
-        });
-
-        // Process any remaining text
-        if (currentStr.length > 0) {
-          // Split remaining text by capital letters
-          const remainingItems = currentStr
-            .split(/(?<=[a-z])(?=[A-Z])/)
-            .map(item => item.trim())
-            .filter(item => item.length > 0);
-
-          processedItems = [...processedItems, ...remainingItems];
-        }
+  if (existingNpc) {
+    logger.warn(`NPC with name "${npc.name}" already exists with ID ${existingNpc.id}. Replacing with new data.`, requestId);
 
-        if (processedItems.length > 0) {
-          items = processedItems;
-          logger.info(`Split ${field} using compound item detection: ${JSON.stringify(items)}`);
-        } else {
-          // Last resort: just split by capital letters
-          items = inputStr
-            .split(/(?<=[a-z])(?=[A-Z])/)
-            .map(item => item.trim())
-            .filter(item => item.length > 0);
+    // Log the existing NPC data for reference
+    logger.functionStep('initializeNpc', 'Existing NPC data', {
+      id: existingNpc.id,
+      name: existingNpc.name,
+      metadata_keys: Object.keys(existingNpc)
+    }, requestId);
 
-          logger.info(`Split ${field} by capital letters (last resort): ${JSON.stringify(items)}`);
-        }
-      }
+    // Remove the existing NPC
+    removeNpc(existingNpc.id);
+    logger.info(`Removed existing NPC "${npc.name}" with ID ${existingNpc.id}`, requestId);
+  }
 
-      enhancedData[field] = items;
-      logger.info(`Final converted ${field} array: ${JSON.stringify(items)}`);
-    } else if (!enhancedData[field]) {
-      // Initialize as empty array if not present
-      enhancedData[field] = [];
-    }
-  });
+  // Use the caller's ID or generate a unique one
+  const npcId = suppliedId || crypto.randomUUID();
+  logger.functionStep('initializeNpc', suppliedId ? 'Using supplied NPC ID' : 'Generated new NPC ID', { npcId }, requestId);
 
   // Store NPC data with empty conversation history
-  npcContexts.set(npcId, {
+  getNpcContexts().set(npcId, {
     metadata: enhancedData,
-    conversations: []
+    conversations: [],
+    summaries: {},
+    archived_conversations: []
   });
+  persistNpc(npcId);
+  relationshipGraph.indexNpc(getNpcContexts(), npcId);
 
   logger.functionStep('initializeNpc', 'Stored NPC data in context', {
     npc_id: npcId,
@@ -760,8 +241,8 @@ function initializeNpcs(npcsData, requestId = Date.now().toString()) {
       npc_name: npcData.name
     }, requestId);
 
-    // Check if this NPC already exists (for counting replacements)
-    const existingNpc = findNpcByName(npcData.name);
+    // Check if this NPC already exists (for counting replacements and merges)
+    const existingNpc = npcData.id ? getNpcContexts().has(npcData.id) : findNpcByName(npcData.name);
     if (existingNpc) {
       replacedCount++;
     }
@@ -771,7 +252,7 @@ function initializeNpcs(npcsData, requestId = Date.now().toString()) {
 
     // Initialize the NPC with the request ID
     const id = initializeNpc(npcData, npcRequestId);
-    npcIds[npcData.name] = id;
+    npcIds[getNpcContexts().get(id).metadata.name] = id;
     successCount++;
   });
 
@@ -791,30 +272,216 @@ function initializeNpcs(npcsData, requestId = Date.now().toString()) {
   return npcIds;
 }
 
+/**
+ * Record the relationship changes an edit of an NPC's definition made
+ * @param {string} npcId - NPC identifier
+ * @param {Object} before - Metadata before the edit
+ * @param {Object} after - Metadata after the edit
+ * @param {Object} cause - Cause of the changes, e.g. { type: 'admin', request_id }
+ */
+function recordDefinitionChanges(npcId, before, after, cause) {
+  const changed = (previous, next) => next && (!previous || previous.status !== next.status ||
+    relationshipManager.SCORES.some(score => previous[score] !== next[score]));
+  const reason = 'NPC definition edited';
+
+  Object.entries(after.relationships || {}).forEach(([name, relationship]) => {
+    const previous = (before.relationships || {})[findRelationshipName(before.relationships, name)];
+    if (changed(previous, relationship)) {
+      const other = findNpcByName(name);
+      relationshipHistory.recordRelationshipEvent(npcId, {
+        kind: 'npc',
+        target: { npc_id: other ? other.id : null, name },
+        before: previous,
+        after: relationship,
+        cause,
+        reason
+      });
+    }
+  });
+
+  const players = [[null, before.player_relationship, after.player_relationship]];
+  Object.entries(after.player_relationships || {}).forEach(([playerId, relationship]) => {
+    players.push([playerId, (before.player_relationships || {})[playerId], relationship]);
+  });
+
+  players.forEach(([playerId, previous, relationship]) => {
+    if (changed(previous, relationship)) {
+      relationshipHistory.recordRelationshipEvent(npcId, {
+        kind: 'player',
+        target: { player_id: playerId },
+        before: previous,
+        after: relationship,
+        cause,
+        reason
+      });
+    }
+  });
+}
+
+/**
+ * Apply the changes of a partial NPC definition to an NPC's metadata
+ * Fields are replaced, except relationships and player_relationships, which are merged by key.
+ * null removes a field or relationship.
+ * @param {Object} metadata - Current metadata
+ * @param {Object} fields - Changed fields (validated, without the ID)
+ * @returns {Object} - Changed metadata, not yet rebuilt with buildNpcMetadata
+ */
+function mergeNpcChanges(metadata, fields) {
+  const updated = { ...metadata };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === null) {
+      delete updated[field];
+    } else if (npcSchema.MERGED_FIELDS.includes(field)) {
+      const merged = { ...(metadata[field] || {}) };
+      Object.entries(value).forEach(([key, entry]) => {
+        // NPC relationships are matched by name case-insensitively, like everywhere else
+        const storedKey = field === 'relationships' ? (findRelationshipName(merged, key) || key) : key;
+        if (entry === null) {
+          delete merged[storedKey];
+        } else {
+          merged[storedKey] = entry;
+        }
+      });
+      updated[field] = merged;
+    } else {
+      updated[field] = value;
+    }
+  });
+
+  return updated;
+}
+
+/**
+ * Build the metadata an NPC definition would be stored with, without storing anything
+ * With an NPC ID, the definition is merged into that NPC like updateNpc does.
+ * @param {Object} npcData - NPC definition
+ * @param {string} [npcId] - NPC to merge the definition into
+ * @returns {Object} - NPC metadata
+ * @throws {Error} - If the definition is invalid
+ */
+function previewNpcMetadata(npcData, npcId) {
+  const npcContext = npcId ? getNpcContexts().get(npcId) : null;
+  const definition = npcSchema.validateNpcDefinition(npcData, { partial: Boolean(npcContext) });
+  if (!definition.valid) {
+    throw new Error(`Invalid NPC definition: ${npcSchema.formatErrors(definition.errors)}`);
+  }
+
+  const { id, ...fields } = definition.npc;
+  return buildNpcMetadata(npcContext ? mergeNpcChanges(npcContext.metadata, fields) : fields);
+}
+
+/**
+ * Change some fields of an NPC's definition, keeping its ID, history and everything else
+ * Fields are replaced, except relationships and player_relationships, which are merged by key.
+ * null removes a field or relationship.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} changes - Changed fields (a partial NPC definition)
+ * @param {string} [requestId] - Optional request ID for logging
+ * @returns {Object|null} - Updated metadata or null if the NPC was not found
+ * @throws {Error} - If the changes are invalid
+ */
+function updateNpc(npcId, changes, requestId = Date.now().toString()) {
+  const npcContext = getNpcContexts().get(npcId);
+  if (!npcContext) {
+    return null;
+  }
+
+  const definition = npcSchema.validateNpcDefinition(changes, { partial: true });
+  if (!definition.valid) {
+    throw new Error(`Invalid NPC changes: ${npcSchema.formatErrors(definition.errors)}`);
+  }
+
+  const { id, ...fields } = definition.npc;
+  if (id !== undefined && id !== npcId) {
+    throw new Error(`The ID of NPC ${npcId} cannot be changed`);
+  }
+
+  const before = npcContext.metadata;
+  const metadata = buildNpcMetadata(mergeNpcChanges(before, fields));
+  setNpcMetadata(npcId, metadata);
+  recordDefinitionChanges(npcId, before, metadata, { type: 'admin', request_id: requestId });
+
+  logger.info(`Updated NPC ${metadata.name} (${npcId}): ${Object.keys(fields).join(', ')}`, requestId);
+  return getNpcMetadata(npcId);
+}
+
+/**
+ * Replace an NPC's definition, keeping its ID, conversation history and memories
+ * Relationships with individual players are kept unless the new definition sets them.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} npcData - New NPC definition
+ * @param {string} [requestId] - Optional request ID for logging
+ * @returns {Object|null} - New metadata or null if the NPC was not found
+ * @throws {Error} - If the definition is invalid
+ */
+function replaceNpc(npcId, npcData, requestId = Date.now().toString()) {
+  const npcContext = getNpcContexts().get(npcId);
+  if (!npcContext) {
+    return null;
+  }
+
+  const definition = npcSchema.validateNpcDefinition(npcData);
+  if (!definition.valid) {
+    throw new Error(`Invalid NPC definition: ${npcSchema.formatErrors(definition.errors)}`);
+  }
+
+  const { id, ...fields } = definition.npc;
+  if (id !== undefined && id !== npcId) {
+    throw new Error(`The ID of NPC ${npcId} cannot be changed`);
+  }
+
+  const before = npcContext.metadata;
+  const kept = { player_relationships: before.player_relationships };
+  if (before.mood_since && before.mood === fields.mood) {
+    kept.mood_since = before.mood_since;
+  }
+
+  const metadata = buildNpcMetadata({ ...kept, ...fields });
+  setNpcMetadata(npcId, metadata);
+  recordDefinitionChanges(npcId, before, metadata, { type: 'admin', request_id: requestId });
+
+  logger.info(`Replaced definition of NPC ${metadata.name} (${npcId})`, requestId);
+  return getNpcMetadata(npcId);
+}
+
 /**
  * Add a message to an NPC's conversation history
  * @param {string} npcId - NPC identifier
- * @param {string} role - Message role ('player' or 'npc')
+ * @param {string} role - Message role ('player', 'npc', or 'other_npc' for another NPC's line in an NPC conversation)
  * @param {string} content - Message content
+ * @param {string} [playerId] - Player the message was exchanged with
+ * @param {Object} [details] - Extra fields for NPC conversation lines (conversation_id, speaker_id, speaker)
  * @returns {boolean} - Success status
  */
-function addMessage(npcId, role, content) {
-  if (!npcContexts.has(npcId)) {
+function addMessage(npcId, role, content, playerId, details) {
+  if (!getNpcContexts().has(npcId)) {
     logger.error(`Cannot add message: NPC ${npcId} not found`);
     return false;
   }
 
-  const npcContext = npcContexts.get(npcId);
+  const npcContext = getNpcContexts().get(npcId);
 
   // Add message with timestamp
-  npcContext.conversations.push({
+  const entry = {
     role,
     content,
     timestamp: new Date().toISOString()
-  });
+  };
+
+  if (playerId) {
+    entry.player_id = playerId;
+  }
+
+  if (details) {
+    Object.assign(entry, details);
+  }
+
+  npcContext.conversations.push(entry);
 
-  // Update the context
-  npcContexts.set(npcId, npcContext);
+  // Update the context (messages arrive in bursts, so the write may be deferred and coalesced)
+  getNpcContexts().set(npcId, npcContext);
+  persistNpcSoon(npcId);
   return true;
 }
 
@@ -822,52 +489,223 @@ function addMessage(npcId, role, content) {
  * Get conversation history for an NPC
  * @param {string} npcId - NPC identifier
  * @param {number} limit - Maximum number of messages to retrieve (0 for all)
+ * @param {string} [playerId] - Only include messages exchanged with this player
  * @returns {Array|null} - Conversation history or null if NPC not found
  */
-function getConversationHistory(npcId, limit = 0) {
-  if (!npcContexts.has(npcId)) {
+function getConversationHistory(npcId, limit = 0, playerId) {
+  if (!getNpcContexts().has(npcId)) {
     logger.error(`Cannot get history: NPC ${npcId} not found`);
     return null;
   }
 
-  const npcContext = npcContexts.get(npcId);
-  const conversations = npcContext.conversations;
+  const npcContext = getNpcContexts().get(npcId);
+  const conversations = playerId ?
+    npcContext.conversations.filter(msg => msg.player_id === playerId) :
+    npcContext.conversations;
 
   // Return all or limited history
   return limit > 0 ? conversations.slice(-limit) : conversations;
 }
 
+/**
+ * Check whether a history message belongs to a player chat (not to a conversation between NPCs)
+ * @param {Object} msg - History message
+ * @returns {boolean}
+ */
+function isPlayerChatMessage(msg) {
+  return !msg.conversation_id;
+}
+
 /**
  * Format conversation history for OpenAI API
+ * Lines from conversations between NPCs are left out; they reach player chats through memories.
+ * Other NPCs' lines from group chats are sent as "Name: line".
  * @param {string} npcId - NPC identifier
  * @param {number} limit - Maximum number of messages to include
+ * @param {string} [playerId] - Only include messages exchanged with this player
  * @returns {Array} - Formatted messages for OpenAI API
  */
-function formatHistoryForOpenAI(npcId, limit = 10) {
-  const history = getConversationHistory(npcId, limit);
+function formatHistoryForOpenAI(npcId, limit = 10, playerId) {
+  const history = getConversationHistory(npcId, 0, playerId);
 
   if (!history) {
     return [];
   }
 
+  const chatHistory = history.filter(isPlayerChatMessage);
+
   // Convert to OpenAI message format
-  return history.map(msg => ({
+  return (limit > 0 ? chatHistory.slice(-limit) : chatHistory).map(msg => ({
     role: msg.role === 'npc' ? 'assistant' : 'user',
-    content: msg.content
+    content: msg.role === 'other_npc' ? `${msg.speaker}: ${msg.content}` : msg.content
   }));
 }
 
+/**
+ * Find past exchanges with a player that are semantically related to a message
+ * Searches archived (summarized) messages and the history older than excludeRecent,
+ * pairing each player message with the NPC's reply.
+ * @param {string} npcId - NPC identifier
+ * @param {string} query - Text to match (usually the current player message)
+ * @param {Object} [options] - Options
+ * @param {string} [options.playerId] - Only search exchanges with this player
+ * @param {number} [options.limit] - Maximum number of exchanges
+ * @param {number} [options.excludeRecent=0] - Skip the most recent messages (already in the prompt)
+ * @returns {Promise<Array>} - Exchanges as { timestamp, player, npc, score }, oldest first
+ */
+async function findRelevantMessages(npcId, query, options = {}) {
+  const npcContext = getNpcContexts().get(npcId);
+
+  if (!npcContext || !query) {
+    return [];
+  }
+
+  const belongsToPlayer = msg => isPlayerChatMessage(msg) && msg.role !== 'other_npc' &&
+    (!options.playerId || msg.player_id === options.playerId);
+  const archived = (npcContext.archived_conversations || []).filter(belongsToPlayer);
+  const history = npcContext.conversations.filter(belongsToPlayer);
+  const searchable = [
+    ...archived,
+    ...(options.excludeRecent > 0 ? history.slice(0, -options.excludeRecent) : history)
+  ];
+
+  // Group each player message with the NPC reply that follows it
+  const exchanges = [];
+  searchable.forEach(msg => {
+    const last = exchanges[exchanges.length - 1];
+    if (msg.role === 'npc' && last && !last.npc) {
+      last.npc = msg.content;
+    } else {
+      exchanges.push({
+        timestamp: msg.timestamp,
+        player: msg.role === 'npc' ? null : msg.content,
+        npc: msg.role === 'npc' ? msg.content : null
+      });
+    }
+  });
+
+  const items = exchanges.map(exchange => ({
+    id: `${exchange.timestamp}|${crypto.createHash('sha1').update(`${exchange.player}|${exchange.npc}`).digest('hex').slice(0, 12)}`,
+    text: [exchange.player, exchange.npc].filter(Boolean).join('\n'),
+    payload: exchange
+  }));
+
+  const results = await embeddingIndex.search(
+    `${worldManager.getCurrentWorldId()}/messages/${npcId}/${options.playerId || '*'}`,
+    items,
+    query,
+    { k: options.limit }
+  );
+
+  return results
+    .map(result => ({ ...result.payload, score: Math.round(result.score * 1000) / 1000 }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Get the key a player's conversation summary is stored under
+ * Messages exchanged without a player_id share the default key.
+ * @param {string} [playerId] - Player identifier
+ * @returns {string} - Summary key
+ */
+function getSummaryKey(playerId) {
+  return playerId || DEFAULT_SUMMARY_KEY;
+}
+
+/**
+ * Get the rolling summary of an NPC's older conversations with a player
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier
+ * @returns {Object|null} - Summary record or null if nothing has been summarized yet
+ */
+function getConversationSummary(npcId, playerId) {
+  const npcContext = getNpcContexts().get(npcId);
+
+  if (!npcContext || !npcContext.summaries) {
+    return null;
+  }
+
+  return npcContext.summaries[getSummaryKey(playerId)] || null;
+}
+
+/**
+ * Get the oldest messages with a player that are due to be summarized
+ * Returns nothing until the player's history passes the threshold; then every
+ * message except the most recent keepRecent is returned.
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier
+ * @param {number} threshold - Message count that triggers summarization
+ * @param {number} keepRecent - Number of recent messages kept verbatim
+ * @returns {Array} - Messages to summarize (oldest first)
+ */
+function getMessagesToSummarize(npcId, playerId, threshold, keepRecent) {
+  const npcContext = getNpcContexts().get(npcId);
+
+  if (!npcContext) {
+    return [];
+  }
+
+  const messages = npcContext.conversations.filter(msg => isPlayerChatMessage(msg) && msg.player_id === playerId);
+
+  if (messages.length <= threshold) {
+    return [];
+  }
+
+  return messages.slice(0, messages.length - keepRecent);
+}
+
+/**
+ * Store a new rolling summary and drop the messages it replaces from the history
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier
+ * @param {string} summary - Summary covering the previous summary and the summarized messages
+ * @param {Array} summarizedMessages - Messages condensed into the summary
+ * @returns {Object|null} - Updated summary record or null if NPC not found
+ */
+function applyConversationSummary(npcId, playerId, summary, summarizedMessages) {
+  if (!getNpcContexts().has(npcId)) {
+    logger.error(`Cannot store summary: NPC ${npcId} not found`);
+    return null;
+  }
+
+  const npcContext = getNpcContexts().get(npcId);
+  const key = getSummaryKey(playerId);
+  const previous = (npcContext.summaries || {})[key];
+  const summarized = new Set(summarizedMessages);
+
+  npcContext.conversations = npcContext.conversations.filter(msg => !summarized.has(msg));
+
+  // Summarized messages stay searchable through semantic retrieval, up to the archive limit
+  npcContext.archived_conversations = [...(npcContext.archived_conversations || []), ...summarizedMessages]
+    .slice(-config.memory.archiveLimit);
+
+  const record = {
+    summary,
+    message_count: (previous ? previous.message_count : 0) + summarizedMessages.length,
+    first_timestamp: previous ? previous.first_timestamp : summarizedMessages[0]?.timestamp || null,
+    last_timestamp: summarizedMessages[summarizedMessages.length - 1]?.timestamp || (previous ? previous.last_timestamp : null),
+    updated_at: new Date().toISOString()
+  };
+
+  npcContext.summaries = { ...(npcContext.summaries || {}), [key]: record };
+  getNpcContexts().set(npcId, npcContext);
+  persistNpc(npcId);
+
+  logger.info(`Summarized ${summarizedMessages.length} messages for NPC ${npcId} (${key})`);
+  return record;
+}
+
 /**
  * Get NPC metadata
  * @param {string} npcId - NPC identifier
  * @returns {Object|null} - NPC metadata or null if not found
  */
 function getNpcMetadata(npcId) {
-  if (!npcContexts.has(npcId)) {
+  if (!getNpcContexts().has(npcId)) {
     return null;
   }
 
-  return npcContexts.get(npcId).metadata;
+  return getNpcContexts().get(npcId).metadata;
 }
 
 /**
@@ -876,19 +714,53 @@ function getNpcMetadata(npcId) {
  * @returns {Object|null} - NPC data including ID or null if not found
  */
 function findNpcByName(name) {
-  // Case-insensitive search
-  const searchName = name.toLowerCase();
+  // Case-insensitive lookup in the name index
+  const id = relationshipGraph.findNpcId(getNpcContexts(), name);
 
-  for (const [id, data] of npcContexts.entries()) {
-    if (data.metadata.name.toLowerCase() === searchName) {
-      return {
-        id,
-        ...data.metadata
-      };
-    }
+  if (!id) {
+    return null;
   }
 
-  return null;
+  return {
+    id,
+    ...getNpcMetadata(id)
+  };
+}
+
+/**
+ * Resolve an NPC ID or name to the NPC's ID
+ * @param {string} npcIdOrName - NPC ID or name
+ * @returns {string|null} - NPC ID or null if not found
+ */
+function resolveNpcId(npcIdOrName) {
+  if (!npcIdOrName) {
+    return null;
+  }
+
+  if (getNpcContexts().has(npcIdOrName)) {
+    return npcIdOrName;
+  }
+
+  const npc = findNpcByName(npcIdOrName);
+  return npc ? npc.id : null;
+}
+
+/**
+ * Get the relationships an NPC has from the relationship graph
+ * @param {string} npcId - NPC identifier
+ * @returns {Array} - Relationships as { name (as stored), npc_id (null if no NPC has that name) }
+ */
+function getRelationshipTargets(npcId) {
+  return relationshipGraph.getRelationshipTargets(getNpcContexts(), npcId);
+}
+
+/**
+ * Get the NPCs that have a relationship with a name from the relationship graph
+ * @param {string} name - Name of the NPC the relationships are with
+ * @returns {Array} - NPC identifiers
+ */
+function getNpcIdsRelatedTo(name) {
+  return relationshipGraph.getNpcIdsRelatedTo(getNpcContexts(), name);
 }
 
 /**
@@ -899,24 +771,10 @@ function findNpcByName(name) {
  * @returns {Object} - Relationship information
  */
 function getNpcRelationship(npcId1OrName, npcId2OrName, includeFutureRelationships = true) {
-  // Try to get NPCs by ID first
-  let npc1 = getNpcMetadata(npcId1OrName);
-  let npc2 = getNpcMetadata(npcId2OrName);
-
-  // If not found by ID, try by name
-  if (!npc1) {
-    const npcByName = findNpcByName(npcId1OrName);
-    if (npcByName) {
-      npc1 = getNpcMetadata(npcByName.id);
-    }
-  }
-
-  if (!npc2) {
-    const npcByName = findNpcByName(npcId2OrName);
-    if (npcByName) {
-      npc2 = getNpcMetadata(npcByName.id);
-    }
-  }
+  const npc1Id = resolveNpcId(npcId1OrName);
+  const npc2Id = resolveNpcId(npcId2OrName);
+  let npc1 = npc1Id ? getNpcMetadata(npc1Id) : null;
+  let npc2 = npc2Id ? getNpcMetadata(npc2Id) : null;
 
   // Handle case where one or both NPCs don't exist yet
   if (!npc1 || !npc2) {
@@ -932,35 +790,25 @@ function getNpcRelationship(npcId1OrName, npcId2OrName, includeFutureRelationshi
       };
     }
 
-    // Create placeholder data for missing NPCs
+    // An identifier that matches no NPC is the name of an NPC that does not exist yet
     if (!npc1) {
-      // Use the name as identifier if it's a string, otherwise use the ID
-      const npc1Name = typeof npcId1OrName === 'string' && !npcId1OrName.includes('-') ?
-                       npcId1OrName : `Unknown NPC (${npcId1OrName})`;
-
       npc1 = {
-        id: null,
-        name: npc1Name,
+        name: String(npcId1OrName),
         relationships: {},
         is_placeholder: true
       };
 
-      logger.info(`Created placeholder for non-existent NPC: ${npc1Name}`);
+      logger.debug(`Created placeholder for non-existent NPC: ${npc1.name}`);
     }
 
     if (!npc2) {
-      // Use the name as identifier if it's a string, otherwise use the ID
-      const npc2Name = typeof npcId2OrName === 'string' && !npcId2OrName.includes('-') ?
-                       npcId2OrName : `Unknown NPC (${npcId2OrName})`;
-
       npc2 = {
-        id: null,
-        name: npc2Name,
+        name: String(npcId2OrName),
         relationships: {},
         is_placeholder: true
       };
 
-      logger.info(`Created placeholder for non-existent NPC: ${npc2Name}`);
+      logger.debug(`Created placeholder for non-existent NPC: ${npc2.name}`);
     }
   }
 
@@ -989,15 +837,25 @@ function getNpcRelationship(npcId1OrName, npcId2OrName, includeFutureRelationshi
     }
   }
 
+  // Relationships stored as text (before scores existed) are read as records too;
+  // without one, an NPC holds its faction's attitude towards the other NPC's faction
+  const recordFromNpc1 = relationshipManager.normalizeRelationship(relationFromNpc1) ||
+    factionManager.getInheritedNpcRelationship(npc1.faction, npc2.faction);
+  const recordFromNpc2 = relationshipManager.normalizeRelationship(relationFromNpc2) ||
+    factionManager.getInheritedNpcRelationship(npc2.faction, npc1.faction);
+  const comparison = relationshipManager.compareRelationships(recordFromNpc1, recordFromNpc2);
+
   return {
-    npc1_id: npc1.id || npcId1OrName,
-    npc2_id: npc2.id || npcId2OrName,
+    npc1_id: npc1Id,
+    npc2_id: npc2Id,
     npc1_name: npc1.name,
     npc2_name: npc2.name,
-    npc1_to_npc2: relationFromNpc1 || "none",
-    npc2_to_npc1: relationFromNpc2 || "none",
-    is_mutual: relationFromNpc1 === relationFromNpc2 && relationFromNpc1 !== undefined,
-    is_conflicting: relationFromNpc1 !== relationFromNpc2 && relationFromNpc1 !== undefined && relationFromNpc2 !== undefined,
+    npc1_to_npc2: recordFromNpc1 ? recordFromNpc1.status : "none",
+    npc2_to_npc1: recordFromNpc2 ? recordFromNpc2.status : "none",
+    npc1_to_npc2_details: recordFromNpc1,
+    npc2_to_npc1_details: recordFromNpc2,
+    is_mutual: comparison.is_mutual,
+    is_conflicting: comparison.is_conflicting,
     npc1_exists: !npc1.is_placeholder,
     npc2_exists: !npc2.is_placeholder,
     is_future_relationship: npc1.is_placeholder || npc2.is_placeholder
@@ -1005,7 +863,43 @@ function getNpcRelationship(npcId1OrName, npcId2OrName, includeFutureRelationshi
 }
 
 /**
- * Discover relationships for an NPC by searching through all other NPCs
+ * Find a relationship in an NPC's relationships by name (case-insensitive)
+ * @param {Object} relationships - NPC's relationships keyed by name
+ * @param {string} name - Name of the other NPC
+ * @returns {string|undefined} - Name the relationship is stored under
+ */
+function findRelationshipName(relationships, name) {
+  const lowered = name.toLowerCase();
+  return Object.keys(relationships || {}).find(storedName => storedName.toLowerCase() === lowered);
+}
+
+/**
+ * Find the NPCs whose faction gives them an inherited relationship with a faction's members
+ * (its own members and the members of factions it has a stance with, either way)
+ * @param {string} npcFaction - NPC's "faction" field
+ * @returns {Array} - NPC identifiers
+ */
+function getFactionRelatedNpcIds(npcFaction) {
+  if (!factionManager.getFaction(npcFaction)) {
+    return [];
+  }
+
+  const npcIds = new Set();
+  factionManager.listFactions()
+    .filter(faction => factionManager.getInheritedNpcRelationship(npcFaction, faction.id))
+    .forEach(faction => {
+      relationshipGraph.getNpcIdsInFaction(getNpcContexts(), faction.id).forEach(id => npcIds.add(id));
+      relationshipGraph.getNpcIdsInFaction(getNpcContexts(), faction.name).forEach(id => npcIds.add(id));
+    });
+
+  return Array.from(npcIds);
+}
+
+/**
+ * Discover relationships for an NPC from the relationship graph
+ * Covers the NPCs it has relationships with, the NPCs that have one with it, the NPCs its
+ * faction gives it an attitude towards, NPCs it shares a connection with (indirect) and
+ * relationships with NPCs that do not exist yet (future).
  * @param {string} npcIdOrName - NPC ID or name to discover relationships for
  * @param {string} [requestId] - Optional request ID for logging
  * @returns {Object} - Object containing discovered relationships and stats
@@ -1017,33 +911,11 @@ function discoverNpcRelationships(npcIdOrName, requestId = Date.now().toString()
   // Track performance
   const startTime = Date.now();
 
-  // Get the target NPC
-  logger.functionStep('discoverNpcRelationships', 'Getting target NPC metadata', { npcIdOrName }, requestId);
-  let targetNpc = getNpcMetadata(npcIdOrName);
-
-  // If not found by ID, try by name
-  if (!targetNpc) {
-    logger.functionStep('discoverNpcRelationships', 'NPC not found by ID, trying by name', { npcIdOrName }, requestId);
-    const npcByName = findNpcByName(npcIdOrName);
-    if (npcByName) {
-      logger.functionStep('discoverNpcRelationships', 'Found NPC by name', {
-        name: npcByName.name,
-        id: npcByName.id
-      }, requestId);
-
-      targetNpc = getNpcMetadata(npcByName.id);
-      npcIdOrName = npcByName.id;
-    } else {
-      logger.functionStep('discoverNpcRelationships', 'NPC not found by name either', { npcIdOrName }, requestId);
-    }
-  } else {
-    logger.functionStep('discoverNpcRelationships', 'Found NPC by ID', {
-      id: npcIdOrName,
-      name: targetNpc.name
-    }, requestId);
-  }
+  // Get the target NPC by ID, then by name
+  const npcId = getNpcContexts().has(npcIdOrName) ? npcIdOrName : findNpcByName(npcIdOrName)?.id;
+  const targetNpc = getNpcMetadata(npcId);
 
-  // If still not found, return error
+  // If not found, return error
   if (!targetNpc) {
     logger.error(`NPC with identifier ${npcIdOrName} not found`, requestId);
     const errorResult = {
@@ -1055,219 +927,131 @@ function discoverNpcRelationships(npcIdOrName, requestId = Date.now().toString()
     return errorResult;
   }
 
+  const contexts = getNpcContexts();
   const targetNpcName = targetNpc.name;
-
-  // Get all NPC IDs
-  logger.functionStep('discoverNpcRelationships', 'Getting all NPC IDs', null, requestId);
-  const allNpcIds = getAllNpcIds();
-  logger.functionStep('discoverNpcRelationships', 'Found NPCs', { count: allNpcIds.length }, requestId);
-
   const discoveredRelationships = [];
   const stats = {
-    total_npcs: allNpcIds.length - 1, // Exclude self
+    total_npcs: contexts.size - 1, // Exclude self
     direct_relationships: 0,
     indirect_relationships: 0,
+    future_relationships: 0,
     mutual_relationships: 0,
     conflicting_relationships: 0
   };
 
-  // Log target NPC details
-  logger.functionStep('discoverNpcRelationships', 'Target NPC details', {
-    id: npcIdOrName,
-    name: targetNpcName,
-    has_relationships: !!targetNpc.relationships,
-    relationship_count: targetNpc.relationships ? Object.keys(targetNpc.relationships).length : 0,
-    defined_relationships: targetNpc.relationships ? Object.keys(targetNpc.relationships) : []
-  }, requestId);
+  // Neighbours in the graph: relationships in both directions and inherited faction attitudes
+  const targets = relationshipGraph.getRelationshipTargets(contexts, npcId);
+  const candidateIds = new Set([
+    ...targets.filter(target => target.npc_id).map(target => target.npc_id),
+    ...relationshipGraph.getNpcIdsRelatedTo(contexts, targetNpcName),
+    ...getFactionRelatedNpcIds(targetNpc.faction)
+  ]);
+  candidateIds.delete(npcId);
 
-  // Iterate through all NPCs to find relationships
-  logger.functionStep('discoverNpcRelationships', 'Starting relationship discovery loop', {
-    npcs_to_check: allNpcIds.length - 1 // Exclude self
+  logger.functionStep('discoverNpcRelationships', 'Graph neighbours', {
+    npc_id: npcId,
+    relationships: targets.length,
+    candidates: candidateIds.size
   }, requestId);
 
-  // Track loop performance
-  const loopStartTime = Date.now();
-  let processedCount = 0;
+  // Direct relationships
+  const directIds = new Set();
+  candidateIds.forEach(otherNpcId => {
+    const relationship = getNpcRelationship(npcId, otherNpcId);
 
-  for (const otherNpcId of allNpcIds) {
-    // Skip self
-    if (otherNpcId === npcIdOrName) {
-      logger.functionStep('discoverNpcRelationships', 'Skipping self', {
-        npc_id: otherNpcId
-      }, requestId);
-      continue;
-    }
-
-    processedCount++;
-    logger.functionStep('discoverNpcRelationships', `Processing NPC ${processedCount}/${stats.total_npcs}`, {
-      npc_id: otherNpcId
-    }, requestId);
-
-    const otherNpc = getNpcMetadata(otherNpcId);
-    if (!otherNpc) {
-      logger.functionStep('discoverNpcRelationships', 'NPC metadata not found, skipping', {
-        npc_id: otherNpcId
-      }, requestId);
-      continue;
+    if (relationship.npc1_to_npc2 === "none" && relationship.npc2_to_npc1 === "none") {
+      return;
     }
 
-    logger.functionStep('discoverNpcRelationships', 'Getting relationship', {
-      target_npc: targetNpcName,
-      other_npc: otherNpc.name
-    }, requestId);
+    directIds.add(otherNpcId);
+    stats.direct_relationships++;
+    if (relationship.is_mutual) stats.mutual_relationships++;
+    if (relationship.is_conflicting) stats.conflicting_relationships++;
 
-    const relationshipStartTime = Date.now();
-    const relationship = getNpcRelationship(npcIdOrName, otherNpcId);
-    logger.performance('getNpcRelationship', relationshipStartTime, requestId);
-
-    // Skip if there's an error (but not for future relationships)
-    if (relationship.error) {
-      logger.functionStep('discoverNpcRelationships', 'Relationship error, skipping', {
-        error: relationship.error
-      }, requestId);
-      continue;
-    }
+    discoveredRelationships.push({
+      npc_id: otherNpcId,
+      npc_name: relationship.npc2_name,
+      direct_relationship: {
+        target_to_other: relationship.npc1_to_npc2,
+        other_to_target: relationship.npc2_to_npc1,
+        target_to_other_details: relationship.npc1_to_npc2_details,
+        other_to_target_details: relationship.npc2_to_npc1_details,
+        is_mutual: relationship.is_mutual,
+        is_conflicting: relationship.is_conflicting
+      },
+      indirect_relationships: null
+    });
+  });
 
-    // Log if this is a future relationship (with a non-existent NPC)
-    if (relationship.is_future_relationship) {
-      logger.functionStep('discoverNpcRelationships', 'Future relationship detected', {
-        npc1_name: relationship.npc1_name,
-        npc2_name: relationship.npc2_name,
-        npc1_exists: relationship.npc1_exists,
-        npc2_exists: relationship.npc2_exists
-      }, requestId);
+  // Indirect relationships: NPCs without a direct relationship who share a connection
+  const indirectById = new Map();
+  targets.forEach(common => {
+    if (common.npc_id === npcId) {
+      return;
     }
 
-    logger.functionStep('discoverNpcRelationships', 'Relationship found', {
-      npc1_to_npc2: relationship.npc1_to_npc2,
-      npc2_to_npc1: relationship.npc2_to_npc1,
-      is_mutual: relationship.is_mutual,
-      is_conflicting: relationship.is_conflicting
-    }, requestId);
-
-    // Check if there's a direct relationship (either direction)
-    const hasDirectRelationship = relationship.npc1_to_npc2 !== "none" || relationship.npc2_to_npc1 !== "none";
-
-    if (hasDirectRelationship) {
-      logger.functionStep('discoverNpcRelationships', 'Direct relationship found', {
-        target_to_other: relationship.npc1_to_npc2,
-        other_to_target: relationship.npc2_to_npc1
-      }, requestId);
-    }
+    relationshipGraph.getNpcIdsRelatedTo(contexts, common.name).forEach(otherNpcId => {
+      if (otherNpcId === npcId || otherNpcId === common.npc_id || directIds.has(otherNpcId)) {
+        return;
+      }
 
-    // Check for indirect relationships (through common connections)
-    let indirectRelationships = [];
-    if (!hasDirectRelationship) {
-      logger.functionStep('discoverNpcRelationships', 'No direct relationship, checking for indirect', null, requestId);
-
-      // Look for common connections
-      if (targetNpc.relationships && otherNpc.relationships) {
-        const targetConnections = Object.keys(targetNpc.relationships);
-        const otherConnections = Object.keys(otherNpc.relationships);
-
-        logger.functionStep('discoverNpcRelationships', 'Checking for common connections', {
-          target_connections: targetConnections,
-          other_connections: otherConnections
-        }, requestId);
-
-        // Find common connections
-        const commonConnections = targetConnections.filter(name => otherConnections.includes(name));
-
-        logger.functionStep('discoverNpcRelationships', 'Common connections found', {
-          count: commonConnections.length,
-          connections: commonConnections
-        }, requestId);
-
-        if (commonConnections.length > 0) {
-          logger.functionStep('discoverNpcRelationships', 'Processing common connections', {
-            connections: commonConnections
-          }, requestId);
-
-          indirectRelationships = commonConnections.map(name => {
-            const indirectRel = {
-              through: name,
-              target_to_common: targetNpc.relationships[name],
-              other_to_common: otherNpc.relationships[name]
-            };
-
-            logger.functionStep('discoverNpcRelationships', `Indirect relationship through ${name}`,
-              indirectRel, requestId);
-
-            return indirectRel;
-          });
-
-          stats.indirect_relationships++;
-          logger.functionStep('discoverNpcRelationships', 'Indirect relationship count updated', {
-            count: stats.indirect_relationships
-          }, requestId);
-        }
-      } else {
-        logger.functionStep('discoverNpcRelationships', 'Missing relationship data for indirect check', {
-          target_has_relationships: !!targetNpc.relationships,
-          other_has_relationships: !!otherNpc.relationships
-        }, requestId);
+      const otherNpc = getNpcMetadata(otherNpcId);
+      if (!indirectById.has(otherNpcId)) {
+        indirectById.set(otherNpcId, []);
       }
-    } else {
-      // Count direct relationship types
-      stats.direct_relationships++;
-      if (relationship.is_mutual) stats.mutual_relationships++;
-      if (relationship.is_conflicting) stats.conflicting_relationships++;
-
-      logger.functionStep('discoverNpcRelationships', 'Updated relationship stats', {
-        direct_count: stats.direct_relationships,
-        mutual_count: stats.mutual_relationships,
-        conflicting_count: stats.conflicting_relationships
-      }, requestId);
-    }
 
-    // Create relationship entry
-    const relationshipEntry = {
-      npc_id: otherNpcId,
-      npc_name: otherNpc.name,
-      direct_relationship: hasDirectRelationship ? {
-        target_to_other: relationship.npc1_to_npc2,
-        other_to_target: relationship.npc2_to_npc1,
-        is_mutual: relationship.is_mutual,
-        is_conflicting: relationship.is_conflicting
-      } : null,
-      indirect_relationships: indirectRelationships.length > 0 ? indirectRelationships : null
-    };
+      indirectById.get(otherNpcId).push({
+        through: common.name,
+        target_to_common: relationshipManager.getRelationshipStatus(targetNpc.relationships[common.name]),
+        other_to_common: relationshipManager.getRelationshipStatus(
+          otherNpc.relationships[findRelationshipName(otherNpc.relationships, common.name)]
+        )
+      });
+    });
+  });
 
-    // Add to discovered relationships
-    discoveredRelationships.push(relationshipEntry);
+  indirectById.forEach((indirectRelationships, otherNpcId) => {
+    stats.indirect_relationships++;
+    discoveredRelationships.push({
+      npc_id: otherNpcId,
+      npc_name: getNpcMetadata(otherNpcId).name,
+      direct_relationship: null,
+      indirect_relationships: indirectRelationships
+    });
+  });
 
-    logger.functionStep('discoverNpcRelationships', 'Added relationship to results', {
-      npc_name: otherNpc.name,
-      has_direct: !!relationshipEntry.direct_relationship,
-      has_indirect: !!relationshipEntry.indirect_relationships,
-      indirect_count: relationshipEntry.indirect_relationships ? relationshipEntry.indirect_relationships.length : 0
-    }, requestId);
-  }
+  // Future relationships: relationships with NPCs that do not exist yet
+  targets.filter(target => !target.npc_id).forEach(target => {
+    const record = relationshipManager.normalizeRelationship(targetNpc.relationships[target.name]);
+    if (!record) {
+      return;
+    }
 
-  // Log loop performance
-  logger.performance('relationshipDiscoveryLoop', loopStartTime, requestId);
+    stats.future_relationships++;
+    discoveredRelationships.push({
+      npc_id: null,
+      npc_name: target.name,
+      direct_relationship: {
+        target_to_other: record.status,
+        other_to_target: "none",
+        target_to_other_details: record,
+        other_to_target_details: null,
+        is_mutual: false,
+        is_conflicting: false
+      },
+      indirect_relationships: null
+    });
+  });
 
   // Create result object
   const result = {
     status: "success",
-    npc_id: npcIdOrName,
+    npc_id: npcId,
     npc_name: targetNpcName,
     stats,
     discovered_relationships: discoveredRelationships
   };
 
-  // Log detailed statistics
-  logger.functionStep('discoverNpcRelationships', 'Relationship discovery complete', {
-    direct_count: stats.direct_relationships,
-    indirect_count: stats.indirect_relationships,
-    mutual_count: stats.mutual_relationships,
-    conflicting_count: stats.conflicting_relationships,
-    total_relationships: discoveredRelationships.length
-  }, requestId);
-
-  // Log the full result if in debug mode
-  logger.logObject('Complete relationship discovery result', result, requestId, true);
-
   // Log function exit with performance metrics
   logger.performance('discoverNpcRelationships', startTime, requestId);
   logger.functionExit('discoverNpcRelationships', {
@@ -1275,6 +1059,7 @@ function discoverNpcRelationships(npcIdOrName, requestId = Date.now().toString()
     npc_name: targetNpcName,
     direct_count: stats.direct_relationships,
     indirect_count: stats.indirect_relationships,
+    future_count: stats.future_relationships,
     total_count: discoveredRelationships.length
   }, requestId);
 
@@ -1283,11 +1068,14 @@ function discoverNpcRelationships(npcIdOrName, requestId = Date.now().toString()
 
 /**
  * Get relationship network for an NPC (direct and indirect)
+ * Facts about other NPCs are limited to what this NPC can know (see knowledgeManager).
  * @param {string} npcIdOrName - NPC ID or name
  * @param {string} [requestId] - Optional request ID for logging
+ * @param {Object} [options] - Options
+ * @param {Object} [options.playerRelationship] - Relationship with the player being spoken to; facts whose reveal conditions it does not meet are left out
  * @returns {Object} - Formatted relationship network for context
  */
-function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString()) {
+function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(), options = {}) {
   // Log function entry
   logger.functionEntry('getNpcRelationshipNetwork', { npcIdOrName }, requestId);
 
@@ -1314,6 +1102,11 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
     requestId
   );
 
+  // The NPC whose knowledge limits what is included
+  const viewerId = resolveNpcId(npcIdOrName);
+  const viewerMetadata = getNpcMetadata(viewerId) || {};
+  const viewer = { id: viewerId, name: viewerMetadata.name, faction: viewerMetadata.faction };
+
   // Format the relationships for context
   const directRelationships = [];
   const indirectRelationships = [];
@@ -1322,35 +1115,22 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
   // Track processing time for each relationship
   const relationshipProcessingStart = Date.now();
 
-  discoveredRelationships.discovered_relationships.forEach((rel, index) => {
-    // Log each relationship being processed
-    logger.functionStep('getNpcRelationshipNetwork', `Processing relationship ${index + 1}/${discoveredRelationships.discovered_relationships.length}`,
-      { npc_name: rel.npc_name, npc_id: rel.npc_id },
-      requestId
-    );
-
+  discoveredRelationships.discovered_relationships.forEach(rel => {
     // Get detailed metadata for the related NPC
     const relatedNpcMetadata = getNpcMetadata(rel.npc_id);
 
-    // Log the metadata retrieval
-    logger.functionStep('getNpcRelationshipNetwork', `Retrieved metadata for ${rel.npc_name}`,
-      {
-        metadata_keys: relatedNpcMetadata ? Object.keys(relatedNpcMetadata) : 'null',
-        has_description: !!relatedNpcMetadata?.description,
-        has_personality: !!relatedNpcMetadata?.personality
-      },
-      requestId
-    );
-
-    // Extract relevant metadata for context
+    // Extract relevant metadata for context, limited to what the NPC can know
+    const knownFacts = relatedNpcMetadata ?
+      knowledgeManager.getKnownNpcFacts({ ...relatedNpcMetadata, id: rel.npc_id }, viewer, options.playerRelationship) :
+      {};
     const npcContext = {
       name: rel.npc_name,
       // Include relevant metadata about the related NPC
-      description: relatedNpcMetadata?.description || '',
-      personality: relatedNpcMetadata?.personality || '',
-      faction: relatedNpcMetadata?.faction || '',
-      location: relatedNpcMetadata?.location || '',
-      currentState: relatedNpcMetadata?.currentState || ''
+      description: knownFacts.description || '',
+      personality: knownFacts.personality || '',
+      faction: knownFacts.faction || '',
+      location: knownFacts.location || '',
+      currentState: knownFacts.currentState || ''
     };
 
     // Check if this is a future relationship (with a non-existent NPC)
@@ -1358,18 +1138,12 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
 
     // Process direct relationships
     if (rel.direct_relationship) {
-      logger.functionStep('getNpcRelationshipNetwork', `Adding direct relationship with ${rel.npc_name}`,
-        {
-          ...rel.direct_relationship,
-          is_future: isFutureRelationship
-        },
-        requestId
-      );
-
       const relationshipData = {
         ...npcContext,
         target_to_other: rel.direct_relationship.target_to_other,
         other_to_target: rel.direct_relationship.other_to_target,
+        target_to_other_details: rel.direct_relationship.target_to_other_details,
+        other_to_target_details: rel.direct_relationship.other_to_target_details,
         is_mutual: rel.direct_relationship.is_mutual,
         is_conflicting: rel.direct_relationship.is_conflicting,
         is_future: isFutureRelationship
@@ -1378,8 +1152,6 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
       if (isFutureRelationship) {
         // For future relationships, add to futureRelationships array
         futureRelationships.push(relationshipData);
-        logger.functionStep('getNpcRelationshipNetwork', `Added future relationship with ${rel.npc_name}`,
-          { relationship_type: 'direct' }, requestId);
       } else {
         // For existing NPCs, add to directRelationships array
         directRelationships.push(relationshipData);
@@ -1387,40 +1159,20 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
     }
     // Process indirect relationships
     else if (rel.indirect_relationships) {
-      logger.functionStep('getNpcRelationshipNetwork', `Processing ${rel.indirect_relationships.length} indirect relationships through ${rel.npc_name}`,
-        { count: rel.indirect_relationships.length },
-        requestId
-      );
-
-      rel.indirect_relationships.forEach((indirect, indirectIndex) => {
-        // Log each indirect relationship
-        logger.functionStep('getNpcRelationshipNetwork', `Processing indirect relationship ${indirectIndex + 1}/${rel.indirect_relationships.length}`,
-          indirect,
-          requestId
-        );
-
+      rel.indirect_relationships.forEach(indirect => {
         // Get metadata for the common connection
         const commonNpc = findNpcByName(indirect.through);
         let commonNpcContext = {};
 
         if (commonNpc) {
-          logger.functionStep('getNpcRelationshipNetwork', `Found common connection: ${indirect.through}`,
-            { id: commonNpc.id, name: commonNpc.name },
-            requestId
-          );
-
           const commonNpcMetadata = getNpcMetadata(commonNpc.id);
+          const commonFacts = knowledgeManager.getKnownNpcFacts({ ...commonNpcMetadata, id: commonNpc.id }, viewer, options.playerRelationship);
           commonNpcContext = {
-            description: commonNpcMetadata?.description || '',
-            personality: commonNpcMetadata?.personality || '',
-            faction: commonNpcMetadata?.faction || '',
-            location: commonNpcMetadata?.location || ''
+            description: commonFacts.description || '',
+            personality: commonFacts.personality || '',
+            faction: commonFacts.faction || '',
+            location: commonFacts.location || ''
           };
-
-          logger.functionStep('getNpcRelationshipNetwork', `Retrieved metadata for common connection: ${indirect.through}`,
-            { metadata_keys: Object.keys(commonNpcMetadata || {}) },
-            requestId
-          );
         } else {
           logger.warn(`Common connection NPC not found: ${indirect.through}`, requestId);
         }
@@ -1435,11 +1187,6 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
         };
 
         indirectRelationships.push(indirectRelationship);
-
-        logger.functionStep('getNpcRelationshipNetwork', `Added indirect relationship through ${indirect.through}`,
-          { relationship_added: true },
-          requestId
-        );
       });
     }
   });
@@ -1465,9 +1212,6 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
     requestId
   );
 
-  // Log the full network if in debug mode
-  logger.logObject('Complete relationship network', relationshipNetwork, requestId, true);
-
   // Log function exit with performance metrics
   logger.performance('getNpcRelationshipNetwork', startTime, requestId);
   logger.functionExit('getNpcRelationshipNetwork', {
@@ -1484,18 +1228,205 @@ function getNpcRelationshipNetwork(npcIdOrName, requestId = Date.now().toString(
  * Update NPC metadata
  * @param {string} npcId - NPC identifier
  * @param {Object} updates - Metadata fields to update
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.deferWrite=false] - Write with the NPC's conversation history (for updates made by chat replies)
  * @returns {boolean} - Success status
  */
-function updateNpcMetadata(npcId, updates) {
-  if (!npcContexts.has(npcId)) {
+function updateNpcMetadata(npcId, updates, options = {}) {
+  if (!getNpcContexts().has(npcId)) {
     logger.error(`Cannot update metadata: NPC ${npcId} not found`);
     return false;
   }
 
-  const npcContext = npcContexts.get(npcId);
-  npcContext.metadata = { ...npcContext.metadata, ...updates };
-  npcContexts.set(npcId, npcContext);
+  const current = getNpcContexts().get(npcId).metadata;
+
+  // Nothing to store if no field changes (most chat replies leave the metadata as it was)
+  if (Object.keys(updates).every(field => JSON.stringify(updates[field]) === JSON.stringify(current[field]))) {
+    return true;
+  }
+
+  setNpcMetadata(npcId, { ...current, ...updates }, options);
+  return true;
+}
+
+/**
+ * Store new metadata for an existing NPC in place of its current metadata
+ * @param {string} npcId - NPC identifier
+ * @param {Object} metadata - Complete metadata
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.deferWrite=false] - Write with the NPC's conversation history
+ */
+function setNpcMetadata(npcId, metadata, options = {}) {
+  const npcContext = getNpcContexts().get(npcId);
+
+  // Remember when the mood changed (in game time) so it can wear off
+  if (metadata.mood !== undefined && metadata.mood !== npcContext.metadata.mood &&
+      metadata.mood_since === npcContext.metadata.mood_since) {
+    metadata = { ...metadata, mood_since: worldClock.getGameTime() };
+  }
+
+  npcContext.metadata = metadata;
+  getNpcContexts().set(npcId, npcContext);
+  if (options.deferWrite) {
+    persistNpcSoon(npcId);
+  } else {
+    persistNpc(npcId);
+  }
+  relationshipGraph.indexNpc(getNpcContexts(), npcId);
+}
+
+/**
+ * Get an NPC's relationship with a player
+ * Players without a stored relationship start from the NPC's default player relationship or,
+ * for faction members without one, from the faction's attitude and the player's reputation.
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @returns {Object|null} - Player relationship or null if NPC not found
+ */
+function getPlayerRelationship(npcId, playerId) {
+  const metadata = getNpcMetadata(npcId);
+  if (!metadata) {
+    return null;
+  }
+
+  const playerRelationships = metadata.player_relationships || {};
+  if (playerId && playerRelationships[playerId]) {
+    return playerRelationships[playerId];
+  }
+
+  if (!metadata.player_relationship) {
+    const inherited = factionManager.getInheritedPlayerRelationship(metadata.faction, playerId);
+    if (inherited) {
+      return inherited;
+    }
+  }
+
+  const defaultRelationship = metadata.player_relationship || createDefaultPlayerRelationship();
+
+  if (!playerId) {
+    return defaultRelationship;
+  }
+
+  return {
+    status: defaultRelationship.status,
+    affinity: defaultRelationship.affinity,
+    trust: defaultRelationship.trust,
+    respect: defaultRelationship.respect,
+    history: []
+  };
+}
+
+/**
+ * Update an NPC's relationship with a player
+ * Scores are clamped to 0-100 and new history entries are appended. Changes are recorded in the
+ * relationship history (see relationshipHistory).
+ * @param {string} npcId - NPC identifier
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @param {Object} updates - Relationship fields to update (status, affinity, trust, respect, history)
+ * @param {Object} [details] - Where the change comes from
+ * @param {Object} [details.cause] - What caused it, e.g. { type: 'chat', request_id }
+ * @param {string} [details.reason] - Why it changed (defaults to the new history entries)
+ * @param {string} [details.player_message] - Player message that prompted it
+ * @returns {Object|null} - Updated player relationship or null if NPC not found
+ */
+function updatePlayerRelationship(npcId, playerId, updates = {}, details = {}) {
+  const current = getPlayerRelationship(npcId, playerId);
+  if (!current) {
+    logger.error(`Cannot update player relationship: NPC ${npcId} not found`);
+    return null;
+  }
+
+  const updated = { ...current, history: [...(current.history || [])] };
+  // Once changed, an attitude inherited from a faction becomes the NPC's own
+  delete updated.inherited_from;
+
+  if (updates.status) {
+    updated.status = updates.status;
+  }
+
+  ['affinity', 'trust', 'respect'].forEach(score => {
+    const value = Number(updates[score]);
+    if (updates[score] !== undefined && !isNaN(value)) {
+      updated[score] = Math.max(0, Math.min(100, Math.round(value)));
+    }
+  });
+
+  const newHistory = (Array.isArray(updates.history) ? updates.history : [])
+    .filter(entry => entry && !updated.history.includes(entry));
+  newHistory.forEach(entry => updated.history.push(entry));
+
+  const changed = newHistory.length > 0 ||
+    ['status', 'affinity', 'trust', 'respect'].some(field => updated[field] !== current[field]);
+
+  // An unchanged inherited attitude keeps following the faction
+  if (current.inherited_from && !changed) {
+    return current;
+  }
+
+  const metadata = getNpcMetadata(npcId);
+  if (playerId) {
+    updateNpcMetadata(npcId, {
+      player_relationships: { ...(metadata.player_relationships || {}), [playerId]: updated }
+    });
+  } else {
+    updateNpcMetadata(npcId, { player_relationship: updated });
+  }
+
+  if (changed) {
+    relationshipHistory.recordRelationshipEvent(npcId, {
+      kind: 'player',
+      target: { player_id: playerId || null },
+      before: current,
+      after: updated,
+      cause: details.cause,
+      reason: details.reason || newHistory.join('; '),
+      player_message: details.player_message
+    });
+  }
+
+  logger.info(`Updated ${metadata.name}'s relationship with ${playerId ? `player ${playerId}` : 'the player'}: ${updated.status} (affinity ${updated.affinity}, trust ${updated.trust}, respect ${updated.respect})`);
+  return updated;
+}
+
+/**
+ * Get an NPC's complete conversation history (e.g. for a world export)
+ * @param {string} npcId - NPC identifier
+ * @returns {Object|null} - { conversations, summaries, archived_conversations } or null if NPC not found
+ */
+function getNpcHistory(npcId) {
+  const npcContext = getNpcContexts().get(npcId);
+  if (!npcContext) {
+    return null;
+  }
+
+  return {
+    conversations: npcContext.conversations.slice(),
+    summaries: { ...npcContext.summaries },
+    archived_conversations: (npcContext.archived_conversations || []).slice()
+  };
+}
+
+/**
+ * Replace an NPC's conversation history (e.g. from a world import)
+ * @param {string} npcId - NPC identifier
+ * @param {Object} history - { conversations, summaries, archived_conversations }
+ * @returns {boolean} - Success status
+ */
+function restoreNpcHistory(npcId, history) {
+  if (!getNpcContexts().has(npcId)) {
+    logger.error(`Cannot restore history: NPC ${npcId} not found`);
+    return false;
+  }
+
+  const npcContext = getNpcContexts().get(npcId);
+  npcContext.conversations = history.conversations || [];
+  npcContext.summaries = history.summaries || {};
+  npcContext.archived_conversations = history.archived_conversations || [];
+  getNpcContexts().set(npcId, npcContext);
+  persistNpc(npcId);
+  embeddingIndex.dropIndexes(`${worldManager.getCurrentWorldId()}/messages/${npcId}/`);
 
+  logger.info(`Restored conversation history for NPC ${npcId} (${npcContext.conversations.length} messages)`);
   return true;
 }
 
@@ -1505,14 +1436,17 @@ function updateNpcMetadata(npcId, updates) {
  * @returns {boolean} - Success status
  */
 function clearConversationHistory(npcId) {
-  if (!npcContexts.has(npcId)) {
+  if (!getNpcContexts().has(npcId)) {
     logger.error(`Cannot clear history: NPC ${npcId} not found`);
     return false;
   }
 
-  const npcContext = npcContexts.get(npcId);
+  const npcContext = getNpcContexts().get(npcId);
   npcContext.conversations = [];
-  npcContexts.set(npcId, npcContext);
+  npcContext.summaries = {};
+  npcContext.archived_conversations = [];
+  getNpcContexts().set(npcId, npcContext);
+  persistNpc(npcId);
 
   logger.info(`Cleared conversation history for NPC ${npcId}`);
   return true;
@@ -1524,22 +1458,45 @@ function clearConversationHistory(npcId) {
  * @returns {boolean} - Success status
  */
 function removeNpc(npcId) {
-  if (!npcContexts.has(npcId)) {
+  if (!getNpcContexts().has(npcId)) {
     logger.error(`Cannot remove: NPC ${npcId} not found`);
     return false;
   }
 
-  npcContexts.delete(npcId);
+  getNpcContexts().delete(npcId);
+  persistNpc(npcId);
+  relationshipGraph.unindexNpc(getNpcContexts(), npcId);
+  memoryManager.removeAllMemories(npcId);
+  relationshipHistory.removeAllRelationshipEvents(npcId);
+  embeddingIndex.dropIndexes(`${worldManager.getCurrentWorldId()}/messages/${npcId}/`);
+
   logger.info(`Removed NPC ${npcId}`);
   return true;
 }
 
+/**
+ * Remove every NPC's relationship with a name (e.g. after the NPC with that name was removed)
+ * @param {string} name - Name of the NPC the relationships are with
+ * @returns {Array} - NPCs that lost a relationship as { npc_id, npc_name }
+ */
+function removeRelationshipsWith(name) {
+  return relationshipGraph.getNpcIdsRelatedTo(getNpcContexts(), name).map(npcId => {
+    const metadata = getNpcMetadata(npcId);
+    const relationships = { ...metadata.relationships };
+
+    delete relationships[findRelationshipName(relationships, name)];
+    updateNpcMetadata(npcId, { relationships });
+
+    return { npc_id: npcId, npc_name: metadata.name };
+  });
+}
+
 /**
  * Get all active NPC IDs
  * @returns {Array} - Array of NPC IDs
  */
 function getAllNpcIds() {
-  return Array.from(npcContexts.keys());
+  return Array.from(getNpcContexts().keys());
 }
 
 /**
@@ -1547,7 +1504,7 @@ function getAllNpcIds() {
  * @returns {Array} - Array of NPC summaries
  */
 function getNpcSummaries() {
-  return Array.from(npcContexts.entries()).map(([id, data]) => ({
+  return Array.from(getNpcContexts().entries()).map(([id, data]) => ({
     id,
     name: data.metadata.name,
     messageCount: data.conversations.length
@@ -1560,9 +1517,9 @@ function getNpcSummaries() {
  */
 function logAllNpcData(requestId = Date.now().toString()) {
   logger.section('DEBUG: ALL NPC DATA', requestId);
-  logger.info(`Total NPCs in memory: ${npcContexts.size}`, requestId);
+  logger.info(`Total NPCs in memory: ${getNpcContexts().size}`, requestId);
 
-  Array.from(npcContexts.entries()).forEach(([id, data]) => {
+  Array.from(getNpcContexts().entries()).forEach(([id, data]) => {
     const { metadata, conversations } = data;
 
     logger.info(`\n----- NPC ID: ${id} -----`, requestId);
@@ -1584,6 +1541,11 @@ function logAllNpcData(requestId = Date.now().toString()) {
       logger.info(`Player Relationship: ${JSON.stringify(metadata.player_relationship, null, 2)}`, requestId);
     }
 
+    // Log relationships with individual players if they exist
+    if (metadata.player_relationships && Object.keys(metadata.player_relationships).length > 0) {
+      logger.info(`Per-Player Relationships: ${JSON.stringify(metadata.player_relationships, null, 2)}`, requestId);
+    }
+
     // Log relationships with other NPCs if they exist
     if (metadata.relationships && Object.keys(metadata.relationships).length > 0) {
       logger.info(`NPC Relationships: ${JSON.stringify(metadata.relationships, null, 2)}`, requestId);
@@ -1658,12 +1620,12 @@ function discoverAllNpcRelationships(requestId = Date.now().toString()) {
       npc_name: npcMetadata.name
     }, requestId);
 
-    logger.info(`Discovering relationships for ${npcMetadata.name} (${npcId})`, requestId);
+    logger.debug(`Discovering relationships for ${npcMetadata.name} (${npcId})`, requestId);
 
     // Track NPC processing time
     const npcStartTime = Date.now();
 
-    // Use the enhanced discoverNpcRelationships with detailed logging
+    // Served from the relationship graph, so each NPC only visits its neighbours
     const npcRequestId = `${requestId}-npc-${i+1}`;
     const relationships = discoverNpcRelationships(npcId, npcRequestId);
 
@@ -1682,9 +1644,7 @@ function discoverAllNpcRelationships(requestId = Date.now().toString()) {
 
     successfulDiscoveries++;
 
-    // Get relationship network to count future relationships
-    const relationshipNetwork = getNpcRelationshipNetwork(npcId, npcRequestId);
-    const futureRelationshipsCount = relationshipNetwork.future_relationships.length;
+    const futureRelationshipsCount = relationships.stats.future_relationships;
 
     // Update statistics
     totalDirectRelationships += relationships.stats.direct_relationships;
@@ -1704,7 +1664,7 @@ function discoverAllNpcRelationships(requestId = Date.now().toString()) {
       processing_time_ms: npcProcessingTime
     };
 
-    logger.info(`Found ${relationships.stats.direct_relationships} direct, ${relationships.stats.indirect_relationships} indirect, and ${futureRelationshipsCount} future relationships for ${npcMetadata.name}`, requestId);
+    logger.debug(`Found ${relationships.stats.direct_relationships} direct, ${relationships.stats.indirect_relationships} indirect, and ${futureRelationshipsCount} future relationships for ${npcMetadata.name}`, requestId);
 
     // Log progress
     if (i % 5 === 0 || i === allNpcIds.length - 1) {
@@ -1739,7 +1699,7 @@ function discoverAllNpcRelationships(requestId = Date.now().toString()) {
   };
 
   // Log detailed statistics
-  logger.logObject('Detailed relationship discovery statistics', detailedStats, requestId, true);
+  logger.debug(`Detailed relationship discovery statistics: ${JSON.stringify(detailedStats)}`, requestId);
 
   logger.info(`Relationship discovery complete. Found ${totalDirectRelationships} direct, ${totalIndirectRelationships} indirect, and ${totalFutureRelationships} future relationships across all NPCs.`, requestId);
   logger.sectionEnd();
@@ -1764,24 +1724,29 @@ function discoverAllNpcRelationships(requestId = Date.now().toString()) {
   return result;
 }
 
+// Timers of the periodic relationship discovery and NPC data logging (null while stopped)
+let discoveryTimer = null;
+let loggingTimer = null;
+
 /**
  * Start automatic relationship discovery
+ * Started by server.js once it listens, like the other background tasks of this module.
  */
 function startAutoRelationshipDiscovery() {
-  if (!DEBUG_CONFIG.enableAutoRelationshipDiscovery) {
+  if (!DEBUG_CONFIG.enableAutoRelationshipDiscovery || discoveryTimer) {
     return;
   }
 
   // Initial discovery
   const timestamp = `initial-${Date.now()}`;
   logger.info(`Initial relationship discovery at ${new Date().toISOString()}`);
-  discoverAllNpcRelationships(timestamp);
+  worldManager.forEachWorld(world => discoverAllNpcRelationships(`${timestamp}-${world.id}`));
 
   // Set up interval for periodic discovery
-  setInterval(() => {
+  discoveryTimer = setInterval(() => {
     const timestamp = `auto-discovery-${Date.now()}`;
     logger.info(`Automatic relationship discovery at ${new Date().toISOString()}`);
-    discoverAllNpcRelationships(timestamp);
+    worldManager.forEachWorld(world => discoverAllNpcRelationships(`${timestamp}-${world.id}`));
   }, DEBUG_CONFIG.relationshipDiscoveryIntervalMs);
 
   logger.info(`Automatic relationship discovery enabled (every ${DEBUG_CONFIG.relationshipDiscoveryIntervalMs / 1000 / 60} minutes)`);
@@ -1791,104 +1756,111 @@ function startAutoRelationshipDiscovery() {
  * Start periodic logging of NPC data
  */
 function startPeriodicLogging() {
-  if (DEBUG_CONFIG.enablePeriodicLogging) {
+  if (DEBUG_CONFIG.enablePeriodicLogging && !loggingTimer) {
     logger.info(`Starting periodic NPC data logging every ${DEBUG_CONFIG.logIntervalMs / 1000} seconds`);
 
     // Set up interval for periodic logging
-    setInterval(() => {
+    loggingTimer = setInterval(() => {
       const requestId = `periodic-${Date.now()}`;
       logger.section('PERIODIC NPC DATA LOG', requestId);
       logger.info(`Automatic periodic logging at ${new Date().toISOString()}`, requestId);
-      logAllNpcData(requestId);
+      worldManager.forEachWorld(world => {
+        logger.info(`World: ${world.name} (${world.id})`, requestId);
+        logAllNpcData(requestId);
+      });
       logger.sectionEnd();
     }, DEBUG_CONFIG.logIntervalMs);
   }
 }
 
-// Start periodic logging if enabled
-if (DEBUG_CONFIG.enablePeriodicLogging) {
-  startPeriodicLogging();
-}
-
-// Start automatic relationship discovery if enabled
-if (DEBUG_CONFIG.enableAutoRelationshipDiscovery) {
-  startAutoRelationshipDiscovery();
+/**
+ * Stop automatic relationship discovery and periodic logging of NPC data
+ */
+function stopBackgroundTasks() {
+  clearInterval(discoveryTimer);
+  clearInterval(loggingTimer);
+  discoveryTimer = null;
+  loggingTimer = null;
 }
 
 /**
  * Update relationship between two NPCs
+ * The change moves the first NPC's scores for the second NPC by at most NPC_RELATIONSHIP_MAX_DELTA
+ * each and is recorded in the relationship's own history and in the NPC's relationship events.
  * @param {string} npcId1 - ID of the first NPC
  * @param {string} npcId2OrName - ID or name of the second NPC
- * @param {string} relationshipStatus - New relationship status
+ * @param {Object|string} change - Score deltas ({ affinity, trust, respect, reason }) or a status to move towards
  * @param {string} [requestId] - Optional request ID for logging
- * @returns {boolean} - Success status
+ * @param {Object} [details] - Where the change comes from ({ reason, source, player_message })
+ * @returns {Object|null} - { relationship, changes } or null if the first NPC was not found
  */
-function updateNpcRelationship(npcId1, npcId2OrName, relationshipStatus, requestId = Date.now().toString()) {
+function updateNpcRelationship(npcId1, npcId2OrName, change, requestId = Date.now().toString(), details = {}) {
   // Log function entry
   logger.functionEntry('updateNpcRelationship', {
     npcId1,
     npcId2OrName,
-    relationshipStatus
+    change
   }, requestId);
 
   // Get the first NPC's metadata
   const npc1 = getNpcMetadata(npcId1);
   if (!npc1) {
     logger.error(`NPC with ID ${npcId1} not found`, requestId);
-    return false;
+    return null;
   }
 
-  // Find the second NPC by ID or name
-  let npc2Id = npcId2OrName;
-  let npc2Name = npcId2OrName;
+  // Find the second NPC by ID or name; a relationship can also be with an NPC that does not exist yet
+  const npc2Id = resolveNpcId(npcId2OrName);
+  const npc2Exists = Boolean(npc2Id);
+  let npc2Name = npc2Exists ? getNpcMetadata(npc2Id).name : npcId2OrName;
 
-  // If not a UUID, try to find by name
-  if (!npcId2OrName.includes('-')) {
-    const npc2 = findNpcByName(npcId2OrName);
-    if (npc2) {
-      npc2Id = npc2.id;
-      npc2Name = npc2.name;
-    } else {
-      // If NPC doesn't exist, we'll still update the relationship
-      // This allows for relationships with NPCs that don't exist yet
-      npc2Name = npcId2OrName;
-      logger.info(`NPC ${npcId2OrName} not found, but will update relationship anyway`, requestId);
-    }
-  } else {
-    // If it's an ID, get the name
-    const npc2 = getNpcMetadata(npc2Id);
-    if (npc2) {
-      npc2Name = npc2.name;
-    }
+  if (!npc2Exists) {
+    logger.info(`NPC ${npcId2OrName} not found, but will update relationship anyway`, requestId);
   }
 
-  // Initialize relationships object if it doesn't exist
-  if (!npc1.relationships) {
-    npc1.relationships = {};
-  }
+  const relationships = { ...(npc1.relationships || {}) };
 
-  // Log the current relationship if it exists
-  if (npc1.relationships[npc2Name]) {
-    logger.info(`Current relationship from ${npc1.name} to ${npc2Name}: ${npc1.relationships[npc2Name]}`, requestId);
+  // Keep the name the relationship is already stored under, whatever its case
+  const existingName = Object.keys(relationships).find(name => name.toLowerCase() === npc2Name.toLowerCase());
+  if (existingName) {
+    npc2Name = existingName;
+    logger.info(`Current relationship from ${npc1.name} to ${npc2Name}: ${relationshipManager.describeRelationship(relationships[npc2Name])}`, requestId);
   } else {
     logger.info(`No existing relationship from ${npc1.name} to ${npc2Name}`, requestId);
   }
 
-  // Update the relationship
-  npc1.relationships[npc2Name] = relationshipStatus;
-  logger.info(`Updated relationship from ${npc1.name} to ${npc2Name}: ${relationshipStatus}`, requestId);
+  // Update the relationship (a new relationship starts from the attitude inherited from the factions)
+  const current = relationships[npc2Name] ||
+    (npc2Exists ? factionManager.getInheritedNpcRelationship(npc1.faction, getNpcMetadata(npc2Id).faction) : null);
+  const before = relationshipManager.normalizeRelationship(current);
+  const result = relationshipManager.applyRelationshipChange(current, change, details);
+  relationships[npc2Name] = result.relationship;
+
+  if (Object.keys(result.changes).length > 0) {
+    relationshipHistory.recordRelationshipEvent(npcId1, {
+      kind: 'npc',
+      target: { npc_id: npc2Exists ? npc2Id : null, name: npc2Name },
+      before,
+      after: result.relationship,
+      cause: details.source,
+      reason: result.relationship.history[result.relationship.history.length - 1].reason,
+      player_message: details.player_message
+    });
+  }
+  logger.info(`Updated relationship from ${npc1.name} to ${npc2Name}: ${relationshipManager.describeRelationship(result.relationship)}`, requestId);
 
   // Update the NPC metadata
-  const success = updateNpcMetadata(npcId1, { relationships: npc1.relationships });
+  const success = updateNpcMetadata(npcId1, { relationships });
 
   logger.functionExit('updateNpcRelationship', {
     npc1_name: npc1.name,
     npc2_name: npc2Name,
-    new_relationship: relationshipStatus,
+    new_relationship: result.relationship.status,
+    changes: result.changes,
     success
   }, requestId);
 
-  return success;
+  return success ? result : null;
 }
 
 /**
@@ -1902,16 +1874,6 @@ function detectNpcNamesInMessage(npcId, message, requestId = Date.now().toString
   // Log function entry
   logger.functionEntry('detectNpcNamesInMessage', { npcId, messageLength: message.length }, requestId);
 
-  // Get all NPC names
-  const allNpcIds = getAllNpcIds();
-  const allNpcs = allNpcIds.map(id => {
-    const metadata = getNpcMetadata(id);
-    return {
-      id,
-      name: metadata.name
-    };
-  });
-
   // Get the current NPC's metadata
   const currentNpc = getNpcMetadata(npcId);
   if (!currentNpc) {
@@ -1919,45 +1881,15 @@ function detectNpcNamesInMessage(npcId, message, requestId = Date.now().toString
     return { detectedNpcs: [], relationships: [] };
   }
 
-  logger.functionStep('detectNpcNamesInMessage', 'Searching for NPC names in message', {
-    npcCount: allNpcs.length,
-    currentNpc: currentNpc.name
-  }, requestId);
-
-  // Create a list of detected NPCs
-  const detectedNpcs = [];
-  const relationships = [];
-
-  // Check for each NPC name in the message
-  allNpcs.forEach(npc => {
-    // Skip the current NPC (don't look for self-references)
-    if (npc.id === npcId) return;
-
-    // Check if the NPC name appears in the message (case insensitive)
-    const nameRegex = new RegExp(`\\b${npc.name}\\b`, 'i');
-    if (nameRegex.test(message)) {
-      logger.functionStep('detectNpcNamesInMessage', `Detected NPC name in message: ${npc.name}`, {
-        npcId: npc.id
-      }, requestId);
+  // Look the names up in the world's name index (skipping self-references)
+  const detectedNpcs = relationshipGraph.findNpcIdsNamedIn(getNpcContexts(), message)
+    .filter(id => id !== npcId)
+    .map(id => ({ id, name: getNpcMetadata(id).name }));
 
-      detectedNpcs.push({
-        id: npc.id,
-        name: npc.name
-      });
-
-      // Get relationship data between the current NPC and the detected NPC
-      const relationship = getNpcRelationship(npcId, npc.id);
-
-      // Only add if there's an actual relationship (not "none")
-      if (relationship.npc1_to_npc2 !== "none" || relationship.npc2_to_npc1 !== "none") {
-        logger.functionStep('detectNpcNamesInMessage', `Found relationship with ${npc.name}`, {
-          relationship: relationship
-        }, requestId);
-
-        relationships.push(relationship);
-      }
-    }
-  });
+  // Keep the relationships with the detected NPCs that are not "none"
+  const relationships = detectedNpcs
+    .map(npc => getNpcRelationship(npcId, npc.id))
+    .filter(relationship => relationship.npc1_to_npc2 !== "none" || relationship.npc2_to_npc1 !== "none");
 
   const result = {
     detectedNpcs,
@@ -1975,23 +1907,39 @@ function detectNpcNamesInMessage(npcId, message, requestId = Date.now().toString
 module.exports = {
   initializeNpc,
   initializeNpcs,
+  updateNpc,
+  replaceNpc,
+  previewNpcMetadata,
   addMessage,
   getConversationHistory,
   formatHistoryForOpenAI,
+  findRelevantMessages,
+  getConversationSummary,
+  getMessagesToSummarize,
+  applyConversationSummary,
   getNpcMetadata,
   findNpcByName,
+  resolveNpcId,
+  getRelationshipTargets,
+  getNpcIdsRelatedTo,
   getNpcRelationship,
   discoverNpcRelationships,
   getNpcRelationshipNetwork,
   discoverAllNpcRelationships,
   updateNpcMetadata,
+  getPlayerRelationship,
+  updatePlayerRelationship,
+  getNpcHistory,
+  restoreNpcHistory,
   clearConversationHistory,
   removeNpc,
+  removeRelationshipsWith,
   getAllNpcIds,
   getNpcSummaries,
   logAllNpcData,
   startPeriodicLogging,
   startAutoRelationshipDiscovery,
+  stopBackgroundTasks,
   detectNpcNamesInMessage,
   updateNpcRelationship
 };
@@ -0,0 +1,301 @@
+/**
+ * Decay Manager for the passing of game time
+ * As the world clock moves on, NPCs cool down: relationship scores drift back towards a baseline,
+ * moods wear off and memories nobody revisits lose importance. Rates are set per relationship
+ * axis in the configuration, scaled by the NPC's personality and overridable per NPC with a
+ * "decay" field. Decay runs periodically in every world and whenever the game advances the clock.
+ */
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const worldClock = require('./worldClock');
+const contextManager = require('./contextManager');
+const memoryManager = require('./memoryManager');
+const relationshipManager = require('./relationshipManager');
+const config = require('../config');
+
+// Rate multipliers by personality keyword (every matching profile applies)
+// rates: relationship drift per axis, moodHours: time for a mood to wear off, memoryDays: time for memories to fade
+const PERSONALITY_PROFILES = [
+  { pattern: /forgiv|easygoing|easy-going|laid-back|good-natured|cheerful|gentle/i, rates: { affinity: 2, trust: 1.5 }, moodHours: 0.5 },
+  { pattern: /grudg|vindictive|unforgiving|bitter|resentful|paranoid|suspicious/i, rates: { affinity: 0.25, trust: 0.25 }, moodHours: 2 },
+  { pattern: /hot-?headed|hot-?tempered|temperamental|volatile|moody|fiery/i, moodHours: 0.5 },
+  { pattern: /stoic|serene|even-tempered|unflappable/i, moodHours: 0.5 },
+  { pattern: /forgetful|absent-?minded|scatterbrain/i, memoryDays: 0.5 },
+  { pattern: /observant|meticulous|scholarly|studious/i, memoryDays: 2 }
+];
+
+/**
+ * Read a number from an NPC's decay overrides
+ * @param {*} value - Override value
+ * @param {number} fallback - Value to use if the override is missing or not a number
+ * @returns {number} - Number to use
+ */
+function readOverride(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Work out the decay rules of an NPC
+ * Starts from the configured rules, applies the NPC's personality profiles and then its own
+ * "decay" field: { affinity: { per_day, baseline }, trust: {...}, respect: {...},
+ * mood_reset_hours, memory_stale_days, memory_decay_days }.
+ * @param {Object} metadata - NPC metadata
+ * @returns {Object} - { relationships: { affinity: { perDay, baseline }, ... }, defaultMood, moodResetHours, memory: { staleDays, decayDays, protectedImportance } }
+ */
+function getDecayRules(metadata) {
+  const personality = [].concat(metadata.personality || []).join(' ');
+  const profiles = PERSONALITY_PROFILES.filter(profile => profile.pattern.test(personality));
+  const overrides = metadata.decay && typeof metadata.decay === 'object' ? metadata.decay : {};
+  const multiply = (key, base) => profiles.reduce((value, profile) => value * (profile[key] || 1), base);
+
+  const relationships = {};
+  relationshipManager.SCORES.forEach(score => {
+    const axis = config.decay.relationships[score];
+    const axisOverrides = overrides[score] && typeof overrides[score] === 'object' ? overrides[score] : {};
+    const perDay = profiles.reduce((value, profile) => value * ((profile.rates || {})[score] || 1), axis.perDay);
+
+    relationships[score] = {
+      perDay: Math.max(0, readOverride(axisOverrides.per_day, perDay)),
+      baseline: Math.max(0, Math.min(100, readOverride(axisOverrides.baseline, axis.baseline)))
+    };
+  });
+
+  return {
+    relationships,
+    defaultMood: metadata.default_mood || config.decay.defaultMood,
+    moodResetHours: readOverride(overrides.mood_reset_hours, multiply('moodHours', config.decay.moodResetHours)),
+    memory: {
+      staleDays: readOverride(overrides.memory_stale_days, multiply('memoryDays', config.decay.memoryStaleDays)),
+      decayDays: Math.max(0.01, readOverride(overrides.memory_decay_days, multiply('memoryDays', config.decay.memoryDecayDays))),
+      protectedImportance: config.decay.memoryProtectedImportance
+    }
+  };
+}
+
+/**
+ * Work out how far scores drift towards their baselines over some game days
+ * Drift is counted against the world's total decayed days, so fractional rates (0.5 points a day)
+ * still move a score one point every other day.
+ * @param {Object} current - Current scores { affinity, trust, respect }
+ * @param {Object} baseline - Baseline scores
+ * @param {Object} rules - Relationship rules from getDecayRules
+ * @param {number} decayedDays - Game days decayed in the world before this step
+ * @param {number} days - Game days in this step
+ * @returns {Object} - Score deltas (only scores that move)
+ */
+function getDrift(current, baseline, rules, decayedDays, days) {
+  const deltas = {};
+
+  relationshipManager.SCORES.forEach(score => {
+    const distance = baseline[score] - current[score];
+    const points = Math.floor(rules[score].perDay * (decayedDays + days)) - Math.floor(rules[score].perDay * decayedDays);
+
+    if (distance !== 0 && points > 0) {
+      deltas[score] = Math.sign(distance) * Math.min(Math.abs(distance), points);
+    }
+  });
+
+  return deltas;
+}
+
+/**
+ * Let some game days pass for one NPC's relationships
+ * Player relationships drift towards the NPC's baselines, NPC relationships towards the preset of
+ * their description. Every change is recorded in the relationship history with a "decay" cause.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} rules - NPC decay rules
+ * @param {Object} step - { days, decayedDays, gameTime, requestId }
+ * @returns {Array} - Changes as { kind, target, changes }
+ */
+function decayRelationships(npcId, rules, step) {
+  const metadata = contextManager.getNpcMetadata(npcId);
+  const cause = { type: 'decay', game_time: step.gameTime, days: step.days };
+  const reason = `${step.days} in-game day${step.days === 1 ? '' : 's'} passed`;
+  const baseline = {};
+  const results = [];
+
+  relationshipManager.SCORES.forEach(score => {
+    baseline[score] = rules.relationships[score].baseline;
+  });
+
+  const playerIds = [null, ...Object.keys(metadata.player_relationships || {})];
+  playerIds.forEach(playerId => {
+    const current = contextManager.getPlayerRelationship(npcId, playerId || undefined);
+    // Attitudes inherited from a faction follow the faction, not the clock
+    if (current.inherited_from) {
+      return;
+    }
+
+    const deltas = getDrift(current, baseline, rules.relationships, step.decayedDays, step.days);
+
+    if (Object.keys(deltas).length === 0) {
+      return;
+    }
+
+    const updates = {};
+    Object.entries(deltas).forEach(([score, delta]) => {
+      updates[score] = current[score] + delta;
+    });
+
+    contextManager.updatePlayerRelationship(npcId, playerId || undefined, updates, { cause, reason });
+    results.push({ kind: 'player', target: { player_id: playerId }, changes: deltas });
+  });
+
+  Object.entries(metadata.relationships || {}).forEach(([name, relationship]) => {
+    const current = relationshipManager.normalizeRelationship(relationship);
+    if (!current) {
+      return;
+    }
+
+    const deltas = getDrift(current, relationshipManager.getBaselineScores(current), rules.relationships, step.decayedDays, step.days);
+    if (Object.keys(deltas).length === 0) {
+      return;
+    }
+
+    const result = contextManager.updateNpcRelationship(npcId, name, deltas, step.requestId, {
+      reason,
+      source: cause,
+      maxDelta: 100
+    });
+
+    if (result && Object.keys(result.changes).length > 0) {
+      results.push({ kind: 'npc', target: { name }, changes: result.changes });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Reset an NPC's mood once it has lasted longer than its mood reset time
+ * Moods set before the clock existed start their countdown now.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} rules - NPC decay rules
+ * @param {number} gameTimeMs - Current game time (ms)
+ * @returns {Object|null} - { from, to } or null if the mood did not change
+ */
+function decayMood(npcId, rules, gameTimeMs) {
+  const metadata = contextManager.getNpcMetadata(npcId);
+  const mood = metadata.mood;
+
+  if (!mood || String(mood).toLowerCase() === String(rules.defaultMood).toLowerCase()) {
+    return null;
+  }
+
+  if (!metadata.mood_since) {
+    contextManager.updateNpcMetadata(npcId, { mood_since: new Date(gameTimeMs).toISOString() });
+    return null;
+  }
+
+  const moodAgeHours = (gameTimeMs - new Date(metadata.mood_since).getTime()) / worldClock.HOUR_MS;
+  if (moodAgeHours < rules.moodResetHours) {
+    return null;
+  }
+
+  contextManager.updateNpcMetadata(npcId, { mood: rules.defaultMood });
+  return { from: mood, to: rules.defaultMood };
+}
+
+/**
+ * Apply decay in the current world for the game time that passed since the last decay
+ * Moods are checked against the current game time; relationships and memories decay by whole
+ * game days, and the remainder carries over to the next run.
+ * @param {Object} [options] - Options
+ * @param {string} [options.requestId] - Request ID for logging
+ * @returns {Object} - { game_time, days, relationships, moods, memories }
+ */
+function runDecay(options = {}) {
+  const requestId = options.requestId || `decay-${Date.now()}`;
+  const gameTimeMs = worldClock.getGameTimeMs();
+  const progress = worldClock.getDecayProgress();
+  const days = Math.floor(progress.elapsed_ms / worldClock.DAY_MS);
+  const step = {
+    days,
+    decayedDays: progress.decayed_days,
+    gameTime: new Date(gameTimeMs).toISOString(),
+    requestId
+  };
+
+  const summary = {
+    game_time: step.gameTime,
+    days,
+    relationships: [],
+    moods: [],
+    memories: []
+  };
+
+  contextManager.getAllNpcIds().forEach(npcId => {
+    const metadata = contextManager.getNpcMetadata(npcId);
+    const rules = getDecayRules(metadata);
+
+    const mood = decayMood(npcId, rules, gameTimeMs);
+    if (mood) {
+      summary.moods.push({ npc_id: npcId, npc: metadata.name, ...mood });
+    }
+
+    if (days === 0) {
+      return;
+    }
+
+    decayRelationships(npcId, rules, step).forEach(change => {
+      summary.relationships.push({ npc_id: npcId, npc: metadata.name, ...change });
+    });
+
+    const faded = memoryManager.fadeMemories(npcId, days, rules.memory);
+    if (faded.length > 0) {
+      summary.memories.push({ npc_id: npcId, npc: metadata.name, faded });
+    }
+  });
+
+  if (days > 0) {
+    worldClock.markDecayed(days);
+  }
+
+  if (summary.relationships.length > 0 || summary.moods.length > 0 || summary.memories.length > 0) {
+    logger.info(`Decay in world ${worldManager.getCurrentWorldId()} (${days} days): ${summary.relationships.length} relationship changes, ${summary.moods.length} moods reset, ${summary.memories.length} NPCs with faded memories`, requestId);
+  }
+
+  return summary;
+}
+
+// Timer of the periodic decay (null while stopped)
+let decayTimer = null;
+
+/**
+ * Start periodic decay in every world
+ * Started by server.js; requiring this module on its own (e.g. in tests) leaves decay off.
+ */
+function startDecay() {
+  if (!config.decay.enabled || decayTimer) {
+    return;
+  }
+
+  decayTimer = setInterval(() => {
+    const requestId = `decay-${Date.now()}`;
+    worldManager.forEachWorld(() => {
+      try {
+        runDecay({ requestId });
+      } catch (error) {
+        logger.error(`Decay failed: ${error.message}`, requestId, error);
+      }
+    });
+  }, config.decay.tickIntervalMs);
+
+  logger.info(`Decay enabled (checked every ${config.decay.tickIntervalMs / 1000 / 60} minutes)`);
+}
+
+/**
+ * Stop periodic decay
+ */
+function stopDecay() {
+  clearInterval(decayTimer);
+  decayTimer = null;
+}
+
+module.exports = {
+  getDecayRules,
+  runDecay,
+  startDecay,
+  stopDecay
+};
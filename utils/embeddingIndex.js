@@ -0,0 +1,332 @@
+/**
+ * Embedding index for semantic retrieval of NPC memories and past messages
+ * Texts are turned into vectors by a pluggable embedder and searched by cosine similarity
+ * in small in-process indexes (one per NPC, player and kind of item). Vectors are cached by text,
+ * so re-syncing an index only embeds texts it has not seen before.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const config = require('../config');
+
+// Words ignored when embedding with the hash embedder
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'for', 'from', 'had', 'has', 'have',
+  'he', 'her', 'him', 'his', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'she', 'so', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Maximum number of cached vectors per embedder before the cache is reset
+const MAX_CACHED_VECTORS = 20000;
+
+// Registered embedder factories and the embedders created from them
+const embedderFactories = new Map();
+const embedders = new Map();
+
+// Vector cache per embedder: { embedderName: Map(textHash -> vector) }
+const vectorCaches = new Map();
+
+// Indexes by name: Map(name -> Map(itemId -> { textHash, vector, payload }))
+const indexes = new Map();
+
+/**
+ * Split text into lowercase words, ignoring stop words and very short words
+ * @param {string} text - Text to split
+ * @returns {string[]} - Words
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Reduce a word to a rough stem so that simple inflections match ("swords" -> "sword")
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ses|xes|zes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Hash a string to a 32-bit integer (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector - Vector
+ * @returns {number[]} - Unit vector (or the zero vector)
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Similarity from -1 to 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    lengthA += a[i] * a[i];
+    lengthB += b[i] * b[i];
+  }
+
+  return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}
+
+/**
+ * Create the hash embedder - a deterministic offline stand-in for a real embedding model
+ * Word stems and their character trigrams are hashed into a fixed number of dimensions,
+ * so texts sharing words (or forms of a word, e.g. "sword" and "swords") get similar vectors.
+ * @param {Object} [options] - Options
+ * @param {number} [options.dimensions=512] - Vector size
+ * @returns {Object} - Embedder
+ */
+function createHashEmbedder(options = {}) {
+  const dimensions = options.dimensions || 512;
+
+  const embedText = (text) => {
+    const vector = new Array(dimensions).fill(0);
+
+    const addFeature = (feature, weight) => {
+      const hash = hashString(feature);
+      // The top bit picks the sign so unrelated features tend to cancel out
+      vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    tokenize(text).forEach(word => {
+      const wordStem = stem(word);
+      addFeature(`w:${wordStem}`, 1);
+
+      // Trigrams anchored at the start of the word catch related forms the stemmer misses
+      const padded = ` ${wordStem}`;
+      for (let i = 0; i < padded.length - 2; i++) {
+        addFeature(`t:${padded.slice(i, i + 3)}`, 0.3);
+      }
+    });
+
+    return normalize(vector);
+  };
+
+  return {
+    name: 'hash',
+    dimensions,
+
+    async embed(texts) {
+      return texts.map(embedText);
+    }
+  };
+}
+
+/**
+ * Create an embedder backed by an AI provider's embeddings API
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider name (must implement createEmbeddings)
+ * @param {string} options.model - Embedding model
+ * @returns {Object} - Embedder
+ */
+function createProviderEmbedder(options) {
+  // Required lazily: the provider registry loads the AI SDKs
+  const providers = require('../services/providers');
+
+  return {
+    name: 'provider',
+
+    async embed(texts) {
+      const provider = providers.getProvider(options.provider);
+
+      if (typeof provider.createEmbeddings !== 'function') {
+        throw new Error(`AI provider ${provider.name} does not support embeddings`);
+      }
+
+      const response = await provider.createEmbeddings({ model: options.model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+/**
+ * Register an embedder factory
+ * @param {string} name - Embedder name (used in EMBEDDER)
+ * @param {Function} factory - Function returning an embedder with embed(texts) -> Promise<number[][]>
+ */
+function registerEmbedder(name, factory) {
+  embedderFactories.set(name, factory);
+  embedders.delete(name);
+  vectorCaches.delete(name);
+  indexes.clear();
+}
+
+/**
+ * Get an embedder by name (defaults to the configured embedder)
+ * @param {string} [name] - Embedder name
+ * @returns {Object} - Embedder
+ */
+function getEmbedder(name) {
+  const embedderName = name || config.embeddings.embedder;
+
+  if (!embedderFactories.has(embedderName)) {
+    throw new Error(`Unknown embedder: ${embedderName}. Available embedders: ${Array.from(embedderFactories.keys()).join(', ')}`);
+  }
+
+  if (!embedders.has(embedderName)) {
+    embedders.set(embedderName, embedderFactories.get(embedderName)());
+  }
+
+  return embedders.get(embedderName);
+}
+
+/**
+ * Embed texts with the configured embedder, reusing cached vectors
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} - Vectors in the same order
+ */
+async function embedTexts(texts) {
+  const embedderName = config.embeddings.embedder;
+  const embedder = getEmbedder(embedderName);
+
+  if (!vectorCaches.has(embedderName)) {
+    vectorCaches.set(embedderName, new Map());
+  }
+  const cache = vectorCaches.get(embedderName);
+
+  const hashes = texts.map(text => crypto.createHash('sha1').update(text).digest('hex'));
+  const missing = [...new Set(hashes.filter(hash => !cache.has(hash)))];
+
+  if (missing.length > 0) {
+    const missingTexts = missing.map(hash => texts[hashes.indexOf(hash)]);
+    const vectors = await embedder.embed(missingTexts);
+
+    if (cache.size + missing.length > MAX_CACHED_VECTORS) {
+      cache.clear();
+    }
+    missing.forEach((hash, i) => cache.set(hash, vectors[i]));
+  }
+
+  return hashes.map(hash => cache.get(hash));
+}
+
+/**
+ * Bring an index in line with a list of items, embedding new or changed texts
+ * Items no longer in the list are removed from the index.
+ * @param {string} indexName - Index name
+ * @param {Array} items - Items as { id, text, payload }
+ * @returns {Promise<Map>} - Entries of the items (itemId -> { text, vector, payload })
+ */
+async function syncIndex(indexName, items) {
+  if (!indexes.has(indexName)) {
+    indexes.set(indexName, new Map());
+  }
+  const index = indexes.get(indexName);
+  const ids = new Set(items.map(item => item.id));
+
+  Array.from(index.keys())
+    .filter(id => !ids.has(id))
+    .forEach(id => index.delete(id));
+
+  const entries = new Map(items.map(item => [item.id, index.get(item.id)]));
+  const changed = items.filter(item => !entries.get(item.id) || entries.get(item.id).text !== item.text);
+
+  if (changed.length > 0) {
+    const vectors = await embedTexts(changed.map(item => item.text));
+    changed.forEach((item, i) => {
+      entries.set(item.id, { text: item.text, vector: vectors[i] });
+    });
+  }
+
+  // Another sync of this index may have changed it while the texts were embedded, so the entries
+  // are written back from this sync's own (payloads may change without the text changing)
+  items.forEach(item => {
+    const entry = { ...entries.get(item.id), payload: item.payload };
+    entries.set(item.id, entry);
+    index.set(item.id, entry);
+  });
+
+  return entries;
+}
+
+/**
+ * Find the items most similar to a query
+ * The index is synced with the items first, so callers pass their current items every time.
+ * @param {string} indexName - Index name (e.g. "<world>/memories/<npcId>/<playerId>")
+ * @param {Array} items - Items as { id, text, payload }
+ * @param {string} query - Query text
+ * @param {Object} [options] - Search options
+ * @param {number} [options.k] - Maximum number of results
+ * @param {number} [options.minScore] - Minimum similarity
+ * @returns {Promise<Array>} - Results as { id, score, payload }, most similar first
+ */
+async function search(indexName, items, query, options = {}) {
+  const k = options.k || config.embeddings.topK;
+  const minScore = options.minScore !== undefined ? options.minScore : config.embeddings.minScore;
+
+  if (!query || items.length === 0) {
+    return [];
+  }
+
+  const entries = await syncIndex(indexName, items);
+  const [queryVector] = await embedTexts([query]);
+
+  return Array.from(entries.entries())
+    .map(([id, entry]) => ({ id, score: cosineSimilarity(queryVector, entry.vector), payload: entry.payload }))
+    .filter(result => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * Drop indexes whose name starts with a prefix (e.g. when an NPC or world is removed)
+ * @param {string} prefix - Index name prefix
+ */
+function dropIndexes(prefix) {
+  Array.from(indexes.keys())
+    .filter(name => name.startsWith(prefix))
+    .forEach(name => indexes.delete(name));
+}
+
+registerEmbedder('hash', () => createHashEmbedder({ dimensions: config.embeddings.dimensions }));
+registerEmbedder('provider', () => createProviderEmbedder({
+  provider: config.embeddings.provider,
+  model: config.embeddings.model
+}));
+
+logger.debug(`Embedding index using the ${config.embeddings.embedder} embedder`);
+
+module.exports = {
+  tokenize,
+  cosineSimilarity,
+  createHashEmbedder,
+  createProviderEmbedder,
+  registerEmbedder,
+  getEmbedder,
+  embedTexts,
+  search,
+  dropIndexes
+};
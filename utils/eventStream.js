@@ -0,0 +1,64 @@
+/**
+ * Server-Sent Events helper for streaming AI output to clients
+ */
+
+/**
+ * Open a Server-Sent Events stream on an Express response
+ * Events are written as "event: <name>" followed by a JSON "data:" line.
+ * The stream's signal is aborted if the client disconnects before the stream is closed,
+ * so the request producing the events can be cancelled.
+ * @param {Object} res - Express response
+ * @returns {Object} - Stream with send(event, data) and close() methods and a signal
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!closed && !res.writableEnded) {
+      controller.abort();
+    }
+    closed = true;
+  });
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Send an event to the client (ignored once the client has disconnected)
+     * @param {string} event - Event name
+     * @param {Object} data - JSON-serializable payload
+     * @returns {boolean} - Whether the event was written
+     */
+    send(event, data) {
+      if (closed || res.writableEnded) {
+        return false;
+      }
+
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+      closed = true;
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
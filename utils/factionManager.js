@@ -0,0 +1,491 @@
+/**
+ * Faction Manager for factions, their stances and player reputation
+ * A faction has a stance towards other factions, an attitude its members share towards players
+ * and towards each other, and a reputation score (0-100, 50 is neutral) for every player.
+ * NPCs belong to the faction named in their "faction" field and inherit these attitudes until
+ * they form their own; how a player treats a member ripples into the faction's reputation and
+ * into the reputation with factions that like or dislike it.
+ */
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const relationshipManager = require('./relationshipManager');
+const config = require('../config');
+
+// Storage collection holding factions, one document per faction
+// Format: { factionId: { id, name, description, stances, player_attitude, member_attitude, reputation, ... } }
+const FACTION_COLLECTION = 'factions';
+
+// Allowed caller-supplied faction identifiers (stored as document keys)
+const FACTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Reputation key of requests that name no player
+const DEFAULT_PLAYER_KEY = '_default';
+
+const NEUTRAL_REPUTATION = 50;
+
+// Reputation labels by score (first match wins)
+const REPUTATION_LABELS = [
+  { status: 'hated', test: score => score <= 15 },
+  { status: 'disliked', test: score => score <= 35 },
+  { status: 'neutral', test: score => score < 65 },
+  { status: 'liked', test: score => score < 85 },
+  { status: 'honored', test: () => true }
+];
+
+/**
+ * Get the faction collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getFactionDocuments() {
+  return worldManager.getWorldCollection(FACTION_COLLECTION);
+}
+
+/**
+ * Turn a faction name into an identifier
+ * @param {string} name - Faction name
+ * @returns {string} - e.g. "iron-guild" for "Iron Guild"
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+/**
+ * Turn an attitude (text or scores) into the fields a faction stores
+ * @param {string|Object} value - e.g. "Enemies" or { affinity: 20, trust: 10 }
+ * @param {string|Object} [fallback] - Attitude to use if value is empty
+ * @returns {Object} - { status, description, affinity, trust, respect }
+ */
+function normalizeAttitude(value, fallback) {
+  const record = relationshipManager.normalizeRelationship(value) ||
+    relationshipManager.normalizeRelationship(fallback) ||
+    relationshipManager.normalizeRelationship({});
+  const { status, description, affinity, trust, respect } = record;
+
+  return { status, description, affinity, trust, respect };
+}
+
+/**
+ * Label a reputation score
+ * @param {number} score - Reputation (0-100)
+ * @returns {string} - "hated", "disliked", "neutral", "liked" or "honored"
+ */
+function getReputationStatus(score) {
+  return REPUTATION_LABELS.find(entry => entry.test(score)).status;
+}
+
+/**
+ * List factions
+ * @returns {Array} - Factions, oldest first
+ */
+function listFactions() {
+  return Array.from(getFactionDocuments().values())
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Find a faction by ID or name (case-insensitive), e.g. from an NPC's "faction" field
+ * @param {string} factionIdOrName - Faction ID or name
+ * @returns {Object|null} - Faction or null if not found
+ */
+function getFaction(factionIdOrName) {
+  if (!factionIdOrName || typeof factionIdOrName !== 'string') {
+    return null;
+  }
+
+  const documents = getFactionDocuments();
+  if (documents.has(factionIdOrName)) {
+    return documents.get(factionIdOrName);
+  }
+
+  const lowered = factionIdOrName.trim().toLowerCase();
+  return listFactions().find(faction => faction.name.toLowerCase() === lowered || faction.id.toLowerCase() === lowered) || null;
+}
+
+/**
+ * Check whether an NPC's "faction" field names a faction
+ * @param {Object} faction - Faction
+ * @param {string} npcFaction - Value of the NPC's "faction" field
+ * @returns {boolean}
+ */
+function isMemberOf(faction, npcFaction) {
+  if (!npcFaction || typeof npcFaction !== 'string') {
+    return false;
+  }
+
+  const lowered = npcFaction.trim().toLowerCase();
+  return faction.name.toLowerCase() === lowered || faction.id.toLowerCase() === lowered;
+}
+
+/**
+ * Check that a faction can be saved
+ * @param {Object} factionData - Faction
+ * @throws {Error} - If the name is missing or the ID or stances are invalid
+ */
+function validateFaction(factionData = {}) {
+  const name = typeof factionData.name === 'string' ? factionData.name.trim() : '';
+
+  if (!name) {
+    throw new Error('Faction name is required');
+  }
+
+  if (factionData.id !== undefined && !FACTION_ID_PATTERN.test(String(factionData.id))) {
+    throw new Error(`Invalid faction ID "${factionData.id}": use 1-64 letters, digits, "_" or "-"`);
+  }
+
+  if (factionData.stances !== undefined && (typeof factionData.stances !== 'object' || factionData.stances === null || Array.isArray(factionData.stances))) {
+    throw new Error(`Faction stances must be an object keyed by faction ID or name (faction "${name}")`);
+  }
+}
+
+/**
+ * Add a faction, or replace the faction with the same ID (its reputation is kept)
+ * @param {Object} factionData - Faction
+ * @param {string} [factionData.id] - Stable identifier; derived from the name if omitted
+ * @param {string} factionData.name - Name NPCs use in their "faction" field
+ * @param {string} [factionData.description] - What the faction is, for chat prompts
+ * @param {Object} [factionData.stances] - Stance towards other factions, keyed by faction ID or name (text or scores)
+ * @param {string|Object} [factionData.player_attitude] - How members see players they have not met (default neutral)
+ * @param {string|Object} [factionData.member_attitude] - How members see each other (default "Allies")
+ * @returns {Object} - { faction, created }
+ */
+function saveFaction(factionData) {
+  validateFaction(factionData);
+
+  const documents = getFactionDocuments();
+  const name = factionData.name.trim();
+  const id = factionData.id !== undefined ? String(factionData.id) : (slugify(name) || `faction-${Date.now()}`);
+  const existing = documents.get(id);
+  const now = new Date().toISOString();
+
+  const stances = {};
+  Object.entries(factionData.stances || {}).forEach(([other, stance]) => {
+    if (stance !== null && stance !== undefined && stance !== '') {
+      stances[other] = normalizeAttitude(stance);
+    }
+  });
+
+  const faction = {
+    id,
+    name,
+    description: typeof factionData.description === 'string' ? factionData.description.trim() : '',
+    stances,
+    player_attitude: normalizeAttitude(factionData.player_attitude),
+    member_attitude: normalizeAttitude(factionData.member_attitude, 'Allies'),
+    reputation: existing ? existing.reputation : {},
+    created_at: existing ? existing.created_at : now,
+    updated_at: now
+  };
+
+  documents.set(id, faction);
+  worldManager.persistWorldDocument(FACTION_COLLECTION, id);
+
+  logger.debug(`${existing ? 'Replaced' : 'Added'} faction ${id} ("${faction.name}")`);
+  return { faction, created: !existing };
+}
+
+/**
+ * Save a faction together with the reputation players have with it (e.g. from a world import)
+ * Reputation entries of the faction data replace the stored ones player by player.
+ * @param {Object} factionData - Faction, as saveFaction takes it, with an optional reputation
+ * @returns {Object} - { faction, created }
+ */
+function restoreFaction(factionData) {
+  const result = saveFaction(factionData);
+  const reputation = factionData.reputation;
+
+  if (reputation && typeof reputation === 'object' && !Array.isArray(reputation)) {
+    result.faction.reputation = { ...result.faction.reputation, ...reputation };
+    worldManager.persistWorldDocument(FACTION_COLLECTION, result.faction.id);
+  }
+
+  return result;
+}
+
+/**
+ * Update fields of a faction
+ * Stances are merged into the existing ones; a null stance removes it.
+ * @param {string} factionIdOrName - Faction ID or name
+ * @param {Object} updates - Fields to change (name, description, stances, player_attitude, member_attitude)
+ * @returns {Object|null} - Updated faction or null if not found
+ */
+function updateFaction(factionIdOrName, updates = {}) {
+  const existing = getFaction(factionIdOrName);
+
+  if (!existing) {
+    return null;
+  }
+
+  const merged = { ...existing };
+  ['name', 'description', 'player_attitude', 'member_attitude'].forEach(field => {
+    if (updates[field] !== undefined) {
+      merged[field] = updates[field];
+    }
+  });
+
+  if (updates.stances !== undefined) {
+    if (typeof updates.stances !== 'object' || updates.stances === null || Array.isArray(updates.stances)) {
+      throw new Error('Faction stances must be an object keyed by faction ID or name');
+    }
+    merged.stances = { ...existing.stances, ...updates.stances };
+  }
+
+  return saveFaction(merged).faction;
+}
+
+/**
+ * Delete a faction (NPCs keep their "faction" field)
+ * @param {string} factionIdOrName - Faction ID or name
+ * @returns {boolean} - Whether the faction existed
+ */
+function removeFaction(factionIdOrName) {
+  const faction = getFaction(factionIdOrName);
+
+  if (!faction) {
+    return false;
+  }
+
+  getFactionDocuments().delete(faction.id);
+  worldManager.persistWorldDocument(FACTION_COLLECTION, faction.id);
+  return true;
+}
+
+/**
+ * Get a faction's stance towards another faction
+ * Falls back to the other faction's stance towards it when none is set.
+ * @param {Object} faction - Faction
+ * @param {Object} other - Other faction
+ * @returns {Object|null} - Stance or null if neither faction has one
+ */
+function getStance(faction, other) {
+  const find = (from, to) => {
+    const key = Object.keys(from.stances || {}).find(name => isMemberOf(to, name));
+    return key ? from.stances[key] : null;
+  };
+
+  return find(faction, other) || find(other, faction);
+}
+
+/**
+ * Get the attitude a member of one faction inherits towards a member of another
+ * @param {string} fromFaction - "faction" field of the NPC who holds the attitude
+ * @param {string} toFaction - "faction" field of the other NPC
+ * @returns {Object|null} - Relationship record with "inherited_from", or null if nothing is inherited
+ */
+function getInheritedNpcRelationship(fromFaction, toFaction) {
+  const faction = getFaction(fromFaction);
+  const other = getFaction(toFaction);
+
+  if (!faction || !other) {
+    return null;
+  }
+
+  const attitude = faction.id === other.id ? faction.member_attitude : getStance(faction, other);
+  if (!attitude) {
+    return null;
+  }
+
+  return {
+    ...relationshipManager.normalizeRelationship(attitude),
+    inherited_from: { faction: faction.name, toward: other.name }
+  };
+}
+
+/**
+ * Get the attitude a faction member starts with towards a player
+ * The faction's player attitude, shifted by the player's reputation with the faction
+ * (FACTION_REPUTATION_WEIGHT points per reputation point away from neutral).
+ * @param {string} npcFaction - NPC's "faction" field
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @returns {Object|null} - Player relationship with "inherited_from", or null if the faction is unknown
+ */
+function getInheritedPlayerRelationship(npcFaction, playerId) {
+  const faction = getFaction(npcFaction);
+
+  if (!faction) {
+    return null;
+  }
+
+  const reputation = getReputation(faction.id, playerId);
+  const shift = (reputation.score - NEUTRAL_REPUTATION) * config.factions.reputationWeight;
+  const scores = {};
+
+  relationshipManager.SCORES.forEach(score => {
+    scores[score] = Math.max(0, Math.min(100, Math.round(faction.player_attitude[score] + shift)));
+  });
+
+  return {
+    status: relationshipManager.getStatusLabel(scores),
+    ...scores,
+    history: [],
+    inherited_from: { faction: faction.name, reputation: reputation.score }
+  };
+}
+
+/**
+ * Get a player's reputation with a faction
+ * @param {string} factionIdOrName - Faction ID or name
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @returns {Object|null} - { faction_id, faction, player_id, score, status, history } or null if the faction is unknown
+ */
+function getReputation(factionIdOrName, playerId) {
+  const faction = getFaction(factionIdOrName);
+
+  if (!faction) {
+    return null;
+  }
+
+  const entry = faction.reputation[playerId || DEFAULT_PLAYER_KEY] || { score: NEUTRAL_REPUTATION, history: [] };
+
+  return {
+    faction_id: faction.id,
+    faction: faction.name,
+    player_id: playerId || null,
+    score: entry.score,
+    status: getReputationStatus(entry.score),
+    history: entry.history
+  };
+}
+
+/**
+ * List a player's reputation with every faction
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @returns {Array} - Reputations (see getReputation)
+ */
+function listReputations(playerId) {
+  return listFactions().map(faction => getReputation(faction.id, playerId));
+}
+
+/**
+ * Change a player's reputation with a faction
+ * @param {string} factionIdOrName - Faction ID or name
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @param {number} change - Points to add (negative to remove)
+ * @param {Object} [details] - Where the change comes from
+ * @param {string} [details.reason] - Why the reputation changed
+ * @param {Object} [details.cause] - What caused it, e.g. { type: 'chat', npc_id, request_id }
+ * @returns {Object|null} - { faction_id, faction, player_id, change, score, status } or null if the faction is unknown
+ */
+function changeReputation(factionIdOrName, playerId, change, details = {}) {
+  const faction = getFaction(factionIdOrName);
+
+  if (!faction) {
+    return null;
+  }
+
+  const key = playerId || DEFAULT_PLAYER_KEY;
+  const entry = faction.reputation[key] || { score: NEUTRAL_REPUTATION, history: [] };
+  const score = Math.max(0, Math.min(100, Math.round((entry.score + change) * 10) / 10));
+  const applied = Math.round((score - entry.score) * 10) / 10;
+
+  if (applied !== 0) {
+    faction.reputation[key] = {
+      score,
+      history: [
+        ...entry.history,
+        {
+          timestamp: new Date().toISOString(),
+          change: applied,
+          score,
+          reason: details.reason || null,
+          cause: details.cause || null
+        }
+      ].slice(-config.factions.reputationHistoryLimit)
+    };
+    worldManager.persistWorldDocument(FACTION_COLLECTION, faction.id);
+    logger.info(`${playerId ? `Player ${playerId}` : 'The player'}'s reputation with ${faction.name}: ${entry.score} -> ${score}`);
+  }
+
+  return {
+    faction_id: faction.id,
+    faction: faction.name,
+    player_id: playerId || null,
+    change: applied,
+    score,
+    status: getReputationStatus(score)
+  };
+}
+
+/**
+ * Ripple a change in how a faction member feels about a player into faction reputation
+ * The member's faction gains FACTION_REPUTATION_RIPPLE times the change; every faction with a
+ * stance towards it gains or loses a share of that, depending on whether it likes or dislikes it.
+ * @param {string} npcFaction - Member's "faction" field
+ * @param {string} [playerId] - Player identifier (omit for the default player)
+ * @param {number} relationshipChange - Change of the member's feelings (average of the affinity and trust changes)
+ * @param {Object} [details] - Where the change comes from ({ reason, cause })
+ * @returns {Array} - Reputation changes (see changeReputation)
+ */
+function rippleReputation(npcFaction, playerId, relationshipChange, details = {}) {
+  const faction = getFaction(npcFaction);
+
+  if (!faction || !relationshipChange) {
+    return [];
+  }
+
+  const change = relationshipChange * config.factions.reputationRipple;
+  const changes = [changeReputation(faction.id, playerId, change, details)];
+
+  listFactions()
+    .filter(other => other.id !== faction.id)
+    .forEach(other => {
+      const stance = getStance(other, faction);
+      if (!stance) {
+        return;
+      }
+
+      const share = change * config.factions.stanceRipple * (stance.affinity - NEUTRAL_REPUTATION) / NEUTRAL_REPUTATION;
+      if (Math.abs(share) >= 0.05) {
+        changes.push(changeReputation(other.id, playerId, share, {
+          ...details,
+          reason: `${details.reason ? `${details.reason} ` : ''}(via ${faction.name})`
+        }));
+      }
+    });
+
+  return changes.filter(entry => entry.change !== 0);
+}
+
+/**
+ * Describe an NPC's faction for its chat prompt
+ * @param {string} npcFaction - NPC's "faction" field
+ * @param {string} [playerId] - Speaking player
+ * @param {string} playerLabel - How the NPC refers to the player
+ * @returns {string} - Prompt lines, or an empty string if the NPC belongs to no known faction
+ */
+function describeFactionForPrompt(npcFaction, playerId, playerLabel) {
+  const faction = getFaction(npcFaction);
+
+  if (!faction) {
+    return '';
+  }
+
+  const reputation = getReputation(faction.id, playerId);
+  const stances = Object.entries(faction.stances)
+    .map(([other, stance]) => `- Towards ${(getFaction(other) || { name: other }).name}: ${relationshipManager.describeRelationship(stance)}`);
+
+  return [
+    `You belong to the ${faction.name}.${faction.description ? ` ${faction.description}` : ''}`,
+    ...(stances.length > 0 ? [`Your faction's stance on other factions (you share it unless you have your own reasons):`, ...stances] : []),
+    `Your faction regards ${playerLabel} as ${reputation.status} (reputation ${reputation.score}/100).`
+  ].join('\n');
+}
+
+module.exports = {
+  getReputationStatus,
+  listFactions,
+  getFaction,
+  isMemberOf,
+  validateFaction,
+  saveFaction,
+  restoreFaction,
+  updateFaction,
+  removeFaction,
+  getStance,
+  getInheritedNpcRelationship,
+  getInheritedPlayerRelationship,
+  getReputation,
+  listReputations,
+  changeReputation,
+  rippleReputation,
+  describeFactionForPrompt
+};
@@ -0,0 +1,335 @@
+/**
+ * Gossip Manager for rumors spreading between NPCs
+ * Claims and events an NPC hears (from a player or through the API) become rumors. On every
+ * propagation tick, NPCs who heard a rumor pass it on to the NPCs they are connected to in the
+ * relationship graph - readily to friends and faction members, rarely to enemies. Every NPC who
+ * hears a rumor gets a memory of it with the chain of people it came through.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const contextManager = require('./contextManager');
+const memoryManager = require('./memoryManager');
+const relationshipManager = require('./relationshipManager');
+const config = require('../config');
+
+// Storage collection holding rumors, one document per rumor
+// Format: { rumorId: { id, content, about, importance, origin, created_at, carriers: { npcId: {...} } } }
+const RUMOR_COLLECTION = 'rumors';
+
+// How willing an NPC is to share gossip with someone, by relationship status (first match wins)
+const STATUS_WEIGHTS = [
+  { pattern: /hate|hatred|enem|hostil|despis|loath/i, weight: 0.1 },
+  { pattern: /distrust|disrespect|suspic|rival|dislik|wary|resent/i, weight: 0.4 },
+  { pattern: /friend|ally|allies|love|family|close|trust|admir|respect|partner|mentor|brother|sister|spouse/i, weight: 1.5 }
+];
+
+/**
+ * Get the rumor collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getRumorDocuments() {
+  return worldManager.getWorldCollection(RUMOR_COLLECTION);
+}
+
+/**
+ * Weight a relationship status by how willing NPCs with that status are to share gossip
+ * @param {string} [status] - Relationship status (free text)
+ * @returns {number} - Weight (1 for neutral or unknown statuses)
+ */
+function getStatusWeight(status) {
+  const match = STATUS_WEIGHTS.find(entry => entry.pattern.test(status || ''));
+  return match ? match.weight : 1;
+}
+
+/**
+ * Find the NPCs an NPC could pass gossip to
+ * An NPC is connected to the NPCs in its relationships and to the NPCs that list it in theirs.
+ * @param {string} npcId - NPC identifier
+ * @returns {Array} - Neighbors as { id, name, status } (status label as seen from npcId, if any)
+ */
+function getGossipNeighbors(npcId) {
+  const metadata = contextManager.getNpcMetadata(npcId);
+  const neighbors = new Map();
+
+  contextManager.getRelationshipTargets(npcId).forEach(({ name, npc_id: otherId }) => {
+    if (otherId && otherId !== npcId) {
+      const status = relationshipManager.getRelationshipStatus(metadata.relationships[name]);
+      neighbors.set(otherId, { id: otherId, name: contextManager.getNpcMetadata(otherId).name, status });
+    }
+  });
+
+  contextManager.getNpcIdsRelatedTo(metadata.name).forEach(otherId => {
+    if (otherId === npcId || neighbors.has(otherId)) {
+      return;
+    }
+
+    const other = contextManager.getNpcMetadata(otherId);
+    const relationships = other.relationships || {};
+    const statusTowardsNpc = relationshipManager.getRelationshipStatus(
+      relationships[Object.keys(relationships).find(name => name.toLowerCase() === metadata.name.toLowerCase())]
+    );
+
+    if (statusTowardsNpc) {
+      neighbors.set(otherId, { id: otherId, name: other.name, status: statusTowardsNpc });
+    }
+  });
+
+  return Array.from(neighbors.values());
+}
+
+/**
+ * Chance that an NPC passes a rumor on to a neighbor
+ * @param {Object} teller - Metadata of the NPC telling the rumor
+ * @param {Object} listener - Metadata of the neighbor
+ * @param {string} status - Relationship status between them
+ * @param {number} hops - How many times the rumor has already been retold
+ * @returns {number} - Probability from 0 to 1
+ */
+function getSpreadChance(teller, listener, status, hops) {
+  const sameFaction = Boolean(teller.faction) && Boolean(listener.faction) &&
+    teller.faction.toLowerCase() === listener.faction.toLowerCase();
+
+  const chance = config.gossip.spreadChance *
+    getStatusWeight(status) *
+    (sameFaction ? config.gossip.factionBonus : 1) *
+    Math.pow(config.gossip.hopDecay, hops);
+
+  return Math.min(1, chance);
+}
+
+/**
+ * Record that an NPC has heard a rumor, and give it a memory of it
+ * @param {Object} rumor - Rumor document
+ * @param {string} npcId - NPC who heard it
+ * @param {Object} via - How it was heard: { from_npc_id, chain, hops }
+ * @returns {Object} - Carrier record
+ */
+function addCarrier(rumor, npcId, via) {
+  const heardFrom = via.chain[via.chain.length - 1];
+
+  const memory = memoryManager.addMemory(npcId, {
+    content: `${heardFrom} told me: ${rumor.content}`,
+    importance: Math.max(memoryManager.MIN_IMPORTANCE, rumor.importance - via.hops),
+    player_id: null,
+    source: {
+      type: 'rumor',
+      rumor_id: rumor.id,
+      heard_from: heardFrom,
+      chain: via.chain,
+      hops: via.hops,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  const carrier = {
+    heard_at: new Date().toISOString(),
+    from_npc_id: via.from_npc_id || null,
+    chain: via.chain,
+    hops: via.hops,
+    memory_id: memory.id,
+    spread: false
+  };
+
+  rumor.carriers[npcId] = carrier;
+  return carrier;
+}
+
+/**
+ * Start a rumor with an NPC
+ * @param {string} npcId - NPC who first hears the rumor
+ * @param {Object} rumorData - Rumor
+ * @param {string} rumorData.content - What is being said (e.g. "Alfred is a thief")
+ * @param {string|Array} [rumorData.about] - NPCs the rumor is about (they are never told it)
+ * @param {number} [rumorData.importance=5] - Importance from 1 to 10; each retelling lowers it by one
+ * @param {string} [rumorData.source] - Who the NPC heard it from (e.g. "the player p1")
+ * @param {Object} [rumorData.origin] - Where the rumor came from (type, player_id, request_id)
+ * @returns {Object} - Stored rumor
+ */
+function startRumor(npcId, rumorData = {}) {
+  const content = typeof rumorData.content === 'string' ? rumorData.content.trim() : '';
+  const metadata = contextManager.getNpcMetadata(npcId);
+
+  if (!content) {
+    throw new Error('Rumor content is required');
+  }
+
+  if (!metadata) {
+    throw new Error(`NPC with identifier ${npcId} not found`);
+  }
+
+  const about = (Array.isArray(rumorData.about) ? rumorData.about : (rumorData.about ? String(rumorData.about).split(',') : []))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const importance = Number.isFinite(Number(rumorData.importance)) ?
+    Math.max(memoryManager.MIN_IMPORTANCE, Math.min(memoryManager.MAX_IMPORTANCE, Math.round(Number(rumorData.importance)))) :
+    5;
+
+  const rumor = {
+    id: crypto.randomUUID(),
+    content,
+    about,
+    importance,
+    origin: {
+      type: 'manual',
+      ...(rumorData.origin || {}),
+      npc_id: npcId,
+      npc_name: metadata.name
+    },
+    created_at: new Date().toISOString(),
+    carriers: {}
+  };
+
+  addCarrier(rumor, npcId, { chain: [rumorData.source || 'someone'], hops: 0 });
+
+  getRumorDocuments().set(rumor.id, rumor);
+  worldManager.persistWorldDocument(RUMOR_COLLECTION, rumor.id);
+
+  logger.info(`Rumor ${rumor.id} started with ${metadata.name}: "${content}"`);
+  return rumor;
+}
+
+/**
+ * List rumors
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.about] - Only rumors about this NPC (name)
+ * @param {string} [filters.heardBy] - Only rumors this NPC (ID) has heard
+ * @returns {Array} - Rumors, oldest first
+ */
+function listRumors(filters = {}) {
+  return Array.from(getRumorDocuments().values())
+    .filter(rumor => !filters.about || rumor.about.some(name => name.toLowerCase() === filters.about.toLowerCase()))
+    .filter(rumor => !filters.heardBy || rumor.carriers[filters.heardBy])
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Get a single rumor
+ * @param {string} rumorId - Rumor identifier
+ * @returns {Object|null} - Rumor or null if not found
+ */
+function getRumor(rumorId) {
+  return getRumorDocuments().get(rumorId) || null;
+}
+
+/**
+ * Delete a rumor (memories NPCs already have of it are kept)
+ * @param {string} rumorId - Rumor identifier
+ * @returns {boolean} - Whether the rumor existed
+ */
+function removeRumor(rumorId) {
+  if (!getRumorDocuments().delete(rumorId)) {
+    return false;
+  }
+
+  worldManager.persistWorldDocument(RUMOR_COLLECTION, rumorId);
+  return true;
+}
+
+/**
+ * Spread rumors one step through the current world's relationship graph
+ * Every NPC who heard a rumor since the last tick gets one chance to pass it to each neighbor
+ * who has not heard it; NPCs told during this tick pass it on at the next one.
+ * @param {Object} [options] - Options
+ * @param {Function} [options.random=Math.random] - Random number source (0-1)
+ * @param {string} [options.requestId] - Request ID for logging
+ * @returns {Object} - { active_rumors, spread: [{ rumor_id, from, to, chance }] }
+ */
+function runGossipTick(options = {}) {
+  const random = options.random || Math.random;
+  const spread = [];
+  let activeRumors = 0;
+
+  listRumors().forEach(rumor => {
+    const tellers = Object.entries(rumor.carriers)
+      .filter(([npcId, carrier]) => !carrier.spread && contextManager.getNpcMetadata(npcId));
+
+    if (tellers.length === 0) {
+      return;
+    }
+    activeRumors++;
+
+    tellers.forEach(([tellerId, carrier]) => {
+      // Each carrier gets one round of telling; past the hop limit it keeps the rumor to itself
+      carrier.spread = true;
+      if (carrier.hops >= config.gossip.maxHops) {
+        return;
+      }
+
+      const teller = contextManager.getNpcMetadata(tellerId);
+
+      getGossipNeighbors(tellerId).forEach(neighbor => {
+        const isSubject = rumor.about.some(name => name.toLowerCase() === neighbor.name.toLowerCase());
+        if (rumor.carriers[neighbor.id] || isSubject) {
+          return;
+        }
+
+        const chance = getSpreadChance(teller, contextManager.getNpcMetadata(neighbor.id), neighbor.status, carrier.hops);
+        if (random() >= chance) {
+          return;
+        }
+
+        addCarrier(rumor, neighbor.id, {
+          from_npc_id: tellerId,
+          chain: [...carrier.chain, teller.name],
+          hops: carrier.hops + 1
+        });
+        spread.push({ rumor_id: rumor.id, from: teller.name, to: neighbor.name, chance: Math.round(chance * 1000) / 1000 });
+      });
+    });
+
+    worldManager.persistWorldDocument(RUMOR_COLLECTION, rumor.id);
+  });
+
+  if (spread.length > 0) {
+    logger.info(`Gossip tick: ${spread.length} retellings of ${activeRumors} active rumors`, options.requestId);
+  }
+
+  return { active_rumors: activeRumors, spread };
+}
+
+// Timer of the periodic gossip propagation (null while stopped)
+let gossipTimer = null;
+
+/**
+ * Start periodic gossip propagation in every world
+ * Called by server.js, so requiring this module does not start a timer that keeps the process alive.
+ */
+function startGossipPropagation() {
+  if (!config.gossip.enabled || gossipTimer) {
+    return;
+  }
+
+  gossipTimer = setInterval(() => {
+    const requestId = `gossip-${Date.now()}`;
+    worldManager.forEachWorld(() => {
+      try {
+        runGossipTick({ requestId });
+      } catch (error) {
+        logger.error(`Gossip tick failed: ${error.message}`, requestId, error);
+      }
+    });
+  }, config.gossip.tickIntervalMs);
+
+  logger.info(`Gossip propagation enabled (every ${config.gossip.tickIntervalMs / 1000 / 60} minutes)`);
+}
+
+/**
+ * Stop periodic gossip propagation
+ */
+function stopGossipPropagation() {
+  clearInterval(gossipTimer);
+  gossipTimer = null;
+}
+
+module.exports = {
+  getStatusWeight,
+  getGossipNeighbors,
+  startRumor,
+  listRumors,
+  getRumor,
+  removeRumor,
+  runGossipTick,
+  startGossipPropagation,
+  stopGossipPropagation
+};
@@ -0,0 +1,267 @@
+/**
+ * Knowledge Manager for what each NPC plausibly knows and is willing to say
+ * NPC facts (description, personality, faction...) and lore entries can be public, known to a
+ * faction only or secret, and can list the NPCs who know them anyway ("known_by").
+ * Reveal conditions ("reveal") hold a fact back from a player until the NPC's relationship
+ * with that player is good enough, e.g. { "trust": 70 }.
+ */
+const logger = require('./logger');
+
+// Who can know a fact
+const VISIBILITY_LEVELS = ['public', 'faction', 'secret'];
+
+// NPC metadata fields whose visibility can be restricted
+const KNOWLEDGE_FIELDS = ['description', 'backstory', 'personality', 'faction', 'location', 'currentState'];
+
+// Player relationship scores usable as reveal conditions (minimum values)
+const REVEAL_SCORES = ['affinity', 'trust', 'respect'];
+
+/**
+ * Normalize a list of names given as an array or a comma-separated string
+ * @param {string|Array} value - List value
+ * @returns {string[]} - Trimmed values
+ */
+function normalizeNames(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return items.filter(item => typeof item === 'string').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Check reveal conditions and return them in canonical form
+ * @param {Object} reveal - Reveal conditions ({ affinity, trust, respect, status })
+ * @returns {Object|null} - Reveal conditions or null if there are none
+ * @throws {Error} - If a condition is not recognised
+ */
+function normalizeRevealConditions(reveal) {
+  if (reveal === undefined || reveal === null) {
+    return null;
+  }
+
+  if (typeof reveal !== 'object' || Array.isArray(reveal)) {
+    throw new Error('Reveal conditions must be an object such as { "trust": 70 }');
+  }
+
+  const conditions = {};
+
+  Object.entries(reveal).forEach(([key, value]) => {
+    if (REVEAL_SCORES.includes(key)) {
+      const minimum = Number(value);
+      if (!Number.isFinite(minimum)) {
+        throw new Error(`Reveal condition "${key}" must be a number`);
+      }
+      conditions[key] = minimum;
+    } else if (key === 'status') {
+      conditions.status = normalizeNames(value).map(status => status.toLowerCase());
+    } else {
+      throw new Error(`Unknown reveal condition "${key}". Use ${[...REVEAL_SCORES, 'status'].join(', ')}`);
+    }
+  });
+
+  return Object.keys(conditions).length > 0 ? conditions : null;
+}
+
+/**
+ * Check a knowledge rule and return it in canonical form
+ * A rule is a visibility level ("public", "faction", "secret") or an object with
+ * visibility, factions, known_by and reveal.
+ * @param {string|Object} rule - Knowledge rule
+ * @returns {Object} - { visibility, factions, known_by, reveal }
+ * @throws {Error} - If the rule is invalid
+ */
+function normalizeKnowledgeRule(rule) {
+  const ruleObject = typeof rule === 'string' ? { visibility: rule } : (rule || {});
+  const visibility = ruleObject.visibility || 'public';
+
+  if (!VISIBILITY_LEVELS.includes(visibility)) {
+    throw new Error(`Unknown visibility "${visibility}". Use ${VISIBILITY_LEVELS.join(', ')}`);
+  }
+
+  return {
+    visibility,
+    factions: normalizeNames(ruleObject.factions),
+    known_by: normalizeNames(ruleObject.known_by),
+    reveal: normalizeRevealConditions(ruleObject.reveal)
+  };
+}
+
+/**
+ * Check an NPC's knowledge rules and secrets and return them in canonical form
+ * @param {Object} npcData - NPC data with optional "knowledge" and "secrets" fields
+ * @returns {Object} - { knowledge, secrets }
+ * @throws {Error} - If a rule or secret is invalid
+ */
+function normalizeNpcKnowledge(npcData = {}) {
+  const knowledge = {};
+
+  Object.entries(npcData.knowledge || {}).forEach(([field, rule]) => {
+    if (!KNOWLEDGE_FIELDS.includes(field)) {
+      throw new Error(`Unknown knowledge field "${field}". Use ${KNOWLEDGE_FIELDS.join(', ')}`);
+    }
+    knowledge[field] = normalizeKnowledgeRule(rule);
+  });
+
+  if (npcData.secrets !== undefined && !Array.isArray(npcData.secrets)) {
+    throw new Error('Secrets must be an array');
+  }
+
+  const secrets = (npcData.secrets || []).map((secret, index) => {
+    const secretObject = typeof secret === 'string' ? { content: secret } : (secret || {});
+    const content = typeof secretObject.content === 'string' ? secretObject.content.trim() : '';
+
+    if (!content) {
+      throw new Error(`Secret ${index + 1} has no content`);
+    }
+
+    return { content, reveal: normalizeRevealConditions(secretObject.reveal) };
+  });
+
+  return { knowledge, secrets };
+}
+
+/**
+ * Check whether a name list contains an NPC (by ID or case-insensitive name)
+ * @param {string[]} names - Names or IDs
+ * @param {Object} npc - NPC as { id, name }
+ * @returns {boolean}
+ */
+function listsNpc(names, npc) {
+  return names.some(name => name === npc.id || (npc.name && name.toLowerCase() === npc.name.toLowerCase()));
+}
+
+/**
+ * Check whether an NPC can know a fact
+ * @param {Object} rule - Normalized knowledge rule
+ * @param {Object} viewer - NPC that would know the fact, as { id, name, faction }
+ * @param {Object} [context] - Fact context
+ * @param {Object} [context.owner] - NPC the fact is about, as { id, name } (always knows it)
+ * @param {string[]} [context.factions] - Factions that know a faction-only fact when the rule lists none
+ * @returns {boolean}
+ */
+function canNpcKnow(rule, viewer, context = {}) {
+  if (!rule || rule.visibility === 'public') {
+    return true;
+  }
+
+  if (context.owner && (context.owner.id === viewer.id || listsNpc([context.owner.name || ''], viewer))) {
+    return true;
+  }
+
+  if (listsNpc(rule.known_by, viewer)) {
+    return true;
+  }
+
+  if (rule.visibility === 'faction') {
+    const factions = rule.factions.length > 0 ? rule.factions : (context.factions || []);
+    return Boolean(viewer.faction) && factions.some(faction => faction.toLowerCase() === viewer.faction.toLowerCase());
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a relationship with a player meets reveal conditions
+ * @param {Object|null} reveal - Normalized reveal conditions
+ * @param {Object} [playerRelationship] - NPC's relationship with the player
+ * @returns {boolean}
+ */
+function meetsRevealConditions(reveal, playerRelationship) {
+  if (!reveal) {
+    return true;
+  }
+
+  if (!playerRelationship) {
+    return false;
+  }
+
+  const scoresMet = REVEAL_SCORES
+    .filter(score => reveal[score] !== undefined)
+    .every(score => (playerRelationship[score] || 0) >= reveal[score]);
+
+  const statusMet = !reveal.status || reveal.status.length === 0 ||
+    reveal.status.includes((playerRelationship.status || '').toLowerCase());
+
+  return scoresMet && statusMet;
+}
+
+/**
+ * Get the facts about one NPC that another NPC knows and may bring up with the player
+ * Fields the viewer cannot know, or whose reveal conditions are not met, come back empty.
+ * @param {Object} ownerMetadata - Metadata of the NPC the facts are about (with id)
+ * @param {Object} viewer - NPC that would know the facts, as { id, name, faction }
+ * @param {Object} [playerRelationship] - Viewer's relationship with the player (reveal conditions are skipped without it)
+ * @returns {Object} - Fact fields (description, personality, faction, location, currentState...)
+ */
+function getKnownNpcFacts(ownerMetadata, viewer, playerRelationship) {
+  const facts = {};
+
+  KNOWLEDGE_FIELDS.forEach(field => {
+    const value = ownerMetadata[field] || '';
+    let rule = null;
+
+    try {
+      rule = ownerMetadata.knowledge?.[field] ? normalizeKnowledgeRule(ownerMetadata.knowledge[field]) : null;
+    } catch (error) {
+      // Fail closed: a broken rule hides the fact rather than leaking it
+      logger.warn(`Invalid knowledge rule for ${ownerMetadata.name}.${field}: ${error.message}`);
+      rule = { visibility: 'secret', factions: [], known_by: [], reveal: null };
+    }
+
+    const known = canNpcKnow(rule, viewer, {
+      owner: { id: ownerMetadata.id, name: ownerMetadata.name },
+      factions: ownerMetadata.faction ? [ownerMetadata.faction] : []
+    });
+    const revealed = !playerRelationship || meetsRevealConditions(rule?.reveal, playerRelationship);
+
+    facts[field] = known && revealed ? value : '';
+  });
+
+  return facts;
+}
+
+/**
+ * Split an NPC's own secrets and restricted fields by whether it may share them with a player
+ * Secrets without reveal conditions are never shared.
+ * @param {Object} npcMetadata - NPC metadata
+ * @param {Object} playerRelationship - NPC's relationship with the player
+ * @returns {Object} - { shareable, withheld } as prompt lines, and the withheldFields names
+ */
+function getNpcSecrets(npcMetadata, playerRelationship) {
+  const shareable = [];
+  const withheld = [];
+  const withheldFields = [];
+
+  (npcMetadata.secrets || []).forEach(secret => {
+    const content = typeof secret === 'string' ? secret : secret.content;
+    const reveal = typeof secret === 'string' ? null : secret.reveal;
+
+    if (reveal && meetsRevealConditions(reveal, playerRelationship)) {
+      shareable.push(content);
+    } else {
+      withheld.push(content);
+    }
+  });
+
+  // The NPC always knows its own fields, but may have to keep some of them to itself
+  Object.entries(npcMetadata.knowledge || {}).forEach(([field, rule]) => {
+    const reveal = typeof rule === 'object' && rule ? rule.reveal : null;
+
+    if (reveal && npcMetadata[field] && !meetsRevealConditions(reveal, playerRelationship)) {
+      withheld.push(`Your ${field}: ${npcMetadata[field]}`);
+      withheldFields.push(field);
+    }
+  });
+
+  return { shareable, withheld, withheldFields };
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  KNOWLEDGE_FIELDS,
+  normalizeKnowledgeRule,
+  normalizeRevealConditions,
+  normalizeNpcKnowledge,
+  canNpcKnow,
+  meetsRevealConditions,
+  getKnownNpcFacts,
+  getNpcSecrets
+};
@@ -0,0 +1,375 @@
+/**
+ * Lore Manager for the world knowledge base
+ * Lore entries describe the game's canon (towns, history, items, factions...). Each entry can be
+ * tagged and tied to locations and factions; the entries relevant to an NPC's location, faction
+ * and the player's message are injected into the NPC's chat prompt.
+ * Entries can be restricted to a faction or to named NPCs, and held back from players
+ * until reveal conditions are met (see knowledgeManager).
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const embeddingIndex = require('./embeddingIndex');
+const knowledgeManager = require('./knowledgeManager');
+const config = require('../config');
+
+// Storage collection holding lore, one document per entry
+// Format: { loreId: { id, title, content, tags, locations, factions, visibility, known_by, reveal, ... } }
+const LORE_COLLECTION = 'lore';
+
+// Allowed caller-supplied lore identifiers (stored as document keys)
+const LORE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// List lines recognised at the start of a markdown section, e.g. "Tags: history, war"
+const MARKDOWN_FIELDS = {
+  tags: 'tags',
+  tag: 'tags',
+  locations: 'locations',
+  location: 'locations',
+  factions: 'factions',
+  faction: 'factions',
+  'known by': 'known_by',
+  known_by: 'known_by'
+};
+
+/**
+ * Get the lore collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getLoreDocuments() {
+  return worldManager.getWorldCollection(LORE_COLLECTION);
+}
+
+/**
+ * Normalize a list field given as an array or a comma-separated string
+ * @param {string|Array} value - Field value
+ * @returns {string[]} - Trimmed, de-duplicated values
+ */
+function normalizeList(value) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+
+  return [...new Set(items
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(Boolean))];
+}
+
+/**
+ * Check whether a list contains a value, ignoring case
+ * @param {string[]} list - List to search
+ * @param {string} value - Value to find
+ * @returns {boolean}
+ */
+function includesIgnoreCase(list, value) {
+  return Boolean(value) && list.some(item => item.toLowerCase() === value.toLowerCase());
+}
+
+/**
+ * List lore entries
+ * @param {Object} [filters] - Filters (all optional, case-insensitive)
+ * @param {string} [filters.tag] - Only entries with this tag
+ * @param {string} [filters.location] - Only entries about this location
+ * @param {string} [filters.faction] - Only entries about this faction
+ * @param {Object} [filters.npc] - Only entries this NPC can know, as { id, name, faction }
+ * @returns {Array} - Lore entries, oldest first
+ */
+function listLore(filters = {}) {
+  return Array.from(getLoreDocuments().values())
+    .filter(entry => !filters.npc || knowledgeManager.canNpcKnow(getLoreRule(entry), filters.npc))
+    .filter(entry => !filters.tag || includesIgnoreCase(entry.tags, filters.tag))
+    .filter(entry => !filters.location || includesIgnoreCase(entry.locations, filters.location))
+    .filter(entry => !filters.faction || includesIgnoreCase(entry.factions, filters.faction))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Get a single lore entry
+ * @param {string} loreId - Lore entry identifier
+ * @returns {Object|null} - Lore entry or null if not found
+ */
+function getLore(loreId) {
+  return getLoreDocuments().get(loreId) || null;
+}
+
+/**
+ * Check that a lore entry can be saved
+ * @param {Object} entryData - Lore entry
+ * @throws {Error} - If the title or content is missing or the ID is invalid
+ */
+function validateLore(entryData = {}) {
+  const title = typeof entryData.title === 'string' ? entryData.title.trim() : '';
+  const content = typeof entryData.content === 'string' ? entryData.content.trim() : '';
+
+  if (!title) {
+    throw new Error('Lore title is required');
+  }
+
+  if (!content) {
+    throw new Error(`Lore content is required (entry "${title}")`);
+  }
+
+  if (entryData.id !== undefined && !LORE_ID_PATTERN.test(String(entryData.id))) {
+    throw new Error(`Invalid lore ID "${entryData.id}": use 1-64 letters, digits, "_" or "-"`);
+  }
+
+  try {
+    knowledgeManager.normalizeKnowledgeRule(entryData);
+  } catch (error) {
+    throw new Error(`${error.message} (entry "${title}")`);
+  }
+}
+
+/**
+ * Get the knowledge rule of a lore entry
+ * Faction-only entries are known to the factions the entry is about.
+ * @param {Object} entry - Lore entry
+ * @returns {Object} - Normalized knowledge rule
+ */
+function getLoreRule(entry) {
+  const rule = knowledgeManager.normalizeKnowledgeRule(entry);
+  return { ...rule, factions: entry.factions || [] };
+}
+
+/**
+ * Add a lore entry, or replace the entry with the same ID
+ * @param {Object} entryData - Lore entry
+ * @param {string} [entryData.id] - Stable identifier (letters, digits, "_" and "-"); generated if omitted
+ * @param {string} entryData.title - Title
+ * @param {string} entryData.content - Text of the entry
+ * @param {string|Array} [entryData.tags] - Tags
+ * @param {string|Array} [entryData.locations] - Locations the entry is about
+ * @param {string|Array} [entryData.factions] - Factions the entry is about
+ * @param {string} [entryData.visibility='public'] - Who knows the entry: "public", "faction" (members of its factions) or "secret"
+ * @param {string|Array} [entryData.known_by] - NPCs (names or IDs) who know the entry regardless of visibility
+ * @param {Object} [entryData.reveal] - Conditions before NPCs share the entry with a player, e.g. { "trust": 70 }
+ * @param {string} [entryData.format='json'] - Format the entry was uploaded in
+ * @returns {Object} - { entry, created }
+ */
+function saveLore(entryData = {}) {
+  validateLore(entryData);
+
+  const documents = getLoreDocuments();
+  const id = entryData.id !== undefined ? String(entryData.id) : crypto.randomUUID();
+  const existing = documents.get(id);
+  const now = new Date().toISOString();
+  const rule = knowledgeManager.normalizeKnowledgeRule(entryData);
+
+  const entry = {
+    id,
+    title: entryData.title.trim(),
+    content: entryData.content.trim(),
+    tags: normalizeList(entryData.tags),
+    locations: normalizeList(entryData.locations),
+    factions: normalizeList(entryData.factions),
+    visibility: rule.visibility,
+    known_by: rule.known_by,
+    reveal: rule.reveal,
+    format: entryData.format || 'json',
+    created_at: existing ? existing.created_at : now,
+    updated_at: now
+  };
+
+  documents.set(id, entry);
+  worldManager.persistWorldDocument(LORE_COLLECTION, id);
+
+  logger.debug(`${existing ? 'Replaced' : 'Added'} lore entry ${id} ("${entry.title}")`);
+  return { entry, created: !existing };
+}
+
+/**
+ * Update fields of a lore entry
+ * @param {string} loreId - Lore entry identifier
+ * @param {Object} updates - Fields to change (title, content, tags, locations, factions, visibility, known_by, reveal)
+ * @returns {Object|null} - Updated entry or null if not found
+ */
+function updateLore(loreId, updates = {}) {
+  const existing = getLore(loreId);
+
+  if (!existing) {
+    return null;
+  }
+
+  const merged = { ...existing };
+  ['title', 'content', 'tags', 'locations', 'factions', 'visibility', 'known_by', 'reveal'].forEach(field => {
+    if (updates[field] !== undefined) {
+      merged[field] = updates[field];
+    }
+  });
+
+  return saveLore(merged).entry;
+}
+
+/**
+ * Delete a lore entry
+ * @param {string} loreId - Lore entry identifier
+ * @returns {boolean} - Whether the entry existed
+ */
+function removeLore(loreId) {
+  const documents = getLoreDocuments();
+
+  if (!documents.delete(loreId)) {
+    return false;
+  }
+
+  worldManager.persistWorldDocument(LORE_COLLECTION, loreId);
+  return true;
+}
+
+/**
+ * Split a markdown document into lore entries
+ * Every heading starts an entry titled after it. "Tags:", "Locations:", "Factions:", "Known by:",
+ * "Visibility:" and "Reveal:" (e.g. "trust 70, status friend") lines directly under the heading
+ * set the entry's fields; the rest of the section is its content.
+ * @param {string} markdown - Markdown document
+ * @param {Object} [defaults] - Tags, locations, factions and visibility applied to every entry
+ * @returns {Array} - Lore entries ready for saveLore
+ */
+function parseMarkdownLore(markdown, defaults = {}) {
+  const entries = [];
+  let current = null;
+
+  const finish = () => {
+    if (current) {
+      current.content = current.lines.join('\n').trim();
+      delete current.lines;
+      entries.push(current);
+    }
+  };
+
+  (markdown || '').split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+
+    if (heading) {
+      finish();
+      current = {
+        title: heading[1],
+        tags: normalizeList(defaults.tags),
+        locations: normalizeList(defaults.locations),
+        factions: normalizeList(defaults.factions),
+        known_by: normalizeList(defaults.known_by),
+        visibility: defaults.visibility,
+        format: 'markdown',
+        lines: []
+      };
+      return;
+    }
+
+    if (!current) {
+      // Text before the first heading has no title to file it under
+      if (line.trim()) {
+        throw new Error('Markdown lore must start with a heading (e.g. "# Millbrook")');
+      }
+      return;
+    }
+
+    // Metadata lines are only read before the section's text starts
+    const field = current.lines.every(text => !text.trim()) &&
+      line.match(/^\s*(?:[-*]\s*)?\**([A-Za-z][A-Za-z _]*?)\**\s*:\s*(.+)$/);
+    const fieldName = field && field[1].toLowerCase();
+
+    if (fieldName && MARKDOWN_FIELDS[fieldName]) {
+      const listName = MARKDOWN_FIELDS[fieldName];
+      current[listName] = normalizeList([...current[listName], ...normalizeList(field[2])]);
+      return;
+    }
+
+    if (fieldName === 'visibility') {
+      current.visibility = field[2].trim().toLowerCase();
+      return;
+    }
+
+    if (fieldName === 'reveal') {
+      // "trust 70, status friend" -> { trust: 70, status: ['friend'] }
+      current.reveal = {};
+      normalizeList(field[2]).forEach(condition => {
+        const [name, value] = condition.split(/\s*(?:>=|≥|=|:|\s)\s*/);
+        current.reveal[name.toLowerCase()] = name.toLowerCase() === 'status' ?
+          [...(current.reveal.status || []), value] :
+          value;
+      });
+      return;
+    }
+
+    current.lines.push(line);
+  });
+
+  finish();
+  return entries;
+}
+
+/**
+ * Get the lore entries most relevant to an NPC and the current message
+ * An entry qualifies when it is about the NPC's location or faction, when one of its tags,
+ * locations or factions is mentioned in the message, or when it is semantically similar to it.
+ * @param {Object} [options] - Options
+ * @param {string} [options.location] - NPC location
+ * @param {string} [options.faction] - NPC faction
+ * @param {Object} [options.npc] - NPC as { id, name, faction }; entries it cannot know are left out
+ * @param {Object} [options.playerRelationship] - NPC's relationship with the player; entries whose
+ *   reveal conditions it does not meet are flagged "withheld"
+ * @param {string} [options.message] - Current player message
+ * @param {number} [options.limit] - Maximum number of entries
+ * @returns {Promise<Array>} - Entries with a relevance score, most relevant first
+ */
+async function getRelevantLore(options = {}) {
+  const limit = options.limit || config.lore.promptLimit;
+  const entries = listLore({ npc: options.npc });
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const similarities = new Map();
+
+  if (options.message) {
+    try {
+      const results = await embeddingIndex.search(
+        `${worldManager.getCurrentWorldId()}/lore`,
+        entries.map(entry => ({ id: entry.id, text: `${entry.title}\n${entry.content}` })),
+        options.message,
+        { k: entries.length, minScore: 0 }
+      );
+      results.forEach(result => similarities.set(result.id, result.score));
+    } catch (error) {
+      logger.error(`Lore similarity search failed: ${error.message}`, null, error);
+    }
+  }
+
+  const message = (options.message || '').toLowerCase();
+  const mentioned = term => message.length > 0 && message.includes(term.toLowerCase());
+
+  return entries
+    .map(entry => {
+      const locationMatch = includesIgnoreCase(entry.locations, options.location);
+      const factionMatch = includesIgnoreCase(entry.factions, options.faction);
+      const mentionMatch = [...entry.tags, ...entry.locations, ...entry.factions, entry.title].some(mentioned);
+      const similarity = Math.max(0, similarities.get(entry.id) || 0);
+
+      const qualifies = locationMatch || factionMatch || mentionMatch || similarity >= config.embeddings.minScore;
+      const relevance = (locationMatch ? 1 : 0) + (factionMatch ? 1 : 0) + (mentionMatch ? 0.5 : 0) + 2 * similarity;
+
+      if (!qualifies) {
+        return null;
+      }
+
+      const result = { ...entry, relevance: Math.round(relevance * 1000) / 1000 };
+      if (options.playerRelationship) {
+        result.withheld = !knowledgeManager.meetsRevealConditions(entry.reveal, options.playerRelationship);
+      }
+      return result;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, limit);
+}
+
+module.exports = {
+  listLore,
+  getLore,
+  validateLore,
+  saveLore,
+  updateLore,
+  removeLore,
+  parseMarkdownLore,
+  getRelevantLore
+};
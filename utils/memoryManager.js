@@ -0,0 +1,409 @@
+/**
+ * Memory Manager for NPC long-term memories
+ * Each NPC accumulates memories (from the "memory" field of its chat replies or added
+ * through the API) with a timestamp, an importance score and the conversation they came from.
+ * The most relevant memories are injected into the NPC's chat prompt.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const embeddingIndex = require('./embeddingIndex');
+const config = require('../config');
+
+// Storage collection holding memories, one document per NPC
+// Format: { npcId: { npc_id, memories: [...] } }
+const MEMORY_COLLECTION = 'memories';
+
+// Importance scale
+const MIN_IMPORTANCE = 1;
+const MAX_IMPORTANCE = 10;
+const DEFAULT_IMPORTANCE = 5;
+
+/**
+ * Get the memory collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getMemoryDocuments() {
+  return worldManager.getWorldCollection(MEMORY_COLLECTION);
+}
+
+/**
+ * Get the live memory list of an NPC, creating it if needed
+ * @param {string} npcId - NPC identifier
+ * @returns {Array} - Memories (oldest first)
+ */
+function getMemoryList(npcId) {
+  const documents = getMemoryDocuments();
+
+  if (!documents.has(npcId)) {
+    documents.set(npcId, { npc_id: npcId, memories: [] });
+  }
+
+  return documents.get(npcId).memories;
+}
+
+/**
+ * Clamp an importance score to the 1-10 scale
+ * @param {*} importance - Requested importance
+ * @returns {number} - Importance score
+ */
+function normalizeImportance(importance) {
+  const value = Number(importance);
+
+  if (!Number.isFinite(value)) {
+    return DEFAULT_IMPORTANCE;
+  }
+
+  return Math.max(MIN_IMPORTANCE, Math.min(MAX_IMPORTANCE, Math.round(value)));
+}
+
+/**
+ * Drop the least valuable memories once an NPC has more than the configured maximum
+ * Low-importance memories go first; among equals, the oldest go first.
+ * @param {Array} memories - Live memory list
+ */
+function enforceMemoryLimit(memories) {
+  const excess = memories.length - config.memory.maxMemoriesPerNpc;
+
+  if (excess <= 0) {
+    return;
+  }
+
+  const dropped = new Set(
+    memories
+      .map((memory, index) => ({ memory, index }))
+      .sort((a, b) => a.memory.importance - b.memory.importance || a.index - b.index)
+      .slice(0, excess)
+      .map(entry => entry.memory)
+  );
+
+  const kept = memories.filter(memory => !dropped.has(memory));
+  memories.splice(0, memories.length, ...kept);
+}
+
+/**
+ * List an NPC's memories
+ * @param {string} npcId - NPC identifier
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.playerId] - Only memories about this player (plus memories not tied to a player)
+ * @param {number} [filters.limit] - Maximum number of memories (most recent)
+ * @returns {Array} - Memories (oldest first)
+ */
+function listMemories(npcId, filters = {}) {
+  let memories = getMemoryList(npcId);
+
+  if (filters.playerId) {
+    memories = memories.filter(memory => !memory.player_id || memory.player_id === filters.playerId);
+  }
+
+  return filters.limit > 0 ? memories.slice(-filters.limit) : memories.slice();
+}
+
+/**
+ * Get a single memory
+ * @param {string} npcId - NPC identifier
+ * @param {string} memoryId - Memory identifier
+ * @returns {Object|null} - Memory or null if not found
+ */
+function getMemory(npcId, memoryId) {
+  return getMemoryList(npcId).find(memory => memory.id === memoryId) || null;
+}
+
+/**
+ * Add a memory to an NPC
+ * @param {string} npcId - NPC identifier
+ * @param {Object} memoryData - Memory information
+ * @param {string} memoryData.content - What the NPC remembers
+ * @param {number} [memoryData.importance=5] - Importance from 1 (trivial) to 10 (unforgettable)
+ * @param {string} [memoryData.player_id] - Player the memory is about
+ * @param {Object} [memoryData.source] - Where the memory came from
+ * @returns {Object} - Stored memory
+ */
+function addMemory(npcId, memoryData = {}) {
+  const content = typeof memoryData.content === 'string' ? memoryData.content.trim() : '';
+
+  if (!content) {
+    throw new Error('Memory content is required');
+  }
+
+  const now = new Date().toISOString();
+  const memory = {
+    id: crypto.randomUUID(),
+    content,
+    importance: normalizeImportance(memoryData.importance),
+    player_id: memoryData.player_id || null,
+    source: memoryData.source || { type: 'manual' },
+    created_at: now,
+    updated_at: now
+  };
+
+  const memories = getMemoryList(npcId);
+  memories.push(memory);
+  enforceMemoryLimit(memories);
+  worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+
+  logger.debug(`Added memory ${memory.id} to NPC ${npcId} (importance ${memory.importance})`);
+  return memory;
+}
+
+/**
+ * Update a memory
+ * @param {string} npcId - NPC identifier
+ * @param {string} memoryId - Memory identifier
+ * @param {Object} updates - Fields to change (content, importance, player_id)
+ * @returns {Object|null} - Updated memory or null if not found
+ */
+function updateMemory(npcId, memoryId, updates = {}) {
+  const memory = getMemory(npcId, memoryId);
+
+  if (!memory) {
+    return null;
+  }
+
+  if (updates.content !== undefined) {
+    const content = typeof updates.content === 'string' ? updates.content.trim() : '';
+    if (!content) {
+      throw new Error('Memory content cannot be empty');
+    }
+    memory.content = content;
+  }
+
+  if (updates.importance !== undefined) {
+    memory.importance = normalizeImportance(updates.importance);
+  }
+
+  if (updates.player_id !== undefined) {
+    memory.player_id = updates.player_id || null;
+  }
+
+  memory.updated_at = new Date().toISOString();
+  // A memory someone revisited is fresh again
+  memory.idle_days = 0;
+  worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+
+  return memory;
+}
+
+/**
+ * Age an NPC's memories by some game days
+ * Once a memory has gone untouched for staleDays, it loses one importance point every decayDays
+ * (never below the minimum). Memories at or above protectedImportance never fade.
+ * @param {string} npcId - NPC identifier
+ * @param {number} days - Game days that passed
+ * @param {Object} rules - Fading rules
+ * @param {number} rules.staleDays - Game days before a memory starts to fade
+ * @param {number} rules.decayDays - Game days per importance point lost
+ * @param {number} rules.protectedImportance - Importance from which memories never fade
+ * @returns {Array} - Faded memories as { id, content, importance_before, importance }
+ */
+function fadeMemories(npcId, days, rules) {
+  const faded = [];
+  const documents = getMemoryDocuments();
+
+  if (days <= 0 || !documents.has(npcId)) {
+    return faded;
+  }
+
+  const pointsLost = idleDays => Math.floor(Math.max(0, idleDays - rules.staleDays) / rules.decayDays);
+
+  documents.get(npcId).memories.forEach(memory => {
+    if (memory.importance >= rules.protectedImportance) {
+      return;
+    }
+
+    const previousIdleDays = memory.idle_days || 0;
+    memory.idle_days = previousIdleDays + days;
+
+    const lost = pointsLost(memory.idle_days) - pointsLost(previousIdleDays);
+    const importance = Math.max(MIN_IMPORTANCE, memory.importance - lost);
+    if (importance !== memory.importance) {
+      faded.push({ id: memory.id, content: memory.content, importance_before: memory.importance, importance });
+      memory.importance = importance;
+    }
+  });
+
+  worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+  return faded;
+}
+
+/**
+ * Delete a memory
+ * @param {string} npcId - NPC identifier
+ * @param {string} memoryId - Memory identifier
+ * @returns {boolean} - Whether the memory existed
+ */
+function removeMemory(npcId, memoryId) {
+  const memories = getMemoryList(npcId);
+  const index = memories.findIndex(memory => memory.id === memoryId);
+
+  if (index === -1) {
+    return false;
+  }
+
+  memories.splice(index, 1);
+  worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+  return true;
+}
+
+/**
+ * Delete all of an NPC's memories (used when the NPC is removed)
+ * @param {string} npcId - NPC identifier
+ */
+function removeAllMemories(npcId) {
+  if (getMemoryDocuments().delete(npcId)) {
+    worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+  }
+  embeddingIndex.dropIndexes(`${worldManager.getCurrentWorldId()}/memories/${npcId}/`);
+}
+
+/**
+ * Replace all of an NPC's memories (e.g. from a world import)
+ * Memories keep their IDs and timestamps; importance is clamped and the memory limit applies.
+ * @param {string} npcId - NPC identifier
+ * @param {Array} memories - Memories (each needs content)
+ * @returns {Array} - Stored memories (oldest first)
+ * @throws {Error} - If a memory has no content
+ */
+function restoreMemories(npcId, memories) {
+  const now = new Date().toISOString();
+  const restored = memories.map(memoryData => {
+    const content = typeof memoryData.content === 'string' ? memoryData.content.trim() : '';
+    if (!content) {
+      throw new Error('Memory content is required');
+    }
+
+    return {
+      ...memoryData,
+      id: memoryData.id || crypto.randomUUID(),
+      content,
+      importance: normalizeImportance(memoryData.importance),
+      player_id: memoryData.player_id || null,
+      source: memoryData.source || { type: 'manual' },
+      created_at: memoryData.created_at || now,
+      updated_at: memoryData.updated_at || memoryData.created_at || now
+    };
+  });
+
+  const list = getMemoryList(npcId);
+  list.splice(0, list.length, ...restored);
+  enforceMemoryLimit(list);
+  worldManager.persistWorldDocument(MEMORY_COLLECTION, npcId);
+  embeddingIndex.dropIndexes(`${worldManager.getCurrentWorldId()}/memories/${npcId}/`);
+
+  logger.debug(`Restored ${list.length} memories of NPC ${npcId}`);
+  return list.slice();
+}
+
+/**
+ * Store the "memory" field of a chat reply
+ * Accepts a string or { content, importance }. Repeats of the NPC's latest memory are skipped.
+ * @param {string} npcId - NPC identifier
+ * @param {string|Object} memoryField - Memory returned by the model
+ * @param {Object} source - Conversation the memory came from (player_id, player_message, request_id)
+ * @returns {Object|null} - Stored memory or null if nothing was stored
+ */
+function recordConversationMemory(npcId, memoryField, source = {}) {
+  const memoryData = typeof memoryField === 'string' ? { content: memoryField } : memoryField;
+
+  if (!memoryData || typeof memoryData.content !== 'string' || !memoryData.content.trim()) {
+    return null;
+  }
+
+  const memories = getMemoryList(npcId);
+  const latest = memories[memories.length - 1];
+  if (latest && latest.content === memoryData.content.trim() && latest.player_id === (source.player_id || null)) {
+    return null;
+  }
+
+  return addMemory(npcId, {
+    content: memoryData.content,
+    importance: memoryData.importance,
+    player_id: source.player_id,
+    source: {
+      type: 'conversation',
+      request_id: source.request_id || null,
+      player_message: source.player_message || null,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Score how relevant each memory is to the current conversation
+ * Combines importance, semantic similarity to the message and recency.
+ * @param {Array} memories - Memories to score
+ * @param {Map} [similarities] - Similarity of each memory ID to the message (0-1)
+ * @returns {Array} - Memories with "similarity" and "relevance" scores, most relevant first
+ */
+function rankMemories(memories, similarities = new Map()) {
+  const halfLifeMs = config.memory.recencyHalfLifeDays * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  return memories
+    .map(memory => {
+      const similarity = Math.max(0, similarities.get(memory.id) || 0);
+      const age = Math.max(0, now - new Date(memory.created_at).getTime());
+      const recency = Math.pow(0.5, age / halfLifeMs);
+
+      const relevance = memory.importance / MAX_IMPORTANCE + 1.5 * similarity + 0.5 * recency;
+      return {
+        ...memory,
+        similarity: Math.round(similarity * 1000) / 1000,
+        relevance: Math.round(relevance * 1000) / 1000
+      };
+    })
+    .sort((a, b) => b.relevance - a.relevance);
+}
+
+/**
+ * Get the memories most relevant to the current conversation
+ * Similarity comes from the embedding index; if embedding fails, memories are
+ * ranked on importance and recency alone.
+ * @param {string} npcId - NPC identifier
+ * @param {Object} [options] - Options
+ * @param {string} [options.message] - Current player message
+ * @param {string} [options.playerId] - Speaking player
+ * @param {number} [options.limit] - Maximum number of memories
+ * @returns {Promise<Array>} - Memories with relevance scores, most relevant first
+ */
+async function getRelevantMemories(npcId, options = {}) {
+  const limit = options.limit || config.memory.promptMemoryLimit;
+  // Without a player, only memories that are not about a particular player apply
+  const candidates = listMemories(npcId, { playerId: options.playerId })
+    .filter(memory => options.playerId || !memory.player_id);
+
+  const similarities = new Map();
+
+  if (options.message && candidates.length > 0) {
+    try {
+      // One index per player, since each player has its own candidates
+      const results = await embeddingIndex.search(
+        `${worldManager.getCurrentWorldId()}/memories/${npcId}/${options.playerId || '*'}`,
+        candidates.map(memory => ({ id: memory.id, text: memory.content })),
+        options.message,
+        { k: candidates.length, minScore: 0 }
+      );
+      results.forEach(result => similarities.set(result.id, result.score));
+    } catch (error) {
+      logger.error(`Memory similarity search failed for NPC ${npcId}: ${error.message}`, null, error);
+    }
+  }
+
+  return rankMemories(candidates, similarities).slice(0, limit);
+}
+
+module.exports = {
+  MIN_IMPORTANCE,
+  MAX_IMPORTANCE,
+  listMemories,
+  getMemory,
+  addMemory,
+  updateMemory,
+  removeMemory,
+  removeAllMemories,
+  restoreMemories,
+  fadeMemories,
+  recordConversationMemory,
+  rankMemories,
+  getRelevantMemories
+};
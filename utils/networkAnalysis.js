@@ -0,0 +1,491 @@
+/**
+ * Network Analysis for the NPC relationship network
+ * Answers questions about the social network as a whole: how two NPCs are connected, which
+ * groups and cliques have formed, who is influential or sits between groups, and which feelings
+ * are not returned. It reads the relationship graph, so only relationships the NPCs hold
+ * themselves count (attitudes inherited from a faction do not make NPCs acquainted).
+ *
+ * Two NPCs are tied if either has a relationship with the other. A tie is warm unless one of
+ * them is hostile towards the other (enemy, hostile, dislikes or distrustful); paths, communities
+ * and cliques follow warm ties only, since nobody introduces a friend to their enemy.
+ */
+const contextManager = require('./contextManager');
+const relationshipManager = require('./relationshipManager');
+
+// Relationship statuses that make a tie cold
+const HOSTILE_STATUSES = ['enemy', 'hostile', 'dislikes', 'distrustful'];
+
+// Label propagation passes before communities are taken as settled
+const MAX_COMMUNITY_PASSES = 20;
+
+// PageRank settings for influence
+const INFLUENCE_DAMPING = 0.85;
+const INFLUENCE_ITERATIONS = 30;
+
+/**
+ * Round a score for output
+ * @param {number} value - Score
+ * @returns {number} - Score rounded to 3 decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Take a snapshot of the current world's relationship network
+ * @returns {Object} - { nodes: Map(id -> { id, name, faction }), edges: Map(id -> Map(otherId -> record)), ties: Map(id -> Map(otherId -> tie)) }
+ */
+function buildNetwork() {
+  const nodes = new Map();
+  const edges = new Map();
+  const ties = new Map();
+
+  contextManager.getAllNpcIds().forEach(id => {
+    const metadata = contextManager.getNpcMetadata(id);
+    nodes.set(id, { id, name: metadata.name, faction: metadata.faction || null });
+    edges.set(id, new Map());
+    ties.set(id, new Map());
+  });
+
+  nodes.forEach((node, id) => {
+    const relationships = contextManager.getNpcMetadata(id).relationships || {};
+
+    contextManager.getRelationshipTargets(id).forEach(target => {
+      const record = relationshipManager.normalizeRelationship(relationships[target.name]);
+      if (target.npc_id && target.npc_id !== id && record) {
+        edges.get(id).set(target.npc_id, record);
+      }
+    });
+  });
+
+  // Ties are undirected: one per pair, shared by both NPCs
+  edges.forEach((outgoing, id) => {
+    outgoing.forEach((record, otherId) => {
+      if (ties.get(id).has(otherId)) {
+        return;
+      }
+
+      const records = [record, edges.get(otherId).get(id)].filter(Boolean);
+      const tie = {
+        warm: records.every(entry => !HOSTILE_STATUSES.includes(entry.status)),
+        // Closeness from 0 to 1: the mean of affinity and trust over both directions
+        weight: records.reduce((sum, entry) => sum + (entry.affinity + entry.trust) / 200, 0) / records.length
+      };
+
+      ties.get(id).set(otherId, tie);
+      ties.get(otherId).set(id, tie);
+    });
+  });
+
+  return { nodes, edges, ties };
+}
+
+/**
+ * Get an NPC's neighbours over warm ties
+ * @param {Object} network - Network snapshot
+ * @param {string} id - NPC identifier
+ * @returns {Array} - [otherId, tie] pairs
+ */
+function getWarmTies(network, id) {
+  return Array.from(network.ties.get(id).entries()).filter(([, tie]) => tie.warm);
+}
+
+/**
+ * Describe an NPC for output
+ * @param {Object} network - Network snapshot
+ * @param {string} id - NPC identifier
+ * @returns {Object} - { id, name, faction }
+ */
+function describeNode(network, id) {
+  return { ...network.nodes.get(id) };
+}
+
+/**
+ * Find the shortest chain of acquaintances from one NPC to another
+ * Among chains of the same length, the one through the closest ties wins.
+ * @param {string} fromId - NPC to start from
+ * @param {string} toId - NPC to reach
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowHostile=false] - Also follow ties where one NPC is hostile to the other
+ * @returns {Object} - { found, hops, path: [{ id, name, faction }], steps: [{ from, to, from_to_other, other_to_from }] }
+ */
+function findShortestPath(fromId, toId, options = {}) {
+  const network = buildNetwork();
+  const distance = new Map([[fromId, 0]]);
+  const closeness = new Map([[fromId, 0]]);
+  const previous = new Map();
+  const queue = [fromId];
+
+  // Breadth-first, keeping the closest predecessor of each NPC on its layer
+  for (let index = 0; index < queue.length; index++) {
+    const id = queue[index];
+
+    // Every predecessor of the target's layer has been seen
+    if (distance.has(toId) && distance.get(id) >= distance.get(toId)) {
+      break;
+    }
+
+    network.ties.get(id).forEach((tie, otherId) => {
+      if (!tie.warm && !options.allowHostile) {
+        return;
+      }
+
+      if (!distance.has(otherId)) {
+        distance.set(otherId, distance.get(id) + 1);
+        queue.push(otherId);
+      }
+
+      if (distance.get(otherId) === distance.get(id) + 1 &&
+          (!closeness.has(otherId) || closeness.get(id) + tie.weight > closeness.get(otherId))) {
+        closeness.set(otherId, closeness.get(id) + tie.weight);
+        previous.set(otherId, id);
+      }
+    });
+  }
+
+  if (!distance.has(toId)) {
+    return { found: false, hops: null, path: [], steps: [] };
+  }
+
+  const ids = [toId];
+  while (ids[0] !== fromId) {
+    ids.unshift(previous.get(ids[0]));
+  }
+
+  const steps = ids.slice(1).map((id, index) => {
+    const fromStep = ids[index];
+    const forward = network.edges.get(fromStep).get(id);
+    const backward = network.edges.get(id).get(fromStep);
+
+    return {
+      from: network.nodes.get(fromStep).name,
+      to: network.nodes.get(id).name,
+      from_to_other: forward ? forward.status : 'none',
+      other_to_from: backward ? backward.status : 'none'
+    };
+  });
+
+  return {
+    found: true,
+    hops: ids.length - 1,
+    path: ids.map(id => describeNode(network, id)),
+    steps
+  };
+}
+
+/**
+ * Find communities: groups of NPCs more closely tied to each other than to the rest
+ * Uses label propagation over warm ties weighted by closeness. NPCs without warm ties are
+ * listed as unconnected rather than as communities of one.
+ * @returns {Object} - { communities: [{ id, size, members, factions, ties }], unconnected: [...] }
+ */
+function findCommunities() {
+  const network = buildNetwork();
+  const ids = Array.from(network.nodes.keys())
+    .sort((a, b) => network.nodes.get(a).name.localeCompare(network.nodes.get(b).name));
+  const order = new Map(ids.map((id, index) => [id, index]));
+  const labels = new Map(ids.map(id => [id, order.get(id)]));
+
+  for (let pass = 0; pass < MAX_COMMUNITY_PASSES; pass++) {
+    let changed = false;
+
+    ids.forEach(id => {
+      const scores = new Map();
+      getWarmTies(network, id).forEach(([otherId, tie]) => {
+        const label = labels.get(otherId);
+        scores.set(label, (scores.get(label) || 0) + tie.weight);
+      });
+
+      if (scores.size === 0) {
+        return;
+      }
+
+      // Strongest label; ties keep the current label, then go to the lowest one
+      const best = Math.max(...scores.values());
+      const candidates = Array.from(scores.keys()).filter(label => scores.get(label) === best);
+      const label = candidates.includes(labels.get(id)) ? labels.get(id) : Math.min(...candidates);
+
+      if (label !== labels.get(id)) {
+        labels.set(id, label);
+        changed = true;
+      }
+    });
+
+    if (!changed) {
+      break;
+    }
+  }
+
+  const groups = new Map();
+  ids.forEach(id => {
+    if (!groups.has(labels.get(id))) {
+      groups.set(labels.get(id), []);
+    }
+    groups.get(labels.get(id)).push(id);
+  });
+
+  const unconnected = [];
+  const communities = [];
+  groups.forEach(memberIds => {
+    if (memberIds.length === 1 && getWarmTies(network, memberIds[0]).length === 0) {
+      unconnected.push(describeNode(network, memberIds[0]));
+      return;
+    }
+
+    const members = new Set(memberIds);
+    const factions = {};
+    let tieCount = 0;
+
+    memberIds.forEach(id => {
+      const faction = network.nodes.get(id).faction;
+      if (faction) {
+        factions[faction] = (factions[faction] || 0) + 1;
+      }
+      tieCount += getWarmTies(network, id).filter(([otherId]) => members.has(otherId)).length;
+    });
+
+    communities.push({
+      size: memberIds.length,
+      members: memberIds.map(id => describeNode(network, id)),
+      factions,
+      ties: tieCount / 2
+    });
+  });
+
+  communities.sort((a, b) => b.size - a.size);
+
+  return {
+    communities: communities.map((community, index) => ({ id: index + 1, ...community })),
+    unconnected
+  };
+}
+
+/**
+ * Find cliques: groups in which every NPC has a warm tie with every other
+ * Only maximal cliques (not part of a larger one) are listed, largest first.
+ * @param {Object} [options] - Options
+ * @param {number} [options.minSize=3] - Smallest clique to list
+ * @param {number} [options.limit=50] - Most cliques to list
+ * @returns {Object} - { cliques: [{ size, members }], truncated }
+ */
+function findCliques(options = {}) {
+  const minSize = options.minSize || 3;
+  const limit = options.limit || 50;
+  const network = buildNetwork();
+  const neighbours = new Map(Array.from(network.nodes.keys())
+    .map(id => [id, new Set(getWarmTies(network, id).map(([otherId]) => otherId))]));
+  const cliques = [];
+  let truncated = false;
+
+  // Bron-Kerbosch with pivoting
+  const expand = (clique, candidates, excluded) => {
+    if (truncated) {
+      return;
+    }
+
+    if (candidates.size === 0 && excluded.size === 0) {
+      if (clique.length >= minSize) {
+        if (cliques.length >= limit) {
+          truncated = true;
+          return;
+        }
+        cliques.push(clique);
+      }
+      return;
+    }
+
+    if (clique.length + candidates.size < minSize) {
+      return;
+    }
+
+    const pivot = [...candidates, ...excluded]
+      .reduce((best, id) => (neighbours.get(id).size > neighbours.get(best).size ? id : best));
+
+    Array.from(candidates).filter(id => !neighbours.get(pivot).has(id)).forEach(id => {
+      const related = neighbours.get(id);
+      expand(
+        [...clique, id],
+        new Set([...candidates].filter(other => related.has(other))),
+        new Set([...excluded].filter(other => related.has(other)))
+      );
+      candidates.delete(id);
+      excluded.add(id);
+    });
+  };
+
+  expand([], new Set(network.nodes.keys()), new Set());
+
+  return {
+    cliques: cliques
+      .sort((a, b) => b.length - a.length)
+      .map(clique => ({
+        size: clique.length,
+        members: clique
+          .map(id => describeNode(network, id))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      })),
+    truncated
+  };
+}
+
+/**
+ * Compute betweenness centrality over warm ties (Brandes), normalized to 0-1
+ * High betweenness marks the go-betweens that connect otherwise separate groups.
+ * @param {Object} network - Network snapshot
+ * @returns {Map} - NPC identifier -> betweenness
+ */
+function computeBetweenness(network) {
+  const ids = Array.from(network.nodes.keys());
+  const betweenness = new Map(ids.map(id => [id, 0]));
+
+  ids.forEach(source => {
+    const stack = [];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const paths = new Map(ids.map(id => [id, 0]));
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+    paths.set(source, 1);
+
+    for (let index = 0; index < queue.length; index++) {
+      const id = queue[index];
+      stack.push(id);
+
+      getWarmTies(network, id).forEach(([otherId]) => {
+        if (!distance.has(otherId)) {
+          distance.set(otherId, distance.get(id) + 1);
+          queue.push(otherId);
+        }
+        if (distance.get(otherId) === distance.get(id) + 1) {
+          paths.set(otherId, paths.get(otherId) + paths.get(id));
+          predecessors.get(otherId).push(id);
+        }
+      });
+    }
+
+    const dependency = new Map(ids.map(id => [id, 0]));
+    while (stack.length > 0) {
+      const id = stack.pop();
+      predecessors.get(id).forEach(previous => {
+        dependency.set(previous, dependency.get(previous) +
+          (paths.get(previous) / paths.get(id)) * (1 + dependency.get(id)));
+      });
+      if (id !== source) {
+        betweenness.set(id, betweenness.get(id) + dependency.get(id));
+      }
+    }
+  });
+
+  // Every pair was counted from both ends
+  const pairs = (ids.length - 1) * (ids.length - 2);
+  ids.forEach(id => betweenness.set(id, pairs > 0 ? betweenness.get(id) / pairs : 0));
+
+  return betweenness;
+}
+
+/**
+ * Compute influence: PageRank over relationships, where an NPC passes influence to the NPCs it
+ * respects and trusts. 1 is average; 2 means twice the average influence.
+ * @param {Object} network - Network snapshot
+ * @returns {Map} - NPC identifier -> influence
+ */
+function computeInfluence(network) {
+  const ids = Array.from(network.nodes.keys());
+  const count = ids.length;
+  let rank = new Map(ids.map(id => [id, 1 / count]));
+
+  for (let iteration = 0; iteration < INFLUENCE_ITERATIONS; iteration++) {
+    const next = new Map(ids.map(id => [id, (1 - INFLUENCE_DAMPING) / count]));
+    let dangling = 0;
+
+    ids.forEach(id => {
+      const outgoing = Array.from(network.edges.get(id).entries())
+        .map(([otherId, record]) => [otherId, (record.respect + record.trust) / 200]);
+      const total = outgoing.reduce((sum, [, weight]) => sum + weight, 0);
+
+      if (total === 0) {
+        dangling += rank.get(id);
+        return;
+      }
+
+      outgoing.forEach(([otherId, weight]) => {
+        next.set(otherId, next.get(otherId) + INFLUENCE_DAMPING * rank.get(id) * weight / total);
+      });
+    });
+
+    // NPCs who look up to nobody spread their share evenly
+    ids.forEach(id => next.set(id, next.get(id) + INFLUENCE_DAMPING * dangling / count));
+    rank = next;
+  }
+
+  ids.forEach(id => rank.set(id, rank.get(id) * count));
+  return rank;
+}
+
+/**
+ * Score every NPC's position in the network
+ * @param {Object} [options] - Options
+ * @param {string} [options.sort='influence'] - influence, betweenness or degree
+ * @param {number} [options.limit] - Most NPCs to list
+ * @returns {Array} - [{ id, name, faction, degree, in_degree, out_degree, betweenness, influence }]
+ */
+function computeCentrality(options = {}) {
+  const network = buildNetwork();
+  const betweenness = computeBetweenness(network);
+  const influence = computeInfluence(network);
+  const sort = options.sort || 'influence';
+
+  const inDegree = new Map(Array.from(network.nodes.keys()).map(id => [id, 0]));
+  network.edges.forEach(outgoing => {
+    outgoing.forEach((record, otherId) => inDegree.set(otherId, inDegree.get(otherId) + 1));
+  });
+
+  const scores = Array.from(network.nodes.keys()).map(id => ({
+    ...describeNode(network, id),
+    degree: network.ties.get(id).size,
+    in_degree: inDegree.get(id),
+    out_degree: network.edges.get(id).size,
+    betweenness: round(betweenness.get(id)),
+    influence: round(influence.get(id))
+  }));
+
+  scores.sort((a, b) => b[sort] - a[sort] || a.name.localeCompare(b.name));
+  return options.limit ? scores.slice(0, options.limit) : scores;
+}
+
+/**
+ * List pairs of NPCs whose feelings are not returned: one likes the other, who dislikes them
+ * (is_conflicting in relationship lookups)
+ * @returns {Array} - [{ npc1, npc2, npc1_to_npc2, npc2_to_npc1 }] with npc1 the one who likes the other
+ */
+function findOneSidedRelationships() {
+  const network = buildNetwork();
+  const pairs = [];
+
+  network.edges.forEach((outgoing, id) => {
+    outgoing.forEach((record, otherId) => {
+      const reverse = network.edges.get(otherId).get(id);
+      if (!reverse || !relationshipManager.compareRelationships(record, reverse).is_conflicting ||
+          record.affinity < reverse.affinity) {
+        return;
+      }
+
+      pairs.push({
+        npc1: describeNode(network, id),
+        npc2: describeNode(network, otherId),
+        npc1_to_npc2: { status: record.status, affinity: record.affinity, trust: record.trust, respect: record.respect },
+        npc2_to_npc1: { status: reverse.status, affinity: reverse.affinity, trust: reverse.trust, respect: reverse.respect }
+      });
+    });
+  });
+
+  return pairs.sort((a, b) =>
+    (b.npc1_to_npc2.affinity - b.npc2_to_npc1.affinity) - (a.npc1_to_npc2.affinity - a.npc2_to_npc1.affinity));
+}
+
+module.exports = {
+  findShortestPath,
+  findCommunities,
+  findCliques,
+  computeCentrality,
+  findOneSidedRelationships
+};
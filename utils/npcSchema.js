@@ -0,0 +1,441 @@
+/**
+ * NPC Schema for validating NPC definitions
+ * Declares the shape of an NPC definition as a JSON Schema and checks definitions against it,
+ * reporting every problem with the field it is in. Unreal Engine exports some fields in other
+ * shapes ({ type, value } wrappers, maps stringified into text); explicit adapters convert exactly
+ * those shapes first, and anything else that does not match the schema is rejected. Relationship
+ * text that is not a stringified map is ambiguous; it is left empty and reported as a warning.
+ *
+ * In strict mode nothing is adapted: a definition that needs an adapter, has ambiguous text or has
+ * fields the schema does not declare is rejected.
+ *
+ * A partial definition (the changes of a PATCH) has no required fields, and null removes a field
+ * or, in the maps merged by key, an entry.
+ */
+const Ajv = require('ajv');
+
+// Pattern of text that is not blank
+const NON_BLANK = '\\S';
+
+// Pattern of caller-supplied NPC IDs (like faction and lore IDs)
+const NPC_ID = '^[A-Za-z0-9_-]{1,64}$';
+
+const TEXT = { type: 'string' };
+const TEXT_LIST = { type: 'array', items: { type: 'string', pattern: NON_BLANK } };
+const SCORE = { type: 'number', minimum: 0, maximum: 100 };
+
+// Relationship record (player relationships and scored NPC relationships)
+const RELATIONSHIP_RECORD = {
+  type: 'object',
+  properties: {
+    status: TEXT,
+    description: { type: ['string', 'null'] },
+    affinity: SCORE,
+    trust: SCORE,
+    respect: SCORE,
+    history: { type: 'array' },
+    updated_at: { type: ['string', 'null'] }
+  }
+};
+
+// Decay overrides of one relationship score
+const DECAY_AXIS = {
+  type: 'object',
+  properties: {
+    per_day: { type: 'number', minimum: 0 },
+    baseline: SCORE
+  },
+  additionalProperties: false
+};
+
+const NPC_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    id: { type: 'string', pattern: NPC_ID },
+    name: { type: 'string', pattern: NON_BLANK },
+    description: TEXT,
+    backstory: TEXT,
+    personality: { type: ['string', 'array'], items: TEXT },
+    location: TEXT,
+    currentState: TEXT,
+    faction: TEXT,
+    mood: TEXT,
+    default_mood: TEXT,
+    actorId: TEXT,
+    position: {
+      type: 'object',
+      properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } }
+    },
+    ai: {
+      type: 'object',
+      properties: {
+        provider: TEXT,
+        model: TEXT,
+        fallback_models: TEXT_LIST,
+        fallback_line: TEXT
+      }
+    },
+    player_relationship: RELATIONSHIP_RECORD,
+    player_relationships: { type: 'object', additionalProperties: RELATIONSHIP_RECORD },
+    relationships: {
+      type: 'object',
+      propertyNames: { pattern: NON_BLANK },
+      additionalProperties: {
+        type: ['string', 'object'],
+        if: { type: 'object' },
+        then: RELATIONSHIP_RECORD,
+        else: { pattern: NON_BLANK }
+      }
+    },
+    inventory: TEXT_LIST,
+    skills: TEXT_LIST,
+    // Rules are checked in detail by the knowledge manager
+    knowledge: { type: 'object' },
+    secrets: {
+      type: 'array',
+      items: {
+        type: ['string', 'object'],
+        if: { type: 'object' },
+        then: { required: ['content'], properties: { content: TEXT, reveal: { type: 'object' } } }
+      }
+    },
+    decay: {
+      type: 'object',
+      properties: {
+        affinity: DECAY_AXIS,
+        trust: DECAY_AXIS,
+        respect: DECAY_AXIS,
+        mood_reset_hours: { type: 'number', minimum: 0 },
+        memory_stale_days: { type: 'number', minimum: 0 },
+        memory_decay_days: { type: 'number', exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// Fields a partial definition changes entry by entry instead of replacing
+const MERGED_FIELDS = ['relationships', 'player_relationships'];
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const PARTIAL_SCHEMA = { ...NPC_SCHEMA, required: [] };
+const validators = {
+  full: ajv.compile(NPC_SCHEMA),
+  fullStrict: ajv.compile({ ...NPC_SCHEMA, additionalProperties: false }),
+  partial: ajv.compile(PARTIAL_SCHEMA),
+  partialStrict: ajv.compile({ ...PARTIAL_SCHEMA, additionalProperties: false })
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is Unreal Engine's { type, value } wrapper
+ * e.g. { "type": "object", "value": { "Mayor": "Respectful" } }
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isTypedValue(value) {
+  return isPlainObject(value) &&
+    typeof value.type === 'string' &&
+    'value' in value &&
+    Object.keys(value).every(key => ['type', 'value', 'isArray'].includes(key));
+}
+
+/**
+ * Parse a relationship map that was stringified into text
+ * Accepts JSON object text ('{"Mayor": "Respectful"}') and Unreal Engine's export with the outer
+ * braces and quotes cut off ('Mayor\": \"Respectful\",\"Alfred\": \"Hates'). Blank text is an empty map.
+ * @param {string} text - Stringified map
+ * @returns {Object} - Relationships keyed by name
+ * @throws {Error} - If the text is not a stringified map
+ */
+function parseStringifiedMap(text) {
+  if (text.trim() === '') {
+    return {};
+  }
+
+  const unescaped = text.trim().replace(/\\"/g, '"');
+  const json = unescaped.startsWith('{') ?
+    unescaped :
+    `{"${unescaped.replace(/^"/, '').replace(/"$/, '')}"}`;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`is text that is not a stringified map such as {"Mayor": "Respectful"}`);
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new Error('is text that is not a stringified map such as {"Mayor": "Respectful"}');
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether a value is a list of { name: relationship } entries
+ * (an array, or an object keyed "0", "1", ... as exported from a map)
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEntryList(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(isPlainObject);
+  }
+
+  const keys = isPlainObject(value) ? Object.keys(value) : [];
+  return keys.length > 0 && keys.every(key => /^\d+$/.test(key) && isPlainObject(value[key]));
+}
+
+/**
+ * Merge a list of { name: relationship } entries into one map
+ * @param {Array|Object} entries - Entry list
+ * @returns {Object} - Relationships keyed by name
+ * @throws {Error} - If an entry is not a single name and relationship
+ */
+function mergeEntries(entries) {
+  const merged = {};
+
+  Object.values(entries).forEach((entry, index) => {
+    const pairs = Object.entries(entry);
+    if (pairs.length !== 1) {
+      throw new Error(`entry ${index + 1} must be a single { "name": relationship } pair`);
+    }
+    merged[pairs[0][0]] = pairs[0][1];
+  });
+
+  return merged;
+}
+
+/**
+ * Split a list given as text on commas, semicolons or pipes
+ * @param {string} text - Delimited list
+ * @returns {string[]} - Items
+ */
+function splitList(text) {
+  return text.split(/[,;|]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Adapters for the shapes Unreal Engine exports fields in, tried in order on each field they cover
+// (a wrapper comes off first, so the value inside it is adapted too). An adapter with a fallback
+// uses it outside strict mode when the value cannot be adapted, and reports a warning instead.
+const ADAPTERS = [
+  {
+    name: 'typed_value',
+    description: 'a { type, value } wrapper',
+    fields: null,
+    matches: isTypedValue,
+    adapt: wrapper => wrapper.value
+  },
+  {
+    name: 'stringified_map',
+    description: 'a map stringified into text',
+    fields: ['relationships', 'relationship'],
+    matches: value => typeof value === 'string',
+    adapt: parseStringifiedMap,
+    fallback: () => ({})
+  },
+  {
+    name: 'entry_list',
+    description: 'a list of { name: relationship } entries',
+    fields: ['relationships', 'relationship'],
+    matches: isEntryList,
+    adapt: mergeEntries
+  },
+  {
+    name: 'delimited_list',
+    description: 'a list given as comma-separated text',
+    fields: ['inventory', 'skills'],
+    matches: value => typeof value === 'string',
+    adapt: splitList
+  }
+];
+
+/**
+ * Convert the Unreal Engine export shapes of an NPC definition's fields to the schema's shapes
+ * The singular "relationship" field is merged into "relationships" (entries there win).
+ * @param {Object} npcData - NPC definition
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.strict=false] - Report values that cannot be adapted as errors instead of falling back
+ * @returns {Object} - { npc, adapted: [{ field, adapter }], errors: [{ field, message }], warnings: [{ field, message }] }
+ */
+function adaptNpcDefinition(npcData, options = {}) {
+  const npc = { ...npcData };
+  const adapted = [];
+  const errors = [];
+  const warnings = [];
+
+  Object.keys(npc).forEach(field => {
+    ADAPTERS.forEach(adapter => {
+      if ((adapter.fields && !adapter.fields.includes(field)) || !adapter.matches(npc[field])) {
+        return;
+      }
+
+      try {
+        npc[field] = adapter.adapt(npc[field]);
+        adapted.push({ field, adapter: adapter.name });
+      } catch (error) {
+        if (!adapter.fallback || options.strict) {
+          errors.push({ field, message: error.message });
+          return;
+        }
+
+        npc[field] = adapter.fallback();
+        adapted.push({ field, adapter: adapter.name });
+        warnings.push({ field, message: `${error.message}, so it was left empty` });
+      }
+    });
+  });
+
+  if (npc.relationship !== undefined && errors.every(error => error.field !== 'relationship')) {
+    if (isPlainObject(npc.relationship) && (npc.relationships === undefined || isPlainObject(npc.relationships))) {
+      npc.relationships = { ...npc.relationship, ...(npc.relationships || {}) };
+      delete npc.relationship;
+      adapted.push({ field: 'relationship', adapter: 'relationship_alias' });
+    } else if (!isPlainObject(npc.relationship)) {
+      errors.push({ field: 'relationship', message: 'must be a map of relationships keyed by name' });
+    }
+  }
+
+  return { npc, adapted, errors, warnings };
+}
+
+/**
+ * Leave out the removals (nulls) of a partial definition
+ * @param {Object} npc - Partial definition
+ * @returns {Object} - Definition without null fields or null entries in merged fields
+ */
+function withoutRemovals(npc) {
+  const result = {};
+
+  Object.entries(npc).forEach(([field, value]) => {
+    if (value === null) {
+      return;
+    }
+
+    result[field] = MERGED_FIELDS.includes(field) && isPlainObject(value) ?
+      Object.fromEntries(Object.entries(value).filter(([, entry]) => entry !== null)) :
+      value;
+  });
+
+  return result;
+}
+
+/**
+ * Turn a JSON Schema error into a field-level error
+ * @param {Object} error - Ajv error
+ * @returns {Object|null} - { field, message } or null for errors another error already explains
+ */
+function toFieldError(error) {
+  const path = error.instancePath.split('/').slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  switch (error.keyword) {
+    case 'if':
+    case 'propertyNames':
+      return null;
+    case 'required':
+      return { field: [...path, error.params.missingProperty].join('.'), message: 'is required' };
+    case 'additionalProperties':
+      return {
+        field: [...path, error.params.additionalProperty].join('.'),
+        message: path.length === 0 ? 'is not a field of the NPC schema' : 'is not allowed here'
+      };
+    case 'pattern':
+      if (error.propertyName !== undefined) {
+        return { field: path.join('.'), message: 'must not have blank names' };
+      }
+      if (error.params.pattern === NPC_ID) {
+        return { field: path.join('.'), message: 'must be 1-64 letters, digits, "_" or "-"' };
+      }
+      return { field: path.join('.'), message: error.params.pattern === NON_BLANK ? 'must not be blank' : error.message };
+    default:
+      return { field: path.join('.'), message: error.message };
+  }
+}
+
+/**
+ * Validate an NPC definition
+ * @param {Object} npcData - NPC definition
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.strict=false] - Reject definitions that need adapting or have undeclared fields
+ * @param {boolean} [options.partial=false] - Validate the changes of a PATCH (nothing required, null removes)
+ * @returns {Object} - { valid, errors: [{ field, message }], npc (adapted definition), adapted: [{ field, adapter }],
+ *   warnings: [{ field, message }] for values that could not be adapted and were left empty }
+ */
+function validateNpcDefinition(npcData, options = {}) {
+  if (!isPlainObject(npcData)) {
+    return { valid: false, errors: [{ field: '', message: 'must be an object' }], npc: null, adapted: [], warnings: [] };
+  }
+
+  const removed = options.partial ? Object.keys(npcData).filter(field => npcData[field] === null) : [];
+  const changed = Object.fromEntries(Object.entries(npcData).filter(([field]) => !removed.includes(field)));
+  const result = adaptNpcDefinition(changed, { strict: options.strict });
+  const errors = [...result.errors];
+
+  if (removed.includes('name')) {
+    errors.push({ field: 'name', message: 'cannot be removed' });
+  }
+
+  if (options.strict) {
+    result.adapted.forEach(({ field, adapter }) => {
+      const shape = adapter === 'relationship_alias' ?
+        'the singular alias of "relationships"' :
+        ADAPTERS.find(candidate => candidate.name === adapter).description;
+      errors.push({ field, message: `is ${shape}, which strict mode does not accept` });
+    });
+  }
+
+  // Fields that already failed to adapt (or needed adapting in strict mode) are not reported again
+  const reported = errors.map(error => error.field);
+  const validate = validators[`${options.partial ? 'partial' : 'full'}${options.strict ? 'Strict' : ''}`];
+  const candidate = options.strict ? changed : result.npc;
+
+  if (!validate(options.partial ? withoutRemovals(candidate) : candidate)) {
+    validate.errors.map(toFieldError).filter(Boolean).forEach(error => {
+      const topField = error.field.split('.')[0];
+      if (!reported.includes(topField)) {
+        errors.push(error);
+      }
+    });
+  }
+
+  removed.forEach(field => {
+    result.npc[field] = null;
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    npc: result.npc,
+    adapted: result.adapted,
+    warnings: result.warnings
+  };
+}
+
+/**
+ * Describe field-level errors in one line
+ * @param {Array} errors - Errors as { field, message }
+ * @returns {string} - e.g. 'relationships.Mayor.trust must be <= 100; name is required'
+ */
+function formatErrors(errors) {
+  return errors.map(error => (error.field ? `${error.field} ${error.message}` : error.message)).join('; ');
+}
+
+module.exports = {
+  NPC_SCHEMA,
+  ADAPTERS,
+  MERGED_FIELDS,
+  adaptNpcDefinition,
+  validateNpcDefinition,
+  formatErrors
+};
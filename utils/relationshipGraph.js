@@ -0,0 +1,249 @@
+/**
+ * Relationship Graph for fast relationship lookups
+ * Indexes a world's NPCs by name and faction and keeps adjacency lists of their relationships,
+ * so finding an NPC by name or the NPCs related to one does not scan every NPC. A world's graph
+ * is built the first time it is queried and then updated as NPCs are added, changed or removed.
+ *
+ * Relationships are keyed by the other NPC's name, so edges point at lowercased names. An edge
+ * to a name no NPC has (yet) is a relationship with an NPC that does not exist yet, and it
+ * resolves as soon as an NPC with that name is added.
+ */
+
+// Graphs by NPC collection, so each world has its own and a deleted world's graph goes with it
+// Format: {
+//   names: Map(npcId -> lowercased name), ids: Map(lowercased name -> Set of npcIds),
+//   outgoing: Map(npcId -> Map(lowercased name -> name as stored in the relationships)),
+//   incoming: Map(lowercased name -> Set of npcIds with a relationship with that name),
+//   factionOf: Map(npcId -> lowercased faction), members: Map(lowercased faction -> Set of npcIds)
+// }
+const graphs = new WeakMap();
+
+/**
+ * Normalize a name or faction for lookups
+ * @param {*} value - Name
+ * @returns {string} - Lowercased name ('' if missing)
+ */
+function toKey(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Escape a value for use as a literal in a regular expression
+ * @param {string} value - Value
+ * @returns {string} - Escaped value
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Add a value to a set in a map of sets
+ * @param {Map} map - Map of sets
+ * @param {string} key - Key
+ * @param {string} value - Value
+ */
+function addToSet(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(value);
+}
+
+/**
+ * Remove a value from a set in a map of sets, dropping the set once empty
+ * @param {Map} map - Map of sets
+ * @param {string} key - Key
+ * @param {string} value - Value
+ */
+function removeFromSet(map, key, value) {
+  const set = map.get(key);
+  if (!set) {
+    return;
+  }
+
+  set.delete(value);
+  if (set.size === 0) {
+    map.delete(key);
+  }
+}
+
+/**
+ * Add an NPC's name, faction and relationships to a graph
+ * @param {Object} graph - Graph
+ * @param {string} npcId - NPC identifier
+ * @param {Object} metadata - NPC metadata
+ */
+function link(graph, npcId, metadata) {
+  const name = toKey(metadata.name);
+  if (name) {
+    graph.names.set(npcId, name);
+    addToSet(graph.ids, name, npcId);
+  }
+
+  const faction = toKey(metadata.faction);
+  if (faction) {
+    graph.factionOf.set(npcId, faction);
+    addToSet(graph.members, faction, npcId);
+  }
+
+  const outgoing = new Map();
+  Object.keys(metadata.relationships || {}).forEach(storedName => {
+    const target = toKey(storedName);
+    if (target && !outgoing.has(target)) {
+      outgoing.set(target, storedName);
+      addToSet(graph.incoming, target, npcId);
+    }
+  });
+  graph.outgoing.set(npcId, outgoing);
+}
+
+/**
+ * Remove an NPC's name, faction and relationships from a graph
+ * @param {Object} graph - Graph
+ * @param {string} npcId - NPC identifier
+ */
+function unlink(graph, npcId) {
+  if (graph.names.has(npcId)) {
+    removeFromSet(graph.ids, graph.names.get(npcId), npcId);
+    graph.names.delete(npcId);
+  }
+
+  if (graph.factionOf.has(npcId)) {
+    removeFromSet(graph.members, graph.factionOf.get(npcId), npcId);
+    graph.factionOf.delete(npcId);
+  }
+
+  (graph.outgoing.get(npcId) || new Map()).forEach((storedName, target) => {
+    removeFromSet(graph.incoming, target, npcId);
+  });
+  graph.outgoing.delete(npcId);
+}
+
+/**
+ * Get the graph of a world's NPCs, building it on first use
+ * @param {Map} contexts - The world's NPC contexts
+ * @returns {Object} - Graph
+ */
+function getGraph(contexts) {
+  if (!graphs.has(contexts)) {
+    const graph = {
+      names: new Map(),
+      ids: new Map(),
+      outgoing: new Map(),
+      incoming: new Map(),
+      factionOf: new Map(),
+      members: new Map()
+    };
+
+    contexts.forEach((context, npcId) => link(graph, npcId, context.metadata));
+    graphs.set(contexts, graph);
+  }
+
+  return graphs.get(contexts);
+}
+
+/**
+ * Update the graph after an NPC was added or its metadata changed
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} npcId - NPC identifier
+ */
+function indexNpc(contexts, npcId) {
+  const graph = getGraph(contexts);
+
+  unlink(graph, npcId);
+  if (contexts.has(npcId)) {
+    link(graph, npcId, contexts.get(npcId).metadata);
+  }
+}
+
+/**
+ * Update the graph after an NPC was removed
+ * Relationships other NPCs have with it stay in the graph as relationships with a missing NPC.
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} npcId - NPC identifier
+ */
+function unindexNpc(contexts, npcId) {
+  unlink(getGraph(contexts), npcId);
+}
+
+/**
+ * Find an NPC by name (case-insensitive)
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} name - NPC name
+ * @returns {string|null} - NPC identifier or null if no NPC has that name
+ */
+function findNpcId(contexts, name) {
+  const ids = getGraph(contexts).ids.get(toKey(name));
+  return ids ? ids.values().next().value : null;
+}
+
+/**
+ * Find the NPCs whose names appear in a text as whole words (case-insensitive)
+ * Names may contain spaces and punctuation, such as "Bob (Smith)" or "A+".
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} text - Text to search
+ * @returns {Array} - NPC identifiers
+ */
+function findNpcIdsNamedIn(contexts, text) {
+  const haystack = toKey(text);
+  const npcIds = [];
+
+  getGraph(contexts).ids.forEach((ids, name) => {
+    // Most names are not in the text at all, so only those that are get the whole-word check
+    if (!haystack.includes(name)) {
+      return;
+    }
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, 'u');
+    if (pattern.test(haystack)) {
+      npcIds.push(...ids);
+    }
+  });
+
+  return npcIds;
+}
+
+/**
+ * Get the relationships an NPC has, resolved to NPCs where they exist
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} npcId - NPC identifier
+ * @returns {Array} - Relationships as { name (as stored), npc_id (null if no NPC has that name) }
+ */
+function getRelationshipTargets(contexts, npcId) {
+  const graph = getGraph(contexts);
+
+  return Array.from((graph.outgoing.get(npcId) || new Map()).values()).map(storedName => ({
+    name: storedName,
+    npc_id: findNpcId(contexts, storedName)
+  }));
+}
+
+/**
+ * Get the NPCs that have a relationship with a name
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} name - Name of the NPC the relationships are with
+ * @returns {Array} - NPC identifiers
+ */
+function getNpcIdsRelatedTo(contexts, name) {
+  return Array.from(getGraph(contexts).incoming.get(toKey(name)) || []);
+}
+
+/**
+ * Get the NPCs whose "faction" field is a value (case-insensitive)
+ * @param {Map} contexts - The world's NPC contexts
+ * @param {string} faction - Faction ID or name
+ * @returns {Array} - NPC identifiers
+ */
+function getNpcIdsInFaction(contexts, faction) {
+  return Array.from(getGraph(contexts).members.get(toKey(faction)) || []);
+}
+
+module.exports = {
+  indexNpc,
+  unindexNpc,
+  findNpcId,
+  findNpcIdsNamedIn,
+  getRelationshipTargets,
+  getNpcIdsRelatedTo,
+  getNpcIdsInFaction
+};
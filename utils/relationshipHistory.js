@@ -0,0 +1,173 @@
+/**
+ * Relationship History for NPC relationship changes
+ * Every change to an NPC's relationship with a player or another NPC is recorded as an event
+ * with the relationship before and after, what caused it (a chat request, an NPC conversation,
+ * an admin adjustment...) and the player message that prompted it, so designers can trace why
+ * an NPC feels the way it does.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const config = require('../config');
+
+// Storage collection holding relationship events, one document per NPC
+// Format: { npcId: { npc_id, events: [...] } }
+const EVENT_COLLECTION = 'relationship_events';
+
+/**
+ * Get the relationship event collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getEventDocuments() {
+  return worldManager.getWorldCollection(EVENT_COLLECTION);
+}
+
+/**
+ * Get the live event list of an NPC, creating it if needed
+ * @param {string} npcId - NPC identifier
+ * @returns {Array} - Events (oldest first)
+ */
+function getEventList(npcId) {
+  const documents = getEventDocuments();
+
+  if (!documents.has(npcId)) {
+    documents.set(npcId, { npc_id: npcId, events: [] });
+  }
+
+  return documents.get(npcId).events;
+}
+
+/**
+ * Reduce a relationship to the fields an event records
+ * @param {Object} [relationship] - Player or NPC relationship
+ * @returns {Object|null} - { status, affinity, trust, respect } or null if there was no relationship
+ */
+function snapshotRelationship(relationship) {
+  if (!relationship) {
+    return null;
+  }
+
+  const { status, affinity, trust, respect } = relationship;
+  return { status, affinity, trust, respect };
+}
+
+/**
+ * Record a relationship change
+ * The oldest events are dropped past NPC_RELATIONSHIP_EVENT_LIMIT.
+ * @param {string} npcId - NPC whose relationship changed
+ * @param {Object} eventData - Change
+ * @param {string} eventData.kind - "player" or "npc"
+ * @param {Object} eventData.target - Who the relationship is with: { player_id } or { npc_id, name }
+ * @param {Object} [eventData.before] - Relationship before the change
+ * @param {Object} eventData.after - Relationship after the change
+ * @param {Object} [eventData.cause] - What caused it, e.g. { type: 'chat', request_id, player_id }
+ * @param {string} [eventData.reason] - Why the relationship changed
+ * @param {string} [eventData.player_message] - Player message that prompted the change
+ * @returns {Object} - Stored event
+ */
+function recordRelationshipEvent(npcId, eventData) {
+  const before = snapshotRelationship(eventData.before);
+  const after = snapshotRelationship(eventData.after);
+  const changes = {};
+
+  ['affinity', 'trust', 'respect'].forEach(score => {
+    const previous = before ? before[score] : undefined;
+    if (after[score] !== undefined && previous !== undefined && after[score] !== previous) {
+      changes[score] = after[score] - previous;
+    }
+  });
+
+  const event = {
+    id: crypto.randomUUID(),
+    kind: eventData.kind,
+    target: eventData.target,
+    before,
+    after,
+    changes,
+    cause: eventData.cause || { type: 'unknown' },
+    reason: eventData.reason || null,
+    player_message: eventData.player_message || null,
+    timestamp: new Date().toISOString()
+  };
+
+  const events = getEventList(npcId);
+  events.push(event);
+  events.splice(0, Math.max(0, events.length - config.relationships.eventLimit));
+  worldManager.persistWorldDocument(EVENT_COLLECTION, npcId);
+
+  logger.debug(`Recorded ${event.kind} relationship event ${event.id} for NPC ${npcId}: ${before ? before.status : 'none'} -> ${after.status}`);
+  return event;
+}
+
+/**
+ * List an NPC's relationship events
+ * @param {string} npcId - NPC identifier
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.kind] - Only "player" or "npc" relationships
+ * @param {string} [filters.playerId] - Only the relationship with this player
+ * @param {string} [filters.npcName] - Only the relationship with this NPC (name)
+ * @param {string} [filters.since] - Only events after this ISO timestamp
+ * @param {number} [filters.limit] - Maximum number of events (most recent)
+ * @returns {Array} - Events (oldest first)
+ */
+function listRelationshipEvents(npcId, filters = {}) {
+  let events = getEventList(npcId);
+
+  if (filters.kind) {
+    events = events.filter(event => event.kind === filters.kind);
+  }
+
+  if (filters.playerId) {
+    events = events.filter(event => event.kind === 'player' && event.target.player_id === filters.playerId);
+  }
+
+  if (filters.npcName) {
+    events = events.filter(event => event.kind === 'npc' && event.target.name.toLowerCase() === filters.npcName.toLowerCase());
+  }
+
+  if (filters.since) {
+    events = events.filter(event => event.timestamp > filters.since);
+  }
+
+  return filters.limit > 0 ? events.slice(-filters.limit) : events.slice();
+}
+
+/**
+ * Delete all of an NPC's relationship events (used when the NPC is removed)
+ * @param {string} npcId - NPC identifier
+ */
+function removeAllRelationshipEvents(npcId) {
+  if (getEventDocuments().delete(npcId)) {
+    worldManager.persistWorldDocument(EVENT_COLLECTION, npcId);
+  }
+}
+
+/**
+ * Replace all of an NPC's relationship events (e.g. from a world import)
+ * Events keep their IDs and timestamps; the oldest are dropped past NPC_RELATIONSHIP_EVENT_LIMIT.
+ * @param {string} npcId - NPC identifier
+ * @param {Array} events - Events (oldest first)
+ * @returns {Array} - Stored events (oldest first)
+ */
+function restoreRelationshipEvents(npcId, events) {
+  const now = new Date().toISOString();
+  const list = getEventList(npcId);
+
+  list.splice(0, list.length, ...events.map(event => ({
+    ...event,
+    id: event.id || crypto.randomUUID(),
+    timestamp: event.timestamp || now
+  })));
+  list.splice(0, Math.max(0, list.length - config.relationships.eventLimit));
+  worldManager.persistWorldDocument(EVENT_COLLECTION, npcId);
+
+  logger.debug(`Restored ${list.length} relationship events of NPC ${npcId}`);
+  return list.slice();
+}
+
+module.exports = {
+  recordRelationshipEvent,
+  listRelationshipEvents,
+  removeAllRelationshipEvents,
+  restoreRelationshipEvents
+};
@@ -0,0 +1,249 @@
+/**
+ * Relationship Manager for NPC-to-NPC relationships
+ * An NPC's relationship with another NPC is a record with affinity, trust and respect scores
+ * (0-100, 50 is neutral), a status label derived from the scores and a history of changes.
+ * Relationships given as text ("Friends", "Hates", "Brother") start from preset scores, and
+ * changes move the scores by bounded steps instead of replacing the relationship outright.
+ */
+const config = require('../config');
+
+const SCORES = ['affinity', 'trust', 'respect'];
+const NEUTRAL_SCORE = 50;
+
+// Starting scores for relationships described in text (first match wins; "distrust" before "trust")
+const STATUS_PRESETS = [
+  { pattern: /hate|hatred|enem|hostil|despis|loath/i, scores: { affinity: 10, trust: 15, respect: 30 } },
+  { pattern: /distrust|suspic|wary/i, scores: { affinity: 40, trust: 20, respect: 45 } },
+  { pattern: /rival|resent|dislik|standoff|disrespect/i, scores: { affinity: 30, trust: 35, respect: 35 } },
+  { pattern: /love|girlfriend|boyfriend|spouse|wife|husband|close/i, scores: { affinity: 90, trust: 80, respect: 70 } },
+  { pattern: /friendly|amicable|cordial/i, scores: { affinity: 65, trust: 60, respect: 55 } },
+  { pattern: /friend|ally|allies|family|brother|sister|partner/i, scores: { affinity: 75, trust: 70, respect: 60 } },
+  { pattern: /admir|mentor/i, scores: { affinity: 65, trust: 60, respect: 85 } },
+  { pattern: /respect/i, scores: { affinity: 55, trust: 55, respect: 75 } },
+  { pattern: /trust/i, scores: { affinity: 60, trust: 80, respect: 60 } }
+];
+
+// Status labels by score (first match wins)
+const STATUS_LABELS = [
+  { status: 'enemy', test: scores => scores.affinity <= 15 },
+  { status: 'hostile', test: scores => scores.affinity <= 30 && scores.trust <= 30 },
+  { status: 'dislikes', test: scores => scores.affinity <= 35 },
+  { status: 'distrustful', test: scores => scores.trust <= 30 },
+  { status: 'close friend', test: scores => scores.affinity >= 85 && scores.trust >= 70 },
+  { status: 'friend', test: scores => scores.affinity >= 70 },
+  { status: 'admiring', test: scores => scores.respect >= 80 },
+  { status: 'friendly', test: scores => scores.affinity >= 60 },
+  { status: 'respectful', test: scores => scores.respect >= 65 },
+  { status: 'neutral', test: () => true }
+];
+
+// Largest affinity gap between two NPCs whose feelings are still called mutual
+const MUTUAL_TOLERANCE = 20;
+
+/**
+ * Clamp a score to 0-100
+ * @param {number} value - Score
+ * @returns {number} - Whole score from 0 to 100
+ */
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * Get the preset scores for a relationship described in text
+ * @param {string} text - Relationship description (e.g. "Close Friends")
+ * @returns {Object|null} - Scores as { affinity, trust, respect } or null if the text matches no preset
+ */
+function getPresetScores(text) {
+  const preset = STATUS_PRESETS.find(entry => entry.pattern.test(text || ''));
+  return preset ? { ...preset.scores } : null;
+}
+
+/**
+ * Derive a status label from relationship scores
+ * @param {Object} scores - { affinity, trust, respect }
+ * @returns {string} - Status label (e.g. "friend", "distrustful", "neutral")
+ */
+function getStatusLabel(scores) {
+  return STATUS_LABELS.find(entry => entry.test(scores)).status;
+}
+
+/**
+ * Turn a stored or supplied relationship into a relationship record
+ * Text starts from the matching preset (neutral if none) and is kept as the description;
+ * records get their scores clamped and their status derived again.
+ * @param {string|Object} value - Relationship text or record
+ * @returns {Object|null} - { status, description, affinity, trust, respect, history, updated_at } or null if empty
+ */
+function normalizeRelationship(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const source = typeof value === 'object' ? value : { description: String(value).trim() };
+  const description = 'description' in source ?
+    source.description :
+    (typeof source.status === 'string' ? source.status : null);
+  const preset = getPresetScores(description) || {};
+
+  const record = {
+    status: 'neutral',
+    description: description || null
+  };
+
+  SCORES.forEach(score => {
+    const supplied = Number(source[score]);
+    record[score] = clampScore(source[score] !== undefined && !isNaN(supplied) ?
+      supplied :
+      (preset[score] !== undefined ? preset[score] : NEUTRAL_SCORE));
+  });
+
+  record.status = getStatusLabel(record);
+  record.history = Array.isArray(source.history) ? [...source.history] : [];
+  record.updated_at = source.updated_at || null;
+
+  return record;
+}
+
+/**
+ * Get the scores a relationship settles back to over time: the preset of its description,
+ * or neutral if it has none (e.g. "Brother" drifts back to brotherly, not to indifference)
+ * @param {string|Object} value - Stored relationship
+ * @returns {Object} - Scores as { affinity, trust, respect }
+ */
+function getBaselineScores(value) {
+  const record = normalizeRelationship(value);
+  const preset = record ? getPresetScores(record.description) : null;
+
+  return preset || { affinity: NEUTRAL_SCORE, trust: NEUTRAL_SCORE, respect: NEUTRAL_SCORE };
+}
+
+/**
+ * Get the status label of a stored relationship (text or record)
+ * @param {string|Object} value - Stored relationship
+ * @returns {string|null} - Status label or null if there is no relationship
+ */
+function getRelationshipStatus(value) {
+  const record = normalizeRelationship(value);
+  return record ? record.status : null;
+}
+
+/**
+ * Apply a change to a relationship
+ * A change is either score deltas ({ affinity: -10, trust: 5, reason }) or a status text, which
+ * moves the scores towards that status's preset. Each score moves at most NPC_RELATIONSHIP_MAX_DELTA.
+ * @param {string|Object} current - Current relationship (text, record, or empty for a new relationship)
+ * @param {string|Object} change - Score deltas or status text
+ * @param {Object} [details] - Where the change comes from
+ * @param {string} [details.reason] - Why the relationship changed (defaults to change.reason)
+ * @param {Object} [details.source] - Origin of the change (e.g. { type: 'chat', player_id })
+ * @param {number} [details.maxDelta] - Largest change to one score (defaults to NPC_RELATIONSHIP_MAX_DELTA)
+ * @returns {Object} - { relationship: updated record, changes: applied deltas }
+ */
+function applyRelationshipChange(current, change, details = {}) {
+  const relationship = normalizeRelationship(current) || normalizeRelationship({});
+  const maxDelta = details.maxDelta || config.relationships.maxDelta;
+  let deltas = {};
+
+  if (typeof change === 'string') {
+    const target = getPresetScores(change);
+    if (target) {
+      SCORES.forEach(score => {
+        deltas[score] = target[score] - relationship[score];
+      });
+    }
+  } else if (change && typeof change === 'object') {
+    deltas = change;
+  }
+
+  const changes = {};
+  SCORES.forEach(score => {
+    const delta = Number(deltas[score]);
+    if (deltas[score] === undefined || isNaN(delta)) {
+      return;
+    }
+
+    const updated = clampScore(relationship[score] + Math.max(-maxDelta, Math.min(maxDelta, delta)));
+    if (updated !== relationship[score]) {
+      changes[score] = updated - relationship[score];
+      relationship[score] = updated;
+    }
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return { relationship, changes };
+  }
+
+  const timestamp = new Date().toISOString();
+  const reason = details.reason || (change && typeof change === 'object' ? change.reason : change);
+
+  relationship.status = getStatusLabel(relationship);
+  relationship.updated_at = timestamp;
+  relationship.history = [
+    ...relationship.history,
+    {
+      timestamp,
+      changes,
+      status: relationship.status,
+      reason: reason || null,
+      source: details.source || null
+    }
+  ].slice(-config.relationships.historyLimit);
+
+  return { relationship, changes };
+}
+
+/**
+ * Compare how two NPCs feel about each other
+ * Feelings are mutual when their affinity scores are close and conflicting when one likes the
+ * other while the other dislikes them.
+ * @param {string|Object} first - First NPC's relationship with the second
+ * @param {string|Object} second - Second NPC's relationship with the first
+ * @returns {Object} - { is_mutual, is_conflicting }
+ */
+function compareRelationships(first, second) {
+  const a = normalizeRelationship(first);
+  const b = normalizeRelationship(second);
+
+  if (!a || !b) {
+    return { is_mutual: false, is_conflicting: false };
+  }
+
+  const isConflicting = (a.affinity > NEUTRAL_SCORE + 10 && b.affinity < NEUTRAL_SCORE - 10) ||
+    (b.affinity > NEUTRAL_SCORE + 10 && a.affinity < NEUTRAL_SCORE - 10);
+
+  return {
+    is_mutual: !isConflicting && Math.abs(a.affinity - b.affinity) <= MUTUAL_TOLERANCE,
+    is_conflicting: isConflicting
+  };
+}
+
+/**
+ * Describe a relationship for a prompt
+ * @param {string|Object} value - Stored relationship
+ * @returns {string} - e.g. "friend (brother; affinity 75, trust 70, respect 60)"
+ */
+function describeRelationship(value) {
+  const record = normalizeRelationship(value);
+  if (!record) {
+    return 'no relationship';
+  }
+
+  const description = record.description && record.description.toLowerCase() !== record.status ?
+    `${record.description}; ` :
+    '';
+
+  return `${record.status} (${description}affinity ${record.affinity}, trust ${record.trust}, respect ${record.respect})`;
+}
+
+module.exports = {
+  SCORES,
+  getPresetScores,
+  getStatusLabel,
+  normalizeRelationship,
+  getBaselineScores,
+  getRelationshipStatus,
+  applyRelationshipChange,
+  compareRelationships,
+  describeRelationship
+};
@@ -12,13 +12,13 @@ function extractContent(aiResponse, isStreaming) {
   if (isStreaming) {
     return {
       content: aiResponse.data,
-      model: null,
-      usage: {
+      model: aiResponse.model || null,
+      usage: aiResponse.usage || {
         total_tokens: null,
         prompt_tokens: null,
         completion_tokens: null
       },
-      finish_reason: null
+      finish_reason: aiResponse.finish_reason || null
     };
   }
 
@@ -54,6 +54,77 @@ function tryParseJSON(str) {
   }
 }
 
+/**
+ * Create a parser that extracts a top-level string field from JSON while it is still streaming
+ * Used to type out an NPC's "reply" before the rest of the JSON has been generated.
+ * @param {string} [fieldName='reply'] - Name of the string field to extract
+ * @returns {Function} - Function that takes the next chunk of raw JSON text and
+ *   returns the newly decoded part of the field value ('' if there is none yet)
+ */
+function createStreamingFieldParser(fieldName = 'reply') {
+  const fieldPattern = new RegExp(`"${fieldName}"\\s*:\\s*"`);
+  let buffer = '';
+  let valueStart = -1;   // Index in buffer where the field value begins
+  let position = 0;      // Next index in buffer to decode
+  let finished = false;
+
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+  return function parseChunk(chunk) {
+    if (finished) {
+      return '';
+    }
+
+    buffer += chunk;
+
+    if (valueStart === -1) {
+      const match = fieldPattern.exec(buffer);
+      if (!match) {
+        return '';
+      }
+      valueStart = match.index + match[0].length;
+      position = valueStart;
+    }
+
+    let decoded = '';
+
+    while (position < buffer.length) {
+      const char = buffer[position];
+
+      if (char === '"') {
+        finished = true;
+        break;
+      }
+
+      if (char !== '\\') {
+        decoded += char;
+        position++;
+        continue;
+      }
+
+      // Wait for the rest of an escape sequence before decoding it
+      const next = buffer[position + 1];
+      if (next === undefined) {
+        break;
+      }
+
+      if (next === 'u') {
+        const hex = buffer.substr(position + 2, 4);
+        if (hex.length < 4) {
+          break;
+        }
+        decoded += String.fromCharCode(parseInt(hex, 16));
+        position += 6;
+      } else {
+        decoded += escapes[next] !== undefined ? escapes[next] : next;
+        position += 2;
+      }
+    }
+
+    return decoded;
+  };
+}
+
 /**
  * Format a successful API response
  * @param {string} requestId - Request ID
@@ -73,6 +144,7 @@ function formatSuccessResponse(requestId, aiResponse, isStreaming, responseTime,
     request_id: requestId,
     status: "success",
     response_time_ms: responseTime,
+    provider: aiResponse.provider || null,
     model,
     usage,
     finish_reason
@@ -82,30 +154,24 @@ function formatSuccessResponse(requestId, aiResponse, isStreaming, responseTime,
   if (parsedContent) {
     response.data = parsedContent;
 
-    // If this is an NPC response, ensure player_relationship is included
-    if (npcData) {
-      // If data doesn't have metadata, add it
-      if (!response.data.metadata) {
-        response.data.metadata = {};
-      }
-
-      // Always include the current player relationship data if available
-      if (npcData.player_relationship) {
-        response.data.player_relationship = npcData.player_relationship;
-        response.data.metadata.player_relationship = npcData.player_relationship;
-      }
+    // NPC responses always carry a metadata object
+    if (npcData && !response.data.metadata) {
+      response.data.metadata = {};
     }
-
-    response.raw_content = content;
   } else {
     response.data = { message: content };
+  }
 
-    // If this is an NPC response, ensure player_relationship is included
-    if (npcData && npcData.player_relationship) {
-      response.data.player_relationship = npcData.player_relationship;
-    }
+  response.raw_content = content;
 
-    response.raw_content = content;
+  // If this is an NPC response, ensure player_relationship is included
+  if (npcData && npcData.player_relationship) {
+    attachPlayerRelationship(response, npcData.player_relationship);
+  }
+
+  // Record which attempt, provider and model answered (and what failed before it)
+  if (aiResponse.attempts) {
+    response.attempts = aiResponse.attempts;
   }
 
   // Add streaming-specific fields
@@ -116,6 +182,24 @@ function formatSuccessResponse(requestId, aiResponse, isStreaming, responseTime,
   return response;
 }
 
+/**
+ * Include a player relationship in a formatted NPC response
+ * Overwrites whatever the model returned so the client always sees the stored values.
+ * @param {Object} response - Formatted API response
+ * @param {Object} playerRelationship - Current player relationship
+ * @returns {Object} - The same response
+ */
+function attachPlayerRelationship(response, playerRelationship) {
+  response.data.player_relationship = playerRelationship;
+
+  // Structured (JSON) replies also carry it in their metadata
+  if (response.data.metadata) {
+    response.data.metadata.player_relationship = playerRelationship;
+  }
+
+  return response;
+}
+
 /**
  * Format an error API response
  * @param {string} requestId - Request ID
@@ -135,6 +219,8 @@ function formatErrorResponse(requestId, error) {
 module.exports = {
   formatSuccessResponse,
   formatErrorResponse,
+  attachPlayerRelationship,
+  createStreamingFieldParser,
   extractContent,
   tryParseJSON
 };
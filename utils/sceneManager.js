@@ -0,0 +1,129 @@
+/**
+ * Scene Manager for group conversations
+ * A scene is a conversation between the player and several NPCs at once. It keeps the shared
+ * transcript every participant witnessed, while each NPC's own history gets the same lines
+ * (see conversationService.runGroupChat).
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const config = require('../config');
+
+// Storage collection holding scenes, one document per scene
+// Format: { sceneId: { id, participants, location, transcript: [...], created_at, updated_at } }
+const SCENE_COLLECTION = 'scenes';
+
+/**
+ * Get the scene collection of the current world
+ * @returns {Map} - Live collection map
+ */
+function getSceneDocuments() {
+  return worldManager.getWorldCollection(SCENE_COLLECTION);
+}
+
+/**
+ * Create a scene
+ * @param {Object} sceneData - Scene
+ * @param {string[]} sceneData.participants - IDs of the NPCs in the scene
+ * @param {string} [sceneData.location] - Where the scene takes place
+ * @returns {Object} - Stored scene
+ */
+function createScene(sceneData) {
+  const now = new Date().toISOString();
+  const scene = {
+    id: crypto.randomUUID(),
+    participants: [...new Set(sceneData.participants)],
+    location: sceneData.location || null,
+    transcript: [],
+    created_at: now,
+    updated_at: now
+  };
+
+  getSceneDocuments().set(scene.id, scene);
+  worldManager.persistWorldDocument(SCENE_COLLECTION, scene.id);
+
+  logger.info(`Created scene ${scene.id} with ${scene.participants.length} NPCs`);
+  return scene;
+}
+
+/**
+ * Get a scene
+ * @param {string} sceneId - Scene identifier
+ * @returns {Object|null} - Scene or null if not found
+ */
+function getScene(sceneId) {
+  return getSceneDocuments().get(sceneId) || null;
+}
+
+/**
+ * Update who is in a scene and where it takes place
+ * @param {string} sceneId - Scene identifier
+ * @param {Object} updates - Fields to change (participants, location)
+ * @returns {Object|null} - Updated scene or null if not found
+ */
+function updateScene(sceneId, updates = {}) {
+  const scene = getScene(sceneId);
+
+  if (!scene) {
+    return null;
+  }
+
+  if (Array.isArray(updates.participants)) {
+    scene.participants = [...new Set(updates.participants)];
+  }
+
+  if (updates.location !== undefined) {
+    scene.location = updates.location || null;
+  }
+
+  scene.updated_at = new Date().toISOString();
+  worldManager.persistWorldDocument(SCENE_COLLECTION, sceneId);
+  return scene;
+}
+
+/**
+ * Add a line to a scene's shared transcript
+ * The oldest lines are dropped past SCENE_TRANSCRIPT_LIMIT.
+ * @param {string} sceneId - Scene identifier
+ * @param {Object} line - Line as { role ('player' or 'npc'), speaker_id, speaker, content, player_id }
+ * @returns {Object|null} - Stored line or null if the scene was not found
+ */
+function addSceneLine(sceneId, line) {
+  const scene = getScene(sceneId);
+
+  if (!scene) {
+    logger.error(`Cannot add line: scene ${sceneId} not found`);
+    return null;
+  }
+
+  const entry = { ...line, timestamp: new Date().toISOString() };
+
+  scene.transcript.push(entry);
+  scene.transcript = scene.transcript.slice(-config.scenes.transcriptLimit);
+  scene.updated_at = entry.timestamp;
+  worldManager.persistWorldDocument(SCENE_COLLECTION, sceneId);
+
+  return entry;
+}
+
+/**
+ * Delete a scene (lines already in NPC histories are kept)
+ * @param {string} sceneId - Scene identifier
+ * @returns {boolean} - Whether the scene existed
+ */
+function removeScene(sceneId) {
+  if (!getSceneDocuments().delete(sceneId)) {
+    return false;
+  }
+
+  worldManager.persistWorldDocument(SCENE_COLLECTION, sceneId);
+  return true;
+}
+
+module.exports = {
+  createScene,
+  getScene,
+  updateScene,
+  addSceneLine,
+  removeScene
+};
@@ -0,0 +1,178 @@
+/**
+ * Storage layer for persisting NPC contexts and other server state
+ * Documents are grouped into named collections (e.g. "npcs") and keyed by ID
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+
+// Registered storage adapter factories
+// Format: { type: (options) => adapter }
+const adapters = new Map();
+
+// Active storage adapter (created lazily from config)
+let activeStorage = null;
+
+/**
+ * Create an in-memory storage adapter (nothing survives a restart)
+ * @returns {Object} - Storage adapter
+ */
+function createMemoryStorage() {
+  const collections = new Map();
+
+  return {
+    type: 'memory',
+
+    loadCollection(collection) {
+      const documents = collections.get(collection);
+      return documents ? Object.fromEntries(documents) : {};
+    },
+
+    save(collection, key, value) {
+      if (!collections.has(collection)) {
+        collections.set(collection, new Map());
+      }
+      // Store a copy so later mutations of the live object are not shared
+      collections.get(collection).set(key, JSON.parse(JSON.stringify(value)));
+    },
+
+    remove(collection, key) {
+      const documents = collections.get(collection);
+      return documents ? documents.delete(key) : false;
+    },
+
+    removeCollection(collection) {
+      // Nested collections (e.g. "worlds/<id>/npcs") go with their parent
+      Array.from(collections.keys())
+        .filter(name => name === collection || name.startsWith(`${collection}/`))
+        .forEach(name => collections.delete(name));
+    }
+  };
+}
+
+/**
+ * Create a JSON file storage adapter
+ * Each collection is a directory and each document is a single JSON file,
+ * so a change only rewrites the document that changed.
+ * @param {Object} options - Adapter options
+ * @param {string} options.directory - Root data directory
+ * @returns {Object} - Storage adapter
+ */
+function createJsonFileStorage(options = {}) {
+  const rootDirectory = options.directory || config.storage.directory;
+
+  const getCollectionPath = (collection) => path.join(rootDirectory, ...collection.split('/'));
+  const getDocumentPath = (collection, key) =>
+    path.join(getCollectionPath(collection), `${encodeURIComponent(key)}.json`);
+
+  return {
+    type: 'json',
+
+    loadCollection(collection) {
+      const collectionPath = getCollectionPath(collection);
+      const documents = {};
+
+      if (!fs.existsSync(collectionPath)) {
+        return documents;
+      }
+
+      fs.readdirSync(collectionPath)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const key = decodeURIComponent(file.slice(0, -'.json'.length));
+          try {
+            documents[key] = JSON.parse(fs.readFileSync(path.join(collectionPath, file), 'utf8'));
+          } catch (error) {
+            logger.error(`Failed to load ${collection}/${file}, skipping it`, null, error);
+          }
+        });
+
+      return documents;
+    },
+
+    save(collection, key, value) {
+      const documentPath = getDocumentPath(collection, key);
+      const tempPath = `${documentPath}.tmp`;
+
+      fs.mkdirSync(path.dirname(documentPath), { recursive: true });
+
+      // Write to a temporary file first so a crash never leaves a half-written document
+      fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+      fs.renameSync(tempPath, documentPath);
+    },
+
+    remove(collection, key) {
+      const documentPath = getDocumentPath(collection, key);
+
+      if (!fs.existsSync(documentPath)) {
+        return false;
+      }
+
+      fs.unlinkSync(documentPath);
+      return true;
+    },
+
+    removeCollection(collection) {
+      fs.rmSync(getCollectionPath(collection), { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Register a storage adapter factory
+ * @param {string} type - Adapter type name (used in STORAGE_TYPE)
+ * @param {Function} factory - Function that receives options and returns an adapter
+ */
+function registerStorageAdapter(type, factory) {
+  adapters.set(type, factory);
+}
+
+/**
+ * Create a storage adapter of the given type
+ * @param {string} type - Adapter type name
+ * @param {Object} [options] - Adapter options
+ * @returns {Object} - Storage adapter
+ */
+function createStorage(type, options = {}) {
+  const factory = adapters.get(type);
+
+  if (!factory) {
+    throw new Error(`Unknown storage type: ${type}. Available types: ${Array.from(adapters.keys()).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Get the active storage adapter, creating it from config on first use
+ * @returns {Object} - Storage adapter
+ */
+function getStorage() {
+  if (!activeStorage) {
+    activeStorage = createStorage(config.storage.type, { directory: config.storage.directory });
+    logger.info(`Using ${activeStorage.type} storage${activeStorage.type === 'json' ? ` in ${config.storage.directory}` : ''}`);
+  }
+
+  return activeStorage;
+}
+
+/**
+ * Replace the active storage adapter
+ * @param {Object} storage - Storage adapter
+ */
+function setStorage(storage) {
+  activeStorage = storage;
+}
+
+registerStorageAdapter('memory', createMemoryStorage);
+registerStorageAdapter('json', createJsonFileStorage);
+
+module.exports = {
+  createMemoryStorage,
+  createJsonFileStorage,
+  registerStorageAdapter,
+  createStorage,
+  getStorage,
+  setStorage
+};
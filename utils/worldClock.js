@@ -0,0 +1,165 @@
+/**
+ * World Clock for in-game time
+ * Each world keeps its own game time. It runs at WORLD_CLOCK_SCALE game seconds per real second
+ * and can be advanced or set by the game (e.g. when the player sleeps for a week), so decay
+ * follows the story's time rather than the server's.
+ */
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const config = require('../config');
+
+// Storage collection holding the clock, one document per world
+// Format: { clock: { game_time, real_time, last_decay_at, decayed_days } }
+const CLOCK_COLLECTION = 'clock';
+const CLOCK_KEY = 'clock';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the live clock document of the current world, starting the clock if needed
+ * game_time is the game time at real_time; the current game time is extrapolated from both.
+ * @returns {Object} - Clock document
+ */
+function getClockDocument() {
+  const documents = worldManager.getWorldCollection(CLOCK_COLLECTION);
+
+  if (!documents.has(CLOCK_KEY)) {
+    const now = new Date();
+    const start = config.clock.startTime ? new Date(config.clock.startTime) : now;
+    const gameTime = isNaN(start.getTime()) ? now.toISOString() : start.toISOString();
+
+    documents.set(CLOCK_KEY, {
+      game_time: gameTime,
+      real_time: now.toISOString(),
+      last_decay_at: gameTime,
+      decayed_days: 0
+    });
+    worldManager.persistWorldDocument(CLOCK_COLLECTION, CLOCK_KEY);
+    logger.info(`Started world clock for ${worldManager.getCurrentWorldId()} at ${gameTime}`);
+  }
+
+  return documents.get(CLOCK_KEY);
+}
+
+/**
+ * Get the current game time in milliseconds
+ * @returns {number} - Game time (ms since epoch)
+ */
+function getGameTimeMs() {
+  const clock = getClockDocument();
+  const realElapsed = Math.max(0, Date.now() - new Date(clock.real_time).getTime());
+
+  return new Date(clock.game_time).getTime() + realElapsed * config.clock.scale;
+}
+
+/**
+ * Get the current game time
+ * @returns {string} - Game time as an ISO timestamp
+ */
+function getGameTime() {
+  return new Date(getGameTimeMs()).toISOString();
+}
+
+/**
+ * Pin the clock to a game time as of now
+ * @param {number} gameTimeMs - Game time (ms since epoch)
+ */
+function anchorClock(gameTimeMs) {
+  const clock = getClockDocument();
+
+  clock.game_time = new Date(gameTimeMs).toISOString();
+  clock.real_time = new Date().toISOString();
+  worldManager.persistWorldDocument(CLOCK_COLLECTION, CLOCK_KEY);
+}
+
+/**
+ * Move game time forward
+ * @param {number} durationMs - Game time to skip (ms)
+ * @returns {string} - New game time
+ */
+function advanceGameTime(durationMs) {
+  const previous = getGameTimeMs();
+  anchorClock(previous + durationMs);
+
+  logger.info(`Advanced world clock of ${worldManager.getCurrentWorldId()} by ${Math.round(durationMs / HOUR_MS * 100) / 100} hours`);
+  return getGameTime();
+}
+
+/**
+ * Set the game time (e.g. when a save is loaded)
+ * Setting it back in time restarts decay from the new time instead of undoing it.
+ * @param {string|number|Date} time - New game time
+ * @returns {string} - New game time
+ */
+function setGameTime(time) {
+  const gameTimeMs = new Date(time).getTime();
+
+  if (isNaN(gameTimeMs)) {
+    throw new Error(`Invalid game time: ${time}`);
+  }
+
+  anchorClock(gameTimeMs);
+
+  const clock = getClockDocument();
+  if (new Date(clock.last_decay_at).getTime() > gameTimeMs) {
+    clock.last_decay_at = clock.game_time;
+    worldManager.persistWorldDocument(CLOCK_COLLECTION, CLOCK_KEY);
+  }
+
+  logger.info(`Set world clock of ${worldManager.getCurrentWorldId()} to ${clock.game_time}`);
+  return clock.game_time;
+}
+
+/**
+ * Get the game time decay has not been applied to yet
+ * @returns {Object} - { last_decay_at, decayed_days, elapsed_ms }
+ */
+function getDecayProgress() {
+  const clock = getClockDocument();
+
+  return {
+    last_decay_at: clock.last_decay_at,
+    decayed_days: clock.decayed_days || 0,
+    elapsed_ms: Math.max(0, getGameTimeMs() - new Date(clock.last_decay_at).getTime())
+  };
+}
+
+/**
+ * Record that decay was applied for a number of whole game days
+ * @param {number} days - Game days decayed
+ */
+function markDecayed(days) {
+  const clock = getClockDocument();
+
+  clock.last_decay_at = new Date(new Date(clock.last_decay_at).getTime() + days * DAY_MS).toISOString();
+  clock.decayed_days = (clock.decayed_days || 0) + days;
+  worldManager.persistWorldDocument(CLOCK_COLLECTION, CLOCK_KEY);
+}
+
+/**
+ * Describe the clock of the current world
+ * @returns {Object} - { game_time, scale, last_decay_at, decayed_days }
+ */
+function describeClock() {
+  const clock = getClockDocument();
+
+  return {
+    game_time: getGameTime(),
+    scale: config.clock.scale,
+    last_decay_at: clock.last_decay_at,
+    decayed_days: clock.decayed_days || 0
+  };
+}
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  getGameTime,
+  getGameTimeMs,
+  advanceGameTime,
+  setGameTime,
+  getDecayProgress,
+  markDecayed,
+  describeClock
+};
@@ -0,0 +1,347 @@
+/**
+ * World Manager for per-save-game world sessions
+ * Each world owns its own NPCs, conversation histories, relationships and game variables.
+ * Requests are scoped to a world through a path segment (/worlds/:worldId/...),
+ * the X-World-Id header or the world_id query parameter.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+const storage = require('./storage');
+const embeddingIndex = require('./embeddingIndex');
+const config = require('../config');
+
+// Identifier of the world used when a request does not name one
+const DEFAULT_WORLD_ID = 'default';
+
+// Storage collection holding world descriptors
+const WORLD_COLLECTION = 'worlds';
+
+// Allowed world identifiers (safe to use as a path segment and directory name)
+const WORLD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Loaded worlds
+// Format: { worldId: { id, name, description, created_at, collections: Map } }
+const worlds = new Map();
+
+// Tracks which world the current request (and its async continuations) belongs to
+const worldScope = new AsyncLocalStorage();
+
+// Document writes deferred by persistWorldDocumentSoon
+// Format: { "worldId/collectionPath/key": { worldId, collectionName, key, timer } }
+const pendingWrites = new Map();
+
+/**
+ * Get the storage collection path for a world's collection
+ * The default world keeps the top-level collections so existing data stays readable.
+ * @param {string} worldId - World identifier
+ * @param {string} collectionName - Collection name (e.g. "npcs")
+ * @returns {string} - Storage collection path
+ */
+function getCollectionPath(worldId, collectionName) {
+  return worldId === DEFAULT_WORLD_ID ?
+    collectionName :
+    `${WORLD_COLLECTION}/${worldId}/${collectionName}`;
+}
+
+/**
+ * Build the public description of a world
+ * @param {Object} world - World record
+ * @returns {Object} - World descriptor without runtime state
+ */
+function describeWorld(world) {
+  return {
+    id: world.id,
+    name: world.name,
+    description: world.description,
+    created_at: world.created_at
+  };
+}
+
+/**
+ * Register a world record in memory
+ * @param {Object} descriptor - World descriptor
+ * @returns {Object} - World record
+ */
+function registerWorld(descriptor) {
+  const world = {
+    id: descriptor.id,
+    name: descriptor.name || descriptor.id,
+    description: descriptor.description || '',
+    created_at: descriptor.created_at || new Date().toISOString(),
+    collections: new Map()
+  };
+
+  worlds.set(world.id, world);
+  return world;
+}
+
+/**
+ * Load world descriptors from storage and make sure the default world exists
+ * @returns {number} - Number of worlds loaded
+ */
+function loadWorlds() {
+  try {
+    const persisted = storage.getStorage().loadCollection(WORLD_COLLECTION);
+    Object.values(persisted).forEach(registerWorld);
+  } catch (error) {
+    logger.error(`Failed to load persisted worlds: ${error.message}`, null, error);
+  }
+
+  if (!worlds.has(DEFAULT_WORLD_ID)) {
+    registerWorld({ id: DEFAULT_WORLD_ID, name: 'Default World' });
+  }
+
+  logger.info(`Loaded ${worlds.size} worlds`);
+  return worlds.size;
+}
+
+/**
+ * Create a world, or return the existing one with the same ID
+ * @param {Object} worldData - World information (id, name, description)
+ * @returns {Object} - { world, created }
+ */
+function createWorld(worldData = {}) {
+  const worldId = worldData.id || `world-${Date.now()}`;
+
+  if (!WORLD_ID_PATTERN.test(worldId)) {
+    throw new Error(`Invalid world ID "${worldId}". Use 1-64 letters, digits, "_" or "-"`);
+  }
+
+  if (worlds.has(worldId)) {
+    return { world: describeWorld(worlds.get(worldId)), created: false };
+  }
+
+  const world = registerWorld({ ...worldData, id: worldId });
+
+  if (worldId !== DEFAULT_WORLD_ID) {
+    storage.getStorage().save(WORLD_COLLECTION, worldId, describeWorld(world));
+  }
+
+  logger.info(`Created world: ${world.name} (${worldId})`);
+  return { world: describeWorld(world), created: true };
+}
+
+/**
+ * Get a world descriptor
+ * @param {string} worldId - World identifier
+ * @returns {Object|null} - World descriptor or null if not found
+ */
+function getWorld(worldId) {
+  return worlds.has(worldId) ? describeWorld(worlds.get(worldId)) : null;
+}
+
+/**
+ * List all worlds
+ * @returns {Array} - Array of world descriptors
+ */
+function listWorlds() {
+  return Array.from(worlds.values()).map(describeWorld);
+}
+
+/**
+ * Delete a world and everything stored in it
+ * @param {string} worldId - World identifier
+ * @returns {boolean} - Success status
+ */
+function deleteWorld(worldId) {
+  if (worldId === DEFAULT_WORLD_ID) {
+    throw new Error('The default world cannot be deleted');
+  }
+
+  if (!worlds.has(worldId)) {
+    return false;
+  }
+
+  cancelPendingWrites(write => write.worldId === worldId);
+  worlds.delete(worldId);
+
+  const store = storage.getStorage();
+  store.remove(WORLD_COLLECTION, worldId);
+  store.removeCollection(`${WORLD_COLLECTION}/${worldId}`);
+  embeddingIndex.dropIndexes(`${worldId}/`);
+
+  logger.info(`Deleted world ${worldId}`);
+  return true;
+}
+
+/**
+ * Get the ID of the world the current request is scoped to
+ * @returns {string} - World identifier
+ */
+function getCurrentWorldId() {
+  return worldScope.getStore() || DEFAULT_WORLD_ID;
+}
+
+/**
+ * Run a function scoped to a world
+ * @param {string} worldId - World identifier
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+function runInWorld(worldId, fn) {
+  return worldScope.run(worldId, fn);
+}
+
+/**
+ * Run a function once for every world, scoped to that world
+ * Used by background timers that are not tied to a request.
+ * @param {Function} fn - Function receiving the world descriptor
+ */
+function forEachWorld(fn) {
+  listWorlds().forEach(world => runInWorld(world.id, () => fn(world)));
+}
+
+/**
+ * Get a named collection of the current world, loading it from storage on first use
+ * @param {string} collectionName - Collection name (e.g. "npcs", "variables")
+ * @returns {Map} - Live collection map
+ */
+function getWorldCollection(collectionName) {
+  const worldId = getCurrentWorldId();
+  const world = worlds.get(worldId);
+
+  if (!world) {
+    throw new Error(`World ${worldId} not found`);
+  }
+
+  if (!world.collections.has(collectionName)) {
+    let documents = {};
+
+    try {
+      documents = storage.getStorage().loadCollection(getCollectionPath(worldId, collectionName));
+    } catch (error) {
+      logger.error(`Failed to load ${collectionName} for world ${worldId}: ${error.message}`, null, error);
+    }
+
+    world.collections.set(collectionName, new Map(Object.entries(documents)));
+  }
+
+  return world.collections.get(collectionName);
+}
+
+/**
+ * Write a document of the current world's collection through to storage
+ * Documents no longer present in the collection are removed from storage.
+ * @param {string} collectionName - Collection name
+ * @param {string} key - Document key
+ * @returns {boolean} - Success status
+ */
+function persistWorldDocument(collectionName, key) {
+  const worldId = getCurrentWorldId();
+  const collection = getWorldCollection(collectionName);
+  const collectionPath = getCollectionPath(worldId, collectionName);
+
+  // This write covers any deferred one
+  cancelPendingWrites(write => write.id === `${collectionPath}/${key}`);
+
+  try {
+    if (collection.has(key)) {
+      storage.getStorage().save(collectionPath, key, collection.get(key));
+    } else {
+      storage.getStorage().remove(collectionPath, key);
+    }
+    return true;
+  } catch (error) {
+    logger.error(`Failed to persist ${collectionPath}/${key}: ${error.message}`, null, error);
+    return false;
+  }
+}
+
+/**
+ * Write a document of the current world's collection through to storage, optionally after a delay
+ * For documents that change in bursts (an NPC's history gains a message per participant and
+ * turn). With config.storage.writeDelayMs above 0 (opt-in; the default writes at once), the
+ * changes made meanwhile are written once. Reads use the live collection, so they never wait
+ * for the write.
+ * @param {string} collectionName - Collection name
+ * @param {string} key - Document key
+ */
+function persistWorldDocumentSoon(collectionName, key) {
+  const worldId = getCurrentWorldId();
+  const id = `${getCollectionPath(worldId, collectionName)}/${key}`;
+
+  if (config.storage.writeDelayMs <= 0) {
+    persistWorldDocument(collectionName, key);
+    return;
+  }
+
+  if (pendingWrites.has(id)) {
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    pendingWrites.delete(id);
+    runInWorld(worldId, () => persistWorldDocument(collectionName, key));
+  }, config.storage.writeDelayMs);
+
+  // A pending write does not keep the process alive; it is flushed when the process exits
+  timer.unref();
+  pendingWrites.set(id, { id, worldId, collectionName, key, timer });
+}
+
+/**
+ * Drop deferred writes without writing them
+ * @param {Function} filter - Predicate on { id, worldId, collectionName, key }
+ */
+function cancelPendingWrites(filter) {
+  Array.from(pendingWrites.values())
+    .filter(filter)
+    .forEach(write => {
+      clearTimeout(write.timer);
+      pendingWrites.delete(write.id);
+    });
+}
+
+/**
+ * Write every deferred document now (e.g. before the server shuts down)
+ * @returns {number} - Number of documents written
+ */
+function flushPendingWrites() {
+  const writes = Array.from(pendingWrites.values());
+
+  writes.forEach(write => {
+    runInWorld(write.worldId, () => persistWorldDocument(write.collectionName, write.key));
+  });
+
+  return writes.length;
+}
+
+/**
+ * Express middleware that scopes the rest of the request to a world
+ * Resolution order: :worldId path parameter, X-World-Id header, world_id query parameter.
+ */
+function resolveWorld(req, res, next) {
+  const worldId = req.params.worldId || req.get('X-World-Id') || req.query.world_id || DEFAULT_WORLD_ID;
+
+  if (!worlds.has(worldId)) {
+    logger.warn(`Request for unknown world: ${worldId}`);
+    return res.status(404).json({
+      status: 'error',
+      message: `World ${worldId} not found. Create it with POST /worlds first`
+    });
+  }
+
+  req.worldId = worldId;
+  return worldScope.run(worldId, () => next());
+}
+
+loadWorlds();
+
+// Storage writes are synchronous, so deferred writes can still be made while the process exits
+process.on('exit', flushPendingWrites);
+
+module.exports = {
+  DEFAULT_WORLD_ID,
+  createWorld,
+  getWorld,
+  listWorlds,
+  deleteWorld,
+  getCurrentWorldId,
+  runInWorld,
+  forEachWorld,
+  getWorldCollection,
+  persistWorldDocument,
+  persistWorldDocumentSoon,
+  flushPendingWrites,
+  resolveWorld
+};
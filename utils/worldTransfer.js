@@ -0,0 +1,839 @@
+/**
+ * World Transfer for exporting and importing whole worlds
+ * A world is exported as one versioned document holding its NPCs (definitions with their
+ * relationships, conversation histories, memories and relationship events), factions, lore, game
+ * variables and clock, so it can be moved between machines or checked into source control. NPC
+ * definitions can also be exported as CSV laid out like an Unreal Engine DataTable.
+ *
+ * Imports are checked completely before anything changes, and every problem is reported with the
+ * row it is in. "merge" adds the document to the world; "replace" makes every section the document
+ * contains match it exactly. A dry run reports what an import would change without changing it.
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const worldManager = require('./worldManager');
+const contextManager = require('./contextManager');
+const memoryManager = require('./memoryManager');
+const relationshipHistory = require('./relationshipHistory');
+const factionManager = require('./factionManager');
+const loreManager = require('./loreManager');
+const worldClock = require('./worldClock');
+const npcSchema = require('./npcSchema');
+
+// Identifies world documents and the version of their layout
+const WORLD_FORMAT = 'npc-world';
+const WORLD_FORMAT_VERSION = 1;
+
+// How an import combines the document with the world
+const IMPORT_MODES = ['merge', 'replace'];
+
+// World collection holding game variables (see adminRoutes)
+const VARIABLE_COLLECTION = 'variables';
+
+// Fields of an exported NPC that hold its history rather than its definition
+const HISTORY_FIELDS = ['conversations', 'summaries', 'archived_conversations', 'memories', 'relationship_events'];
+
+// Header Unreal Engine gives the row name column of a DataTable CSV (the row name is the NPC ID)
+const ROW_NAME_HEADER = '---';
+const ROW_NAME_HEADERS = [ROW_NAME_HEADER, 'RowName'];
+
+// NPC definition fields exported as CSV columns, in schema order
+const CSV_COLUMNS = Object.keys(npcSchema.NPC_SCHEMA.properties).filter(field => field !== 'id');
+
+// Fields compared to tell whether an imported faction or lore entry changes the stored one
+const FACTION_FIELDS = ['name', 'description', 'stances', 'player_attitude', 'member_attitude', 'reputation'];
+const LORE_FIELDS = ['title', 'content', 'tags', 'locations', 'factions', 'visibility', 'known_by', 'reveal'];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether two values serialize to the same JSON
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Sort records by ID so exports of an unchanged world are identical
+ * @param {Array} records - Records with an "id"
+ * @returns {Array} - Sorted copy
+ */
+function sortById(records) {
+  return records.slice().sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Get the game variables of the current world
+ * @returns {Map} - Live map of game variables
+ */
+function getGameVariables() {
+  return worldManager.getWorldCollection(VARIABLE_COLLECTION);
+}
+
+/**
+ * Get everything an NPC has accumulated while the game was played
+ * @param {string} npcId - NPC identifier
+ * @returns {Object} - { conversations, summaries, archived_conversations, memories, relationship_events }
+ */
+function getNpcHistory(npcId) {
+  return {
+    ...contextManager.getNpcHistory(npcId),
+    memories: memoryManager.listMemories(npcId),
+    relationship_events: relationshipHistory.listRelationshipEvents(npcId)
+  };
+}
+
+/**
+ * Export the current world as a world document
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.history=true] - Include conversation histories, memories, relationship events and the clock
+ * @returns {Object} - World document
+ */
+function exportWorld(options = {}) {
+  const includeHistory = options.history !== false;
+  const world = worldManager.getWorld(worldManager.getCurrentWorldId());
+
+  const npcs = contextManager.getAllNpcIds().sort().map(npcId => ({
+    id: npcId,
+    ...contextManager.getNpcMetadata(npcId),
+    ...(includeHistory ? getNpcHistory(npcId) : {})
+  }));
+
+  const variables = {};
+  Array.from(getGameVariables().keys()).sort().forEach(key => {
+    variables[key] = getGameVariables().get(key);
+  });
+
+  const document = {
+    format: WORLD_FORMAT,
+    version: WORLD_FORMAT_VERSION,
+    world: { id: world.id, name: world.name, description: world.description },
+    npcs,
+    factions: sortById(factionManager.listFactions()),
+    lore: sortById(loreManager.listLore()),
+    variables
+  };
+
+  if (includeHistory) {
+    document.clock = { game_time: worldClock.getGameTime() };
+  }
+
+  return document;
+}
+
+/**
+ * Write a value as a CSV cell (text as is, anything else as JSON)
+ * @param {*} value - Value
+ * @returns {string} - CSV cell, quoted if needed
+ */
+function toCsvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the NPC definitions of the current world as a DataTable CSV
+ * The first column is the row name (the NPC ID); text fields are written as is and every other
+ * field as JSON.
+ * @returns {string} - CSV text
+ */
+function exportNpcsCsv() {
+  const rows = [[ROW_NAME_HEADER, ...CSV_COLUMNS]];
+
+  contextManager.getAllNpcIds().sort().forEach(npcId => {
+    const metadata = contextManager.getNpcMetadata(npcId);
+    rows.push([npcId, ...CSV_COLUMNS.map(field => metadata[field])]);
+  });
+
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows of cells, without blank lines
+ * @throws {Error} - If a quoted cell is not closed
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('The CSV has a quoted cell that is never closed');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a CSV cell of an NPC field
+ * Cells of fields that are not plain text are parsed as JSON when they hold JSON; anything else
+ * is left as text for the NPC schema's adapters (e.g. "Hammer, Tongs" for inventory).
+ * @param {string} field - NPC field
+ * @param {string} cell - Cell text
+ * @returns {*} - Field value
+ */
+function parseCsvCell(field, cell) {
+  const property = npcSchema.NPC_SCHEMA.properties[field];
+
+  if (!property || property.type === 'string') {
+    return cell;
+  }
+
+  try {
+    return JSON.parse(cell);
+  } catch (error) {
+    return cell;
+  }
+}
+
+/**
+ * Turn a DataTable CSV of NPC definitions into a world document
+ * The row name column ("---" or "RowName") holds NPC IDs; empty cells leave a field out.
+ * @param {string} text - CSV text
+ * @returns {Object} - World document with only an "npcs" section
+ * @throws {Error} - If the CSV cannot be read
+ */
+function parseNpcsCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    throw new Error('The CSV has no header row');
+  }
+
+  const fields = header.map(column => (ROW_NAME_HEADERS.includes(column.trim()) ? 'id' : column.trim()));
+
+  const npcs = rows.map(cells => {
+    const npc = {};
+    fields.forEach((field, index) => {
+      const cell = (cells[index] || '').trim();
+      if (field && cell !== '') {
+        npc[field] = field === 'id' ? cell : parseCsvCell(field, cell);
+      }
+    });
+    return npc;
+  });
+
+  return { format: WORLD_FORMAT, version: WORLD_FORMAT_VERSION, npcs };
+}
+
+/**
+ * Check the history fields of an imported NPC
+ * @param {Object} row - Imported NPC
+ * @returns {Array} - Errors as { field, message }
+ */
+function validateHistory(row) {
+  const errors = [];
+  const isMessage = msg => isPlainObject(msg) && typeof msg.role === 'string' && typeof msg.content === 'string';
+
+  ['conversations', 'archived_conversations'].forEach(field => {
+    if (row[field] === undefined) {
+      return;
+    }
+    if (!Array.isArray(row[field])) {
+      errors.push({ field, message: 'must be an array of messages' });
+      return;
+    }
+    row[field].forEach((msg, index) => {
+      if (!isMessage(msg)) {
+        errors.push({ field: `${field}[${index}]`, message: 'must be a message with a role and content' });
+      }
+    });
+  });
+
+  if (row.summaries !== undefined && !isPlainObject(row.summaries)) {
+    errors.push({ field: 'summaries', message: 'must be an object keyed by player' });
+  }
+
+  if (row.memories !== undefined) {
+    if (!Array.isArray(row.memories)) {
+      errors.push({ field: 'memories', message: 'must be an array of memories' });
+    } else {
+      row.memories.forEach((memory, index) => {
+        if (!isPlainObject(memory) || typeof memory.content !== 'string' || !memory.content.trim()) {
+          errors.push({ field: `memories[${index}].content`, message: 'is required' });
+        }
+      });
+    }
+  }
+
+  if (row.relationship_events !== undefined) {
+    if (!Array.isArray(row.relationship_events)) {
+      errors.push({ field: 'relationship_events', message: 'must be an array of events' });
+    } else {
+      row.relationship_events.forEach((event, index) => {
+        if (!isPlainObject(event) || !['player', 'npc'].includes(event.kind)) {
+          errors.push({ field: `relationship_events[${index}].kind`, message: 'must be "player" or "npc"' });
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Add imported entries to a list, skipping those already in it, in time order
+ * @param {Array} current - Entries in the world
+ * @param {Array} incoming - Entries in the document
+ * @param {Function} keyOf - Identifies an entry
+ * @param {string} timeField - Field holding the entry's ISO timestamp
+ * @returns {Array} - Combined entries
+ */
+function mergeEntries(current, incoming, keyOf, timeField) {
+  const keys = new Set(current.map(keyOf));
+  const added = incoming.filter(entry => !keys.has(keyOf(entry)));
+
+  if (added.length === 0) {
+    return current;
+  }
+
+  return [...current, ...added].sort((a, b) => {
+    const timeA = String(a[timeField] || '');
+    const timeB = String(b[timeField] || '');
+    return timeA < timeB ? -1 : timeA > timeB ? 1 : 0;
+  });
+}
+
+// How a merge import combines each history field with the NPC's own
+const messageKey = msg => `${msg.timestamp}|${msg.role}|${msg.player_id || ''}|${msg.content}`;
+const HISTORY_MERGES = {
+  conversations: (current, incoming) => mergeEntries(current, incoming, messageKey, 'timestamp'),
+  archived_conversations: (current, incoming) => mergeEntries(current, incoming, messageKey, 'timestamp'),
+  summaries: (current, incoming) => ({ ...incoming, ...current }),
+  memories: (current, incoming) => mergeEntries(current, incoming, memory => memory.id || memory.content, 'created_at'),
+  relationship_events: (current, incoming) => mergeEntries(current, incoming, event => event.id || JSON.stringify(event), 'timestamp')
+};
+
+/**
+ * Work out which history fields of an NPC an import changes
+ * Merging adds the document's entries to the NPC's; replacing uses the document's (a field the
+ * document leaves out is emptied).
+ * @param {Object} current - The NPC's history (see getNpcHistory)
+ * @param {Object} row - Imported NPC
+ * @param {boolean} merge - Whether the import merges
+ * @returns {Object} - New values of the changed fields
+ */
+function planHistory(current, row, merge) {
+  const next = {};
+
+  HISTORY_FIELDS.forEach(field => {
+    const empty = field === 'summaries' ? {} : [];
+
+    if (row[field] === undefined && merge) {
+      return;
+    }
+
+    const incoming = row[field] !== undefined ? row[field] : empty;
+    const value = merge ? HISTORY_MERGES[field](current[field] || empty, incoming) : incoming;
+
+    if (!sameJson(value, current[field] || empty)) {
+      next[field] = value;
+    }
+  });
+
+  return next;
+}
+
+/**
+ * List the top-level fields that differ between two versions of an NPC's metadata
+ * @param {Object} before - Stored metadata
+ * @param {Object} after - Imported metadata
+ * @returns {Array} - Changed field names
+ */
+function diffFields(before, after) {
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(field => field !== 'mood_since' && !sameJson(before[field], after[field]))
+    .sort();
+}
+
+/**
+ * Plan the NPC section of an import
+ * Names are checked against the world as it will be after the import, so a merge can give a new
+ * NPC the old name of an NPC it renames. Two rows cannot import the same NPC.
+ * @param {Array} rows - Imported NPCs
+ * @param {boolean} merge - Whether the import merges
+ * @param {Array} errors - Errors found so far (added to)
+ * @returns {Array} - Planned entries as { row, npcId, existingId, fields, metadata, history, change }
+ */
+function planNpcs(rows, merge, errors) {
+  const seenIds = new Set();
+  const seenNames = new Set();
+  const seenTargets = new Set();
+  const entries = [];
+
+  rows.forEach((row, index) => {
+    const position = index + 1;
+
+    if (!isPlainObject(row)) {
+      errors.push({ section: 'npcs', row: position, message: 'must be an NPC object' });
+      return;
+    }
+
+    const npcData = { ...row };
+    HISTORY_FIELDS.forEach(field => delete npcData[field]);
+
+    const definition = npcSchema.validateNpcDefinition(npcData);
+    const name = definition.npc && typeof definition.npc.name === 'string' ? definition.npc.name : null;
+    const rowErrors = [...definition.errors, ...validateHistory(row)];
+
+    const npcId = definition.npc && definition.npc.id;
+
+    // An NPC without an ID is the NPC with its name, like POST /npc
+    const existing = npcId ?
+      (contextManager.getNpcMetadata(npcId) ? npcId : null) :
+      (name ? (contextManager.findNpcByName(name) || {}).id || null : null);
+
+    if (npcId && seenIds.has(npcId)) {
+      rowErrors.push({ field: 'id', message: 'is used by an earlier row' });
+    } else if (name && seenNames.has(name.trim().toLowerCase())) {
+      rowErrors.push({ field: 'name', message: 'is used by an earlier row' });
+    } else if (existing && seenTargets.has(existing)) {
+      // e.g. a row without an ID named after an NPC an earlier row renames
+      rowErrors.push({ field: npcId ? 'id' : 'name', message: `is NPC ${existing}, which an earlier row already imports` });
+    }
+
+    let metadata = null;
+    if (definition.valid) {
+      const { id, ...fields } = definition.npc;
+      try {
+        metadata = contextManager.previewNpcMetadata(fields, merge ? existing : null);
+      } catch (error) {
+        rowErrors.push({ message: error.message });
+      }
+    }
+
+    rowErrors.forEach(error => errors.push({ section: 'npcs', row: position, id: npcId || null, name, ...error }));
+
+    if (rowErrors.length > 0) {
+      return;
+    }
+
+    if (npcId) {
+      seenIds.add(npcId);
+    }
+    if (existing) {
+      seenTargets.add(existing);
+    }
+    seenNames.add(name.trim().toLowerCase());
+
+    const { id, ...fields } = definition.npc;
+    const changedFields = existing ? diffFields(contextManager.getNpcMetadata(existing), metadata) : [];
+    const history = Object.keys(planHistory(existing ? getNpcHistory(existing) : {}, row, merge || !existing));
+    const action = !existing ? 'create' : (changedFields.length > 0 || history.length > 0 ? 'update' : 'unchanged');
+
+    const change = { row: position, id: npcId || existing, name, action };
+    if (existing) {
+      change.fields = changedFields;
+    }
+    if (history.length > 0) {
+      change.history = history;
+    }
+
+    entries.push({ row, npcId: npcId || existing, existingId: existing, fields, metadata, change });
+  });
+
+  // A replace deletes the world's NPCs the document does not name, so only a merge can collide
+  // with the name of an NPC the document leaves alone (renamed NPCs give up their old names)
+  if (!merge) {
+    return entries;
+  }
+
+  return entries.filter(entry => {
+    const namesake = contextManager.findNpcByName(entry.change.name);
+    if (!namesake || namesake.id === entry.existingId || seenTargets.has(namesake.id)) {
+      return true;
+    }
+
+    errors.push({
+      section: 'npcs',
+      row: entry.change.row,
+      id: entry.change.id,
+      name: entry.change.name,
+      field: 'name',
+      message: `is the name of NPC ${namesake.id} in the world`
+    });
+    return false;
+  });
+}
+
+/**
+ * Plan an import section of records identified by ID (factions or lore)
+ * @param {Object} section - { name, rows, validate, find, fields, label }
+ * @param {Array} errors - Errors found so far (added to)
+ * @returns {Array} - Planned entries as { data, existingId, change }
+ */
+function planRecords(section, errors) {
+  const entries = [];
+
+  section.rows.forEach((row, index) => {
+    const position = index + 1;
+    const label = isPlainObject(row) ? row[section.label] : undefined;
+
+    try {
+      if (!isPlainObject(row)) {
+        throw new Error('must be an object');
+      }
+      section.validate(row);
+    } catch (error) {
+      errors.push({ section: section.name, row: position, id: isPlainObject(row) ? row.id || null : null, message: error.message });
+      return;
+    }
+
+    const existing = section.find(row.id !== undefined ? String(row.id) : row[section.label]);
+    const changed = existing && section.fields.some(field => row[field] !== undefined && !sameJson(row[field], existing[field]));
+    const action = !existing ? 'create' : (changed ? 'update' : 'unchanged');
+
+    entries.push({
+      data: row,
+      existingId: existing ? existing.id : null,
+      change: { row: position, id: existing ? existing.id : (row.id !== undefined ? String(row.id) : null), [section.label]: label, action }
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * List the records of the world a replace import removes (those the document does not contain)
+ * @param {Array} records - Records in the world
+ * @param {Array} entries - Planned entries
+ * @param {string} label - Field naming a record
+ * @returns {Array} - Deletions as { change }
+ */
+function planDeletions(records, entries, label) {
+  const kept = new Set(entries.map(entry => entry.existingId).filter(Boolean));
+
+  return records
+    .filter(record => !kept.has(record.id))
+    .map(record => ({ existingId: record.id, change: { id: record.id, [label]: record[label], action: 'delete' } }));
+}
+
+/**
+ * Check an imported document and plan every change it makes to the current world
+ * @param {Object} document - World document
+ * @param {string} mode - "merge" or "replace"
+ * @returns {Object} - { errors, warnings, plan }
+ */
+function planImport(document, mode) {
+  const errors = [];
+  const merge = mode === 'merge';
+  const plan = {};
+
+  if (!isPlainObject(document)) {
+    return { errors: [{ section: 'document', message: 'The world document must be a JSON object' }], warnings: [], plan };
+  }
+
+  if (document.format !== WORLD_FORMAT) {
+    errors.push({ section: 'document', field: 'format', message: `must be "${WORLD_FORMAT}"` });
+  }
+
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > WORLD_FORMAT_VERSION) {
+    errors.push({ section: 'document', field: 'version', message: `must be a format version this server reads (1-${WORLD_FORMAT_VERSION})` });
+  }
+
+  ['npcs', 'factions', 'lore'].forEach(section => {
+    if (document[section] !== undefined && !Array.isArray(document[section])) {
+      errors.push({ section, message: 'must be an array' });
+    }
+  });
+
+  if (document.variables !== undefined && !isPlainObject(document.variables)) {
+    errors.push({ section: 'variables', message: 'must be an object keyed by variable name' });
+  }
+
+  if (document.clock !== undefined &&
+      (!isPlainObject(document.clock) || isNaN(new Date(document.clock.game_time).getTime()))) {
+    errors.push({ section: 'clock', field: 'game_time', message: 'must be a date' });
+  }
+
+  if (errors.length > 0) {
+    return { errors, warnings: [], plan };
+  }
+
+  // Factions first, so the NPCs that name them join them
+  if (document.factions) {
+    plan.factions = planRecords({
+      name: 'factions',
+      rows: document.factions,
+      validate: factionManager.validateFaction,
+      find: factionManager.getFaction,
+      fields: FACTION_FIELDS,
+      label: 'name'
+    }, errors);
+    if (!merge) {
+      plan.factions.push(...planDeletions(factionManager.listFactions(), plan.factions, 'name'));
+    }
+  }
+
+  if (document.lore) {
+    plan.lore = planRecords({
+      name: 'lore',
+      rows: document.lore,
+      validate: loreManager.validateLore,
+      find: loreManager.getLore,
+      fields: LORE_FIELDS,
+      label: 'title'
+    }, errors);
+    if (!merge) {
+      plan.lore.push(...planDeletions(loreManager.listLore(), plan.lore, 'title'));
+    }
+  }
+
+  if (document.npcs) {
+    plan.npcs = planNpcs(document.npcs, merge, errors);
+    if (!merge) {
+      const npcs = contextManager.getAllNpcIds().map(npcId => ({ id: npcId, name: contextManager.getNpcMetadata(npcId).name }));
+      plan.npcs.push(...planDeletions(npcs, plan.npcs, 'name'));
+    }
+  }
+
+  if (document.variables) {
+    const variables = getGameVariables();
+    plan.variables = Object.entries(document.variables).map(([key, value]) => ({
+      key,
+      value,
+      change: {
+        key,
+        action: !variables.has(key) ? 'create' : (sameJson(variables.get(key), value) ? 'unchanged' : 'update'),
+        before: variables.get(key),
+        after: value
+      }
+    }));
+    if (!merge) {
+      Array.from(variables.keys())
+        .filter(key => !(key in document.variables))
+        .forEach(key => plan.variables.push({ key, change: { key, action: 'delete', before: variables.get(key) } }));
+    }
+  }
+
+  // The clock is only set back by a replace; merging into a running world keeps its time
+  if (document.clock && !merge) {
+    const gameTime = new Date(document.clock.game_time).toISOString();
+    plan.clock = { game_time: gameTime, change: { action: 'update', before: worldClock.getGameTime(), after: gameTime } };
+  }
+
+  return { errors, warnings: findUnresolvedRelationships(plan, merge), plan };
+}
+
+/**
+ * List imported relationships with names no NPC will have after the import
+ * They are kept as relationships with NPCs that do not exist yet, but are often typos.
+ * @param {Object} plan - Import plan
+ * @param {boolean} merge - Whether the import merges
+ * @returns {Array} - Warnings as { section, row, id, name, message }
+ */
+function findUnresolvedRelationships(plan, merge) {
+  const entries = (plan.npcs || []).filter(entry => entry.metadata);
+  const imported = new Set(entries.map(entry => entry.existingId).filter(Boolean));
+  const names = new Set(entries.map(entry => entry.metadata.name.toLowerCase()));
+
+  if (merge) {
+    contextManager.getAllNpcIds()
+      .filter(npcId => !imported.has(npcId))
+      .forEach(npcId => names.add(contextManager.getNpcMetadata(npcId).name.toLowerCase()));
+  }
+
+  const warnings = [];
+  entries.forEach(entry => {
+    Object.keys(entry.metadata.relationships || {})
+      .filter(name => !names.has(name.trim().toLowerCase()))
+      .forEach(name => warnings.push({
+        section: 'npcs',
+        row: entry.change.row,
+        id: entry.change.id,
+        name: entry.metadata.name,
+        message: `has a relationship with "${name}", but no NPC has that name`
+      }));
+  });
+
+  return warnings;
+}
+
+/**
+ * Apply a checked import plan to the current world
+ * Factions and lore come first, then every NPC definition (with its relationships), and only then
+ * the NPCs' histories, so events and memories attach to NPCs whose relationships already resolve.
+ * @param {Object} plan - Import plan
+ * @param {boolean} merge - Whether the import merges
+ * @param {string} requestId - Request ID for logging
+ */
+function applyImport(plan, merge, requestId) {
+  const changed = entry => entry.change.action !== 'unchanged';
+
+  (plan.factions || []).filter(changed).forEach(entry => {
+    // A replaced faction gets exactly the document's reputation instead of a merge with its own
+    if (entry.existingId && (!merge || entry.change.action === 'delete')) {
+      factionManager.removeFaction(entry.existingId);
+    }
+    if (entry.data) {
+      entry.change.id = factionManager.restoreFaction(entry.data).faction.id;
+    }
+  });
+
+  (plan.lore || []).filter(changed).forEach(entry => {
+    if (entry.data) {
+      entry.change.id = loreManager.saveLore(entry.data).entry.id;
+    } else {
+      loreManager.removeLore(entry.existingId);
+    }
+  });
+
+  const npcs = (plan.npcs || []).filter(changed);
+
+  npcs.filter(entry => entry.existingId && (!merge || !entry.row)).forEach(entry => {
+    contextManager.removeNpc(entry.existingId);
+  });
+
+  // A merge updates the world's NPCs before it creates any, so a new NPC can take the old name
+  // of an NPC the document renames
+  const updates = npcs.filter(entry => entry.row && entry.existingId && merge);
+  const definitions = [...updates, ...npcs.filter(entry => entry.row && !updates.includes(entry))];
+
+  definitions.forEach(entry => {
+    if (entry.existingId && merge) {
+      if (entry.change.fields.length > 0) {
+        contextManager.updateNpc(entry.existingId, entry.fields, requestId);
+      }
+    } else {
+      // NPCs always get an ID here, so a new NPC never replaces another with its name
+      entry.npcId = contextManager.initializeNpc({ ...entry.fields, id: entry.npcId || crypto.randomUUID() }, requestId);
+      entry.change.id = entry.npcId;
+    }
+  });
+
+  npcs.filter(entry => entry.row).forEach(entry => {
+    const current = getNpcHistory(entry.npcId);
+    const next = planHistory(current, entry.row, merge);
+
+    if (['conversations', 'summaries', 'archived_conversations'].some(field => next[field] !== undefined)) {
+      contextManager.restoreNpcHistory(entry.npcId, {
+        conversations: next.conversations || current.conversations,
+        summaries: next.summaries || current.summaries,
+        archived_conversations: next.archived_conversations || current.archived_conversations
+      });
+    }
+    if (next.memories) {
+      memoryManager.restoreMemories(entry.npcId, next.memories);
+    }
+    if (next.relationship_events) {
+      relationshipHistory.restoreRelationshipEvents(entry.npcId, next.relationship_events);
+    }
+  });
+
+  (plan.variables || []).filter(changed).forEach(entry => {
+    if (entry.change.action === 'delete') {
+      getGameVariables().delete(entry.key);
+    } else {
+      getGameVariables().set(entry.key, entry.value);
+    }
+    worldManager.persistWorldDocument(VARIABLE_COLLECTION, entry.key);
+  });
+
+  if (plan.clock) {
+    worldClock.setGameTime(plan.clock.game_time);
+  }
+
+  logger.info(`Applied world import to ${worldManager.getCurrentWorldId()}`, requestId);
+}
+
+/**
+ * Import a world document into the current world
+ * Nothing changes if the document has any error.
+ * @param {Object} document - World document (see exportWorld, or parseNpcsCsv for CSV)
+ * @param {Object} [options] - Options
+ * @param {string} [options.mode='merge'] - "merge" adds the document to the world; "replace" makes each section the document contains match it
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {string} [options.requestId] - Request ID for logging
+ * @returns {Object} - { valid, errors, warnings, summary, changes }
+ * @throws {Error} - If the mode is unknown
+ */
+function importWorld(document, options = {}) {
+  const mode = options.mode || 'merge';
+  const requestId = options.requestId || Date.now().toString();
+
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const { errors, warnings, plan } = planImport(document, mode);
+  const valid = errors.length === 0;
+
+  if (valid && !options.dryRun) {
+    applyImport(plan, mode === 'merge', requestId);
+  }
+
+  const summary = {};
+  const changes = {};
+  Object.entries(plan).forEach(([section, entries]) => {
+    const list = Array.isArray(entries) ? entries : [entries];
+    summary[section] = { create: 0, update: 0, delete: 0, unchanged: 0 };
+    list.forEach(entry => summary[section][entry.change.action]++);
+    changes[section] = list.map(entry => entry.change).filter(change => change.action !== 'unchanged');
+  });
+
+  logger.info(`World import (${mode}${options.dryRun ? ', dry run' : ''}): ${errors.length} errors, ${warnings.length} warnings`, requestId);
+  return { valid, errors, warnings, summary, changes };
+}
+
+module.exports = {
+  WORLD_FORMAT,
+  WORLD_FORMAT_VERSION,
+  IMPORT_MODES,
+  exportWorld,
+  exportNpcsCsv,
+  parseNpcsCsv,
+  importWorld
+};